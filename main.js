@@ -15,7 +15,12 @@ import { Camera } from './src/core/camera.js';
 import { MapRenderer } from './src/rendering/renderer.js';
 import { TileManager } from './src/tiles/TileManager.js';
 import { initializeTileCoordinator } from './src/tiles/TileCoordinator.js';
-import { clearTileCache, resetNotFoundTiles } from './src/tiles/geojson.js';
+import { clearTileCache, resetNotFoundTiles, resetTileErrors, setTileRetryPolicy, getTileRetryPolicy } from './src/tiles/geojson.js';
+import { addPMTilesArchive } from './src/tiles/pmtiles.js';
+import { addOfflinePackage, removeOfflinePackage } from './src/tiles/offlinePackage.js';
+import { addProtocol, removeProtocol, setTransformRequest } from './src/core/request.js';
+import { enablePersistentTileCache, disablePersistentTileCache, getPersistentTileCache } from './src/tiles/persistentTileCache.js';
+import { downloadRegion, estimateRegionTileCount, getOfflinePacks, resumeOfflinePack, deleteOfflinePack } from './src/tiles/offlineRegion.js';
 import { setupEventListeners } from './src/core/events.js';
 import { getVisibleTiles } from './src/tiles/tile-utils.js';
 import { createAccumulatorPipeline, createQuadrantPipeline, createCenterPipeline } from './src/rendering/markerCompute.js';
@@ -33,6 +38,8 @@ import {
     initMarkerResources 
 } from './src/rendering/renderingUtils.js';
 import { destroyAllBuffers } from './src/core/bufferUtils.js';
+import { mapEvents } from './src/core/mapEvents.js';
+import { setFeatureState, getFeatureState, removeFeatureState } from './src/core/featureState.js';
 
 // Constants
 const MAX_FEATURES = 65535;
@@ -110,10 +117,7 @@ async function main() {
     }
 
     // ===== Setup Tile Loading Events =====
-    setupTileLoadingEvents(
-        camera, tileManager, renderer, 
-        styleManager, device
-    );
+    const tileLoading = setupTileLoadingEvents(camera, tileManager, renderer);
 
     // ===== Setup Event Listeners =====
     setupEventListeners(canvas, camera, device, renderer, tileManager.visibleTileBuffers);
@@ -124,6 +128,25 @@ async function main() {
     // ===== Rendering State =====
     let isReadingMarkers = false;
     let lastFrameTime = performance.now();
+    let idleFired = false;
+
+    /**
+     * Fire 'idle' once the camera is at rest and every visible tile has loaded,
+     * faded in and been rendered - once per settle
+     */
+    function checkIdle() {
+        const idle = !tileLoading.isPending() &&
+            tileManager.isLoaded() &&
+            !renderer.isLoadingOrFading() &&
+            camera.velocity[0] === 0 && camera.velocity[1] === 0;
+
+        if (!idle) {
+            idleFired = false;
+        } else if (!idleFired) {
+            idleFired = true;
+            device.queue.onSubmittedWorkDone().then(() => mapEvents.fire('idle'));
+        }
+    }
 
     // ===== Render Loop =====
     async function frame() {
@@ -135,7 +158,12 @@ async function main() {
         // Update shader effect animations
         renderer.updateEffectTime(deltaTime);
         
+        // Pan inertia moves the view without pan events
+        const hadVelocity = camera.velocity[0] !== 0 || camera.velocity[1] !== 0;
         camera.updatePosition();
+        if (hadVelocity) {
+            tileLoading.scheduleUpdate();
+        }
         const transformMatrix = camera.getMatrix();
         renderer.updateCameraTransform(transformMatrix);
 
@@ -188,10 +216,8 @@ async function main() {
             );
             
             // Upload and render labels (uses cached collision data)
-            const sourceId = styleManager.getStyle()?.sources 
-                ? Object.keys(styleManager.getStyle().sources).find(key => styleManager.getStyle().sources[key].type === 'vector') 
-                : null;
-            textRenderer.uploadLabelData(featureNames, camera, sourceId, markerResources.markerBuffer);
+            // Labels come from symbol layers of every source in the style
+            textRenderer.uploadLabelData(featureNames, camera, null, markerResources.markerBuffer);
             textRenderer.render(overlayEncoder, textureView, markerResources.markerBuffer, renderer.buffers.uniform);
             
             device.queue.submit([overlayEncoder.finish()]);
@@ -205,6 +231,8 @@ async function main() {
                 .catch(() => { isReadingMarkers = false; });
         }
         
+        checkIdle();
+        
         requestAnimationFrame(frame);
     }
 
@@ -247,6 +275,9 @@ function setupGlobalAPI(device, camera, tileManager, performanceManager, styleMa
     window.tileBuffers = tileManager.visibleTileBuffers;
     window.hiddenTileBuffers = tileManager.hiddenTileBuffers;
     
+    // Map events: map.on('idle' | 'tileload' | 'tileerror' | 'sourcedata' | 'styledata', fn)
+    window.map = mapEvents;
+    
     // Performance API
     window.mapPerformance = {
         getStats: () => performanceManager.getStats(),
@@ -286,7 +317,10 @@ function setupGlobalAPI(device, camera, tileManager, performanceManager, styleMa
             console.log(`🏔️ Terrain now visible at zoom ${zoom}+`);
         },
         setSource: (source) => {
+            // 'aws', 'mapbox' or a pmtiles:// DEM archive
             terrainLayer.setSource(source);
+            // CPU height baking reads the same source (and overzooms past its maxzoom)
+            tileManager.tileCoordinator.setTerrainSource(source, terrainLayer.getSourceConfig());
             console.log(`🏔️ Terrain source set to ${source}`);
         },
         getSources: () => ['aws', 'mapbox'],
@@ -343,23 +377,97 @@ function setupGlobalAPI(device, camera, tileManager, performanceManager, styleMa
         getState: () => renderer.getLighting()
     };
     
-    // Style API
+    // Style API - invalid styles and style changes are rejected with a map 'error' event
+    // (see validateStyle() in styleValidator.js: { path, message } per problem)
     window.mapStyle = {
         setStyle: async (style) => {
-            await styleManager.setStyle(style);
+            if (!await styleManager.setStyle(style)) return false;
             await destroyAllBuffers(device, tileManager.visibleTileBuffers, tileManager.hiddenTileBuffers);
             camera.triggerEvent('zoomend');
+            return true;
         },
         getStyle: () => styleManager.getStyle(),
         loadStyleFromURL: (url) => styleManager.loadStyleFromURL(url),
         setLayerVisibility: async (layerId, visible) => {
             await device.queue.onSubmittedWorkDone();
-            await styleManager.setLayerVisibility(layerId, visible);
+            if (!await styleManager.setLayerVisibility(layerId, visible)) return;
             await destroyAllBuffers(device, tileManager.visibleTileBuffers, tileManager.hiddenTileBuffers);
             camera.triggerEvent('zoomend');
         },
         getLayerVisibility: (layerId) => styleManager.getLayerVisibility(layerId),
-        listLayers: () => styleManager.listLayers()
+        // Colors and opacities repaint without reloading tiles; other properties rebuild them
+        // e.g. setPaintProperty('water', 'fill-opacity', ['interpolate', ['linear'], ['zoom'], 5, 0.4, 12, 1])
+        setPaintProperty: async (layerId, property, value) => {
+            if (styleManager.setPaintProperty(layerId, property, value)) {
+                await device.queue.onSubmittedWorkDone();
+                await destroyAllBuffers(device, tileManager.visibleTileBuffers, tileManager.hiddenTileBuffers);
+                camera.triggerEvent('zoomend');
+            }
+        },
+        getPaintProperty: (layerId, property) => styleManager.getPaintProperty(layerId, property),
+        listLayers: () => styleManager.listLayers(),
+        // Runtime state read by ["feature-state", key] in paint - restyles without reloading tiles
+        // e.g. setFeatureState({ source: 'openmaptiles', sourceLayer: 'building', id: 42 }, { hover: true })
+        setFeatureState: (target, state) => setFeatureState(target, state),
+        getFeatureState: (target) => getFeatureState(target),
+        removeFeatureState: (target, key) => removeFeatureState(target, key),
+        // GeoJSON updates: mapStyle.getSource(id).setData(featureCollection or URL)
+        getSource: (sourceId) => styleManager.getSource(sourceId),
+        // Local PMTiles archive (File/ArrayBuffer), then use "url": "pmtiles://<name>" in a source
+        addPMTiles: (name, data) => addPMTilesArchive(name, data),
+        // Offline package (MBTiles or zipped {z}/{x}/{y} directory) checked before the network
+        addOfflinePackage: async (data, options = {}) => {
+            const offlinePackage = await addOfflinePackage(data, options);
+            // Tiles that failed before the package was loaded may now resolve
+            clearTileCache();
+            resetNotFoundTiles();
+            resetTileErrors();
+            camera.triggerEvent('zoomend');
+            return offlinePackage;
+        },
+        removeOfflinePackage: (sourceId = null) => {
+            removeOfflinePackage(sourceId);
+            // Tiles that failed or were skipped offline while the package was registered
+            clearTileCache();
+            resetNotFoundTiles();
+            resetTileErrors();
+            camera.triggerEvent('zoomend');
+        },
+        // Request hooks - applied to every style, TileJSON, GeoJSON and tile fetch
+        // e.g. setTransformRequest((url, type) => ({ headers: { Authorization: `Bearer ${token}` } }))
+        setTransformRequest: (fn) => setTransformRequest(fn),
+        // Failed tile fetches: { maxRetries, baseDelay, maxDelay, jitter } - exponential backoff, honors Retry-After
+        setTileRetryPolicy: (policy) => setTileRetryPolicy(policy),
+        getTileRetryPolicy: () => getTileRetryPolicy(),
+        addProtocol: (scheme, loader) => addProtocol(scheme, loader),
+        removeProtocol: (scheme) => removeProtocol(scheme)
+    };
+    
+    // Persistent tile cache API (IndexedDB, off by default)
+    window.mapCache = {
+        // options: { maxBytes, defaultMaxAge, dbName }
+        enablePersistent: async (options = {}) => {
+            const cache = await enablePersistentTileCache(options);
+            console.log(`💾 Persistent tile cache enabled (${cache.entries.size} tiles, ${(cache.totalBytes / 1048576).toFixed(1)} MB)`);
+            return cache.getStats();
+        },
+        disablePersistent: () => disablePersistentTileCache(),
+        setMaxBytes: (maxBytes) => getPersistentTileCache()?.setMaxBytes(maxBytes),
+        getStats: () => getPersistentTileCache()?.getStats() ?? null,
+        clearPersistent: () => getPersistentTileCache()?.clear(),
+        // Offline packs: downloadRegion({ bounds: [w, s, e, n], minzoom, maxzoom, sources, terrain })
+        // Terrain tiles of the current terrain source are included unless terrain: false
+        downloadRegion: (options) => downloadRegion({
+            ...options,
+            terrainSource: options.terrain === false ? null : terrainLayer.getSourceConfig()
+        }),
+        estimateRegion: (options) => estimateRegionTileCount({
+            ...options,
+            terrainSource: options.terrain === false ? null : terrainLayer.getSourceConfig()
+        }),
+        getPacks: () => getOfflinePacks(),
+        resumePack: (id) => resumeOfflinePack(id),
+        deletePack: (id) => deleteOfflinePack(id)
     };
     
     // Convenience aliases
@@ -370,65 +478,66 @@ function setupGlobalAPI(device, camera, tileManager, performanceManager, styleMa
         camera.triggerEvent('zoomend');
     };
     
+    // On reconnect, tiles skipped while offline and failed tiles are requested again at once
+    // (404/204 tiles stay known as empty)
+    window.addEventListener('online', () => {
+        resetTileErrors();
+        camera.triggerEvent('zoomend');
+    });
+    
     // Set tile reload callback
     styleManager.setTileReloadCallback(() => camera.triggerEvent('zoomend'));
+    styleManager.setSourceReloadCallback((sourceId) => tileManager.reloadSource(sourceId));
 }
 
 /**
  * Setup tile loading event handlers
  */
-function setupTileLoadingEvents(camera, tileManager, renderer, styleManager, device) {
-    let lastFetchZoom = -1;
-
-    // Abort ongoing loads when zooming
+function setupTileLoadingEvents(camera, tileManager, renderer) {
+    // View changed but the tiles for it not requested yet
+    let updatePending = false;
     camera.addEventListener('zoom', () => {
-        tileManager.abort();
+        updatePending = true; // The camera schedules zoomend itself
     });
 
-    // Load tiles when zoom ends
+    // Load tiles when zoom ends - loads of tiles still in view carry on,
+    // the ones that left it are cancelled individually
     camera.addEventListener('zoomend', async (event) => {
-        const displayZoom = camera.zoom;
-        let fetchZoom = event.detail?.fetchZoom || Math.min(displayZoom, camera.maxFetchZoom);
+        updatePending = false;
         
-        // Respect style maxzoom
-        const currentStyle = styleManager.getStyle();
-        if (currentStyle?.sources) {
-            const sourceId = Object.keys(currentStyle.sources)[0];
-            const source = currentStyle.sources[sourceId];
-            if (source?.maxzoom !== undefined) {
-                fetchZoom = Math.min(fetchZoom, source.maxzoom);
-            }
-        }
-        
-        // Clear tiles on zoom change
-        const shouldClearOldTiles = lastFetchZoom !== -1 && fetchZoom !== lastFetchZoom;
-        if (shouldClearOldTiles) {
-            await device.queue.onSubmittedWorkDone();
-            await destroyAllBuffers(device, tileManager.visibleTileBuffers, tileManager.hiddenTileBuffers);
-            clearTileCache();
-        }
-        lastFetchZoom = fetchZoom;
+        const displayZoom = camera.zoom;
+        // Ideal tile zoom - each source clamps it to its own minzoom/maxzoom
+        // and overzooms its maxzoom tiles beyond that (TileManager.loadSourceTile)
+        const fetchZoom = event.detail?.fetchZoom || Math.min(Math.floor(displayZoom), camera.maxFetchZoom);
         
         // Update renderer zoom info
         renderer.updateZoomInfo(camera.zoom, fetchZoom);
         
-        // Load visible tiles
-        await tileManager.loadVisibleTiles(camera, fetchZoom, shouldClearOldTiles);
+        // Load visible tiles - tiles from the previous zoom stay on screen
+        // as parent/child fallbacks until their replacements arrive
+        await tileManager.loadVisibleTiles(camera, fetchZoom);
     });
 
-    // Handle panning with debounce
+    // Handle panning (and pitch/bearing - the tile covering follows the frustum) with debounce
     let panTimeout = null;
-    camera.addEventListener('pan', () => {
-        tileManager.abort();
-        
+    const scheduleUpdate = () => {
+        updatePending = true;
         if (panTimeout) clearTimeout(panTimeout);
         panTimeout = setTimeout(() => {
             camera.triggerEvent('zoomend');
         }, 150);
-    });
+    };
+    camera.addEventListener('pan', scheduleUpdate);
+    camera.addEventListener('pitch', scheduleUpdate);
+    camera.addEventListener('bearing', scheduleUpdate);
 
     // Trigger initial tile load
     camera.triggerEvent('zoomend');
+
+    return {
+        scheduleUpdate,
+        isPending: () => updatePending
+    };
 }
 
 /**
@@ -0,0 +1,294 @@
+/**
+ * Color - CSS color parsing and the color value of style expressions
+ *
+ * parseColor turns any style color (CSS string, RGBA array, Color) into RGBA 0-1 for the
+ * renderer; parseCSSColor is the strict parser behind ["to-color"] and returns null for
+ * strings that are not CSS colors.
+ */
+
+// CSS Color Module Level 4 named colors
+const NAMED_COLORS = {
+    aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4,
+    azure: 0xf0ffff, beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000,
+    blanchedalmond: 0xffebcd, blue: 0x0000ff, blueviolet: 0x8a2be2, brown: 0xa52a2a,
+    burlywood: 0xdeb887, cadetblue: 0x5f9ea0, chartreuse: 0x7fff00, chocolate: 0xd2691e,
+    coral: 0xff7f50, cornflowerblue: 0x6495ed, cornsilk: 0xfff8dc, crimson: 0xdc143c,
+    cyan: 0x00ffff, darkblue: 0x00008b, darkcyan: 0x008b8b, darkgoldenrod: 0xb8860b,
+    darkgray: 0xa9a9a9, darkgreen: 0x006400, darkgrey: 0xa9a9a9, darkkhaki: 0xbdb76b,
+    darkmagenta: 0x8b008b, darkolivegreen: 0x556b2f, darkorange: 0xff8c00, darkorchid: 0x9932cc,
+    darkred: 0x8b0000, darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f, darkslateblue: 0x483d8b,
+    darkslategray: 0x2f4f4f, darkslategrey: 0x2f4f4f, darkturquoise: 0x00ced1, darkviolet: 0x9400d3,
+    deeppink: 0xff1493, deepskyblue: 0x00bfff, dimgray: 0x696969, dimgrey: 0x696969,
+    dodgerblue: 0x1e90ff, firebrick: 0xb22222, floralwhite: 0xfffaf0, forestgreen: 0x228b22,
+    fuchsia: 0xff00ff, gainsboro: 0xdcdcdc, ghostwhite: 0xf8f8ff, gold: 0xffd700,
+    goldenrod: 0xdaa520, gray: 0x808080, green: 0x008000, greenyellow: 0xadff2f,
+    grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4, indianred: 0xcd5c5c,
+    indigo: 0x4b0082, ivory: 0xfffff0, khaki: 0xf0e68c, lavender: 0xe6e6fa,
+    lavenderblush: 0xfff0f5, lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd, lightblue: 0xadd8e6,
+    lightcoral: 0xf08080, lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2, lightgray: 0xd3d3d3,
+    lightgreen: 0x90ee90, lightgrey: 0xd3d3d3, lightpink: 0xffb6c1, lightsalmon: 0xffa07a,
+    lightseagreen: 0x20b2aa, lightskyblue: 0x87cefa, lightslategray: 0x778899, lightslategrey: 0x778899,
+    lightsteelblue: 0xb0c4de, lightyellow: 0xffffe0, lime: 0x00ff00, limegreen: 0x32cd32,
+    linen: 0xfaf0e6, magenta: 0xff00ff, maroon: 0x800000, mediumaquamarine: 0x66cdaa,
+    mediumblue: 0x0000cd, mediumorchid: 0xba55d3, mediumpurple: 0x9370db, mediumseagreen: 0x3cb371,
+    mediumslateblue: 0x7b68ee, mediumspringgreen: 0x00fa9a, mediumturquoise: 0x48d1cc, mediumvioletred: 0xc71585,
+    midnightblue: 0x191970, mintcream: 0xf5fffa, mistyrose: 0xffe4e1, moccasin: 0xffe4b5,
+    navajowhite: 0xffdead, navy: 0x000080, oldlace: 0xfdf5e6, olive: 0x808000,
+    olivedrab: 0x6b8e23, orange: 0xffa500, orangered: 0xff4500, orchid: 0xda70d6,
+    palegoldenrod: 0xeee8aa, palegreen: 0x98fb98, paleturquoise: 0xafeeee, palevioletred: 0xdb7093,
+    papayawhip: 0xffefd5, peachpuff: 0xffdab9, peru: 0xcd853f, pink: 0xffc0cb,
+    plum: 0xdda0dd, powderblue: 0xb0e0e6, purple: 0x800080, rebeccapurple: 0x663399,
+    red: 0xff0000, rosybrown: 0xbc8f8f, royalblue: 0x4169e1, saddlebrown: 0x8b4513,
+    salmon: 0xfa8072, sandybrown: 0xf4a460, seagreen: 0x2e8b57, seashell: 0xfff5ee,
+    sienna: 0xa0522d, silver: 0xc0c0c0, skyblue: 0x87ceeb, slateblue: 0x6a5acd,
+    slategray: 0x708090, slategrey: 0x708090, snow: 0xfffafa, springgreen: 0x00ff7f,
+    steelblue: 0x4682b4, tan: 0xd2b48c, teal: 0x008080, thistle: 0xd8bfd8,
+    tomato: 0xff6347, turquoise: 0x40e0d0, violet: 0xee82ee, wheat: 0xf5deb3,
+    white: 0xffffff, whitesmoke: 0xf5f5f5, yellow: 0xffff00, yellowgreen: 0x9acd32
+};
+
+// Unparseable colors render in this neutral gray rather than failing the layer
+const FALLBACK_COLOR = [0.7, 0.7, 0.7, 1.0];
+
+/**
+ * Color value of style expressions (["rgb"], ["to-color"], ...), channels 0-1, not premultiplied
+ */
+export class Color {
+    constructor(r, g, b, a = 1) {
+        this.r = r;
+        this.g = g;
+        this.b = b;
+        this.a = a;
+    }
+
+    /**
+     * @returns {Array<number>} [r, g, b, a], 0-1
+     */
+    toArray() {
+        return [this.r, this.g, this.b, this.a];
+    }
+
+    /**
+     * CSS form, as ["to-string"] returns it: "rgba(255,0,0,1)"
+     */
+    toString() {
+        const byte = (value) => Math.round(value * 255);
+        return `rgba(${byte(this.r)},${byte(this.g)},${byte(this.b)},${this.a})`;
+    }
+}
+
+/**
+ * Parse a CSS color string: #rgb, #rgba, #rrggbb, #rrggbbaa, rgb[a](), hsl[a]() or a named color
+ * @param {string} string
+ * @returns {Color|null} null if the string is not a CSS color
+ */
+export function parseCSSColor(string) {
+    const color = string.trim().toLowerCase();
+
+    if (color === 'transparent') {
+        return new Color(0, 0, 0, 0);
+    }
+    if (color in NAMED_COLORS) {
+        const value = NAMED_COLORS[color];
+        return new Color((value >> 16) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255, 1);
+    }
+
+    if (color.startsWith('#')) {
+        const hex = color.slice(1);
+        if (!/^[0-9a-f]+$/.test(hex)) return null;
+
+        if (hex.length === 3 || hex.length === 4) {
+            const [r, g, b, a = 15] = [...hex].map(digit => parseInt(digit, 16));
+            return new Color(r / 15, g / 15, b / 15, a / 15);
+        }
+        if (hex.length === 6 || hex.length === 8) {
+            const byte = (i) => parseInt(hex.slice(i, i + 2), 16) / 255;
+            return new Color(byte(0), byte(2), byte(4), hex.length === 8 ? byte(6) : 1);
+        }
+        return null;
+    }
+
+    const match = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (!match) return null;
+
+    // Comma- or space-separated, alpha optionally after "/"
+    const args = match[2].trim().split(/\s*[,/]\s*|\s+/);
+    if (args.length !== 3 && args.length !== 4) return null;
+
+    const alpha = args.length === 4 ? parseComponent(args[3], 1) : 1;
+    if (alpha === null) return null;
+
+    if (match[1].startsWith('rgb')) {
+        const [r, g, b] = args.slice(0, 3).map(arg => parseComponent(arg, 255));
+        if (r === null || g === null || b === null) return null;
+        return new Color(clamp(r / 255), clamp(g / 255), clamp(b / 255), clamp(alpha));
+    }
+
+    const h = parseFloat(args[0]);
+    const s = parseComponent(args[1], 100);
+    const l = parseComponent(args[2], 100);
+    if (isNaN(h) || s === null || l === null) return null;
+    const [r, g, b] = hslToRgb((((h % 360) + 360) % 360) / 360, clamp(s / 100), clamp(l / 100));
+    return new Color(r, g, b, clamp(alpha));
+}
+
+/**
+ * Convert a color value to RGBA array
+ * @param {string|Array|Color} color - CSS color string, [r, g, b(, a)] array (0-1) or Color
+ * @returns {Array<number>} RGBA array [r, g, b, a] with values 0-1
+ */
+export function parseColor(color) {
+    if (color instanceof Color) {
+        return color.toArray();
+    }
+
+    if (Array.isArray(color)) {
+        // Already an array, ensure it has 4 components
+        return color.length === 4 ? color : [...color, 1.0];
+    }
+
+    if (typeof color === 'string') {
+        const parsed = parseCSSColor(color);
+        if (parsed) {
+            return parsed.toArray();
+        }
+    }
+
+    return [...FALLBACK_COLOR];
+}
+
+/**
+ * Number or percentage ("50%" is half of max)
+ */
+function parseComponent(string, max) {
+    const value = parseFloat(string);
+    if (isNaN(value)) return null;
+    return string.endsWith('%') ? value / 100 * max : value;
+}
+
+function clamp(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+/**
+ * HSL (all 0-1) → [r, g, b] 0-1
+ */
+function hslToRgb(h, s, l) {
+    if (s === 0) {
+        return [l, l, l];
+    }
+
+    const hueToRgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1/6) return p + (q - p) * 6 * t;
+        if (t < 1/2) return q;
+        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+        return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    return [hueToRgb(p, q, h + 1/3), hueToRgb(p, q, h), hueToRgb(p, q, h - 1/3)];
+}
+
+/**
+ * Interpolate between two colors
+ * @param {Color} from
+ * @param {Color} to
+ * @param {number} t - 0-1
+ * @param {string} [space='rgb'] - 'rgb' (premultiplied, as MapLibre), 'lab' or 'hcl'
+ * @returns {Color}
+ */
+export function interpolateColor(from, to, t, space = 'rgb') {
+    const lerp = (a, b) => a + t * (b - a);
+    const alpha = lerp(from.a, to.a);
+
+    if (space === 'lab' || space === 'hcl') {
+        const [l0, a0, b0] = rgbToLab(from);
+        const [l1, a1, b1] = rgbToLab(to);
+        let lab;
+        if (space === 'lab') {
+            lab = [lerp(l0, l1), lerp(a0, a1), lerp(b0, b1)];
+        } else {
+            const [h0, c0] = labToHueChroma(a0, b0);
+            const [h1, c1] = labToHueChroma(a1, b1);
+            // A gray has no hue: take the other color's, so the ramp does not swing through red
+            const hue = isNaN(h0) ? h1 : isNaN(h1) ? h0 : interpolateHue(h0, h1, t);
+            const chroma = lerp(c0, c1);
+            const radians = isNaN(hue) ? 0 : hue * Math.PI / 180;
+            lab = [lerp(l0, l1), Math.cos(radians) * chroma, Math.sin(radians) * chroma];
+        }
+        const [r, g, b] = labToRgb(lab);
+        return new Color(r, g, b, alpha);
+    }
+
+    if (alpha === 0) {
+        return new Color(0, 0, 0, 0);
+    }
+    const channel = (key) => lerp(from[key] * from.a, to[key] * to.a) / alpha;
+    return new Color(clamp(channel('r')), clamp(channel('g')), clamp(channel('b')), alpha);
+}
+
+// CIE Lab (D50 white point, as d3-color and MapLibre)
+const LAB_XN = 0.96422;
+const LAB_YN = 1;
+const LAB_ZN = 0.82521;
+const LAB_T0 = 4 / 29;
+const LAB_T1 = 6 / 29;
+const LAB_T2 = 3 * LAB_T1 * LAB_T1;
+const LAB_T3 = LAB_T1 * LAB_T1 * LAB_T1;
+
+function srgbToLinear(x) {
+    return x <= 0.04045 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(x) {
+    return x <= 0.0031308 ? 12.92 * x : 1.055 * Math.pow(x, 1 / 2.4) - 0.055;
+}
+
+function xyzToLab(t) {
+    return t > LAB_T3 ? Math.pow(t, 1 / 3) : t / LAB_T2 + LAB_T0;
+}
+
+function labToXyz(t) {
+    return t > LAB_T1 ? t * t * t : LAB_T2 * (t - LAB_T0);
+}
+
+function rgbToLab({ r, g, b }) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+    const y = xyzToLab((0.2225045 * lr + 0.7168786 * lg + 0.0606169 * lb) / LAB_YN);
+    const x = lr === lg && lg === lb ? y : xyzToLab((0.4360747 * lr + 0.3850649 * lg + 0.1430804 * lb) / LAB_XN);
+    const z = lr === lg && lg === lb ? y : xyzToLab((0.0139322 * lr + 0.0971045 * lg + 0.7141733 * lb) / LAB_ZN);
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
+
+function labToRgb([l, a, b]) {
+    const fy = (l + 16) / 116;
+    const x = LAB_XN * labToXyz(fy + a / 500);
+    const y = LAB_YN * labToXyz(fy);
+    const z = LAB_ZN * labToXyz(fy - b / 200);
+    return [
+        clamp(linearToSrgb(3.1338561 * x - 1.6168667 * y - 0.4906146 * z)),
+        clamp(linearToSrgb(-0.9787684 * x + 1.9161415 * y + 0.0334540 * z)),
+        clamp(linearToSrgb(0.0719453 * x - 0.2289914 * y + 1.4052427 * z))
+    ];
+}
+
+/**
+ * Lab a/b → [hue in degrees (NaN for grays), chroma]
+ */
+function labToHueChroma(a, b) {
+    const chroma = Math.sqrt(a * a + b * b);
+    const hue = Math.round(chroma * 10000) === 0 ? NaN : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+    return [hue, chroma];
+}
+
+// Shortest way around the hue circle
+function interpolateHue(from, to, t) {
+    let delta = to - from;
+    if (delta > 180) delta -= 360;
+    if (delta < -180) delta += 360;
+    return (from + t * delta + 360) % 360;
+}
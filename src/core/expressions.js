@@ -0,0 +1,1239 @@
+/**
+ * Style expressions - evaluator for the MapLibre expression language
+ * https://maplibre.org/maplibre-style-spec/expressions/
+ *
+ * Shared by paint and layout properties, filters (style.js) and label text (LabelManager).
+ * Style values are compiled once (CompiledExpression, cached per expression object by
+ * getCompiledExpression): constant subtrees are folded, operators resolved to closures,
+ * and the result is cached outright (constant) or per zoom (zoom-only). evaluateExpression
+ * interprets the JSON directly, for one-off values.
+ * The feature is GeoJSON-like: { id, properties, geometry, state } - geometry, where present,
+ * is in Mercator clip space as the tile parser produces it (["within"] and ["distance"]
+ * convert their GeoJSON argument to match).
+ *
+ * As in MapLibre, an evaluation error (failed type assertion or conversion, index out of
+ * bounds, unbound variable, ...) makes the whole expression evaluate to null, so callers
+ * fall back to the property default. Arrays whose first element is not an operator are
+ * literals, like [1, 2] or a text-font list. Operators that only have meaning in renderers
+ * this map does not have (heatmap-density, line-progress, accumulated) evaluate to null.
+ */
+
+import { Color, parseCSSColor, interpolateColor } from './color.js';
+
+class ExpressionError extends Error {}
+
+/**
+ * Evaluate a style value: literal, expression or legacy function ({ stops, property? })
+ * @param {*} expression
+ * @param {Object} feature - { id, properties, geometry?, state? }
+ * @param {number} zoom - Current zoom level
+ * @returns {*} null if the expression fails
+ */
+export function evaluateExpression(expression, feature, zoom) {
+    try {
+        return evaluate(expression, { feature: feature ?? {}, zoom: zoom ?? null, scope: null });
+    } catch (err) {
+        if (err instanceof ExpressionError) {
+            return null;
+        }
+        throw err;
+    }
+}
+
+// Operators whose result depends on the feature (its properties, id, geometry or state)
+export const FEATURE_OPERATORS = new Set([
+    'get', 'has', 'id', 'properties', 'geometry-type', 'feature-state', 'within', 'distance'
+]);
+
+// Zoom-only values keep this many zooms (tile parsing and paint tables alternate a few)
+const ZOOM_CACHE_SIZE = 8;
+
+/**
+ * A style value compiled into closures, annotated with what it depends on
+ * - kind 'constant': evaluated once, at compile time
+ * - kind 'zoom': evaluated once per zoom
+ * - kind 'feature': evaluated per call (reads the feature's properties, id, geometry or state)
+ */
+export class CompiledExpression {
+    constructor(expression) {
+        const { node, zoom, feature } = compileNode(expression);
+        this.node = node;
+        this.dependencies = { zoom, feature };
+        this.kind = feature ? 'feature' : zoom ? 'zoom' : 'constant';
+        this.zoomCache = new Map(); // zoom → value ('zoom' kind)
+        this.value = this.kind === 'constant' ? this.run({}, null) : null;
+    }
+
+    /**
+     * @param {Object} feature - { id, properties, geometry?, state? } (ignored unless feature-dependent)
+     * @param {number} zoom
+     * @returns {*} null if the expression fails
+     */
+    evaluate(feature, zoom) {
+        if (this.kind === 'constant') {
+            return this.value;
+        }
+        if (this.kind === 'feature') {
+            return this.run(feature, zoom);
+        }
+
+        if (!this.zoomCache.has(zoom)) {
+            if (this.zoomCache.size >= ZOOM_CACHE_SIZE) {
+                this.zoomCache.clear();
+            }
+            this.zoomCache.set(zoom, this.run({}, zoom));
+        }
+        return this.zoomCache.get(zoom);
+    }
+
+    run(feature, zoom) {
+        try {
+            return evaluate(this.node, { feature: feature ?? {}, zoom: zoom ?? null, scope: null });
+        } catch (err) {
+            if (err instanceof ExpressionError) {
+                return null;
+            }
+            throw err;
+        }
+    }
+}
+
+// Compiled style values by expression object - style values are not mutated in place
+// (setPaintProperty replaces them), so identity is a safe key
+const compiledExpressions = new WeakMap();
+
+// Off: evaluateCompiled runs the interpreter instead (the baseline of test-expressions.js)
+let compilationEnabled = true;
+
+/**
+ * Switch evaluateCompiled between compiled expressions and the interpreter
+ * @param {boolean} enabled
+ */
+export function setExpressionCompilation(enabled) {
+    compilationEnabled = enabled;
+}
+
+/**
+ * Compile an expression or legacy function, or return its earlier compilation
+ * @param {Array|Object} expression
+ * @returns {CompiledExpression}
+ */
+export function getCompiledExpression(expression) {
+    let compiled = compiledExpressions.get(expression);
+    if (!compiled) {
+        compiled = new CompiledExpression(expression);
+        compiledExpressions.set(expression, compiled);
+    }
+    return compiled;
+}
+
+/**
+ * Evaluate a style value through its compiled form (literals pass through)
+ * @returns {*} null if the expression fails
+ */
+export function evaluateCompiled(value, feature, zoom) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value !== 'object') {
+        return value;
+    }
+    if (!compilationEnabled) {
+        return evaluateExpression(value, feature, zoom);
+    }
+    return getCompiledExpression(value).evaluate(feature, zoom);
+}
+
+/**
+ * Zoom stops of a value whose zoom dependence is a top-level curve: ["interpolate", ..., ["zoom"], ...],
+ * ["step", ["zoom"], ...] or a legacy zoom function. Its stop outputs may read the feature - between
+ * two stops the value is then the outputs at both stops, mixed by interpolationFactor (steps: the lower)
+ * @returns {{ stops: Array<number>, interpolation: Array|null, colorSpace: string }|null}
+ *   interpolation null for steps; null if the value uses zoom any other way
+ */
+export function getZoomCurve(value) {
+    const isZoom = (input) => Array.isArray(input) && input[0] === 'zoom';
+    const readsZoom = (output) => output !== null && typeof output === 'object' && getCompiledExpression(output).dependencies.zoom;
+
+    if (!Array.isArray(value)) {
+        // Legacy zoom function: exponential or interval over { stops: [[zoom, output], ...] }
+        const type = value?.type ?? 'exponential';
+        if (!value?.stops?.length || value.property !== undefined || (type !== 'exponential' && type !== 'interval')) {
+            return null;
+        }
+        return {
+            stops: value.stops.map(([zoom]) => zoom),
+            interpolation: type === 'interval' ? null : ['exponential', value.base ?? 1],
+            colorSpace: value.colorSpace ?? 'rgb'
+        };
+    }
+
+    const [operator] = value;
+    let curve = null;
+    let outputs = [];
+    if (operator === 'step' && isZoom(value[1])) {
+        // ["step", input, output0, stop1, output1, ...]
+        curve = { stops: [], interpolation: null, colorSpace: 'rgb' };
+        outputs = [value[2]];
+        for (let i = 3; i < value.length - 1; i += 2) {
+            curve.stops.push(value[i]);
+            outputs.push(value[i + 1]);
+        }
+    } else if (operator?.startsWith?.('interpolate') && isZoom(value[2])) {
+        // ["interpolate", interpolation, input, stop1, output1, ...]
+        curve = { stops: [], interpolation: value[1], colorSpace: operator.slice('interpolate-'.length) || 'rgb' };
+        for (let i = 3; i < value.length - 1; i += 2) {
+            curve.stops.push(value[i]);
+            outputs.push(value[i + 1]);
+        }
+    }
+
+    return curve && !outputs.some(readsZoom) ? curve : null;
+}
+
+/**
+ * String conversion of ["to-string"] (null → "", colors as rgba(), objects as JSON)
+ */
+export function valueToString(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (value instanceof Color || value instanceof Formatted || value instanceof ResolvedImage) {
+        return value.toString();
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Replace legacy {property} tokens in a string (pre-expression text-field / icon-image)
+ */
+export function resolveTokens(string, properties) {
+    return string.replace(/{([^{}]+)}/g, (match, key) => valueToString(properties?.[key]));
+}
+
+// Result of ["format"]: text sections with their own font and color overrides
+export class Formatted {
+    constructor(sections) {
+        this.sections = sections; // [{ text, image, scale, fontStack, textColor }]
+    }
+
+    toString() {
+        return this.sections.map(section => section.text).join('');
+    }
+}
+
+// Result of ["image"]
+export class ResolvedImage {
+    constructor(name) {
+        this.name = name;
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+// Result of ["collator"]: locale-aware string comparison for ==, != and <, <=, >, >=
+class Collator {
+    constructor(caseSensitive, diacriticSensitive, locale) {
+        const sensitivity = caseSensitive
+            ? (diacriticSensitive ? 'variant' : 'case')
+            : (diacriticSensitive ? 'accent' : 'base');
+        this.collator = new Intl.Collator(locale ?? [], { sensitivity, usage: 'search' });
+    }
+
+    compare(a, b) {
+        return this.collator.compare(a, b);
+    }
+
+    resolvedLocale() {
+        return this.collator.resolvedOptions().locale;
+    }
+}
+
+function evaluate(expression, context) {
+    if (typeof expression === 'function') {
+        return expression(context); // Compiled node
+    }
+    if (expression === null || expression === undefined) {
+        return null;
+    }
+    if (typeof expression !== 'object') {
+        return expression;
+    }
+    if (!Array.isArray(expression)) {
+        return expression.stops ? evaluateLegacyFunction(expression, context) : expression;
+    }
+
+    const handler = typeof expression[0] === 'string' ? OPERATORS[expression[0]] : undefined;
+    return handler ? handler(expression, context) : expression;
+}
+
+// Context constant subtrees are folded in: they read neither zoom, feature nor variables
+const FOLDING_CONTEXT = { feature: {}, zoom: null, scope: null };
+
+/**
+ * Compile a style value into a node evaluate() accepts: a closure over the operator
+ * handler and compiled arguments, or the value itself where it is constant.
+ * Handlers are shared with the interpreter - only argument positions that the handler
+ * evaluates are replaced, so match labels, stops and binding names stay as written.
+ * @returns {{ node: *, zoom: boolean, feature: boolean, variables: boolean }}
+ */
+function compileNode(expression) {
+    if (expression === null || expression === undefined || typeof expression !== 'object') {
+        return constantNode(expression ?? null);
+    }
+
+    if (!Array.isArray(expression)) {
+        if (expression.stops) {
+            const isPropertyFunction = expression.property !== undefined;
+            return {
+                node: (context) => evaluateLegacyFunction(expression, context),
+                zoom: !isPropertyFunction,
+                feature: isPropertyFunction,
+                variables: false
+            };
+        }
+        // Option objects (format, number-format, collator) are read by their handler
+        return { node: expression, ...getDependencies(expression) };
+    }
+
+    const operator = expression[0];
+    const handler = typeof operator === 'string' ? OPERATORS[operator] : undefined;
+    if (!handler) {
+        return { node: expression, zoom: false, feature: false, variables: false }; // Literal array
+    }
+    if (operator === 'literal') {
+        return constantNode(expression[1] ?? null);
+    }
+
+    const args = expression.slice();
+    let zoom = operator === 'zoom';
+    let feature = FEATURE_OPERATORS.has(operator);
+    let variables = operator === 'var';
+
+    for (let i = 1; i < args.length; i++) {
+        if (operator === 'match' && i % 2 === 0 && i < args.length - 1) {
+            continue; // Labels
+        }
+        const child = compileNode(args[i]);
+        args[i] = child.node;
+        zoom ||= child.zoom;
+        feature ||= child.feature;
+        variables ||= child.variables;
+    }
+
+    const node = COMPILED_OPERATORS[operator]?.(args) ?? ((context) => handler(args, context));
+    if (zoom || feature || variables) {
+        return { node, zoom, feature, variables };
+    }
+
+    // Constant: evaluate now - unless it fails, then it fails at evaluation like the interpreter
+    try {
+        return constantNode(node(FOLDING_CONTEXT));
+    } catch (err) {
+        if (!(err instanceof ExpressionError)) throw err;
+        return { node, zoom, feature, variables };
+    }
+}
+
+// Value of a compiled argument: closures run, anything else is a literal
+function run(node, context) {
+    return typeof node === 'function' ? node(context) : node;
+}
+
+// Specialized closures for the operators on the hot path of filters and paint (same
+// semantics as their OPERATORS handler); null falls back to the handler
+const COMPILED_OPERATORS = {
+    'get': (args) => {
+        if (args.length !== 2 || typeof args[1] !== 'string') return null;
+        const key = args[1];
+        return (context) => {
+            const properties = context.feature.properties;
+            return properties && hasOwn(properties, key) ? properties[key] ?? null : null;
+        };
+    },
+    'has': (args) => {
+        if (args.length !== 2 || typeof args[1] !== 'string') return null;
+        const key = args[1];
+        return (context) => {
+            const properties = context.feature.properties;
+            return properties ? hasOwn(properties, key) : false;
+        };
+    },
+    '==': (args) => args.length === 3 ? (context) => run(args[1], context) === run(args[2], context) : null,
+    '!=': (args) => args.length === 3 ? (context) => run(args[1], context) !== run(args[2], context) : null,
+    '!': ([, input]) => (context) => !run(input, context),
+    'all': (args) => (context) => {
+        for (let i = 1; i < args.length; i++) {
+            if (!run(args[i], context)) return false;
+        }
+        return true;
+    },
+    'any': (args) => (context) => {
+        for (let i = 1; i < args.length; i++) {
+            if (run(args[i], context)) return true;
+        }
+        return false;
+    },
+    'case': (args) => {
+        const last = args.length - 1;
+        return (context) => {
+            for (let i = 1; i < last; i += 2) {
+                if (run(args[i], context)) return run(args[i + 1], context);
+            }
+            return run(args[last], context);
+        };
+    },
+    'match': (args) => {
+        // Label → output, first label wins as in the handler
+        const outputs = new Map();
+        for (let i = 2; i < args.length - 1; i += 2) {
+            for (const label of Array.isArray(args[i]) ? args[i] : [args[i]]) {
+                if (!outputs.has(label)) outputs.set(label, args[i + 1]);
+            }
+        }
+        const input = args[1];
+        const fallback = args[args.length - 1];
+        return (context) => {
+            const output = outputs.get(run(input, context));
+            return run(output !== undefined ? output : fallback, context);
+        };
+    }
+};
+
+function constantNode(value) {
+    // Arrays and objects are wrapped so evaluate() does not read them as expressions again
+    const node = value !== null && typeof value === 'object' ? () => value : value;
+    return { node, zoom: false, feature: false, variables: false };
+}
+
+/**
+ * Dependencies of expressions nested anywhere in a value (option objects)
+ */
+function getDependencies(value) {
+    const dependencies = { zoom: false, feature: false, variables: false };
+    const visit = (item) => {
+        if (item === null || typeof item !== 'object') return;
+        if (Array.isArray(item) && typeof item[0] === 'string' && OPERATORS[item[0]] && item[0] !== 'literal') {
+            const { zoom, feature, variables } = compileNode(item);
+            dependencies.zoom ||= zoom;
+            dependencies.feature ||= feature;
+            dependencies.variables ||= variables;
+            return;
+        }
+        Object.values(item).forEach(visit);
+    };
+    visit(value);
+    return dependencies;
+}
+
+function fail(message) {
+    throw new ExpressionError(message);
+}
+
+/**
+ * Type name as ["typeof"] reports it
+ */
+function typeOf(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return typeof value;
+    if (value instanceof Color) return 'color';
+    if (value instanceof Formatted) return 'formatted';
+    if (value instanceof ResolvedImage) return 'resolvedImage';
+    if (value instanceof Collator) return 'collator';
+    if (Array.isArray(value)) {
+        let itemType = null;
+        for (const item of value) {
+            const type = typeOf(item);
+            if (itemType === null) {
+                itemType = type;
+            } else if (itemType !== type) {
+                itemType = 'value';
+                break;
+            }
+        }
+        return `array<${itemType ?? 'value'}, ${value.length}>`;
+    }
+    return 'object';
+}
+
+function evaluateNumber(expression, context) {
+    const value = evaluate(expression, context);
+    if (typeof value !== 'number') {
+        fail(`Expected number but found ${typeOf(value)}`);
+    }
+    return value;
+}
+
+function evaluateString(expression, context) {
+    const value = evaluate(expression, context);
+    if (typeof value !== 'string') {
+        fail(`Expected string but found ${typeOf(value)}`);
+    }
+    return value;
+}
+
+function evaluateColor(expression, context) {
+    const value = evaluate(expression, context);
+    const color = value instanceof Color ? value : typeof value === 'string' ? parseCSSColor(value) : null;
+    if (!color) {
+        fail(`Expected color but found ${typeOf(value)}`);
+    }
+    return color;
+}
+
+function evaluateCollator(expression, context) {
+    const value = evaluate(expression, context);
+    if (!(value instanceof Collator)) {
+        fail(`Expected collator but found ${typeOf(value)}`);
+    }
+    return value;
+}
+
+// Properties of the feature, or of an object given as the last argument (["get", key, object])
+function getObject(args, index, context) {
+    if (args.length > index) {
+        const object = evaluate(args[index], context);
+        if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+            fail(`Expected object but found ${typeOf(object)}`);
+        }
+        return object;
+    }
+    return context.feature.properties ?? {};
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Ordering comparison: both numbers or both strings, strings optionally through a collator
+ */
+function compare(args, context) {
+    const a = evaluate(args[1], context);
+    const b = evaluate(args[2], context);
+    const type = typeof a;
+    if (type !== typeof b || (type !== 'number' && type !== 'string')) {
+        fail(`Expected arguments for "${args[0]}" to be (string, string) or (number, number), but found (${typeOf(a)}, ${typeOf(b)})`);
+    }
+    if (args.length > 3 && type === 'string') {
+        return evaluateCollator(args[3], context).compare(a, b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function equals(args, context) {
+    const a = evaluate(args[1], context);
+    const b = evaluate(args[2], context);
+    if (args.length > 3 && typeof a === 'string' && typeof b === 'string') {
+        return evaluateCollator(args[3], context).compare(a, b) === 0;
+    }
+    return a === b;
+}
+
+// Operator → (expression, context) => value; expression[0] is the operator itself
+const OPERATORS = {
+    // Types
+    'literal': (args) => args[1],
+    'array': (args, context) => {
+        const value = evaluate(args[args.length - 1], context);
+        const itemType = args.length > 2 ? args[1] : null;
+        const length = args.length > 3 ? args[2] : null;
+        if (!Array.isArray(value) ||
+            (length !== null && value.length !== length) ||
+            (itemType !== null && !value.every(item => typeOf(item) === itemType))) {
+            fail(`Expected array but found ${typeOf(value)}`);
+        }
+        return value;
+    },
+    'boolean': assertType('boolean'),
+    'number': assertType('number'),
+    'string': assertType('string'),
+    'object': assertType('object'),
+    'collator': ([, options = {}], context) => new Collator(
+        evaluate(options['case-sensitive'], context) ?? false,
+        evaluate(options['diacritic-sensitive'], context) ?? false,
+        evaluate(options.locale, context)
+    ),
+    'format': (args, context) => {
+        const sections = [];
+        for (let i = 1; i < args.length; i++) {
+            const value = evaluate(args[i], context);
+            // Section options follow their input as a plain object
+            const options = args[i + 1] !== null && typeof args[i + 1] === 'object' && !Array.isArray(args[i + 1])
+                ? args[++i]
+                : {};
+            sections.push({
+                text: value instanceof ResolvedImage ? '' : valueToString(value),
+                image: value instanceof ResolvedImage ? value : null,
+                scale: evaluate(options['font-scale'], context),
+                fontStack: valueToString(evaluate(options['text-font'], context)) || null,
+                textColor: options['text-color'] !== undefined ? evaluateColor(options['text-color'], context) : null
+            });
+        }
+        return new Formatted(sections);
+    },
+    'image': (args, context) => new ResolvedImage(evaluateString(args[1], context)),
+    'number-format': ([, input, options = {}], context) => {
+        const number = evaluateNumber(input, context);
+        const locale = evaluate(options.locale, context);
+        const currency = evaluate(options.currency, context);
+        const formatter = new Intl.NumberFormat(locale ?? [], {
+            style: currency ? 'currency' : 'decimal',
+            currency: currency ?? undefined,
+            minimumFractionDigits: evaluate(options['min-fraction-digits'], context) ?? undefined,
+            maximumFractionDigits: evaluate(options['max-fraction-digits'], context) ?? undefined
+        });
+        return formatter.format(number);
+    },
+    'to-boolean': (args, context) => {
+        const value = evaluate(args[1], context);
+        return !(value === false || value === null || value === 0 || value === '' || Number.isNaN(value));
+    },
+    'to-color': (args, context) => {
+        for (let i = 1; i < args.length; i++) {
+            const value = evaluate(args[i], context);
+            if (value instanceof Color) {
+                return value;
+            }
+            if (typeof value === 'string') {
+                const color = parseCSSColor(value);
+                if (color) return color;
+            } else if (Array.isArray(value) && (value.length === 3 || value.length === 4) &&
+                value.every(channel => typeof channel === 'number')) {
+                const [r, g, b, a = 1] = value;
+                if (isValidRGBA(r, g, b, a)) return new Color(r / 255, g / 255, b / 255, a);
+            }
+        }
+        fail('Could not parse color');
+    },
+    'to-number': (args, context) => {
+        for (let i = 1; i < args.length; i++) {
+            const value = evaluate(args[i], context);
+            if (value === null) return 0;
+            if (typeof value === 'boolean') return Number(value);
+            if (typeof value === 'number') return value;
+            if (typeof value === 'string') {
+                const number = Number(value);
+                if (!Number.isNaN(number)) return number;
+            }
+        }
+        fail('Could not convert to number');
+    },
+    'to-string': (args, context) => valueToString(evaluate(args[1], context)),
+    'typeof': (args, context) => typeOf(evaluate(args[1], context)),
+
+    // Feature data
+    'accumulated': () => null,
+    'feature-state': (args, context) => {
+        const state = context.feature.state;
+        const key = evaluateString(args[1], context);
+        return state && hasOwn(state, key) ? state[key] : null;
+    },
+    'geometry-type': (args, context) => getGeometryType(context.feature),
+    'id': (args, context) => context.feature.id ?? null,
+    'line-progress': () => null,
+    'properties': (args, context) => context.feature.properties ?? {},
+    'heatmap-density': () => null,
+
+    // Lookup
+    'at': (args, context) => {
+        const index = evaluateNumber(args[1], context);
+        const array = evaluate(args[2], context);
+        if (!Array.isArray(array)) fail(`Expected array but found ${typeOf(array)}`);
+        if (index < 0 || index >= array.length || !Number.isInteger(index)) {
+            fail(`Array index out of bounds: ${index} > ${array.length - 1}`);
+        }
+        return array[index];
+    },
+    'get': (args, context) => {
+        const key = evaluateString(args[1], context);
+        const object = getObject(args, 2, context);
+        return hasOwn(object, key) ? object[key] ?? null : null;
+    },
+    'has': (args, context) => {
+        const key = evaluateString(args[1], context);
+        return hasOwn(getObject(args, 2, context), key);
+    },
+    'in': (args, context) => {
+        const needle = evaluate(args[1], context);
+        const haystack = evaluate(args[2], context);
+        if (haystack === null) return false;
+        checkNeedle(needle);
+        if (typeof haystack === 'string') return typeof needle === 'string' && haystack.includes(needle);
+        if (Array.isArray(haystack)) return haystack.includes(needle);
+        fail(`Expected second argument to be of type array or string, but found ${typeOf(haystack)}`);
+    },
+    'index-of': (args, context) => {
+        const needle = evaluate(args[1], context);
+        const haystack = evaluate(args[2], context);
+        const fromIndex = args.length > 3 ? evaluateNumber(args[3], context) : 0;
+        checkNeedle(needle);
+        if (typeof haystack === 'string') return typeof needle === 'string' ? haystack.indexOf(needle, fromIndex) : -1;
+        if (Array.isArray(haystack)) return haystack.indexOf(needle, fromIndex);
+        fail(`Expected second argument to be of type array or string, but found ${typeOf(haystack)}`);
+    },
+    'length': (args, context) => {
+        const value = evaluate(args[1], context);
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        fail(`Expected value to be of type string or array, but found ${typeOf(value)}`);
+    },
+    'slice': (args, context) => {
+        const input = evaluate(args[1], context);
+        const start = evaluateNumber(args[2], context);
+        const end = args.length > 3 ? evaluateNumber(args[3], context) : undefined;
+        if (typeof input === 'string' || Array.isArray(input)) return input.slice(start, end);
+        fail(`Expected first argument to be of type array or string, but found ${typeOf(input)}`);
+    },
+
+    // Decision
+    '!': (args, context) => !evaluate(args[1], context),
+    '==': (args, context) => equals(args, context),
+    '!=': (args, context) => !equals(args, context),
+    '<': (args, context) => compare(args, context) < 0,
+    '<=': (args, context) => compare(args, context) <= 0,
+    '>': (args, context) => compare(args, context) > 0,
+    '>=': (args, context) => compare(args, context) >= 0,
+    'all': (args, context) => {
+        for (let i = 1; i < args.length; i++) {
+            if (!evaluate(args[i], context)) return false;
+        }
+        return true;
+    },
+    'any': (args, context) => {
+        for (let i = 1; i < args.length; i++) {
+            if (evaluate(args[i], context)) return true;
+        }
+        return false;
+    },
+    'case': (args, context) => {
+        // ["case", condition1, output1, condition2, output2, ..., fallback]
+        for (let i = 1; i < args.length - 1; i += 2) {
+            if (evaluate(args[i], context)) {
+                return evaluate(args[i + 1], context);
+            }
+        }
+        return evaluate(args[args.length - 1], context);
+    },
+    'coalesce': (args, context) => {
+        // First non-null value
+        for (let i = 1; i < args.length; i++) {
+            const value = evaluate(args[i], context);
+            if (value !== null) return value;
+        }
+        return null;
+    },
+    'match': (args, context) => {
+        // ["match", input, label1, output1, label2, output2, ..., fallback] - labels may be arrays
+        const input = evaluate(args[1], context);
+        for (let i = 2; i < args.length - 1; i += 2) {
+            const label = args[i];
+            if (Array.isArray(label) ? label.includes(input) : label === input) {
+                return evaluate(args[i + 1], context);
+            }
+        }
+        return evaluate(args[args.length - 1], context);
+    },
+    'within': (args, context) => isWithin(context.feature.geometry, args[1]),
+
+    // Ramps, scales, curves
+    'interpolate': (args, context) => evaluateInterpolate(args, context, 'rgb'),
+    'interpolate-hcl': (args, context) => evaluateInterpolate(args, context, 'hcl'),
+    'interpolate-lab': (args, context) => evaluateInterpolate(args, context, 'lab'),
+    'step': (args, context) => {
+        // ["step", input, output0, stop1, output1, stop2, output2, ...]
+        const input = evaluateNumber(args[1], context);
+        let outputIndex = 2;
+        for (let i = 3; i < args.length; i += 2) {
+            if (input < args[i]) break;
+            outputIndex = i + 1;
+        }
+        return evaluate(args[outputIndex], context);
+    },
+
+    // Variable binding
+    'let': (args, context) => {
+        // ["let", name1, value1, name2, value2, ..., body]
+        const bindings = new Map();
+        for (let i = 1; i < args.length - 1; i += 2) {
+            bindings.set(args[i], evaluate(args[i + 1], context));
+        }
+        return evaluate(args[args.length - 1], { ...context, scope: { bindings, parent: context.scope } });
+    },
+    'var': ([, name], context) => {
+        for (let scope = context.scope; scope; scope = scope.parent) {
+            if (scope.bindings.has(name)) {
+                return scope.bindings.get(name);
+            }
+        }
+        fail(`Unknown variable "${name}"`);
+    },
+
+    // String
+    'concat': (args, context) => args.slice(1).map(arg => valueToString(evaluate(arg, context))).join(''),
+    'downcase': (args, context) => evaluateString(args[1], context).toLowerCase(),
+    'upcase': (args, context) => evaluateString(args[1], context).toUpperCase(),
+    'is-supported-script': () => true, // Glyphs are rasterized from system fonts
+    'resolved-locale': (args, context) => evaluateCollator(args[1], context).resolvedLocale(),
+
+    // Color
+    'rgb': (args, context) => createColor(args, context),
+    'rgba': (args, context) => createColor(args, context),
+    'to-rgba': (args, context) => {
+        const { r, g, b, a } = evaluateColor(args[1], context);
+        return [r * 255, g * 255, b * 255, a];
+    },
+
+    // Math
+    '+': (args, context) => args.slice(1).reduce((sum, arg) => sum + evaluateNumber(arg, context), 0),
+    '*': (args, context) => args.slice(1).reduce((product, arg) => product * evaluateNumber(arg, context), 1),
+    '-': (args, context) => args.length === 2
+        ? -evaluateNumber(args[1], context)
+        : evaluateNumber(args[1], context) - evaluateNumber(args[2], context),
+    '/': (args, context) => evaluateNumber(args[1], context) / evaluateNumber(args[2], context),
+    '%': (args, context) => evaluateNumber(args[1], context) % evaluateNumber(args[2], context),
+    '^': (args, context) => Math.pow(evaluateNumber(args[1], context), evaluateNumber(args[2], context)),
+    'abs': mathFunction(Math.abs),
+    'acos': mathFunction(Math.acos),
+    'asin': mathFunction(Math.asin),
+    'atan': mathFunction(Math.atan),
+    'ceil': mathFunction(Math.ceil),
+    'cos': mathFunction(Math.cos),
+    'distance': (args, context) => getDistance(context.feature.geometry, args[1]),
+    'e': () => Math.E,
+    'floor': mathFunction(Math.floor),
+    'ln': mathFunction(Math.log),
+    'ln2': () => Math.LN2,
+    'log10': mathFunction(Math.log10),
+    'log2': mathFunction(Math.log2),
+    'max': (args, context) => Math.max(...args.slice(1).map(arg => evaluateNumber(arg, context))),
+    'min': (args, context) => Math.min(...args.slice(1).map(arg => evaluateNumber(arg, context))),
+    'pi': () => Math.PI,
+    // Half away from zero (Math.round rounds -0.5 up)
+    'round': mathFunction(x => Math.sign(x) * Math.round(Math.abs(x))),
+    'sin': mathFunction(Math.sin),
+    'sqrt': mathFunction(Math.sqrt),
+    'tan': mathFunction(Math.tan),
+
+    // Zoom
+    'zoom': (args, context) => context.zoom
+};
+
+function assertType(type) {
+    // ["number", value, fallback...] - first argument of the asserted type
+    return (args, context) => {
+        for (let i = 1; i < args.length; i++) {
+            const value = evaluate(args[i], context);
+            if (typeOf(value) === type) return value;
+        }
+        fail(`Expected value to be of type ${type}`);
+    };
+}
+
+function mathFunction(fn) {
+    return (args, context) => fn(evaluateNumber(args[1], context));
+}
+
+function checkNeedle(needle) {
+    const type = typeOf(needle);
+    if (type !== 'boolean' && type !== 'string' && type !== 'number' && type !== 'null') {
+        fail(`Expected first argument to be of type boolean, string, number or null, but found ${type}`);
+    }
+}
+
+function isValidRGBA(r, g, b, a) {
+    const isByte = (value) => value >= 0 && value <= 255;
+    return isByte(r) && isByte(g) && isByte(b) && a >= 0 && a <= 1;
+}
+
+function createColor(args, context) {
+    const [r, g, b, a = 1] = args.slice(1).map(arg => evaluateNumber(arg, context));
+    if (!isValidRGBA(r, g, b, a)) {
+        fail(`Invalid rgba value [${r}, ${g}, ${b}, ${a}]`);
+    }
+    return new Color(r / 255, g / 255, b / 255, a);
+}
+
+/**
+ * ["interpolate", interpolation, input, stop1, output1, stop2, output2, ...]
+ * @param {string} colorSpace - 'rgb', 'hcl' or 'lab' (interpolate-hcl / interpolate-lab)
+ */
+function evaluateInterpolate(args, context, colorSpace) {
+    const input = evaluateNumber(args[2], context);
+    const lastStop = args.length - 2;
+
+    if (input <= args[3]) {
+        return evaluate(args[4], context);
+    }
+    if (input >= args[lastStop]) {
+        return evaluate(args[lastStop + 1], context);
+    }
+
+    let i = 3;
+    while (input >= args[i + 2]) i += 2;
+
+    const t = interpolationFactor(args[1], input, args[i], args[i + 2]);
+    return interpolateValue(evaluate(args[i + 1], context), evaluate(args[i + 3], context), t, colorSpace);
+}
+
+/**
+ * Position of input between two stops, 0-1
+ * @param {Array} interpolation - ["linear"], ["exponential", base] or ["cubic-bezier", x1, y1, x2, y2]
+ */
+export function interpolationFactor(interpolation, input, lower, upper) {
+    const range = upper - lower;
+    const progress = input - lower;
+    if (range === 0) {
+        return 0;
+    }
+
+    switch (interpolation?.[0]) {
+        case 'exponential': {
+            const base = interpolation[1];
+            return base === 1 ? progress / range : (Math.pow(base, progress) - 1) / (Math.pow(base, range) - 1);
+        }
+        case 'cubic-bezier': {
+            const [, x1, y1, x2, y2] = interpolation;
+            return solveCubicBezier(x1, y1, x2, y2, progress / range);
+        }
+        default:
+            return progress / range;
+    }
+}
+
+/**
+ * Value between two stop outputs: numbers, colors (CSS strings or Color) and
+ * equal-length number arrays interpolate; anything else takes the nearer stop
+ */
+function interpolateValue(from, to, t, colorSpace = 'rgb') {
+    if (typeof from === 'number' && typeof to === 'number') {
+        return from + t * (to - from);
+    }
+
+    if (Array.isArray(from) && Array.isArray(to) && from.length === to.length &&
+        from.every(value => typeof value === 'number') && to.every(value => typeof value === 'number')) {
+        return from.map((value, i) => value + t * (to[i] - value));
+    }
+
+    const fromColor = toColor(from);
+    const toColorValue = fromColor && toColor(to);
+    if (toColorValue) {
+        return interpolateColor(fromColor, toColorValue, t, colorSpace);
+    }
+
+    return t < 0.5 ? from : to;
+}
+
+function toColor(value) {
+    if (value instanceof Color) return value;
+    return typeof value === 'string' ? parseCSSColor(value) : null;
+}
+
+/**
+ * y of a CSS-style cubic bezier (through 0,0 and 1,1) at x
+ */
+function solveCubicBezier(x1, y1, x2, y2, x) {
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+    const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+
+    // Newton's method, then bisection where the slope is too flat
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+        const error = sampleX(t) - x;
+        if (Math.abs(error) < 1e-6) {
+            return ((ay * t + by) * t + cy) * t;
+        }
+        const slope = (3 * ax * t + 2 * bx) * t + cx;
+        if (Math.abs(slope) < 1e-6) break;
+        t -= error / slope;
+    }
+
+    let lower = 0;
+    let upper = 1;
+    t = x;
+    for (let i = 0; i < 32 && upper - lower > 1e-7; i++) {
+        if (sampleX(t) < x) lower = t; else upper = t;
+        t = (lower + upper) / 2;
+    }
+    return ((ay * t + by) * t + cy) * t;
+}
+
+/**
+ * Legacy (pre-expression) function: { type?, property?, base?, stops, default?, colorSpace? }
+ */
+function evaluateLegacyFunction(fn, context) {
+    const { stops } = fn;
+    const isPropertyFunction = fn.property !== undefined;
+    const input = isPropertyFunction ? context.feature.properties?.[fn.property] : context.zoom;
+    const fallback = () => evaluate(fn.default ?? null, context);
+
+    // Categorical for property functions over non-numeric stops, else exponential
+    const type = fn.type ?? (isPropertyFunction && typeof stops?.[0]?.[0] !== 'number' ? 'categorical' : 'exponential');
+
+    if (type === 'identity') {
+        return input ?? fallback();
+    }
+    if (!stops?.length) {
+        return fallback();
+    }
+
+    if (type === 'categorical') {
+        const stop = stops.find(([value]) => value === input);
+        return stop ? evaluate(stop[1], context) : fallback();
+    }
+
+    if (typeof input !== 'number') {
+        return isPropertyFunction ? fallback() : evaluate(stops[0][1], context);
+    }
+
+    // Interval and exponential: clamp outside the stops
+    if (input <= stops[0][0]) {
+        return evaluate(stops[0][1], context);
+    }
+    if (input >= stops[stops.length - 1][0]) {
+        return evaluate(stops[stops.length - 1][1], context);
+    }
+
+    let i = 0;
+    while (input >= stops[i + 1][0]) i++;
+
+    if (type === 'interval') {
+        return evaluate(stops[i][1], context);
+    }
+    const t = interpolationFactor(['exponential', fn.base ?? 1], input, stops[i][0], stops[i + 1][0]);
+    return interpolateValue(evaluate(stops[i][1], context), evaluate(stops[i + 1][1], context), t, fn.colorSpace);
+}
+
+/**
+ * "Point", "LineString" or "Polygon" (Multi* reported as their single form)
+ */
+function getGeometryType(feature) {
+    const type = feature.geometry?.type ?? feature.type;
+    switch (type) {
+        case 1: case 'Point': case 'MultiPoint':
+            return 'Point';
+        case 2: case 'LineString': case 'MultiLineString':
+            return 'LineString';
+        case 3: case 'Polygon': case 'MultiPolygon':
+            return 'Polygon';
+        default:
+            return null;
+    }
+}
+
+// Mercator clip space (x = lon / 180, y down, north at -1) ↔ lon/lat
+function lngLatToClip([lng, lat]) {
+    return [lng / 180, -Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360)) / Math.PI];
+}
+
+function clipToLngLat([x, y]) {
+    return [x * 180, Math.atan(Math.sinh(-y * Math.PI)) * 180 / Math.PI];
+}
+
+/**
+ * Points, lines and polygons (arrays of rings) of a GeoJSON geometry, feature or collection
+ */
+function getGeometryParts(geojson, transform = null, parts = { points: [], lines: [], polygons: [] }) {
+    if (!geojson) {
+        return parts;
+    }
+
+    const convert = (coordinates) => transform ? coordinates.map(transform) : coordinates;
+    const { type, coordinates } = geojson;
+    switch (type) {
+        case 'FeatureCollection':
+            geojson.features.forEach(feature => getGeometryParts(feature, transform, parts));
+            break;
+        case 'Feature':
+            getGeometryParts(geojson.geometry, transform, parts);
+            break;
+        case 'GeometryCollection':
+            geojson.geometries.forEach(geometry => getGeometryParts(geometry, transform, parts));
+            break;
+        case 'Point':
+            parts.points.push(...convert([coordinates]));
+            break;
+        case 'MultiPoint':
+            parts.points.push(...convert(coordinates));
+            break;
+        case 'LineString':
+            parts.lines.push(convert(coordinates));
+            break;
+        case 'MultiLineString':
+            parts.lines.push(...coordinates.map(convert));
+            break;
+        case 'Polygon':
+            parts.polygons.push(coordinates.map(convert));
+            break;
+        case 'MultiPolygon':
+            parts.polygons.push(...coordinates.map(polygon => polygon.map(convert)));
+            break;
+    }
+    return parts;
+}
+
+// ["within"] polygons in clip space, per GeoJSON argument (style literals - converted once)
+const withinPolygons = new WeakMap();
+
+/**
+ * True if every point, or every line, of the geometry lies inside the polygon(s)
+ */
+function isWithin(geometry, geojson) {
+    if (!geometry || geojson === null || typeof geojson !== 'object') {
+        return false;
+    }
+
+    let polygons = withinPolygons.get(geojson);
+    if (!polygons) {
+        polygons = getGeometryParts(geojson, lngLatToClip).polygons;
+        withinPolygons.set(geojson, polygons);
+    }
+    if (polygons.length === 0) {
+        return false;
+    }
+
+    const { points, lines } = getGeometryParts(geometry);
+    const inside = (point) => polygons.some(polygon => pointInPolygon(point, polygon));
+
+    if (points.length > 0 && lines.length === 0) {
+        return points.every(inside);
+    }
+    if (lines.length > 0 && points.length === 0) {
+        // Every vertex inside and no segment leaving through an edge
+        return lines.every(line => line.every(inside) && !polygons.some(polygon =>
+            polygon.some(ring => lineCrossesRing(line, ring))));
+    }
+    return false;
+}
+
+/**
+ * Even-odd test against every ring, so holes are outside
+ */
+function pointInPolygon([x, y], rings) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+function lineCrossesRing(line, ring) {
+    for (let i = 0; i < line.length - 1; i++) {
+        for (let j = 0; j < ring.length - 1; j++) {
+            if (segmentsCross(line[i], line[i + 1], ring[j], ring[j + 1])) return true;
+        }
+    }
+    return false;
+}
+
+function cross(o, a, b) {
+    return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+// Proper crossing (touching endpoints does not count)
+function segmentsCross(p1, p2, q1, q2) {
+    const d1 = cross(q1, q2, p1);
+    const d2 = cross(q1, q2, p2);
+    const d3 = cross(p1, p2, q1);
+    const d4 = cross(p1, p2, q2);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/**
+ * Shortest distance in meters between the feature geometry and a GeoJSON geometry,
+ * 0 where one lies inside a polygon of the other. Measured on a plane scaled like
+ * cheap-ruler at the argument's latitude - accurate for the city-scale distances
+ * styles compare against.
+ */
+function getDistance(geometry, geojson) {
+    if (!geometry || geojson === null || typeof geojson !== 'object') {
+        return null;
+    }
+
+    const target = getGeometryParts(geojson);
+    const origin = target.points[0] ?? target.lines[0]?.[0] ?? target.polygons[0]?.[0]?.[0];
+    if (!origin) {
+        return null;
+    }
+
+    // Meters per degree at the origin latitude (WGS84)
+    const RAD = Math.PI / 180;
+    const E2 = (1 / 298.257223563) * (2 - 1 / 298.257223563);
+    const cosLat = Math.cos(origin[1] * RAD);
+    const w2 = 1 / (1 - E2 * (1 - cosLat * cosLat));
+    const metersPerDegree = RAD * 6378137;
+    const kx = metersPerDegree * Math.sqrt(w2) * cosLat;
+    const ky = metersPerDegree * Math.sqrt(w2) * w2 * (1 - E2);
+
+    const toMeters = ([lng, lat]) => {
+        let dLng = lng - origin[0];
+        if (dLng > 180) dLng -= 360;
+        if (dLng < -180) dLng += 360;
+        return [dLng * kx, (lat - origin[1]) * ky];
+    };
+
+    const a = toDistanceShapes(getGeometryParts(geometry, (point) => toMeters(clipToLngLat(point))));
+    const b = toDistanceShapes(getGeometryParts(geojson, toMeters));
+    return minDistance(a, b);
+}
+
+function toDistanceShapes({ points, lines, polygons }) {
+    const segments = [];
+    const vertices = [...points];
+    for (const line of [...lines, ...polygons.flat()]) {
+        vertices.push(...line);
+        for (let i = 0; i < line.length - 1; i++) {
+            segments.push([line[i], line[i + 1]]);
+        }
+    }
+    return { points, segments, vertices, polygons };
+}
+
+function minDistance(a, b) {
+    if (a.polygons.some(polygon => b.vertices.some(point => pointInPolygon(point, polygon))) ||
+        b.polygons.some(polygon => a.vertices.some(point => pointInPolygon(point, polygon)))) {
+        return 0;
+    }
+
+    let min = Infinity;
+    for (const point of a.points) {
+        for (const other of b.points) min = Math.min(min, Math.hypot(point[0] - other[0], point[1] - other[1]));
+        for (const [p, q] of b.segments) min = Math.min(min, pointSegmentDistance(point, p, q));
+    }
+    for (const [p, q] of a.segments) {
+        for (const point of b.points) min = Math.min(min, pointSegmentDistance(point, p, q));
+        for (const [r, s] of b.segments) min = Math.min(min, segmentDistance(p, q, r, s));
+    }
+    return min === Infinity ? null : min;
+}
+
+function pointSegmentDistance(point, p, q) {
+    const dx = q[0] - p[0];
+    const dy = q[1] - p[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+        Math.min(Math.max(((point[0] - p[0]) * dx + (point[1] - p[1]) * dy) / lengthSquared, 0), 1);
+    return Math.hypot(point[0] - (p[0] + t * dx), point[1] - (p[1] + t * dy));
+}
+
+function segmentDistance(p, q, r, s) {
+    if (segmentsCross(p, q, r, s)) {
+        return 0;
+    }
+    return Math.min(
+        pointSegmentDistance(p, r, s), pointSegmentDistance(q, r, s),
+        pointSegmentDistance(r, p, q), pointSegmentDistance(s, p, q)
+    );
+}
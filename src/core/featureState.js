@@ -0,0 +1,131 @@
+/**
+ * Feature state - runtime state of individual features (hover, selected, ...)
+ *
+ * Read in paint expressions with ["feature-state", key]. Features are addressed as in
+ * MapLibre: { source, sourceLayer, id } - sourceLayer is required for vector sources and
+ * omitted for GeoJSON sources; id is the tile feature id, or the promoteId property
+ * when the source sets one.
+ *
+ * State lives on the main thread only: the paint of affected features is re-evaluated
+ * into the GPU paint table (featurePaint.js) and TileManager rewrites changed extrusion
+ * heights in place - tiles are never re-tessellated for a state change.
+ */
+
+import { getSourcePromoteId } from './style.js';
+
+const states = new Map(); // `${source}|${sourceLayer}` → Map<id, state>
+
+// Called with { source, sourceLayer, id } (id null when a whole source-layer changed)
+let featureStateListener = null;
+
+export function setFeatureStateListener(listener) {
+    featureStateListener = listener;
+}
+
+function getLayerKey(source, sourceLayer) {
+    return `${source}|${sourceLayer ?? ''}`;
+}
+
+function checkTarget(target, requireId) {
+    if (!target?.source) {
+        console.warn('⚠️ Feature state target needs a source');
+        return false;
+    }
+    if (requireId && (target.id === undefined || target.id === null)) {
+        console.warn(`⚠️ Feature state target in "${target.source}" needs an id`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Merge state into a feature's state
+ * @param {Object} target - { source, sourceLayer, id }
+ * @param {Object} state - e.g. { hover: true }
+ */
+export function setFeatureState(target, state) {
+    if (!checkTarget(target, true)) return;
+
+    const layerKey = getLayerKey(target.source, target.sourceLayer);
+    if (!states.has(layerKey)) {
+        states.set(layerKey, new Map());
+    }
+    const byId = states.get(layerKey);
+    const id = String(target.id);
+    byId.set(id, { ...byId.get(id), ...state });
+
+    featureStateListener?.({ source: target.source, sourceLayer: target.sourceLayer, id: target.id });
+}
+
+/**
+ * @param {Object} target - { source, sourceLayer, id }
+ * @returns {Object} Copy of the feature's state ({} if none)
+ */
+export function getFeatureState(target) {
+    if (!checkTarget(target, true)) return {};
+
+    const state = states.get(getLayerKey(target.source, target.sourceLayer))?.get(String(target.id));
+    return state ? { ...state } : {};
+}
+
+/**
+ * Remove one key of a feature's state, all of it, or the state of every feature
+ * in the source(-layer) when target has no id
+ * @param {Object} target - { source, sourceLayer, id? }
+ * @param {string} [key] - Only this key (requires target.id)
+ */
+export function removeFeatureState(target, key = null) {
+    if (!checkTarget(target, key !== null)) return;
+
+    const layerKey = getLayerKey(target.source, target.sourceLayer);
+    const byId = states.get(layerKey);
+    if (!byId) return;
+
+    const hasId = target.id !== undefined && target.id !== null;
+    if (!hasId) {
+        states.delete(layerKey);
+    } else if (key === null) {
+        byId.delete(String(target.id));
+    } else {
+        const state = byId.get(String(target.id));
+        if (!state || !(key in state)) return;
+        delete state[key];
+    }
+
+    featureStateListener?.({ source: target.source, sourceLayer: target.sourceLayer, id: hasId ? target.id : null });
+}
+
+/**
+ * State of a tile feature, looked up by its source, source-layer and properties
+ * @param {Object} properties - Tile buffer properties ({ fid, sourceLayer, ... })
+ * @param {boolean} isGeoJSON - GeoJSON sources have no source-layer
+ * @returns {Object|null} null if the feature has no state
+ */
+export function getTileFeatureState(sourceId, properties, isGeoJSON) {
+    const sourceLayer = isGeoJSON ? undefined : properties.sourceLayer;
+    const byId = states.get(getLayerKey(sourceId, sourceLayer));
+    if (!byId) return null;
+
+    const id = getStateFeatureId(sourceId, sourceLayer, properties);
+    return id === null ? null : byId.get(String(id)) ?? null;
+}
+
+/**
+ * True if any feature of the source has state (cheap check before per-feature lookups)
+ */
+export function hasFeatureStates(sourceId) {
+    for (const layerKey of states.keys()) {
+        if (layerKey.startsWith(`${sourceId}|`)) return true;
+    }
+    return false;
+}
+
+/**
+ * Feature id as used for state: the promoteId property, else the tile feature id
+ */
+export function getStateFeatureId(sourceId, sourceLayer, properties) {
+    const promoteId = getSourcePromoteId(sourceId);
+    const property = typeof promoteId === 'object' && promoteId !== null ? promoteId[sourceLayer] : promoteId;
+    const id = property ? properties[property] : properties.fid;
+    return id === undefined ? null : id;
+}
@@ -11,6 +11,11 @@
  */
 
 import { TerrainLayer } from '../rendering/terrainLayer.js';
+import { getStyle, markStyleChanged } from './style.js';
+import { toExpressionFilter } from './legacyFilter.js';
+import { validateLayer, formatError } from './styleValidator.js';
+import { mapEvents } from './mapEvents.js';
+import { GeoJSONSource, setGeoJSONSource, removeGeoJSONSource } from '../tiles/geojsonSource.js';
 
 export class LayerManager {
     constructor(device, format) {
@@ -63,10 +68,42 @@ export class LayerManager {
 
     /**
      * Add a custom data layer (GeoJSON, etc.)
+     * Backed by a GeoJSONSource registered under the layer id, so it is tiled
+     * and rendered through the regular TileManager path like any geojson source.
+     * options.style: style layers (fill/line/fill-extrusion/symbol) drawing this data
      */
     addDataLayer(id, options = {}) {
+        const source = new GeoJSONSource(id, options.sourceOptions);
+        source.setData(options.data);
+        setGeoJSONSource(id, source);
+        
+        // Register the source and its style layers with the active style
+        const style = getStyle();
+        const styleLayers = Array.isArray(options.style) ? options.style : options.style ? [options.style] : [];
+        if (style) {
+            style.sources[id] = { type: 'geojson', data: options.data, ...options.sourceOptions };
+            for (const styleLayer of styleLayers) {
+                const layer = { ...styleLayer, source: id };
+                
+                // Invalid style layers are skipped with an 'error' map event, as StyleManager does
+                const errors = validateLayer(layer, style.sources, `layers[${style.layers.length}]`);
+                if (errors.length > 0) {
+                    const lines = errors.map(formatError);
+                    console.warn(`⚠️ Invalid style layer for data layer "${id}":\n  ${lines.join('\n  ')}`);
+                    mapEvents.fire('error', { error: new Error(lines.join('\n')), errors });
+                    continue;
+                }
+                if (layer.filter) {
+                    layer.filter = toExpressionFilter(layer.filter);
+                }
+                style.layers.push(layer);
+            }
+            markStyleChanged();
+        }
+        
         this.layers.set(id, {
             type: 'data',
+            instance: source,
             data: options.data,
             style: options.style,
             visible: options.visible !== false,
@@ -86,11 +123,28 @@ export class LayerManager {
             if (layer.instance?.destroy) {
                 layer.instance.destroy();
             }
+            if (layer.type === 'data') {
+                this.removeDataSource(id);
+            }
             this.layers.delete(id);
             this.updateLayerOrder();
         }
     }
 
+    /**
+     * Unregister a data layer's source and style layers
+     */
+    removeDataSource(id) {
+        removeGeoJSONSource(id);
+        
+        const style = getStyle();
+        if (style) {
+            delete style.sources[id];
+            style.layers = style.layers.filter(l => l.source !== id);
+            markStyleChanged();
+        }
+    }
+
     /**
      * Set layer visibility
      */
@@ -191,8 +245,8 @@ export class LayerManager {
                     break;
                     
                 case 'data':
-                    // Custom data layer rendering
-                    // TODO: Implement
+                    // Data layers are tiled by their GeoJSONSource and rendered
+                    // with the vector tiles by the main render loop
                     break;
             }
         }
@@ -231,6 +285,9 @@ export class LayerManager {
             if (layer.instance?.destroy) {
                 layer.instance.destroy();
             }
+            if (layer.type === 'data') {
+                this.removeDataSource(id);
+            }
         }
         this.layers.clear();
         this.layerOrder = [];
@@ -0,0 +1,141 @@
+/**
+ * Legacy filters - converts pre-expression filter syntax to expressions
+ *
+ * Older styles filter with ["==", "class", "park"], ["in", "class", "a", "b"], ["!has", "name"],
+ * ["==", "$type", "Polygon"], ["none", ...]: the key is a bare property name, which the
+ * expression evaluator would read as a string literal. setStyle converts these once, the way
+ * MapLibre's convertFilter does, so evaluateFilter only ever sees expressions.
+ *
+ * Legacy semantics are kept: ordering comparisons are false (not an error) when the property
+ * is missing or of another type, and "!=" / "!in" / "!has" are true for missing properties.
+ */
+
+/**
+ * Filter as an expression: expression filters pass through, legacy filters are converted
+ * @param {Array} filter
+ * @returns {Array}
+ */
+export function toExpressionFilter(filter) {
+    return isExpressionFilter(filter) ? filter : convertFilter(filter);
+}
+
+/**
+ * True if the filter is already an expression (not legacy syntax)
+ */
+export function isExpressionFilter(filter) {
+    if (filter === true || filter === false) {
+        return true;
+    }
+    if (!Array.isArray(filter) || filter.length === 0) {
+        return false;
+    }
+
+    switch (filter[0]) {
+        case 'has':
+            return filter.length >= 2 && filter[1] !== '$id' && filter[1] !== '$type';
+        case 'in':
+            // ["in", needle, haystack] has an expression or array haystack
+            return filter.length >= 3 && (typeof filter[1] !== 'string' || Array.isArray(filter[2]));
+        case '!in':
+        case '!has':
+        case 'none':
+            return false;
+        case '==':
+        case '!=':
+        case '>':
+        case '>=':
+        case '<':
+        case '<=':
+            return filter.length !== 3 || Array.isArray(filter[1]) || Array.isArray(filter[2]);
+        case 'any':
+        case 'all':
+            return filter.slice(1).every(child => isExpressionFilter(child));
+        default:
+            return true;
+    }
+}
+
+/**
+ * Convert a legacy filter (may contain expression filters inside all / any / none)
+ */
+function convertFilter(filter) {
+    if (!Array.isArray(filter)) {
+        return ['all'];
+    }
+
+    const [operator, key, ...values] = filter;
+    if (filter.length <= 1) {
+        // ["any"] matches nothing, ["all"] and ["none"] everything
+        return operator === 'any' ? ['any'] : ['all'];
+    }
+
+    switch (operator) {
+        case '==':
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            return convertComparison(operator, key, values[0]);
+        case '!=':
+            return negate(convertComparison('==', key, values[0]));
+        case 'in':
+            return convertIn(key, values);
+        case '!in':
+            return negate(convertIn(key, values));
+        case 'has':
+            return convertHas(key);
+        case '!has':
+            return negate(convertHas(key));
+        case 'all':
+        case 'any':
+            return [operator, ...filter.slice(1).map(toExpressionFilter)];
+        case 'none':
+            return ['all', ...filter.slice(1).map(child => negate(toExpressionFilter(child)))];
+        default:
+            // Unknown legacy operator: no filtering, as MapLibre
+            return ['all'];
+    }
+}
+
+function getter(key) {
+    if (key === '$type') return ['geometry-type'];
+    if (key === '$id') return ['id'];
+    return ['get', key];
+}
+
+function negate(expression) {
+    return ['!', expression];
+}
+
+function convertComparison(operator, key, value) {
+    const get = getter(key);
+
+    if (operator === '==') {
+        // ["==", key, null] only matches features that have the property
+        return value === null && key !== '$id' && key !== '$type'
+            ? ['all', ['has', key], ['==', get, null]]
+            : ['==', get, value];
+    }
+
+    // Legacy ordering compares values of the same type only - anything else is false
+    return ['case', ['==', ['typeof', get], typeof value], [operator, get, value], false];
+}
+
+function convertIn(key, values) {
+    if (values.length === 0) {
+        return ['any'];
+    }
+
+    const get = getter(key);
+    const type = typeof values[0];
+    if ((type === 'string' || type === 'number') && values.every(value => typeof value === type)) {
+        return ['match', get, [...new Set(values)], true, false];
+    }
+    return ['any', ...values.map(value => ['==', get, value])];
+}
+
+function convertHas(key) {
+    if (key === '$type') return ['all'];
+    if (key === '$id') return ['!=', ['id'], null];
+    return ['has', key];
+}
@@ -0,0 +1,83 @@
+/**
+ * Map events - the map-level event target for app code (window.map)
+ *
+ * Events (on/once listeners receive the detail object, addEventListener a CustomEvent):
+ * - styledata  { style }                                        Style set, loaded or changed
+ * - sourcedata { sourceId, dataType, tile?, isSourceLoaded }    dataType 'metadata' (source configured)
+ *                                                               or 'content' (tile loaded, setData)
+ * - tileload   { sourceId, tile, sourceTile }                   Tile of a source loaded and on screen
+ * - tileerror  { sourceId, tile, status, message, errorCount,   retryIn is the backoff in ms (vector tiles),
+ *               willRetry, retryIn }                            null when willRetry is false
+ * - idle       {}                                               Every visible tile loaded, faded in and
+ *                                                               rendered, camera at rest - fires once per settle
+ * - error      { error, errors }                                Invalid style or style change (rejected) - errors
+ *                                                               are { path, message } from styleValidator.js
+ *
+ * @example map.on('tileerror', e => console.log(e.sourceId, e.status, e.errorCount))
+ * @example await map.once('idle') // e.g. before taking a screenshot
+ * @example map.on('error', e => e.errors.forEach(({ path, message }) => console.log(path, message)))
+ */
+
+export class MapEvents extends EventTarget {
+    constructor() {
+        super();
+        this.wrappedListeners = new WeakMap(); // listener → Map<type, wrapped>
+    }
+
+    /**
+     * Emit an event; the detail is passed through with its type added
+     */
+    fire(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(type, { detail: { type, ...detail } }));
+    }
+
+    /**
+     * Listen for an event (listener receives the detail)
+     */
+    on(type, listener) {
+        return this.addWrappedListener(type, listener, (event) => listener(event.detail));
+    }
+
+    off(type, listener) {
+        const byType = this.wrappedListeners.get(listener);
+        const wrapped = byType?.get(type);
+        if (wrapped) {
+            this.removeEventListener(type, wrapped);
+            byType.delete(type);
+        }
+        return this;
+    }
+
+    /**
+     * Listen for the next occurrence only
+     * @returns {Promise<Object>|MapEvents} Resolves with the detail when no listener is given
+     */
+    once(type, listener = null) {
+        if (!listener) {
+            return new Promise(resolve => this.once(type, resolve));
+        }
+        return this.addWrappedListener(type, listener, (event) => {
+            this.off(type, listener);
+            listener(event.detail);
+        });
+    }
+
+    /**
+     * Register the wrapper of an on/once listener, so off() can find it (one per listener and type)
+     */
+    addWrappedListener(type, listener, wrapped) {
+        let byType = this.wrappedListeners.get(listener);
+        if (!byType) {
+            byType = new Map();
+            this.wrappedListeners.set(listener, byType);
+        }
+        if (!byType.has(type)) {
+            byType.set(type, wrapped);
+            this.addEventListener(type, wrapped);
+        }
+        return this;
+    }
+}
+
+// Shared by every module that emits map events
+export const mapEvents = new MapEvents();
@@ -0,0 +1,93 @@
+/**
+ * Network request hooks
+ *
+ * Every network fetch (style JSON, TileJSON, GeoJSON data, vector/raster/terrain
+ * tiles) goes through requestResource(), which applies:
+ * - transformRequest(url, resourceType) → add auth headers, sign or rewrite URLs
+ * - addProtocol(scheme, loader)          → serve a custom scheme (e.g. mock://) from code
+ */
+
+// Resource types passed to transformRequest and protocol loaders
+export const ResourceType = {
+    Style: 'Style',     // Style JSON
+    Source: 'Source',   // TileJSON, GeoJSON data, PMTiles archives
+    Tile: 'Tile'        // Vector, raster and terrain tiles
+};
+
+// Protocol loaders by scheme (without "://")
+const protocols = new Map();
+
+let transformRequestHook = null;
+
+/**
+ * Register a loader for a custom URL scheme
+ * The loader receives { url, resourceType, headers, signal } and returns (or resolves to)
+ * a Response, ArrayBuffer, Blob, string or JSON-able object - or null for "not found".
+ * @example addProtocol('mock', ({ url }) => mockTiles[url] ?? null)
+ */
+export function addProtocol(scheme, loader) {
+    protocols.set(scheme.replace(/:\/\/$/, ''), loader);
+}
+
+export function removeProtocol(scheme) {
+    protocols.delete(scheme.replace(/:\/\/$/, ''));
+}
+
+/**
+ * Set the request transform hook (null to remove)
+ * Called as fn(url, resourceType) and may return { url, headers, credentials }
+ * to override the request - or nothing to leave it unchanged.
+ */
+export function setTransformRequest(fn) {
+    transformRequestHook = fn || null;
+}
+
+/**
+ * Fetch a resource through the request hooks
+ * @param {string} url
+ * @param {string} resourceType - One of ResourceType
+ * @param {RequestInit} init - fetch options (plain-object headers, signal, cache...)
+ * @returns {Promise<Response>}
+ */
+export async function requestResource(url, resourceType, init = {}) {
+    let requestUrl = url;
+    let headers = { ...init.headers };
+    let credentials = init.credentials;
+
+    if (transformRequestHook) {
+        const transformed = await transformRequestHook(url, resourceType);
+        if (transformed) {
+            requestUrl = transformed.url ?? url;
+            headers = { ...headers, ...transformed.headers };
+            credentials = transformed.credentials ?? credentials;
+        }
+    }
+
+    const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(requestUrl)?.[1];
+    const loader = scheme && protocols.get(scheme);
+    if (loader) {
+        const result = await loader({ url: requestUrl, resourceType, headers, signal: init.signal ?? null });
+        if (init.signal?.aborted) {
+            throw new DOMException('The request was aborted', 'AbortError');
+        }
+        return toResponse(result);
+    }
+
+    return fetch(requestUrl, { ...init, headers, credentials });
+}
+
+/**
+ * Wrap a protocol loader result in a Response so callers treat it like fetch()
+ */
+function toResponse(result) {
+    if (result instanceof Response) {
+        return result;
+    }
+    if (result === null || result === undefined) {
+        return new Response(null, { status: 404 });
+    }
+    if (result instanceof ArrayBuffer || ArrayBuffer.isView(result) || result instanceof Blob || typeof result === 'string') {
+        return new Response(result);
+    }
+    return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+}
@@ -104,8 +104,9 @@ export class ShaderEffectManager {
             ]
         });
         
+        // Group 2: Layer paint (effects have no shadow group)
         const pipelineLayout = this.device.createPipelineLayout({ 
-            bindGroupLayouts: [cameraBindGroupLayout, terrainBindGroupLayout] 
+            bindGroupLayouts: [cameraBindGroupLayout, terrainBindGroupLayout, this.createPaintBindGroupLayout()] 
         });
         
         return this.device.createRenderPipeline({
@@ -207,8 +208,9 @@ export class ShaderEffectManager {
             ]
         });
         
+        // Group 3: Layer paint (must match main vertex shader bindings)
         const pipelineLayout = this.device.createPipelineLayout({ 
-            bindGroupLayouts: [cameraBindGroupLayout, terrainBindGroupLayout, shadowBindGroupLayout] 
+            bindGroupLayouts: [cameraBindGroupLayout, terrainBindGroupLayout, shadowBindGroupLayout, this.createPaintBindGroupLayout()] 
         });
         
         return this.device.createRenderPipeline({
@@ -224,6 +226,13 @@ export class ShaderEffectManager {
                         { shaderLocation: 1, offset: 12, format: 'float32x3' },  // normal
                         { shaderLocation: 2, offset: 24, format: 'float32x4' }   // color
                     ]
+                }, {
+                    // Per-tile fade-in opacity (standard vertex shader input)
+                    arrayStride: 4,
+                    stepMode: 'instance',
+                    attributes: [
+                        { shaderLocation: 3, offset: 0, format: 'float32' }      // tile opacity
+                    ]
                 }],
             },
             fragment: {
@@ -294,8 +303,9 @@ export class ShaderEffectManager {
             ]
         });
         
+        // Group 2: Layer paint (effects have no shadow group)
         const pipelineLayout = this.device.createPipelineLayout({ 
-            bindGroupLayouts: [cameraBindGroupLayout, terrainBindGroupLayout] 
+            bindGroupLayouts: [cameraBindGroupLayout, terrainBindGroupLayout, this.createPaintBindGroupLayout()] 
         });
         
         return this.device.createRenderPipeline({
@@ -338,6 +348,27 @@ export class ShaderEffectManager {
         });
     }
     
+    /**
+     * Layer paint bind group layout - same entries as the main pipelines' group 3,
+     * so FeaturePaint bind groups work with effect pipelines too
+     */
+    createPaintBindGroupLayout() {
+        return this.device.createBindGroupLayout({
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.VERTEX,
+                    buffer: { type: "uniform" }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.VERTEX,
+                    buffer: { type: "read-only-storage" }
+                }
+            ]
+        });
+    }
+    
     /**
      * Create bind group for effect pipeline with time uniform
      */
@@ -2,8 +2,19 @@
 // Implements Mapbox/MapLibre GL style specification support
 // https://docs.mapbox.com/style-spec/reference/
 
+import { requestResource, ResourceType } from './request.js';
+import { evaluateCompiled, getCompiledExpression } from './expressions.js';
+import { toExpressionFilter } from './legacyFilter.js';
+
+// Expressions and colors live in their own modules; re-exported for existing importers
+export { evaluateExpression } from './expressions.js';
+export { parseColor } from './color.js';
+
 let currentStyle = null;
 
+// Incremented on every style change - tile workers re-sync their style copy when it moves
+let styleVersion = 0;
+
 /**
  * Set the map style using Mapbox/MapLibre style specification
  * @param {Object} style - Style JSON object
@@ -20,20 +31,33 @@ export async function setStyle(style) {
 
     currentStyle = {
         version: style.version || 8,
-        sources: style.sources || {},
-        layers: style.layers || [],
+        // Copies: TileJSON, PMTiles and setData results are written into the sources,
+        // filters are converted below - neither into the caller's style
+        sources: Object.fromEntries(Object.entries(style.sources || {}).map(([id, source]) => [id, { ...source }])),
+        layers: (style.layers || []).map(layer => ({ ...layer })),
         glyphs: style.glyphs,
-        sprite: style.sprite
+        sprite: style.sprite,
+        'fade-duration': style['fade-duration']
     };
+    styleVersion++;
+
+    // Pre-expression filters (["==", "class", "park"], ["!has", "name"], ...) → expressions
+    for (const layer of currentStyle.layers) {
+        if (layer.filter) {
+            layer.filter = toExpressionFilter(layer.filter);
+        }
+    }
+    compileStyle(currentStyle);
 
     // Process sources to extract tile URLs and promoteId settings
     for (const [sourceId, source] of Object.entries(currentStyle.sources)) {
-        if (source.type === 'vector') {
+        if (source.type === 'vector' || source.type === 'raster') {
             // Handle both direct tiles URL and TileJSON URL
-            if (source.url) {
+            // (pmtiles:// archives are configured from their header by StyleManager)
+            if (source.url && !source.url.startsWith('pmtiles://')) {
                 // Fetch TileJSON if URL is provided
                 try {
-                    const response = await fetch(source.url);
+                    const response = await requestResource(source.url, ResourceType.Source);
                     const tileJson = await response.json();
                     source.tiles = tileJson.tiles;
                     source.minzoom = tileJson.minzoom || 0;
@@ -60,6 +84,82 @@ export function getStyle() {
     return currentStyle;
 }
 
+/**
+ * Fade-in duration for newly loaded vector tiles (style root "fade-duration")
+ * Raster layers use their own "raster-fade-duration" paint property
+ * @returns {number} Milliseconds
+ */
+export function getFadeDuration() {
+    return currentStyle?.['fade-duration'] ?? 300;
+}
+
+/**
+ * Install an already processed style without fetching TileJSON (tile workers)
+ * @param {Object|null} style - Style as returned by getStyle()
+ */
+export function setStyleState(style) {
+    currentStyle = style;
+    styleVersion++;
+    compileStyle(currentStyle);
+}
+
+/**
+ * Compile every filter, paint and layout expression of the style up front, so tile
+ * parsing starts with warm caches (values changed later compile on first use)
+ */
+function compileStyle(style) {
+    for (const layer of style?.layers ?? []) {
+        const values = [layer.filter, ...Object.values(layer.paint ?? {}), ...Object.values(layer.layout ?? {})];
+        for (const value of values) {
+            if (value !== null && typeof value === 'object') {
+                getCompiledExpression(value);
+            }
+        }
+    }
+}
+
+// Layers by id and by source - rebuilt when the style version moves (or the layers
+// array is replaced), as parsing looks them up for every feature
+let layerLookup = null;
+
+function getLayerLookup() {
+    const layers = currentStyle.layers;
+    if (layerLookup?.version === styleVersion && layerLookup.layers === layers && layerLookup.count === layers.length) {
+        return layerLookup;
+    }
+
+    const byId = new Map();
+    const bySource = new Map();
+    layers.forEach((layer, index) => {
+        if (!byId.has(layer.id)) {
+            byId.set(layer.id, { layer, index });
+        }
+        if (!bySource.has(layer.source)) {
+            bySource.set(layer.source, []);
+        }
+        bySource.get(layer.source).push(layer);
+    });
+
+    layerLookup = { version: styleVersion, layers, count: layers.length, byId, bySource };
+    return layerLookup;
+}
+
+/**
+ * Version of the current style, bumped on every change
+ * @returns {number}
+ */
+export function getStyleVersion() {
+    return styleVersion;
+}
+
+/**
+ * Record an in-place edit of the object returned by getStyle()
+ * (e.g. adding layers) so tile workers pick it up
+ */
+export function markStyleChanged() {
+    styleVersion++;
+}
+
 /**
  * Set layer visibility
  * @param {string} layerId - Layer ID
@@ -72,6 +172,7 @@ export function setLayerVisibility(layerId, visible) {
     if (layer) {
         if (!layer.layout) layer.layout = {};
         layer.layout.visibility = visible ? 'visible' : 'none';
+        styleVersion++;
     }
 }
 
@@ -120,6 +221,43 @@ export function getSourcePromoteId(sourceId) {
     return currentStyle.sources[sourceId].promoteId || null;
 }
 
+/**
+ * Get a source's tile buffer - margin kept around tiles for lines and points,
+ * in tile pixels of a 4096 extent
+ * @returns {number|null} null if the source doesn't set one (parser default applies)
+ */
+export function getSourceBuffer(sourceId) {
+    if (!currentStyle || !currentStyle.sources[sourceId]) {
+        return null;
+    }
+
+    return currentStyle.sources[sourceId].buffer ?? null;
+}
+
+/**
+ * Get IDs of all vector tile sources in the current style, in style order
+ * @returns {Array<string>}
+ */
+export function getVectorSourceIds() {
+    if (!currentStyle || !currentStyle.sources) {
+        return [];
+    }
+
+    return Object.keys(currentStyle.sources).filter(
+        sourceId => currentStyle.sources[sourceId].type === 'vector'
+    );
+}
+
+/**
+ * Get the tile layer name a style layer reads from
+ * GeoJSON sources have no source-layers: their tiles carry a single layer named after the source
+ * @param {Object} layer - Style layer
+ * @returns {string|undefined}
+ */
+export function getLayerSourceLayer(layer) {
+    return layer['source-layer'] ?? layer.source;
+}
+
 /**
  * Get all layers that use a specific source
  * @param {string} sourceId - Source ID
@@ -130,7 +268,8 @@ export function getLayersBySource(sourceId) {
         return [];
     }
 
-    return currentStyle.layers.filter(layer => layer.source === sourceId);
+    // Shared array - callers must not modify it
+    return getLayerLookup().bySource.get(sourceId) ?? [];
 }
 
 /**
@@ -143,7 +282,7 @@ export function getLayer(layerId) {
         return null;
     }
 
-    return currentStyle.layers.find(layer => layer.id === layerId) || null;
+    return getLayerLookup().byId.get(layerId)?.layer ?? null;
 }
 
 /**
@@ -157,8 +296,7 @@ export function getLayerIndex(layerId) {
         return 255;
     }
     
-    const index = currentStyle.layers.findIndex(l => l.id === layerId);
-    return index >= 0 ? index : 255;
+    return getLayerLookup().byId.get(layerId)?.index ?? 255;
 }
 
 /**
@@ -256,23 +394,23 @@ export function getLayersWithOutlines(sourceId) {
 
 /**
  * Get all symbol (text/icon) layers for a specific source
- * @param {string} sourceId - Source ID
+ * @param {string|null} sourceId - Source ID (null for symbol layers of every source)
  * @returns {Array<Object>} Array of symbol layer configurations
  */
-export function getSymbolLayers(sourceId) {
+export function getSymbolLayers(sourceId = null) {
     if (!currentStyle) {
         return [];
     }
 
     return currentStyle.layers
-        .filter(layer => 
-            layer.type === 'symbol' && 
-            layer.source === sourceId &&
+        .filter(layer =>
+            layer.type === 'symbol' &&
+            (sourceId === null || layer.source === sourceId) &&
             layer.layout?.visibility !== 'none'
         )
         .map(layer => ({
             id: layer.id,
-            sourceLayer: layer['source-layer'],
+            sourceLayer: getLayerSourceLayer(layer),
             minzoom: layer.minzoom || 0,
             maxzoom: layer.maxzoom || 24,
             textField: layer.layout?.['text-field'],
@@ -316,243 +454,6 @@ export function isTileInBounds(x, y, z, sourceId) {
     return !(maxTileLng < minLng || minTileLng > maxLng || maxTileLat < minLat || minTileLat > maxLat);
 }
 
-/**
- * Evaluate a style expression (simplified implementation)
- * @param {*} expression - Style expression (literal, get, match, etc.)
- * @param {Object} feature - GeoJSON feature
- * @param {number} zoom - Current zoom level
- * @returns {*}
- */
-export function evaluateExpression(expression, feature, zoom) {
-    // Handle literal values (non-arrays, non-objects)
-    if (expression === null || expression === undefined) {
-        return expression;
-    }
-    
-    // Handle legacy zoom function format: { base, stops: [[z1, val1], [z2, val2], ...] }
-    if (typeof expression === 'object' && !Array.isArray(expression) && expression.stops) {
-        const stops = expression.stops;
-        const base = expression.base || 1;
-        
-        // Property function: { property, stops } or { property, type, stops }
-        if (expression.property) {
-            const propValue = feature?.properties?.[expression.property];
-            // Find matching stop for property value
-            for (const [stopVal, output] of stops) {
-                if (propValue === stopVal) {
-                    return evaluateExpression(output, feature, zoom);
-                }
-            }
-            // Return last value as fallback
-            return evaluateExpression(stops[stops.length - 1][1], feature, zoom);
-        }
-        
-        // Zoom function: interpolate based on zoom
-        if (zoom === undefined || zoom === null) {
-            return evaluateExpression(stops[0][1], feature, zoom);
-        }
-        
-        // Find the two stops to interpolate between
-        for (let i = 0; i < stops.length - 1; i++) {
-            const [z1, val1] = stops[i];
-            const [z2, val2] = stops[i + 1];
-            
-            if (zoom >= z1 && zoom <= z2) {
-                // Calculate interpolation factor
-                let t;
-                if (base === 1) {
-                    t = (zoom - z1) / (z2 - z1);
-                } else {
-                    t = (Math.pow(base, zoom - z1) - 1) / (Math.pow(base, z2 - z1) - 1);
-                }
-                
-                // Interpolate values
-                const v1 = evaluateExpression(val1, feature, zoom);
-                const v2 = evaluateExpression(val2, feature, zoom);
-                
-                if (typeof v1 === 'number' && typeof v2 === 'number') {
-                    return v1 + t * (v2 - v1);
-                }
-                
-                // For colors/non-numbers, return the lower stop value
-                return v1;
-            }
-        }
-        
-        // Outside stops range - clamp to nearest
-        if (zoom < stops[0][0]) {
-            return evaluateExpression(stops[0][1], feature, zoom);
-        }
-        return evaluateExpression(stops[stops.length - 1][1], feature, zoom);
-    }
-    
-    // Handle non-array literals
-    if (!Array.isArray(expression)) {
-        return expression;
-    }
-
-    const [operator, ...args] = expression;
-
-    switch (operator) {
-        case 'get':
-            // ["get", "property_name"]
-            return feature.properties?.[args[0]];
-
-        case 'literal':
-            // ["literal", value]
-            return args[0];
-
-        case 'match':
-            // ["match", input, label1, output1, label2, output2, ..., fallback]
-            const input = evaluateExpression(args[0], feature, zoom);
-            for (let i = 1; i < args.length - 1; i += 2) {
-                const label = args[i];
-                // Check if label is an array - if so, check if input is in the array
-                if (Array.isArray(label)) {
-                    if (label.includes(input)) {
-                        return evaluateExpression(args[i + 1], feature, zoom);
-                    }
-                } else {
-                    // Direct equality check
-                    if (input === label) {
-                        return evaluateExpression(args[i + 1], feature, zoom);
-                    }
-                }
-            }
-            return evaluateExpression(args[args.length - 1], feature, zoom);
-
-        case 'case':
-            // ["case", condition1, output1, condition2, output2, ..., fallback]
-            for (let i = 0; i < args.length - 1; i += 2) {
-                if (evaluateExpression(args[i], feature, zoom)) {
-                    return evaluateExpression(args[i + 1], feature, zoom);
-                }
-            }
-            return evaluateExpression(args[args.length - 1], feature, zoom);
-
-        case '==':
-            return evaluateExpression(args[0], feature, zoom) === evaluateExpression(args[1], feature, zoom);
-
-        case '!=':
-            return evaluateExpression(args[0], feature, zoom) !== evaluateExpression(args[1], feature, zoom);
-
-        case '>':
-            return evaluateExpression(args[0], feature, zoom) > evaluateExpression(args[1], feature, zoom);
-
-        case '>=':
-            return evaluateExpression(args[0], feature, zoom) >= evaluateExpression(args[1], feature, zoom);
-
-        case '<':
-            return evaluateExpression(args[0], feature, zoom) < evaluateExpression(args[1], feature, zoom);
-
-        case '<=':
-            return evaluateExpression(args[0], feature, zoom) <= evaluateExpression(args[1], feature, zoom);
-
-        case 'all':
-            return args.every(arg => evaluateExpression(arg, feature, zoom));
-
-        case 'any':
-            return args.some(arg => evaluateExpression(arg, feature, zoom));
-
-        case '!':
-            return !evaluateExpression(args[0], feature, zoom);
-
-        case 'has':
-            return feature.properties?.hasOwnProperty(args[0]);
-            
-        case 'coalesce':
-            // ["coalesce", expression1, expression2, ..., fallback]
-            // Returns the first non-null, non-undefined value
-            for (const arg of args) {
-                const val = evaluateExpression(arg, feature, zoom);
-                if (val !== null && val !== undefined) {
-                    return val;
-                }
-            }
-            return null;
-            
-        case '*':
-            // ["*", num1, num2, ...]
-            return args.reduce((acc, arg) => acc * evaluateExpression(arg, feature, zoom), 1);
-            
-        case '+':
-            // ["+", num1, num2, ...]
-            return args.reduce((acc, arg) => acc + evaluateExpression(arg, feature, zoom), 0);
-
-        case 'in':
-            const value = evaluateExpression(args[0], feature, zoom);
-            const array = evaluateExpression(args[1], feature, zoom);
-            return Array.isArray(array) && array.includes(value);
-
-        case 'interpolate':
-            // ["interpolate", interpolation, input, stop1, output1, stop2, output2, ...]
-            const interpolationType = args[0]; // e.g., ["linear"] or ["exponential", base]
-            const input2 = evaluateExpression(args[1], feature, zoom);
-            
-            // Determine interpolation base (1.0 for linear, or custom for exponential)
-            let base = 1.0;
-            if (Array.isArray(interpolationType) && interpolationType[0] === 'exponential') {
-                base = interpolationType[1] || 1.0;
-            }
-            
-            // Find the two stops to interpolate between
-            for (let i = 2; i < args.length - 2; i += 2) {
-                const stop1 = args[i];
-                const stop2 = args[i + 2];
-                
-                if (input2 >= stop1 && input2 <= stop2) {
-                    const output1 = args[i + 1];
-                    const output2 = args[i + 3];
-                    
-                    // Calculate interpolation factor
-                    let t;
-                    if (base === 1.0) {
-                        // Linear interpolation
-                        t = (input2 - stop1) / (stop2 - stop1);
-                    } else {
-                        // Exponential interpolation
-                        const range = stop2 - stop1;
-                        const progress = input2 - stop1;
-                        t = (Math.pow(base, progress / range) - 1) / (Math.pow(base, 1) - 1);
-                    }
-                    
-                    // Interpolate numbers
-                    if (typeof output1 === 'number' && typeof output2 === 'number') {
-                        return output1 + t * (output2 - output1);
-                    }
-                    
-                    // For colors and other types, return the nearest
-                    return t < 0.5 ? output1 : output2;
-                }
-            }
-            
-            // Return first or last output if outside range
-            return input2 < args[2] ? args[3] : args[args.length - 1];
-
-        case 'step':
-            // ["step", input, default, stop1, output1, stop2, output2, ...]
-            const stepInput = evaluateExpression(args[0], feature, zoom);
-            let stepOutput = args[1]; // default value
-            
-            for (let i = 2; i < args.length; i += 2) {
-                if (stepInput >= args[i]) {
-                    stepOutput = args[i + 1];
-                } else {
-                    break;
-                }
-            }
-            
-            return stepOutput;
-
-        case 'zoom':
-            return zoom;
-
-        default:
-            console.warn(`Unknown expression operator: ${operator}`);
-            return null;
-    }
-}
-
 /**
  * Evaluate a filter expression to determine if a feature should be included
  * @param {Array} filter - Filter expression
@@ -565,7 +466,8 @@ export function evaluateFilter(filter, feature, zoom) {
         return true; // No filter means include all
     }
 
-    return evaluateExpression(filter, feature, zoom);
+    // Filters that fail to evaluate (null) exclude the feature
+    return evaluateCompiled(filter, feature, zoom) === true;
 }
 
 /**
@@ -582,99 +484,58 @@ export function getPaintProperty(layerId, property, feature, zoom) {
         return null;
     }
 
-    const value = layer.paint[property];
-    if (value === undefined) {
-        return null;
-    }
-
-    return evaluateExpression(value, feature, zoom);
+    return evaluateCompiled(layer.paint[property], feature, zoom);
 }
 
 /**
- * Convert a color value to RGBA array
- * @param {string|Array} color - Color string (hex, rgb, rgba) or array
- * @returns {Array<number>} RGBA array [r, g, b, a] with values 0-1
+ * Set a paint property of a layer (null or undefined removes it)
+ * @param {string} layerId - Layer ID
+ * @param {string} property - Paint property name (e.g., 'fill-color')
+ * @param {*} value - Value or expression
+ * @returns {boolean} False if the layer does not exist
  */
-export function parseColor(color) {
-    if (Array.isArray(color)) {
-        // Already an array, ensure it has 4 components
-        return color.length === 4 ? color : [...color, 1.0];
-    }
-
-    if (typeof color === 'string') {
-        // Hex color
-        if (color.startsWith('#')) {
-            const hex = color.slice(1);
-            const r = parseInt(hex.slice(0, 2), 16) / 255;
-            const g = parseInt(hex.slice(2, 4), 16) / 255;
-            const b = parseInt(hex.slice(4, 6), 16) / 255;
-            const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1.0;
-            return [r, g, b, a];
-        }
+export function setPaintProperty(layerId, property, value) {
+    const layer = getLayer(layerId);
+    if (!layer) {
+        return false;
+    }
 
-        // HSL/HSLA - hsl(h, s%, l%) or hsla(h, s%, l%, a)
-        if (color.startsWith('hsl')) {
-            const match = color.match(/[\d.]+/g);
-            if (match) {
-                const h = parseFloat(match[0]) / 360;
-                const s = parseFloat(match[1]) / 100;
-                const l = parseFloat(match[2]) / 100;
-                const a = match[3] !== undefined ? parseFloat(match[3]) : 1.0;
-                
-                // Convert HSL to RGB
-                let r, g, b;
-                if (s === 0) {
-                    r = g = b = l;
-                } else {
-                    const hue2rgb = (p, q, t) => {
-                        if (t < 0) t += 1;
-                        if (t > 1) t -= 1;
-                        if (t < 1/6) return p + (q - p) * 6 * t;
-                        if (t < 1/2) return q;
-                        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-                        return p;
-                    };
-                    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-                    const p = 2 * l - q;
-                    r = hue2rgb(p, q, h + 1/3);
-                    g = hue2rgb(p, q, h);
-                    b = hue2rgb(p, q, h - 1/3);
-                }
-                return [r, g, b, a];
-            }
-        }
+    if (!layer.paint) layer.paint = {};
+    if (value === null || value === undefined) {
+        delete layer.paint[property];
+    } else {
+        layer.paint[property] = value;
+    }
+    styleVersion++;
+    return true;
+}
 
-        // RGB/RGBA
-        if (color.startsWith('rgb')) {
-            const match = color.match(/[\d.]+/g);
-            if (match) {
-                const r = parseFloat(match[0]) / 255;
-                const g = parseFloat(match[1]) / 255;
-                const b = parseFloat(match[2]) / 255;
-                const a = match[3] !== undefined ? parseFloat(match[3]) : 1.0;
-                return [r, g, b, a];
-            }
-        }
+/**
+ * What a style value depends on, to decide where and how often it is evaluated
+ * @param {*} value - Literal, expression or legacy function ({ stops, property? })
+ * @returns {{ zoom: boolean, feature: boolean }}
+ */
+export function getExpressionDependencies(value) {
+    if (value === null || typeof value !== 'object') {
+        return { zoom: false, feature: false };
+    }
+    return getCompiledExpression(value).dependencies;
+}
 
-        // Named colors (simplified)
-        const namedColors = {
-            'black': [0, 0, 0, 1],
-            'white': [1, 1, 1, 1],
-            'red': [1, 0, 0, 1],
-            'green': [0, 1, 0, 1],
-            'blue': [0, 0, 1, 1],
-            'gray': [0.5, 0.5, 0.5, 1],
-            'grey': [0.5, 0.5, 0.5, 1],
-            'transparent': [0, 0, 0, 0]
-        };
-
-        if (namedColors[color.toLowerCase()]) {
-            return namedColors[color.toLowerCase()];
-        }
+/**
+ * True if any paint property of the layer reads ["feature-state", ...]
+ * @param {string} layerId - Layer ID
+ * @returns {boolean}
+ */
+export function usesFeatureState(layerId) {
+    const layer = getLayer(layerId);
+    if (!layer?.paint) {
+        return false;
     }
 
-    // Default fallback
-    return [0.7, 0.7, 0.7, 1.0];
+    const readsState = (value) => Array.isArray(value) &&
+        (value[0] === 'feature-state' || value.some(readsState));
+    return Object.values(layer.paint).some(readsState);
 }
 
 /**
@@ -709,9 +570,9 @@ export function getFeatureId(feature, sourceId, featureIndex = 0) {
 
     // Fall back to feature.id if present (check both top-level and in properties)
     if (feature.id !== undefined && feature.id !== null) {
-        if (!window._featureIdLogged && Math.random() < 0.001) {
+        if (!globalThis._featureIdLogged && Math.random() < 0.001) {
             console.log(`✅ Using feature.id: ${feature.id} for`, feature.properties);
-            window._featureIdLogged = true;
+            globalThis._featureIdLogged = true;
         }
         return feature.id;
     }
@@ -721,18 +582,18 @@ export function getFeatureId(feature, sourceId, featureIndex = 0) {
         const propId = feature.properties.id;
         // Clamp to 16-bit range while maintaining consistency across tiles
         const clamped = ((propId - 1) % 65533) + 1;
-        if (!window._propIdLogged && Math.random() < 0.01) {
+        if (!globalThis._propIdLogged && Math.random() < 0.01) {
             console.log(`🔍 Using properties.id: ${propId} → clamped to ${clamped} for class=${feature.properties?.class}`);
-            window._propIdLogged = true;
+            globalThis._propIdLogged = true;
         }
         return clamped;
     }
 
     // Generate a stable ID from feature properties (uses feature index as fallback)
     const generated = generateFeatureId(feature, featureIndex);
-    if (!window._genIdLogged && Math.random() < 0.01) {
+    if (!globalThis._genIdLogged && Math.random() < 0.01) {
         console.log(`⚠️ Generated ID: ${generated} for class=${feature.properties?.class}, no properties.id found`);
-        window._genIdLogged = true;
+        globalThis._genIdLogged = true;
     }
     return generated;
 }
@@ -810,9 +671,9 @@ function generateFeatureId(feature, fallbackIndex = 0) {
     // Map to 1-65534 range for 16-bit encoding
     const id = ((Math.abs(hash) % 65533) + 1);
     
-    if (!window._fidDebugLogged) {
+    if (!globalThis._fidDebugLogged) {
         console.log(`⚠️ Generated geometry-based FID: ${id} for feature with hash ${hash}, props:`, feature.properties, `coords sample: ${coordsStr.slice(0, 100)}`);
-        window._fidDebugLogged = true;
+        globalThis._fidDebugLogged = true;
     }
     
     return id;
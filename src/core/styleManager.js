@@ -3,17 +3,26 @@
  * 
  * Responsibilities:
  * - Load and set map styles
- * - Configure tile sources from style
- * - Manage layer visibility
+ * - Configure tile sources from style (every vector and geojson source)
+ * - Manage layer visibility and paint properties
+ * - Validate styles and style changes (invalid ones are rejected with an 'error' map event)
+ * - Runtime source updates (GeoJSON setData)
  * - List available layers
  */
 
-import { getStyle, setStyle, setLayerVisibility, getLayerVisibility, getLayer } from './style.js';
-import { clearTileCache, resetNotFoundTiles, setTileSource } from '../tiles/geojson.js';
+import { getStyle, setStyle, setLayerVisibility, getLayerVisibility, getLayer, setPaintProperty } from './style.js';
+import { clearTileCache, resetNotFoundTiles, setTileSource, clearTileSources } from '../tiles/geojson.js';
+import { isPMTilesUrl, getPMTilesArchive } from '../tiles/pmtiles.js';
+import { loadGeoJSONSource, setGeoJSONSource, getGeoJSONSource, clearGeoJSONSources, fetchGeoJSON } from '../tiles/geojsonSource.js';
+import { requestResource, ResourceType } from './request.js';
+import { mapEvents } from './mapEvents.js';
+import { isGPUPaintProperty } from '../rendering/featurePaint.js';
+import { validateStyle, validatePaintProperty, formatError } from './styleValidator.js';
 
 export class StyleManager {
     constructor() {
         this.tileReloadCallback = null;
+        this.sourceReloadCallback = null;
     }
     
     /**
@@ -23,54 +32,38 @@ export class StyleManager {
         this.tileReloadCallback = callback;
     }
     
+    /**
+     * Set callback function to rebuild the tiles of a single source
+     */
+    setSourceReloadCallback(callback) {
+        this.sourceReloadCallback = callback;
+    }
+    
     /**
      * Set map style using Mapbox/MapLibre style specification
+     * @param {Object} style - Style JSON
+     * @param {Object} [options] - { validate: false } skips validation
+     * @returns {Promise<boolean>} False if the style is invalid (the current style is kept)
      */
-    async setStyle(style) {
+    async setStyle(style, { validate = true } = {}) {
+        if (validate && this.reportStyleErrors(validateStyle(style))) {
+            return false;
+        }
+        
         await setStyle(style);
         
-        // Extract tile source from style and configure
+        // Configure a tile source for every vector source in the style
         const currentStyle = getStyle();
+        clearTileSources();
+        clearGeoJSONSources();
         if (currentStyle && currentStyle.sources) {
-            const firstVectorSource = Object.entries(currentStyle.sources).find(
-                ([_, source]) => source.type === 'vector'
-            );
-            
-            if (firstVectorSource) {
-                const [sourceId, source] = firstVectorSource;
-                
-                // Handle direct tile URLs
-                if (source.tiles && source.tiles.length > 0) {
-                    setTileSource({
-                        url: source.tiles[0],
-                        maxZoom: source.maxzoom || 14,
-                        timeout: 10000
-                    });
-                }
-                // Handle TileJSON URL (source.url points to tiles.json)
-                else if (source.url) {
-                    try {
-                        console.log(`📦 Fetching TileJSON from: ${source.url}`);
-                        const tileJsonResponse = await fetch(source.url);
-                        const tileJson = await tileJsonResponse.json();
-                        
-                        if (tileJson.tiles && tileJson.tiles.length > 0) {
-                            console.log(`📦 TileJSON resolved to: ${tileJson.tiles[0]}`);
-                            setTileSource({
-                                url: tileJson.tiles[0],
-                                maxZoom: tileJson.maxzoom || source.maxzoom || 14,
-                                timeout: 10000
-                            });
-                            
-                            // Update the source in the style with resolved tiles
-                            source.tiles = tileJson.tiles;
-                            if (tileJson.maxzoom) source.maxzoom = tileJson.maxzoom;
-                            if (tileJson.minzoom) source.minzoom = tileJson.minzoom;
-                        }
-                    } catch (err) {
-                        console.error(`❌ Failed to fetch TileJSON from ${source.url}:`, err);
-                    }
+            for (const [sourceId, source] of Object.entries(currentStyle.sources)) {
+                if (source.type === 'vector') {
+                    await this.configureVectorSource(sourceId, source);
+                } else if (source.type === 'geojson') {
+                    await this.configureGeoJSONSource(sourceId, source);
                 }
+                mapEvents.fire('sourcedata', { sourceId, dataType: 'metadata', isSourceLoaded: false });
             }
         }
         
@@ -78,9 +71,145 @@ export class StyleManager {
         clearTileCache();
         resetNotFoundTiles();
         
+        mapEvents.fire('styledata', { style: currentStyle });
+        
         if (this.tileReloadCallback) {
             this.tileReloadCallback();
         }
+        return true;
+    }
+    
+    /**
+     * Fire an 'error' map event for validation errors
+     * @param {Array<{path: string, message: string}>} errors
+     * @returns {boolean} True if there were errors
+     */
+    reportStyleErrors(errors) {
+        if (errors.length === 0) {
+            return false;
+        }
+        
+        const lines = errors.map(formatError);
+        console.warn(`⚠️ Invalid style:\n  ${lines.join('\n  ')}`);
+        mapEvents.fire('error', { error: new Error(lines.join('\n')), errors });
+        return true;
+    }
+    
+    /**
+     * Configure tile fetching for a single vector source
+     * Resolves TileJSON (source.url) when the style has no direct tile URLs
+     */
+    async configureVectorSource(sourceId, source) {
+        // Handle PMTiles archives (zoom range and bounds come from the archive header)
+        if (isPMTilesUrl(source.url)) {
+            await this.configurePMTilesSource(sourceId, source);
+        }
+        // Handle direct tile URLs
+        else if (source.tiles && source.tiles.length > 0) {
+            setTileSource({
+                sourceId,
+                url: source.tiles[0],
+                minZoom: source.minzoom || 0,
+                maxZoom: source.maxzoom || 14,
+                timeout: 10000
+            });
+        }
+        // Handle TileJSON URL (source.url points to tiles.json)
+        else if (source.url) {
+            try {
+                console.log(`📦 Fetching TileJSON for "${sourceId}" from: ${source.url}`);
+                const tileJsonResponse = await requestResource(source.url, ResourceType.Source);
+                const tileJson = await tileJsonResponse.json();
+                
+                if (tileJson.tiles && tileJson.tiles.length > 0) {
+                    console.log(`📦 TileJSON resolved to: ${tileJson.tiles[0]}`);
+                    setTileSource({
+                        sourceId,
+                        url: tileJson.tiles[0],
+                        minZoom: tileJson.minzoom || source.minzoom || 0,
+                        maxZoom: tileJson.maxzoom || source.maxzoom || 14,
+                        timeout: 10000
+                    });
+                    
+                    // Update the source in the style with resolved tiles
+                    source.tiles = tileJson.tiles;
+                    if (tileJson.maxzoom) source.maxzoom = tileJson.maxzoom;
+                    if (tileJson.minzoom) source.minzoom = tileJson.minzoom;
+                }
+            } catch (err) {
+                console.error(`❌ Failed to fetch TileJSON from ${source.url}:`, err);
+            }
+        }
+    }
+    
+    /**
+     * Configure a vector source backed by a pmtiles:// archive
+     */
+    async configurePMTilesSource(sourceId, source) {
+        try {
+            const header = await getPMTilesArchive(source.url).getHeader();
+            console.log(`📦 PMTiles "${sourceId}": zoom ${header.minZoom}-${header.maxZoom}`);
+            
+            setTileSource({
+                sourceId,
+                url: source.url,
+                minZoom: source.minzoom ?? header.minZoom,
+                maxZoom: source.maxzoom ?? header.maxZoom,
+                timeout: 10000
+            });
+            
+            // Update the source in the style like a resolved TileJSON
+            source.minzoom = source.minzoom ?? header.minZoom;
+            source.maxzoom = source.maxzoom ?? header.maxZoom;
+            source.bounds = source.bounds ?? header.bounds;
+        } catch (err) {
+            console.error(`❌ Failed to read PMTiles header from ${source.url}:`, err);
+        }
+    }
+    
+    /**
+     * Load a geojson source (inline data or URL) and slice it into tiles on demand
+     */
+    async configureGeoJSONSource(sourceId, source) {
+        const geojsonSource = await loadGeoJSONSource(sourceId, source);
+        if (geojsonSource) {
+            setGeoJSONSource(sourceId, geojsonSource);
+            console.log(`📦 GeoJSON source "${sourceId}": ${geojsonSource.features.length} features`);
+        }
+    }
+    
+    /**
+     * Get a source by ID
+     * GeoJSON sources expose setData(data), which re-tiles and re-uploads only that source
+     * (data is GeoJSON or a URL to fetch it from, as in the style)
+     * @returns {Object|null} { id, type, setData? }
+     */
+    getSource(sourceId) {
+        const styleSource = getStyle()?.sources?.[sourceId];
+        const geojsonSource = getGeoJSONSource(sourceId);
+        if (!styleSource && !geojsonSource) {
+            return null;
+        }
+        
+        const source = {
+            id: sourceId,
+            type: styleSource?.type || 'geojson'
+        };
+        
+        if (geojsonSource) {
+            source.setData = async (data) => {
+                geojsonSource.setData(typeof data === 'string' ? await fetchGeoJSON(data) : data);
+                if (styleSource) {
+                    styleSource.data = data;
+                }
+                
+                if (this.sourceReloadCallback) {
+                    await this.sourceReloadCallback(sourceId);
+                }
+            };
+        }
+        
+        return source;
     }
     
     /**
@@ -92,26 +221,74 @@ export class StyleManager {
     
     /**
      * Load a style from URL
+     * @returns {Promise<boolean>} False if the style is invalid
      */
     async loadStyleFromURL(url) {
-        const response = await fetch(url);
+        const response = await requestResource(url, ResourceType.Style);
         const style = await response.json();
-        await this.setStyle(style);
+        return this.setStyle(style);
     }
     
     /**
      * Set layer visibility
+     * @returns {Promise<boolean>} False if there is no such layer
      */
     async setLayerVisibility(layerId, visible) {
+        if (!getLayer(layerId)) {
+            this.reportStyleErrors([{ path: 'layers', message: `setLayerVisibility: no layer "${layerId}"` }]);
+            return false;
+        }
+        
         setLayerVisibility(layerId, visible);
         
         // Force re-render by triggering tile reload
         clearTileCache();
         resetNotFoundTiles();
         
+        mapEvents.fire('styledata', { style: getStyle() });
+        
         if (this.tileReloadCallback) {
             this.tileReloadCallback();
         }
+        return true;
+    }
+    
+    /**
+     * Set a paint property (null removes it)
+     * Colors and opacities are evaluated on the GPU and apply with the next frame;
+     * the rest (heights, widths) is baked into the geometry, so the tiles must be rebuilt.
+     * Invalid values are rejected with an 'error' map event
+     * @returns {boolean} True if the caller must rebuild the tiles
+     */
+    setPaintProperty(layerId, property, value) {
+        const layer = getLayer(layerId);
+        if (!layer) {
+            this.reportStyleErrors([{ path: 'layers', message: `setPaintProperty: no layer "${layerId}"` }]);
+            return false;
+        }
+        
+        const layerIndex = getStyle().layers.indexOf(layer);
+        const path = `layers[${layerIndex}].paint.${property}`;
+        if (this.reportStyleErrors(validatePaintProperty(layer.type, property, value, path))) {
+            return false;
+        }
+        
+        setPaintProperty(layerId, property, value);
+        mapEvents.fire('styledata', { style: getStyle() });
+        
+        if (isGPUPaintProperty(layer.type, property)) {
+            return false;
+        }
+        clearTileCache();
+        resetNotFoundTiles();
+        return true;
+    }
+    
+    /**
+     * Get a paint property as set in the style (value or expression, not evaluated)
+     */
+    getPaintProperty(layerId, property) {
+        return getLayer(layerId)?.paint?.[property];
     }
     
     /**
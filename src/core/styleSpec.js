@@ -0,0 +1,264 @@
+/**
+ * Style spec - the v8 style specification as data, for the style validator
+ * https://maplibre.org/maplibre-style-spec/
+ *
+ * Root keys, source types and, per layer type, every layout and paint property with its
+ * value type and how it may be driven by expressions:
+ * - 'constant': literal values only
+ * - 'zoom': literals or zoom expressions (["interpolate", ..., ["zoom"], ...])
+ * - 'data': also feature data (["get", ...], ["feature-state", ...] for paint)
+ * - 'line-progress' / 'heatmap-density': expressions of that input only (line-gradient, heatmap-color)
+ *
+ * line-extrusion is this map's own layer type: a line rendered as a 3D tube, with the
+ * line properties plus line-extrusion-height / line-extrusion-base.
+ */
+
+const number = (expression, minimum, maximum) => ({ type: 'number', expression, minimum, maximum });
+const color = (expression) => ({ type: 'color', expression });
+const boolean = (expression) => ({ type: 'boolean', expression });
+const enumOf = (values, expression) => ({ type: 'enum', values, expression });
+const image = (expression) => ({ type: 'resolvedImage', expression });
+const numbers = (length, expression, minimum) => ({ type: 'array', value: 'number', length, expression, minimum });
+
+const VISIBILITY = { visibility: enumOf(['visible', 'none'], 'constant') };
+const ANCHOR = ['center', 'left', 'right', 'top', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const TRANSLATE_ANCHOR = ['map', 'viewport'];
+const OVERLAP = ['never', 'always', 'cooperative'];
+const ALIGNMENT = ['map', 'viewport', 'auto'];
+
+export const ROOT_KEYS = {
+    version: { required: true },
+    name: {},
+    metadata: {},
+    center: {},
+    centerAltitude: {},
+    zoom: {},
+    bearing: {},
+    pitch: {},
+    roll: {},
+    light: {},
+    sky: {},
+    terrain: {},
+    projection: {},
+    state: {},
+    sources: { required: true },
+    sprite: {},
+    glyphs: {},
+    transition: {},
+    'fade-duration': {}, // Vector tile fade-in (ms), see getFadeDuration()
+    layers: { required: true }
+};
+
+export const LAYER_KEYS = ['id', 'type', 'metadata', 'source', 'source-layer', 'minzoom', 'maxzoom', 'filter', 'layout', 'paint'];
+
+// Keys allowed per source type (type itself included); url or tiles is checked separately
+const TILED_KEYS = ['type', 'url', 'tiles', 'bounds', 'scheme', 'minzoom', 'maxzoom', 'attribution', 'volatile'];
+
+export const SOURCE_TYPES = {
+    vector: [...TILED_KEYS, 'promoteId', 'encoding'],
+    raster: [...TILED_KEYS, 'tileSize'],
+    'raster-dem': [...TILED_KEYS, 'tileSize', 'encoding', 'redFactor', 'greenFactor', 'blueFactor', 'baseShift'],
+    geojson: ['type', 'data', 'minzoom', 'maxzoom', 'attribution', 'buffer', 'filter', 'tolerance', 'cluster',
+        'clusterRadius', 'clusterMaxZoom', 'clusterMinPoints', 'clusterProperties', 'lineMetrics', 'generateId', 'promoteId'],
+    image: ['type', 'url', 'coordinates'],
+    video: ['type', 'urls', 'coordinates']
+};
+
+// Source types each layer type can draw from (background has no source)
+const VECTOR_SOURCES = ['vector', 'geojson'];
+
+const LINE_LAYOUT = {
+    'line-cap': enumOf(['butt', 'round', 'square'], 'zoom'),
+    'line-join': enumOf(['bevel', 'round', 'miter'], 'data'),
+    'line-miter-limit': number('zoom'),
+    'line-round-limit': number('zoom'),
+    'line-sort-key': number('data'),
+    ...VISIBILITY
+};
+
+const LINE_PAINT = {
+    'line-opacity': number('data', 0, 1),
+    'line-color': color('data'),
+    'line-translate': numbers(2, 'zoom'),
+    'line-translate-anchor': enumOf(TRANSLATE_ANCHOR, 'zoom'),
+    'line-width': number('data', 0),
+    'line-gap-width': number('data', 0),
+    'line-offset': number('data'),
+    'line-blur': number('data', 0),
+    'line-dasharray': numbers(undefined, 'zoom', 0),
+    'line-pattern': image('data'),
+    'line-gradient': color('line-progress')
+};
+
+export const LAYER_TYPES = {
+    background: {
+        sources: null,
+        layout: { ...VISIBILITY },
+        paint: {
+            'background-color': color('zoom'),
+            'background-pattern': image('zoom'),
+            'background-opacity': number('zoom', 0, 1)
+        }
+    },
+    fill: {
+        sources: VECTOR_SOURCES,
+        layout: { 'fill-sort-key': number('data'), ...VISIBILITY },
+        paint: {
+            'fill-antialias': boolean('constant'),
+            'fill-opacity': number('data', 0, 1),
+            'fill-color': color('data'),
+            'fill-outline-color': color('data'),
+            'fill-translate': numbers(2, 'zoom'),
+            'fill-translate-anchor': enumOf(TRANSLATE_ANCHOR, 'zoom'),
+            'fill-pattern': image('data')
+        }
+    },
+    line: {
+        sources: VECTOR_SOURCES,
+        layout: LINE_LAYOUT,
+        paint: LINE_PAINT
+    },
+    'line-extrusion': {
+        sources: VECTOR_SOURCES,
+        layout: LINE_LAYOUT,
+        paint: {
+            ...LINE_PAINT,
+            'line-extrusion-height': number('data', 0),
+            'line-extrusion-base': number('data', 0)
+        }
+    },
+    circle: {
+        sources: VECTOR_SOURCES,
+        layout: { 'circle-sort-key': number('data'), ...VISIBILITY },
+        paint: {
+            'circle-radius': number('data', 0),
+            'circle-color': color('data'),
+            'circle-blur': number('data'),
+            'circle-opacity': number('data', 0, 1),
+            'circle-translate': numbers(2, 'zoom'),
+            'circle-translate-anchor': enumOf(TRANSLATE_ANCHOR, 'zoom'),
+            'circle-pitch-scale': enumOf(['map', 'viewport'], 'zoom'),
+            'circle-pitch-alignment': enumOf(['map', 'viewport'], 'zoom'),
+            'circle-stroke-width': number('data', 0),
+            'circle-stroke-color': color('data'),
+            'circle-stroke-opacity': number('data', 0, 1)
+        }
+    },
+    heatmap: {
+        sources: VECTOR_SOURCES,
+        layout: { ...VISIBILITY },
+        paint: {
+            'heatmap-radius': number('data', 1),
+            'heatmap-weight': number('data', 0),
+            'heatmap-intensity': number('zoom', 0),
+            'heatmap-color': color('heatmap-density'),
+            'heatmap-opacity': number('zoom', 0, 1)
+        }
+    },
+    'fill-extrusion': {
+        sources: VECTOR_SOURCES,
+        layout: { ...VISIBILITY },
+        paint: {
+            'fill-extrusion-opacity': number('zoom', 0, 1),
+            'fill-extrusion-color': color('data'),
+            'fill-extrusion-translate': numbers(2, 'zoom'),
+            'fill-extrusion-translate-anchor': enumOf(TRANSLATE_ANCHOR, 'zoom'),
+            'fill-extrusion-pattern': image('data'),
+            'fill-extrusion-height': number('data', 0),
+            'fill-extrusion-base': number('data', 0),
+            'fill-extrusion-vertical-gradient': boolean('constant')
+        }
+    },
+    symbol: {
+        sources: VECTOR_SOURCES,
+        layout: {
+            'symbol-placement': enumOf(['point', 'line', 'line-center'], 'zoom'),
+            'symbol-spacing': number('zoom', 1),
+            'symbol-avoid-edges': boolean('zoom'),
+            'symbol-sort-key': number('data'),
+            'symbol-z-order': enumOf(['auto', 'viewport-y', 'source'], 'zoom'),
+            'icon-allow-overlap': boolean('zoom'),
+            'icon-overlap': enumOf(OVERLAP, 'zoom'),
+            'icon-ignore-placement': boolean('zoom'),
+            'icon-optional': boolean('zoom'),
+            'icon-rotation-alignment': enumOf(ALIGNMENT, 'zoom'),
+            'icon-size': number('data', 0),
+            'icon-text-fit': enumOf(['none', 'width', 'height', 'both'], 'zoom'),
+            'icon-text-fit-padding': numbers(4, 'zoom'),
+            'icon-image': image('data'),
+            'icon-rotate': number('data'),
+            'icon-padding': { type: 'padding', expression: 'data' },
+            'icon-keep-upright': boolean('zoom'),
+            'icon-offset': numbers(2, 'data'),
+            'icon-anchor': enumOf(ANCHOR, 'data'),
+            'icon-pitch-alignment': enumOf(ALIGNMENT, 'zoom'),
+            'text-pitch-alignment': enumOf(ALIGNMENT, 'zoom'),
+            'text-rotation-alignment': enumOf(['map', 'viewport', 'viewport-glyph', 'auto'], 'zoom'),
+            'text-field': { type: 'formatted', expression: 'data' },
+            'text-font': { type: 'array', value: 'string', expression: 'data' },
+            'text-size': number('data', 0),
+            'text-max-width': number('data', 0),
+            'text-line-height': number('zoom'),
+            'text-letter-spacing': number('data'),
+            'text-justify': enumOf(['auto', 'left', 'center', 'right'], 'data'),
+            'text-radial-offset': number('data'),
+            'text-variable-anchor': { type: 'array', value: 'enum', values: ANCHOR, expression: 'zoom' },
+            'text-variable-anchor-offset': { type: 'array', value: 'value', expression: 'data' },
+            'text-anchor': enumOf(ANCHOR, 'data'),
+            'text-max-angle': number('zoom'),
+            'text-writing-mode': { type: 'array', value: 'enum', values: ['horizontal', 'vertical'], expression: 'zoom' },
+            'text-rotate': number('data'),
+            'text-padding': number('zoom', 0),
+            'text-keep-upright': boolean('zoom'),
+            'text-transform': enumOf(['none', 'uppercase', 'lowercase'], 'data'),
+            'text-offset': numbers(2, 'data'),
+            'text-allow-overlap': boolean('zoom'),
+            'text-overlap': enumOf(OVERLAP, 'zoom'),
+            'text-ignore-placement': boolean('zoom'),
+            'text-optional': boolean('zoom'),
+            ...VISIBILITY
+        },
+        paint: {
+            'icon-opacity': number('data', 0, 1),
+            'icon-color': color('data'),
+            'icon-halo-color': color('data'),
+            'icon-halo-width': number('data', 0),
+            'icon-halo-blur': number('data', 0),
+            'icon-translate': numbers(2, 'zoom'),
+            'icon-translate-anchor': enumOf(TRANSLATE_ANCHOR, 'zoom'),
+            'text-opacity': number('data', 0, 1),
+            'text-color': color('data'),
+            'text-halo-color': color('data'),
+            'text-halo-width': number('data', 0),
+            'text-halo-blur': number('data', 0),
+            'text-translate': numbers(2, 'zoom'),
+            'text-translate-anchor': enumOf(TRANSLATE_ANCHOR, 'zoom')
+        }
+    },
+    raster: {
+        sources: ['raster', 'image', 'video'],
+        layout: { ...VISIBILITY },
+        paint: {
+            'raster-opacity': number('zoom', 0, 1),
+            'raster-hue-rotate': number('zoom'),
+            'raster-brightness-min': number('zoom', 0, 1),
+            'raster-brightness-max': number('zoom', 0, 1),
+            'raster-saturation': number('zoom', -1, 1),
+            'raster-contrast': number('zoom', -1, 1),
+            'raster-resampling': enumOf(['linear', 'nearest'], 'zoom'),
+            'raster-fade-duration': number('zoom', 0)
+        }
+    },
+    hillshade: {
+        sources: ['raster-dem'],
+        layout: { ...VISIBILITY },
+        paint: {
+            'hillshade-illumination-direction': number('zoom', 0, 359),
+            'hillshade-illumination-anchor': enumOf(['map', 'viewport'], 'zoom'),
+            'hillshade-exaggeration': number('zoom', 0, 1),
+            'hillshade-shadow-color': color('zoom'),
+            'hillshade-highlight-color': color('zoom'),
+            'hillshade-accent-color': color('zoom')
+        }
+    }
+};
@@ -0,0 +1,1216 @@
+/**
+ * Style validator - checks a style against the v8 style spec (styleSpec.js)
+ *
+ * Sources (types and their keys), layers (type, source, source-layer, zoom range),
+ * layout and paint properties per layer type, filters and expressions. Expressions are
+ * type-checked the way MapLibre parses them: operator names and argument counts, argument
+ * and result types (["+", "a", 1] or a number where fill-color expects a color), zoom only
+ * as the input of a top-level step / interpolate, feature data only in data-driven properties.
+ *
+ * Errors are { path, message } - path locates the problem in the style JSON, e.g.
+ * "layers[3].paint.fill-color[2]" (the third element of that layer's fill-color expression).
+ * No GPU or DOM needed: `node validate-style.js style.json` runs it in CI.
+ */
+
+import { ROOT_KEYS, LAYER_KEYS, SOURCE_TYPES, LAYER_TYPES } from './styleSpec.js';
+import { parseCSSColor } from './color.js';
+import { isExpressionFilter } from './legacyFilter.js';
+
+/**
+ * Validate a whole style
+ * @param {Object} style - Style JSON
+ * @returns {Array<{path: string, message: string}>} Empty if the style is valid
+ */
+export function validateStyle(style) {
+    const errors = [];
+    if (!isObject(style)) {
+        errors.push({ path: '', message: `Expected a style object, found ${typeName(style)}` });
+        return errors;
+    }
+
+    for (const [key, spec] of Object.entries(ROOT_KEYS)) {
+        if (spec.required && style[key] === undefined) {
+            errors.push({ path: key, message: `Missing required property "${key}"` });
+        }
+    }
+    for (const key of Object.keys(style)) {
+        if (!(key in ROOT_KEYS)) {
+            errors.push({ path: key, message: `Unknown property "${key}"` });
+        }
+    }
+
+    if (style.version !== undefined && style.version !== 8) {
+        errors.push({ path: 'version', message: `Expected version 8, found ${JSON.stringify(style.version)}` });
+    }
+    checkType(style.name, 'string', 'name', errors);
+    checkType(style.glyphs, 'string', 'glyphs', errors);
+    checkType(style.zoom, 'number', 'zoom', errors);
+    checkType(style.bearing, 'number', 'bearing', errors);
+    checkType(style.pitch, 'number', 'pitch', errors);
+    checkNumberRange(style['fade-duration'], 0, undefined, 'fade-duration', errors);
+    if (style.center !== undefined && !isNumberArray(style.center, 2)) {
+        errors.push({ path: 'center', message: 'Expected [longitude, latitude]' });
+    }
+    if (style.sprite !== undefined && typeof style.sprite !== 'string' && !Array.isArray(style.sprite)) {
+        errors.push({ path: 'sprite', message: `Expected a URL or an array of { id, url }, found ${typeName(style.sprite)}` });
+    }
+
+    const sources = isObject(style.sources) ? style.sources : {};
+    if (style.sources !== undefined && !isObject(style.sources)) {
+        errors.push({ path: 'sources', message: `Expected an object, found ${typeName(style.sources)}` });
+    }
+    for (const [sourceId, source] of Object.entries(sources)) {
+        validateSource(source, joinPath('sources', sourceId), errors);
+    }
+
+    if (style.layers !== undefined && !Array.isArray(style.layers)) {
+        errors.push({ path: 'layers', message: `Expected an array, found ${typeName(style.layers)}` });
+    } else if (style.layers) {
+        const layerIndices = new Map();
+        style.layers.forEach((layer, index) => {
+            const path = joinPath('layers', index);
+            if (isObject(layer) && typeof layer.id === 'string') {
+                if (layerIndices.has(layer.id)) {
+                    errors.push({ path: joinPath(path, 'id'), message: `Duplicate layer id "${layer.id}" (also layers[${layerIndices.get(layer.id)}])` });
+                } else {
+                    layerIndices.set(layer.id, index);
+                }
+            }
+            errors.push(...validateLayer(layer, sources, path));
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate one layer
+ * @param {Object} layer - Style layer
+ * @param {Object|null} sources - Style sources, to check the layer's source (null skips that)
+ * @param {string} path - Path of the layer in the style
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateLayer(layer, sources = null, path = 'layer') {
+    const errors = [];
+    if (!isObject(layer)) {
+        errors.push({ path, message: `Expected a layer object, found ${typeName(layer)}` });
+        return errors;
+    }
+
+    for (const key of Object.keys(layer)) {
+        if (!LAYER_KEYS.includes(key)) {
+            errors.push({ path: joinPath(path, key), message: `Unknown property "${key}"` });
+        }
+    }
+    if (typeof layer.id !== 'string') {
+        errors.push({ path: joinPath(path, 'id'), message: layer.id === undefined ? 'Missing required property "id"' : `Expected a string, found ${typeName(layer.id)}` });
+    }
+
+    const layerSpec = LAYER_TYPES[layer.type];
+    if (!layerSpec) {
+        errors.push({
+            path: joinPath(path, 'type'),
+            message: layer.type === undefined
+                ? 'Missing required property "type"'
+                : `Unknown layer type ${JSON.stringify(layer.type)}, expected one of ${listValues(Object.keys(LAYER_TYPES))}`
+        });
+        return errors;
+    }
+
+    if (layerSpec.sources) {
+        if (layer.source === undefined) {
+            errors.push({ path: joinPath(path, 'source'), message: 'Missing required property "source"' });
+        } else if (typeof layer.source !== 'string') {
+            errors.push({ path: joinPath(path, 'source'), message: `Expected a source id, found ${typeName(layer.source)}` });
+        } else if (sources) {
+            const source = sources[layer.source];
+            if (!source) {
+                errors.push({ path: joinPath(path, 'source'), message: `Source "${layer.source}" not found` });
+            } else if (SOURCE_TYPES[source.type] && !layerSpec.sources.includes(source.type)) {
+                errors.push({ path: joinPath(path, 'source'), message: `"${layer.type}" layers cannot use source "${layer.source}" of type "${source.type}"` });
+            } else if (source.type === 'vector' && layer['source-layer'] === undefined) {
+                errors.push({ path, message: `Layers of vector source "${layer.source}" need a "source-layer"` });
+            }
+        }
+    }
+    checkType(layer['source-layer'], 'string', joinPath(path, 'source-layer'), errors);
+
+    checkNumberRange(layer.minzoom, 0, 24, joinPath(path, 'minzoom'), errors);
+    checkNumberRange(layer.maxzoom, 0, 24, joinPath(path, 'maxzoom'), errors);
+    if (typeof layer.minzoom === 'number' && typeof layer.maxzoom === 'number' && layer.minzoom > layer.maxzoom) {
+        errors.push({ path: joinPath(path, 'minzoom'), message: `minzoom ${layer.minzoom} is greater than maxzoom ${layer.maxzoom}` });
+    }
+
+    if (layer.filter !== undefined) {
+        errors.push(...validateFilter(layer.filter, joinPath(path, 'filter')));
+    }
+
+    for (const kind of ['layout', 'paint']) {
+        const properties = layer[kind];
+        if (properties === undefined) continue;
+        if (!isObject(properties)) {
+            errors.push({ path: joinPath(path, kind), message: `Expected an object, found ${typeName(properties)}` });
+            continue;
+        }
+        for (const [property, value] of Object.entries(properties)) {
+            errors.push(...validateProperty(kind, layer.type, property, value, joinPath(joinPath(path, kind), property)));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a paint property value (null unsets it and is always valid)
+ * @param {string} layerType - e.g. 'fill'
+ * @param {string} property - e.g. 'fill-color'
+ * @param {*} value - Value, expression or legacy function
+ * @param {string} [path]
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validatePaintProperty(layerType, property, value, path = joinPath('paint', property)) {
+    return validateProperty('paint', layerType, property, value, path);
+}
+
+/**
+ * Validate a layout property value (null unsets it and is always valid)
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateLayoutProperty(layerType, property, value, path = joinPath('layout', property)) {
+    return validateProperty('layout', layerType, property, value, path);
+}
+
+/**
+ * Validate a filter - an expression, or legacy syntax (["==", "class", "park"])
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateFilter(filter, path = 'filter') {
+    const errors = [];
+    if (filter === null) {
+        return errors;
+    }
+    if (!isExpressionFilter(filter)) {
+        validateLegacyFilter(filter, path, errors);
+        return errors;
+    }
+
+    const context = createContext(errors, null);
+    checkExpression(filter, 'boolean', path, context);
+    for (const { operator, path: usePath } of context.featureState) {
+        errors.push({ path: usePath, message: `"${operator}" is not supported in filters` });
+    }
+    reportSpecialInputs(context, null, errors);
+    return errors;
+}
+
+/**
+ * One line per error, for logs and CI output
+ */
+export function formatError({ path, message }) {
+    return path ? `${path}: ${message}` : message;
+}
+
+// ---------------------------------------------------------------------------
+// Sources
+
+function validateSource(source, path, errors) {
+    if (!isObject(source)) {
+        errors.push({ path, message: `Expected a source object, found ${typeName(source)}` });
+        return;
+    }
+
+    const keys = SOURCE_TYPES[source.type];
+    if (!keys) {
+        errors.push({
+            path: joinPath(path, 'type'),
+            message: source.type === undefined
+                ? 'Missing required property "type"'
+                : `Unknown source type ${JSON.stringify(source.type)}, expected one of ${listValues(Object.keys(SOURCE_TYPES))}`
+        });
+        return;
+    }
+    for (const key of Object.keys(source)) {
+        if (!keys.includes(key)) {
+            errors.push({ path: joinPath(path, key), message: `Unknown property "${key}" for "${source.type}" sources` });
+        }
+    }
+
+    if (keys.includes('tiles')) {
+        if (source.url === undefined && source.tiles === undefined) {
+            errors.push({ path, message: 'Either "url" or "tiles" is required' });
+        }
+        if (source.tiles !== undefined && !(Array.isArray(source.tiles) && source.tiles.every(tile => typeof tile === 'string'))) {
+            errors.push({ path: joinPath(path, 'tiles'), message: 'Expected an array of URL templates' });
+        }
+        if (source.bounds !== undefined && !isNumberArray(source.bounds, 4)) {
+            errors.push({ path: joinPath(path, 'bounds'), message: 'Expected [west, south, east, north]' });
+        }
+        checkEnum(source.scheme, ['xyz', 'tms'], joinPath(path, 'scheme'), errors);
+    }
+    checkType(source.url, 'string', joinPath(path, 'url'), errors);
+    checkNumberRange(source.minzoom, 0, 24, joinPath(path, 'minzoom'), errors);
+    checkNumberRange(source.maxzoom, 0, 24, joinPath(path, 'maxzoom'), errors);
+    if (typeof source.minzoom === 'number' && typeof source.maxzoom === 'number' && source.minzoom > source.maxzoom) {
+        errors.push({ path: joinPath(path, 'minzoom'), message: `minzoom ${source.minzoom} is greater than maxzoom ${source.maxzoom}` });
+    }
+
+    switch (source.type) {
+        case 'vector':
+            checkEnum(source.encoding, ['mvt', 'mlt'], joinPath(path, 'encoding'), errors);
+            checkPromoteId(source.promoteId, joinPath(path, 'promoteId'), errors);
+            break;
+        case 'raster':
+            checkNumberRange(source.tileSize, 1, undefined, joinPath(path, 'tileSize'), errors);
+            break;
+        case 'raster-dem':
+            checkNumberRange(source.tileSize, 1, undefined, joinPath(path, 'tileSize'), errors);
+            checkEnum(source.encoding, ['terrarium', 'mapbox', 'custom'], joinPath(path, 'encoding'), errors);
+            break;
+        case 'geojson':
+            if (source.data === undefined) {
+                errors.push({ path: joinPath(path, 'data'), message: 'Missing required property "data"' });
+            } else if (typeof source.data !== 'string' && !isObject(source.data)) {
+                errors.push({ path: joinPath(path, 'data'), message: `Expected a GeoJSON object or URL, found ${typeName(source.data)}` });
+            }
+            checkNumberRange(source.buffer, 0, 512, joinPath(path, 'buffer'), errors);
+            checkNumberRange(source.tolerance, 0, undefined, joinPath(path, 'tolerance'), errors);
+            checkType(source.cluster, 'boolean', joinPath(path, 'cluster'), errors);
+            checkType(source.generateId, 'boolean', joinPath(path, 'generateId'), errors);
+            checkPromoteId(source.promoteId, joinPath(path, 'promoteId'), errors);
+            if (source.filter !== undefined) {
+                errors.push(...validateFilter(source.filter, joinPath(path, 'filter')));
+            }
+            break;
+        case 'image':
+        case 'video':
+            if (!(Array.isArray(source.coordinates) && source.coordinates.length === 4 &&
+                source.coordinates.every(corner => isNumberArray(corner, 2)))) {
+                errors.push({ path: joinPath(path, 'coordinates'), message: 'Expected four [longitude, latitude] corners' });
+            }
+            if (source.type === 'video' && !(Array.isArray(source.urls) && source.urls.length > 0)) {
+                errors.push({ path: joinPath(path, 'urls'), message: 'Expected an array of video URLs' });
+            }
+            break;
+    }
+}
+
+function checkPromoteId(promoteId, path, errors) {
+    if (promoteId === undefined || typeof promoteId === 'string') return;
+    if (!isObject(promoteId) || !Object.values(promoteId).every(value => typeof value === 'string')) {
+        errors.push({ path, message: 'Expected a property name, or an object of source-layer → property name' });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Properties
+
+function validateProperty(kind, layerType, property, value, path) {
+    const errors = [];
+    const spec = LAYER_TYPES[layerType]?.[kind]?.[property];
+    if (!spec) {
+        errors.push({ path, message: `Unknown ${kind} property "${property}" for "${layerType}" layers` });
+        return errors;
+    }
+    if (value === null || value === undefined) {
+        return errors;
+    }
+
+    // An array where no array is expected is an expression, if a misspelled one
+    const isArrayValue = spec.type === 'array' || spec.type === 'padding';
+    if (isExpression(value) || (Array.isArray(value) && !isArrayValue)) {
+        validatePropertyExpression(kind, property, spec, value, path, errors);
+    } else if (isObject(value)) {
+        validateLegacyFunction(kind, property, spec, value, path, errors);
+    } else {
+        validateConstant(spec, value, path, errors);
+    }
+    return errors;
+}
+
+/**
+ * A literal property value (no expression)
+ */
+function validateConstant(spec, value, path, errors) {
+    switch (spec.type) {
+        case 'number':
+            if (typeof value !== 'number' || !isFinite(value)) {
+                errors.push({ path, message: `Expected a number, found ${typeName(value)}` });
+            } else {
+                checkNumberRange(value, spec.minimum, spec.maximum, path, errors);
+            }
+            break;
+        case 'color':
+            if (typeof value !== 'string' || !parseCSSColor(value)) {
+                errors.push({ path, message: `Expected a color, found ${JSON.stringify(value)}` });
+            }
+            break;
+        case 'boolean':
+        case 'string':
+            checkType(value, spec.type, path, errors);
+            break;
+        case 'enum':
+            if (!spec.values.includes(value)) {
+                errors.push({ path, message: `Expected one of ${listValues(spec.values)}, found ${JSON.stringify(value)}` });
+            }
+            break;
+        case 'formatted':
+        case 'resolvedImage':
+            checkType(value, 'string', path, errors);
+            break;
+        case 'padding':
+            if (typeof value !== 'number' && !(isNumberArray(value) && value.length >= 1 && value.length <= 4)) {
+                errors.push({ path, message: 'Expected a number or an array of 1 to 4 numbers' });
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: `Expected an array, found ${typeName(value)}` });
+                break;
+            }
+            if (spec.length !== undefined && value.length !== spec.length) {
+                errors.push({ path, message: `Expected an array of ${spec.length} values, found ${value.length}` });
+            }
+            value.forEach((item, index) => {
+                if (spec.value === 'value') return;
+                const itemSpec = spec.value === 'enum'
+                    ? { type: 'enum', values: spec.values }
+                    : { type: spec.value, minimum: spec.minimum };
+                validateConstant(itemSpec, item, joinPath(path, index), errors);
+            });
+            break;
+    }
+}
+
+/**
+ * A legacy function: { stops, base?, property?, type?, default?, colorSpace? }
+ */
+function validateLegacyFunction(kind, property, spec, fn, path, errors) {
+    if (spec.expression !== 'zoom' && spec.expression !== 'data') {
+        errors.push({ path, message: `"${property}" does not support functions` });
+        return;
+    }
+
+    for (const key of Object.keys(fn)) {
+        if (!['type', 'stops', 'base', 'property', 'default', 'colorSpace'].includes(key)) {
+            errors.push({ path: joinPath(path, key), message: `Unknown function property "${key}"` });
+        }
+    }
+
+    const isPropertyFunction = fn.property !== undefined;
+    if (isPropertyFunction) {
+        checkType(fn.property, 'string', joinPath(path, 'property'), errors);
+        if (spec.expression !== 'data') {
+            errors.push({ path: joinPath(path, 'property'), message: `"${property}" does not support data-driven functions` });
+        }
+    }
+
+    const type = fn.type ?? (isInterpolatable(spec) ? 'exponential' : 'interval');
+    if (!['identity', 'exponential', 'interval', 'categorical'].includes(type)) {
+        errors.push({ path: joinPath(path, 'type'), message: `Expected one of "identity", "exponential", "interval", "categorical", found ${JSON.stringify(type)}` });
+        return;
+    }
+    if (type === 'exponential' && !isInterpolatable(spec)) {
+        errors.push({ path: joinPath(path, 'type'), message: `Exponential functions are not supported for ${spec.type} values` });
+    }
+    if ((type === 'identity' || type === 'categorical') && !isPropertyFunction) {
+        errors.push({ path: joinPath(path, 'type'), message: `"${type}" functions need a "property"` });
+    }
+    if (fn.base !== undefined && (typeof fn.base !== 'number' || fn.base <= 0)) {
+        errors.push({ path: joinPath(path, 'base'), message: 'Expected a positive number' });
+    }
+    checkEnum(fn.colorSpace, ['rgb', 'lab', 'hcl'], joinPath(path, 'colorSpace'), errors);
+    if (fn.default !== undefined) {
+        validateConstant(spec, fn.default, joinPath(path, 'default'), errors);
+    }
+
+    if (type === 'identity') return;
+    if (!Array.isArray(fn.stops) || fn.stops.length === 0) {
+        errors.push({ path: joinPath(path, 'stops'), message: 'Expected a non-empty array of [input, output] stops' });
+        return;
+    }
+
+    let previousInput = null;
+    fn.stops.forEach((stop, index) => {
+        const stopPath = joinPath(joinPath(path, 'stops'), index);
+        if (!Array.isArray(stop) || stop.length !== 2) {
+            errors.push({ path: stopPath, message: 'Expected an [input, output] pair' });
+            return;
+        }
+
+        // Zoom-and-property functions key their stops by { zoom, value }
+        let input = stop[0];
+        if (isObject(input)) {
+            if (!isPropertyFunction || typeof input.zoom !== 'number' || input.value === undefined) {
+                errors.push({ path: joinPath(stopPath, 0), message: 'Expected { zoom, value } (zoom-and-property functions only)' });
+                return;
+            }
+            input = input.zoom;
+        } else if (!isPropertyFunction && typeof input !== 'number') {
+            errors.push({ path: joinPath(stopPath, 0), message: `Expected a zoom level, found ${typeName(input)}` });
+        } else if (isPropertyFunction && !['number', 'string', 'boolean'].includes(typeof input)) {
+            errors.push({ path: joinPath(stopPath, 0), message: `Expected a number, string or boolean, found ${typeName(input)}` });
+        }
+
+        if (type !== 'categorical' && typeof input === 'number') {
+            if (previousInput !== null && input < previousInput) {
+                errors.push({ path: joinPath(stopPath, 0), message: 'Stop inputs must be in ascending order' });
+            }
+            previousInput = input;
+        }
+        validateConstant(spec, stop[1], joinPath(stopPath, 1), errors);
+    });
+}
+
+/**
+ * An expression property value: type-check it, then check the inputs it uses are
+ * allowed for the property (zoom, feature data, feature-state, line-progress, ...)
+ */
+function validatePropertyExpression(kind, property, spec, expression, path, errors) {
+    if (spec.expression === 'constant') {
+        errors.push({ path, message: `"${property}" does not support expressions` });
+        return;
+    }
+
+    const context = createContext(errors, spec.type === 'enum' ? spec.values : null);
+    checkExpression(expression, expectedType(spec), path, context);
+
+    const isDataDriven = spec.expression === 'data';
+    if (!isDataDriven) {
+        for (const { operator, path: usePath } of context.feature) {
+            errors.push({ path: usePath, message: `"${property}" does not support data expressions ("${operator}")` });
+        }
+    } else if (kind === 'layout') {
+        for (const { operator, path: usePath } of context.featureState) {
+            errors.push({ path: usePath, message: `"${operator}" is not supported in layout properties` });
+        }
+    }
+
+    const isSpecialInput = spec.expression === 'line-progress' || spec.expression === 'heatmap-density';
+    if (isSpecialInput) {
+        for (const usePath of context.zoom) {
+            errors.push({ path: usePath, message: `"${property}" does not support zoom expressions` });
+        }
+    } else {
+        // Zoom can only drive a curve: the input of the outermost step / interpolate
+        const zoomCurveInputs = new Set();
+        findZoomCurveInputs(expression, path, zoomCurveInputs);
+        for (const usePath of context.zoom) {
+            if (!zoomCurveInputs.has(usePath)) {
+                errors.push({ path: usePath, message: '"zoom" may only be used as the input of a top-level "step" or "interpolate"' });
+            }
+        }
+    }
+    reportSpecialInputs(context, isSpecialInput ? spec.expression : null, errors);
+}
+
+// Paths of ["zoom"] that are the input of a top-level curve (also inside let / coalesce)
+function findZoomCurveInputs(expression, path, inputs) {
+    if (!isExpression(expression)) return;
+    const [operator] = expression;
+
+    if (operator === 'step') {
+        inputs.add(joinPath(path, 1));
+    } else if (operator.startsWith('interpolate')) {
+        inputs.add(joinPath(path, 2));
+    } else if (operator === 'let') {
+        findZoomCurveInputs(expression[expression.length - 1], joinPath(path, expression.length - 1), inputs);
+    } else if (operator === 'coalesce') {
+        expression.slice(1).forEach((arg, index) => findZoomCurveInputs(arg, joinPath(path, index + 1), inputs));
+    }
+}
+
+// line-progress and heatmap-density are only inputs of line-gradient and heatmap-color
+function reportSpecialInputs(context, allowed, errors) {
+    for (const { operator, path } of context.special) {
+        if (operator !== allowed) {
+            const property = operator === 'line-progress' ? 'line-gradient' : 'heatmap-color';
+            errors.push({ path, message: `"${operator}" is only supported in "${property}"` });
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Legacy filters
+
+const LEGACY_COMPARISONS = ['==', '!=', '<', '<=', '>', '>='];
+
+function validateLegacyFilter(filter, path, errors) {
+    if (!Array.isArray(filter) || filter.length === 0) {
+        errors.push({ path, message: `Expected a filter array, found ${typeName(filter)}` });
+        return;
+    }
+
+    const [operator, key] = filter;
+    if (LEGACY_COMPARISONS.includes(operator)) {
+        if (filter.length !== 3) {
+            errors.push({ path, message: `"${operator}" filters take a key and a value` });
+        }
+        checkType(key, 'string', joinPath(path, 1), errors);
+        if (key === '$type' && !['Point', 'LineString', 'Polygon'].includes(filter[2])) {
+            errors.push({ path: joinPath(path, 2), message: 'Expected "Point", "LineString" or "Polygon"' });
+        }
+    } else if (operator === 'in' || operator === '!in') {
+        checkType(key, 'string', joinPath(path, 1), errors);
+    } else if (operator === 'has' || operator === '!has') {
+        if (filter.length !== 2) {
+            errors.push({ path, message: `"${operator}" filters take a key` });
+        }
+        checkType(key, 'string', joinPath(path, 1), errors);
+    } else if (operator === 'all' || operator === 'any' || operator === 'none') {
+        // Children may mix legacy and expression syntax
+        filter.slice(1).forEach((child, index) => {
+            errors.push(...validateFilter(child, joinPath(path, index + 1)));
+        });
+    } else {
+        errors.push({ path: joinPath(path, 0), message: `Unknown filter operator ${JSON.stringify(operator)}` });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Expression type checking
+//
+// Types: number, string, boolean, color, object, null, formatted, resolvedImage, collator,
+// array / array<number> / array<string> / array<boolean>, and value (unknown until
+// evaluated - accepted anywhere, as MapLibre asserts or coerces it at runtime).
+// Expected-only types: enum (a string of the property's values), padding.
+
+// Operators whose result depends on the feature (get / has read the feature's properties
+// only without an object argument)
+const FEATURE_OPERATORS = ['get', 'has', 'id', 'properties', 'geometry-type', 'feature-state', 'within', 'distance'];
+
+function createContext(errors, enumValues) {
+    return {
+        errors,
+        enumValues,
+        scope: new Map(), // let bindings → type
+        zoom: [],         // paths of ["zoom"]
+        feature: [],      // { operator, path } of feature data reads
+        featureState: [], // { operator, path } of ["feature-state"]
+        special: []       // { operator, path } of ["line-progress"] / ["heatmap-density"]
+    };
+}
+
+function expectedType(spec) {
+    switch (spec.type) {
+        case 'array':
+            return spec.value === 'number' || spec.value === 'string' ? `array<${spec.value}>` : spec.value === 'enum' ? 'array<string>' : 'array';
+        default:
+            return spec.type;
+    }
+}
+
+/**
+ * Type-check an expression (or literal argument) against the expected type
+ * @returns {string} The expression's type
+ */
+function checkExpression(expression, expected, path, context) {
+    const type = inferType(expression, expected, path, context);
+    if (!isAssignable(expected, type)) {
+        context.errors.push({ path, message: `Expected ${describeType(expected)} but found ${describeType(type)} instead` });
+    }
+    return type;
+}
+
+function inferType(expression, expected, path, context) {
+    if (Array.isArray(expression)) {
+        if (expression.length === 0) {
+            context.errors.push({ path, message: 'Expected an array with at least one element. If you wanted a literal array, use ["literal", []]' });
+            return 'value';
+        }
+        const [operator] = expression;
+        if (typeof operator !== 'string') {
+            context.errors.push({ path: joinPath(path, 0), message: `Expression name must be a string, but found ${typeName(operator)} instead. If you wanted a literal array, use ["literal", [...]]` });
+            return 'value';
+        }
+        const signature = SIGNATURES[operator];
+        if (!signature) {
+            context.errors.push({ path: joinPath(path, 0), message: `Unknown expression "${operator}". If you wanted a literal array, use ["literal", [...]]` });
+            return 'value';
+        }
+
+        recordInput(operator, expression, path, context);
+        return typeof signature === 'function'
+            ? signature(expression, path, context, expected)
+            : checkSignature(signature, expression, path, context);
+    }
+
+    if (isObject(expression)) {
+        context.errors.push({ path, message: 'Bare objects invalid. Use ["literal", {...}] instead' });
+        return 'value';
+    }
+    return literalType(expression, expected, path, context);
+}
+
+// Type of a literal; strings become colors where a color is expected, and must be one
+function literalType(value, expected, path, context) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return arrayType(value);
+    if (isObject(value)) return 'object';
+
+    if (typeof value === 'string') {
+        if (expected === 'color') {
+            if (!parseCSSColor(value)) {
+                context.errors.push({ path, message: `Could not parse color from value "${value}"` });
+            }
+            return 'color';
+        }
+        if (expected === 'enum' && context.enumValues && !context.enumValues.includes(value)) {
+            context.errors.push({ path, message: `Expected one of ${listValues(context.enumValues)}, found "${value}"` });
+        }
+        return 'string';
+    }
+    return typeof value === 'number' || typeof value === 'boolean' ? typeof value : 'value';
+}
+
+function arrayType(values) {
+    for (const itemType of ['number', 'string', 'boolean']) {
+        if (values.length > 0 && values.every(value => typeof value === itemType)) {
+            return `array<${itemType}>`;
+        }
+    }
+    return 'array';
+}
+
+function recordInput(operator, expression, path, context) {
+    if (operator === 'zoom') {
+        context.zoom.push(path);
+    } else if (operator === 'line-progress' || operator === 'heatmap-density') {
+        context.special.push({ operator, path });
+    } else if (FEATURE_OPERATORS.includes(operator) && !((operator === 'get' || operator === 'has') && expression.length > 2)) {
+        context.feature.push({ operator, path });
+        if (operator === 'feature-state') {
+            context.featureState.push({ operator, path });
+        }
+    }
+}
+
+function isAssignable(expected, actual) {
+    if (!expected || expected === 'value' || actual === 'value' || actual === 'null' || expected === actual) {
+        return true;
+    }
+    switch (expected) {
+        case 'enum':
+            return actual === 'string';
+        case 'formatted':
+        case 'resolvedImage':
+            return actual === 'string'; // Coerced
+        case 'padding':
+            return actual === 'number' || actual.startsWith('array');
+        case 'array':
+            return actual.startsWith('array');
+        default:
+            return expected.startsWith('array<') && actual === 'array';
+    }
+}
+
+function describeType(type) {
+    return type === 'enum' ? 'string' : type;
+}
+
+/**
+ * Check a declarative signature: { result, params, rest?, min? }
+ */
+function checkSignature({ result, params = [], rest = null, min = params.length }, expression, path, context) {
+    const max = rest ? Infinity : params.length;
+    checkArgumentCount(expression, min, max, path, context);
+    for (let i = 1; i < expression.length; i++) {
+        checkExpression(expression[i], params[i - 1] ?? rest, joinPath(path, i), context);
+    }
+    return result;
+}
+
+function checkArgumentCount(expression, min, max, path, context) {
+    const count = expression.length - 1;
+    if (count >= min && count <= max) {
+        return true;
+    }
+    const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+    context.errors.push({ path, message: `"${expression[0]}" expects ${expected} argument${expected === '1' ? '' : 's'}, but found ${count}` });
+    return false;
+}
+
+// Result of branching expressions: the expected type, else the branches' common type
+function branchType(types, expected) {
+    if (expected && expected !== 'value') {
+        return expected;
+    }
+    const concrete = [...new Set(types.filter(type => type !== 'null' && type !== 'value'))];
+    return concrete.length === 1 ? concrete[0] : 'value';
+}
+
+function checkEquality(expression, path, context) {
+    checkArgumentCount(expression, 2, 3, path, context);
+    const left = checkExpression(expression[1], 'value', joinPath(path, 1), context);
+    const right = checkExpression(expression[2], 'value', joinPath(path, 2), context);
+    if (expression.length > 3) {
+        checkExpression(expression[3], 'collator', joinPath(path, 3), context);
+    }
+
+    for (const type of [left, right]) {
+        if (!['string', 'number', 'boolean', 'null', 'value'].includes(type)) {
+            context.errors.push({ path, message: `"${expression[0]}" comparisons are not supported for type '${type}'` });
+            return 'boolean';
+        }
+    }
+    if (!['null', 'value'].includes(left) && !['null', 'value'].includes(right) && left !== right) {
+        context.errors.push({ path, message: `Cannot compare types '${left}' and '${right}'` });
+    }
+    return 'boolean';
+}
+
+function checkOrdering(expression, path, context) {
+    checkArgumentCount(expression, 2, 3, path, context);
+    const left = checkExpression(expression[1], 'value', joinPath(path, 1), context);
+    const right = checkExpression(expression[2], 'value', joinPath(path, 2), context);
+    if (expression.length > 3) {
+        checkExpression(expression[3], 'collator', joinPath(path, 3), context);
+    }
+
+    for (const type of [left, right]) {
+        if (!['string', 'number', 'value'].includes(type)) {
+            context.errors.push({ path, message: `"${expression[0]}" comparisons are not supported for type '${type}'` });
+            return 'boolean';
+        }
+    }
+    if (left !== 'value' && right !== 'value' && left !== right) {
+        context.errors.push({ path, message: `Cannot compare types '${left}' and '${right}'` });
+    }
+    return 'boolean';
+}
+
+// Stop inputs of step / interpolate: literal numbers in strictly ascending order
+function checkStopInputs(expression, firstStop, path, context) {
+    let previous = -Infinity;
+    for (let i = firstStop; i < expression.length - 1; i += 2) {
+        const stop = expression[i];
+        if (typeof stop !== 'number') {
+            context.errors.push({ path: joinPath(path, i), message: `Stop inputs of "${expression[0]}" must be literal numbers, not computed expressions` });
+            return;
+        }
+        if (stop <= previous) {
+            context.errors.push({ path: joinPath(path, i), message: `Stop inputs of "${expression[0]}" must be in strictly ascending order` });
+            return;
+        }
+        previous = stop;
+    }
+}
+
+function checkInterpolation(interpolation, path, context) {
+    const [type, ...params] = Array.isArray(interpolation) ? interpolation : [];
+    const isValid =
+        (type === 'linear' && params.length === 0) ||
+        (type === 'exponential' && params.length === 1 && typeof params[0] === 'number') ||
+        (type === 'cubic-bezier' && params.length === 4 && params.every(param => typeof param === 'number') &&
+            params[0] >= 0 && params[0] <= 1 && params[2] >= 0 && params[2] <= 1);
+    if (!isValid) {
+        context.errors.push({ path, message: `Unknown interpolation type ${JSON.stringify(interpolation)}, expected ["linear"], ["exponential", base] or ["cubic-bezier", x1, y1, x2, y2] (x in 0..1)` });
+    }
+}
+
+function checkInterpolate(expression, path, context, expected) {
+    const colorSpace = expression[0] !== 'interpolate';
+    if (!checkArgumentCount(expression, 4, Infinity, path, context)) return colorSpace ? 'color' : 'value';
+    if ((expression.length - 3) % 2 !== 0) {
+        context.errors.push({ path, message: `"${expression[0]}" expects input / output stop pairs` });
+    }
+
+    checkInterpolation(expression[1], joinPath(path, 1), context);
+    checkExpression(expression[2], 'number', joinPath(path, 2), context);
+    checkStopInputs(expression, 3, path, context);
+
+    const outputExpected = colorSpace ? 'color' : expected;
+    const outputs = [];
+    for (let i = 4; i < expression.length; i += 2) {
+        outputs.push(checkExpression(expression[i], outputExpected, joinPath(path, i), context));
+    }
+    const result = branchType(outputs, outputExpected);
+    if (!['number', 'color', 'array<number>', 'array', 'value', 'padding'].includes(result)) {
+        context.errors.push({ path, message: `Type ${describeType(result)} is not interpolatable` });
+    }
+    return result;
+}
+
+function checkStep(expression, path, context, expected) {
+    if (!checkArgumentCount(expression, 2, Infinity, path, context)) return expected ?? 'value';
+    if ((expression.length - 1) % 2 !== 0) {
+        context.errors.push({ path, message: '"step" expects an input, a first output and input / output stop pairs' });
+    }
+
+    checkExpression(expression[1], 'number', joinPath(path, 1), context);
+    checkStopInputs(expression, 3, path, context);
+    const outputs = [];
+    for (let i = 2; i < expression.length; i += 2) {
+        outputs.push(checkExpression(expression[i], expected, joinPath(path, i), context));
+    }
+    return branchType(outputs, expected);
+}
+
+function checkCase(expression, path, context, expected) {
+    if (!checkArgumentCount(expression, 3, Infinity, path, context)) return expected ?? 'value';
+    if ((expression.length - 1) % 2 === 0) {
+        context.errors.push({ path, message: '"case" expects condition / output pairs and a fallback' });
+    }
+
+    const outputs = [];
+    for (let i = 1; i < expression.length - 1; i += 2) {
+        checkExpression(expression[i], 'boolean', joinPath(path, i), context);
+        outputs.push(checkExpression(expression[i + 1], expected, joinPath(path, i + 1), context));
+    }
+    outputs.push(checkExpression(expression[expression.length - 1], expected, joinPath(path, expression.length - 1), context));
+    return branchType(outputs, expected);
+}
+
+function checkMatch(expression, path, context, expected) {
+    if (!checkArgumentCount(expression, 4, Infinity, path, context)) return expected ?? 'value';
+    if ((expression.length - 1) % 2 !== 0) {
+        context.errors.push({ path, message: '"match" expects an input, label / output pairs and a fallback' });
+    }
+
+    // Labels: literal numbers (integers) or strings, or non-empty arrays of them, one type
+    let labelType = null;
+    const seen = new Set();
+    const outputs = [];
+    for (let i = 2; i < expression.length - 1; i += 2) {
+        const labelPath = joinPath(path, i);
+        const labels = Array.isArray(expression[i]) ? expression[i] : [expression[i]];
+        if (labels.length === 0) {
+            context.errors.push({ path: labelPath, message: 'Expected at least one branch label' });
+        }
+        for (const label of labels) {
+            if (typeof label !== 'number' && typeof label !== 'string') {
+                context.errors.push({ path: labelPath, message: 'Branch labels must be numbers or strings' });
+                continue;
+            }
+            if (typeof label === 'number' && !Number.isInteger(label)) {
+                context.errors.push({ path: labelPath, message: 'Numeric branch labels must be integer values' });
+            }
+            labelType ??= typeof label;
+            if (typeof label !== labelType) {
+                context.errors.push({ path: labelPath, message: `Expected ${labelType} but found ${typeof label} instead` });
+            }
+            if (seen.has(label)) {
+                context.errors.push({ path: labelPath, message: 'Branch labels must be unique' });
+            }
+            seen.add(label);
+        }
+        outputs.push(checkExpression(expression[i + 1], expected, joinPath(path, i + 1), context));
+    }
+
+    checkExpression(expression[1], labelType ?? 'value', joinPath(path, 1), context);
+    outputs.push(checkExpression(expression[expression.length - 1], expected, joinPath(path, expression.length - 1), context));
+    return branchType(outputs, expected);
+}
+
+function checkCoalesce(expression, path, context, expected) {
+    checkArgumentCount(expression, 1, Infinity, path, context);
+    const outputs = expression.slice(1).map((arg, index) => checkExpression(arg, expected, joinPath(path, index + 1), context));
+    return branchType(outputs, expected);
+}
+
+function checkLet(expression, path, context, expected) {
+    if (!checkArgumentCount(expression, 3, Infinity, path, context)) return 'value';
+    if ((expression.length - 2) % 2 !== 0) {
+        context.errors.push({ path, message: '"let" expects name / value pairs and a body' });
+    }
+
+    const outer = context.scope;
+    context.scope = new Map(outer);
+    for (let i = 1; i < expression.length - 1; i += 2) {
+        const name = expression[i];
+        if (typeof name !== 'string' || !/^[a-zA-Z0-9_]+$/.test(name)) {
+            context.errors.push({ path: joinPath(path, i), message: 'Variable names must contain only alphanumeric characters or "_"' });
+            continue;
+        }
+        context.scope.set(name, checkExpression(expression[i + 1], 'value', joinPath(path, i + 1), context));
+    }
+    const result = checkExpression(expression[expression.length - 1], expected, joinPath(path, expression.length - 1), context);
+    context.scope = outer;
+    return result;
+}
+
+function checkVar(expression, path, context) {
+    if (!checkArgumentCount(expression, 1, 1, path, context)) return 'value';
+    const name = expression[1];
+    if (!context.scope.has(name)) {
+        context.errors.push({ path: joinPath(path, 1), message: `Unknown variable "${name}". Make sure "${name}" has been bound in an enclosing "let" expression before using it` });
+        return 'value';
+    }
+    return context.scope.get(name);
+}
+
+function checkLiteral(expression, path, context, expected) {
+    if (!checkArgumentCount(expression, 1, 1, path, context)) return 'value';
+    return literalType(expression[1], expected === 'color' || expected === 'enum' ? expected : null, joinPath(path, 1), context);
+}
+
+function checkArrayAssertion(expression, path, context) {
+    if (!checkArgumentCount(expression, 1, 3, path, context)) return 'array';
+    const [, ...args] = expression;
+    const itemType = args.length > 1 ? args[0] : null;
+    if (itemType !== null && !['string', 'number', 'boolean'].includes(itemType)) {
+        context.errors.push({ path: joinPath(path, 1), message: 'The item type argument of "array" must be one of "string", "number", "boolean"' });
+    }
+    if (args.length === 3 && !(Number.isInteger(args[1]) && args[1] >= 0)) {
+        context.errors.push({ path: joinPath(path, 2), message: 'The length argument of "array" must be a non-negative integer literal' });
+    }
+    checkExpression(expression[expression.length - 1], 'value', joinPath(path, expression.length - 1), context);
+    return itemType && ['string', 'number', 'boolean'].includes(itemType) ? `array<${itemType}>` : 'array';
+}
+
+function checkAt(expression, path, context) {
+    if (!checkArgumentCount(expression, 2, 2, path, context)) return 'value';
+    checkExpression(expression[1], 'number', joinPath(path, 1), context);
+    const arrayType = checkExpression(expression[2], 'array', joinPath(path, 2), context);
+    return arrayType.startsWith('array<') ? arrayType.slice(6, -1) : 'value';
+}
+
+// length / slice take a string or an array
+function checkStringOrArray(expression, path, context, max) {
+    if (!checkArgumentCount(expression, max === 1 ? 1 : 2, max, path, context)) return 'value';
+    const type = checkExpression(expression[1], 'value', joinPath(path, 1), context);
+    if (type !== 'value' && type !== 'string' && !type.startsWith('array')) {
+        context.errors.push({ path: joinPath(path, 1), message: `Expected a string or an array but found ${type} instead` });
+    }
+    for (let i = 2; i < expression.length; i++) {
+        checkExpression(expression[i], 'number', joinPath(path, i), context);
+    }
+    return type;
+}
+
+// Options objects are not evaluated as expressions, but their values are
+function checkOptions(options, optionTypes, path, context) {
+    if (!isObject(options)) {
+        context.errors.push({ path, message: `Expected an options object, found ${typeName(options)}` });
+        return;
+    }
+    for (const [key, value] of Object.entries(options)) {
+        if (!(key in optionTypes)) {
+            context.errors.push({ path: joinPath(path, key), message: `Unknown option "${key}", expected one of ${listValues(Object.keys(optionTypes))}` });
+            continue;
+        }
+        checkExpression(value, optionTypes[key], joinPath(path, key), context);
+    }
+}
+
+function checkCollator(expression, path, context) {
+    if (checkArgumentCount(expression, 1, 1, path, context)) {
+        checkOptions(expression[1], { 'case-sensitive': 'boolean', 'diacritic-sensitive': 'boolean', locale: 'string' }, joinPath(path, 1), context);
+    }
+    return 'collator';
+}
+
+function checkFormat(expression, path, context) {
+    checkArgumentCount(expression, 1, Infinity, path, context);
+    for (let i = 1; i < expression.length; i++) {
+        const arg = expression[i];
+        if (isObject(arg)) {
+            if (i === 1 || isObject(expression[i - 1])) {
+                context.errors.push({ path: joinPath(path, i), message: 'Format options must follow a section of content' });
+            }
+            checkOptions(arg, { 'font-scale': 'number', 'text-font': 'array<string>', 'text-color': 'color', 'vertical-align': 'string' }, joinPath(path, i), context);
+        } else {
+            const type = checkExpression(arg, 'value', joinPath(path, i), context);
+            if (!['string', 'resolvedImage', 'value', 'null', 'number', 'boolean'].includes(type)) {
+                context.errors.push({ path: joinPath(path, i), message: `Expected a string or an image but found ${type} instead` });
+            }
+        }
+    }
+    return 'formatted';
+}
+
+function checkNumberFormat(expression, path, context) {
+    if (checkArgumentCount(expression, 2, 2, path, context)) {
+        checkExpression(expression[1], 'number', joinPath(path, 1), context);
+        checkOptions(expression[2], { locale: 'string', currency: 'string', 'min-fraction-digits': 'number', 'max-fraction-digits': 'number' }, joinPath(path, 2), context);
+    }
+    return 'string';
+}
+
+// within / distance take a literal GeoJSON argument
+function checkGeoJSONArgument(expression, path, context, types) {
+    if (!checkArgumentCount(expression, 1, 1, path, context)) return;
+    const geojson = expression[1];
+    const geometryType = geojson?.type === 'Feature' ? geojson.geometry?.type : geojson?.type;
+    if (!isObject(geojson) || !(types.includes(geometryType) || geojson.type === 'FeatureCollection')) {
+        context.errors.push({ path: joinPath(path, 1), message: `"${expression[0]}" expects a GeoJSON object (${types.join(', ')})` });
+    }
+}
+
+const typed = (type) => ({ result: type, params: ['value'], rest: 'value', min: 1 });
+const math1 = { result: 'number', params: ['number'] };
+const math2 = { result: 'number', params: ['number', 'number'] };
+const constant = (result) => ({ result, params: [] });
+
+// Operator → declarative signature, or checker (expression, path, context, expected) → type
+const SIGNATURES = {
+    // Types
+    'literal': checkLiteral,
+    'array': checkArrayAssertion,
+    'boolean': typed('boolean'),
+    'number': typed('number'),
+    'string': typed('string'),
+    'object': typed('object'),
+    'collator': checkCollator,
+    'format': checkFormat,
+    'image': { result: 'resolvedImage', params: ['string'] },
+    'number-format': checkNumberFormat,
+    'to-boolean': { result: 'boolean', params: ['value'] },
+    'to-color': typed('color'),
+    'to-number': typed('number'),
+    'to-string': { result: 'string', params: ['value'] },
+    'typeof': { result: 'string', params: ['value'] },
+
+    // Feature data
+    'accumulated': constant('number'),
+    'feature-state': { result: 'value', params: ['string'] },
+    'geometry-type': constant('string'),
+    'id': constant('value'),
+    'line-progress': constant('number'),
+    'properties': constant('object'),
+    'heatmap-density': constant('number'),
+
+    // Lookup
+    'at': checkAt,
+    'get': { result: 'value', params: ['string', 'object'], min: 1 },
+    'has': { result: 'boolean', params: ['string', 'object'], min: 1 },
+    'in': { result: 'boolean', params: ['value', 'value'] },
+    'index-of': { result: 'number', params: ['value', 'value', 'number'], min: 2 },
+    'length': (expression, path, context) => {
+        checkStringOrArray(expression, path, context, 1);
+        return 'number';
+    },
+    'slice': (expression, path, context) => checkStringOrArray(expression, path, context, 3),
+
+    // Decision
+    '!': { result: 'boolean', params: ['boolean'] },
+    '==': checkEquality,
+    '!=': checkEquality,
+    '<': checkOrdering,
+    '<=': checkOrdering,
+    '>': checkOrdering,
+    '>=': checkOrdering,
+    'all': { result: 'boolean', rest: 'boolean', min: 0 },
+    'any': { result: 'boolean', rest: 'boolean', min: 0 },
+    'case': checkCase,
+    'coalesce': checkCoalesce,
+    'match': checkMatch,
+    'within': (expression, path, context) => {
+        checkGeoJSONArgument(expression, path, context, ['Polygon', 'MultiPolygon']);
+        return 'boolean';
+    },
+
+    // Ramps, scales, curves
+    'interpolate': checkInterpolate,
+    'interpolate-hcl': checkInterpolate,
+    'interpolate-lab': checkInterpolate,
+    'step': checkStep,
+
+    // Variable binding
+    'let': checkLet,
+    'var': checkVar,
+
+    // String
+    'concat': { result: 'string', rest: 'value', min: 1 },
+    'downcase': { result: 'string', params: ['string'] },
+    'upcase': { result: 'string', params: ['string'] },
+    'is-supported-script': { result: 'boolean', params: ['string'] },
+    'resolved-locale': { result: 'string', params: ['collator'] },
+
+    // Color
+    'rgb': { result: 'color', params: ['number', 'number', 'number'] },
+    'rgba': { result: 'color', params: ['number', 'number', 'number', 'number'] },
+    'to-rgba': { result: 'array<number>', params: ['color'] },
+
+    // Math
+    '+': { result: 'number', rest: 'number', min: 2 },
+    '*': { result: 'number', rest: 'number', min: 2 },
+    '-': { result: 'number', params: ['number', 'number'], min: 1 },
+    '/': math2,
+    '%': math2,
+    '^': math2,
+    'abs': math1,
+    'acos': math1,
+    'asin': math1,
+    'atan': math1,
+    'ceil': math1,
+    'cos': math1,
+    'distance': (expression, path, context) => {
+        checkGeoJSONArgument(expression, path, context, ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon']);
+        return 'number';
+    },
+    'e': constant('number'),
+    'floor': math1,
+    'ln': math1,
+    'ln2': constant('number'),
+    'log10': math1,
+    'log2': math1,
+    'max': { result: 'number', rest: 'number', min: 1 },
+    'min': { result: 'number', rest: 'number', min: 1 },
+    'pi': constant('number'),
+    'round': math1,
+    'sin': math1,
+    'sqrt': math1,
+    'tan': math1,
+
+    // Zoom
+    'zoom': constant('number')
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+
+// An array starting with a known operator; other arrays are literal values (text-font, dasharray)
+function isExpression(value) {
+    return Array.isArray(value) && typeof value[0] === 'string' && value[0] in SIGNATURES;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumberArray(value, length) {
+    return Array.isArray(value) && (length === undefined || value.length === length) &&
+        value.every(item => typeof item === 'number');
+}
+
+function isInterpolatable(spec) {
+    return spec.type === 'number' || spec.type === 'color' || (spec.type === 'array' && spec.value === 'number') || spec.type === 'padding';
+}
+
+function typeName(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function listValues(values) {
+    return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function checkType(value, type, path, errors) {
+    if (value !== undefined && typeof value !== type) {
+        errors.push({ path, message: `Expected a ${type}, found ${typeName(value)}` });
+    }
+}
+
+function checkEnum(value, values, path, errors) {
+    if (value !== undefined && !values.includes(value)) {
+        errors.push({ path, message: `Expected one of ${listValues(values)}, found ${JSON.stringify(value)}` });
+    }
+}
+
+function checkNumberRange(value, minimum, maximum, path, errors) {
+    if (value === undefined) return;
+    if (typeof value !== 'number') {
+        errors.push({ path, message: `Expected a number, found ${typeName(value)}` });
+    } else if (minimum !== undefined && value < minimum) {
+        errors.push({ path, message: `${value} is less than the minimum ${minimum}` });
+    } else if (maximum !== undefined && value > maximum) {
+        errors.push({ path, message: `${value} is greater than the maximum ${maximum}` });
+    }
+}
@@ -0,0 +1,419 @@
+/**
+ * FeaturePaint - Colors and opacities of vector layers, evaluated for the GPU
+ *
+ * Styled vertices carry no paint: their color channels hold the encoded feature ID
+ * (encodeFeatureIdColor - the same encoding as the hidden picking vertices). Each layer
+ * has a bind group the vertex shader reads its color from (featurePaintShaderCode):
+ * - Constant or zoom-only paint: one color in the layer uniform, re-evaluated when the zoom changes
+ * - Paint reading the feature (properties, id, state): a table with one slot per tile buffer
+ *   (a buffer is one feature of one tile) holding the color at two zooms, mixed in the shader
+ *   by a per-layer factor (see getTableZooms):
+ *   - Top-level zoom curves (["interpolate", ..., ["zoom"], ...], ["step", ["zoom"], ...]):
+ *     the stops around the zoom, mixed along the curve - re-evaluated when a stop is crossed
+ *   - Zoom used any other way: the zoom itself, re-evaluated whenever it changes
+ *
+ * So setPaintProperty and zoom transitions need no re-tessellation. A buffer's slot replaces
+ * the feature ID in its vertex color when the slot is assigned, so features sharing an ID
+ * (the same feature in several tiles, or IDs clamped to 16 bits) still get their own paint.
+ *
+ * Tile buffers are evaluated on the frame after they load; TileManager sets buffer.paintDirty
+ * when a feature's state changes.
+ */
+
+import { getStyle, getExpressionDependencies, parseColor } from '../core/style.js';
+import { evaluateCompiled, getZoomCurve, interpolationFactor } from '../core/expressions.js';
+import { getTileFeatureState, hasFeatureStates } from '../core/featureState.js';
+import { getGeoJSONSource } from '../tiles/geojsonSource.js';
+import { setVertexFeatureId } from '../tiles/geojson.js';
+
+// Paint evaluated on the GPU per layer type: [color, opacity]
+// Everything else (heights, widths) is baked into the geometry and needs a tile reload
+export const GPU_PAINT_PROPERTIES = {
+    'fill': ['fill-color', 'fill-opacity'],
+    'fill-extrusion': ['fill-extrusion-color', 'fill-extrusion-opacity'],
+    'line': ['line-color', 'line-opacity'],
+    'line-extrusion': ['line-color', 'line-opacity']
+};
+
+// LayerPaint.mode in the shader
+const MODE_VERTEX_COLOR = 0;
+const MODE_LAYER_COLOR = 1;
+const MODE_FEATURE_TABLE = 2;
+
+const DEFAULT_COLOR = [0, 0, 0, 1];
+const UNIFORM_SIZE = 32; // color vec4 + zoomT + mode + padding
+const MIN_TABLE_ENTRIES = 256;
+const MAX_TABLE_ENTRIES = 65536; // Slots are 16-bit (the vertex ID channels)
+const STOP_EPSILON = 1e-6; // Zoom just below a stop, where steps still have the value before it
+
+/**
+ * True if changing the property only needs a repaint, not a tile reload
+ */
+export function isGPUPaintProperty(layerType, property) {
+    return GPU_PAINT_PROPERTIES[layerType]?.includes(property) ?? false;
+}
+
+export class FeaturePaint {
+    /**
+     * @param {GPUDevice} device
+     * @param {GPUBindGroupLayout} bindGroupLayout - Layer paint group of the vector pipelines
+     */
+    constructor(device, bindGroupLayout) {
+        this.device = device;
+        this.bindGroupLayout = bindGroupLayout;
+        this.layers = new Map(); // layerId → layer paint (see getLayerPaint)
+        this.nextEpoch = 1;      // Tile buffers store the epoch of the table they were written into
+
+        // Bound by layers without styled paint and by layers without a table
+        this.emptyTable = device.createBuffer({
+            size: 8,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+
+        const defaultUniform = device.createBuffer({
+            size: UNIFORM_SIZE,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        device.queue.writeBuffer(defaultUniform, 0, createUniformData(DEFAULT_COLOR, 0, MODE_VERTEX_COLOR));
+        this.defaultBindGroup = this.createBindGroup(defaultUniform, this.emptyTable);
+    }
+
+    /**
+     * Bind group for a layer's draws (baked vertex colors if the layer has no GPU paint)
+     */
+    getBindGroup(layerId) {
+        return this.layers.get(layerId)?.bindGroup ?? this.defaultBindGroup;
+    }
+
+    /**
+     * Bring every layer's paint up to date for this frame (before the frame is submitted)
+     * @param {Map} tileBuffers - layerId → visible tile buffers
+     * @param {number} zoom - Camera zoom
+     */
+    update(tileBuffers, zoom) {
+        const layerIds = new Set();
+
+        for (const layer of getStyle()?.layers ?? []) {
+            const properties = GPU_PAINT_PROPERTIES[layer.type];
+            if (!properties) continue;
+
+            layerIds.add(layer.id);
+            const paint = this.getLayerPaint(layer, properties);
+            if (paint.isFeatureDependent) {
+                this.updateTable(paint, tileBuffers.get(layer.id), zoom);
+            } else {
+                this.updateLayerColor(paint, zoom);
+            }
+        }
+
+        // Layers removed from the style (or a new style)
+        for (const [layerId, paint] of this.layers) {
+            if (!layerIds.has(layerId)) {
+                paint.uniformBuffer.destroy();
+                paint.tableBuffer?.destroy();
+                this.layers.delete(layerId);
+            }
+        }
+    }
+
+    /**
+     * Paint state of a layer, re-classified whenever its color or opacity value changes
+     */
+    getLayerPaint(layer, [colorProperty, opacityProperty]) {
+        const colorValue = layer.paint?.[colorProperty];
+        const opacityValue = layer.paint?.[opacityProperty];
+
+        let paint = this.layers.get(layer.id);
+        if (paint && paint.layer === layer && paint.colorValue === colorValue && paint.opacityValue === opacityValue) {
+            return paint;
+        }
+
+        if (!paint) {
+            paint = {
+                uniformBuffer: this.device.createBuffer({
+                    size: UNIFORM_SIZE,
+                    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+                }),
+                uniformData: null, // Last uploaded, to skip unchanged writes
+                table: null,       // Uint32Array mirror of tableBuffer: 2 packed colors per slot
+                tableBuffer: null,
+                bindGroup: null,
+                slots: new Map(),  // Tile buffer → table slot
+                freeSlots: [],
+                nextSlot: 0
+            };
+            this.layers.set(layer.id, paint);
+        }
+
+        const color = getExpressionDependencies(colorValue);
+        const opacity = getExpressionDependencies(opacityValue);
+        const isFeatureDependent = color.feature || opacity.feature;
+        const isZoomDependent = color.zoom || opacity.zoom;
+        const zoomCurves = isFeatureDependent && isZoomDependent ? getZoomCurves(colorValue, opacityValue) : null;
+        Object.assign(paint, {
+            layer,
+            colorValue,
+            opacityValue,
+            isFeatureDependent,
+            isZoomDependent,
+            zoomCurves,
+            zoomStops: zoomCurves && [...new Set(zoomCurves.flatMap(curve => curve.stops))].sort((a, b) => a - b),
+            zoom: null,    // Zoom the layer color was evaluated at
+            zoomKey: null, // Zooms the table was evaluated at (see getTableZooms)
+            epoch: this.nextEpoch++
+        });
+
+        // A table only while the paint reads the feature
+        if (!paint.isFeatureDependent && paint.tableBuffer) {
+            paint.tableBuffer.destroy();
+            paint.tableBuffer = null;
+            paint.table = null;
+            paint.bindGroup = null;
+            paint.slots.clear();
+            paint.freeSlots = [];
+            paint.nextSlot = 0;
+        }
+        if (!paint.bindGroup) {
+            paint.bindGroup = this.createBindGroup(paint.uniformBuffer, paint.tableBuffer ?? this.emptyTable);
+        }
+
+        return paint;
+    }
+
+    /**
+     * Constant or zoom-only paint: one color for the whole layer
+     */
+    updateLayerColor(paint, zoom) {
+        if (paint.zoom === zoom || (paint.zoom !== null && !paint.isZoomDependent)) {
+            return;
+        }
+        paint.zoom = zoom;
+        this.writeUniform(paint, this.evaluate(paint, { properties: {} }, zoom), 0, MODE_LAYER_COLOR);
+    }
+
+    /**
+     * Feature-dependent paint: write the table slots of tile buffers not evaluated
+     * at the current table zooms yet (new tiles, changed state, zoom stop crossed)
+     */
+    updateTable(paint, buffers, zoom) {
+        const zooms = getTableZooms(paint, zoom);
+        if (zooms.key !== paint.zoomKey) {
+            paint.zoomKey = zooms.key;
+            paint.epoch = this.nextEpoch++;
+        }
+        this.writeUniform(paint, DEFAULT_COLOR, zooms.t, MODE_FEATURE_TABLE);
+
+        const liveBuffers = buffers ?? [];
+        let minIndex = Infinity;
+        let maxIndex = -1;
+        let grown = false;
+        const isGeoJSON = new Map(); // sourceId → boolean (state lookups)
+
+        for (const buffer of liveBuffers) {
+            let slot = paint.slots.get(buffer);
+            if (slot === undefined) {
+                slot = this.assignSlot(paint, buffer);
+                if (slot === null) continue; // Table full - keeps drawing with its feature ID
+                grown = this.ensureTableSize(paint, slot + 1) || grown;
+            } else if (buffer.paintEpoch === paint.epoch && !buffer.paintDirty) {
+                continue;
+            }
+            buffer.paintEpoch = paint.epoch;
+            buffer.paintDirty = false;
+
+            const { properties, sourceId } = buffer;
+
+            let state = null;
+            if (sourceId && hasFeatureStates(sourceId)) {
+                if (!isGeoJSON.has(sourceId)) {
+                    isGeoJSON.set(sourceId, getGeoJSONSource(sourceId) !== null);
+                }
+                state = getTileFeatureState(sourceId, properties, isGeoJSON.get(sourceId));
+            }
+            const feature = { id: properties.fid, properties, layer: { name: properties.sourceLayer }, state };
+
+            const lower = packColor(this.evaluate(paint, feature, zooms.lower));
+            const upper = zooms.upper !== zooms.lower ? packColor(this.evaluate(paint, feature, zooms.upper)) : lower;
+            paint.table[slot * 2] = lower;
+            paint.table[slot * 2 + 1] = upper;
+
+            minIndex = Math.min(minIndex, slot);
+            maxIndex = Math.max(maxIndex, slot);
+        }
+
+        // Every live buffer has a slot now - any beyond those left the view (unloaded tiles, released fallbacks)
+        if (paint.slots.size > liveBuffers.length) {
+            this.releaseSlots(paint, new Set(liveBuffers));
+        }
+
+        if (grown) {
+            this.device.queue.writeBuffer(paint.tableBuffer, 0, paint.table);
+        } else if (maxIndex >= 0) {
+            this.device.queue.writeBuffer(paint.tableBuffer, minIndex * 8, paint.table, minIndex * 2, (maxIndex - minIndex + 1) * 2);
+        }
+    }
+
+    /**
+     * Give a tile buffer a table slot and point its vertices at it
+     * @returns {number|null} Slot, null if the layer has no slot left
+     */
+    assignSlot(paint, buffer) {
+        let slot = paint.freeSlots.pop();
+        if (slot === undefined) {
+            if (paint.nextSlot >= MAX_TABLE_ENTRIES) return null;
+            slot = paint.nextSlot++;
+        }
+        paint.slots.set(buffer, slot);
+
+        setVertexFeatureId(buffer.vertices, slot);
+        this.device.queue.writeBuffer(buffer.vertexBuffer, 0, buffer.vertices);
+        return slot;
+    }
+
+    /**
+     * Free the slots of buffers no longer drawn (a buffer coming back gets a new slot)
+     * @param {Set} liveBuffers - The layer's current tile buffers
+     */
+    releaseSlots(paint, liveBuffers) {
+        for (const [buffer, slot] of paint.slots) {
+            if (!liveBuffers.has(buffer)) {
+                paint.slots.delete(buffer);
+                paint.freeSlots.push(slot);
+            }
+        }
+    }
+
+    /**
+     * Grow a layer's table (power of two) to hold the given number of slots
+     * @returns {boolean} True if the table was replaced - it must then be uploaded whole
+     */
+    ensureTableSize(paint, entries) {
+        const currentEntries = paint.table ? paint.table.length / 2 : 0;
+        if (entries <= currentEntries) {
+            return false;
+        }
+
+        let size = Math.max(MIN_TABLE_ENTRIES, currentEntries);
+        while (size < entries) size *= 2;
+        size = Math.min(size, MAX_TABLE_ENTRIES);
+
+        const table = new Uint32Array(size * 2);
+        if (paint.table) {
+            table.set(paint.table);
+        }
+        paint.table = table;
+
+        paint.tableBuffer?.destroy();
+        paint.tableBuffer = this.device.createBuffer({
+            size: table.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        paint.bindGroup = this.createBindGroup(paint.uniformBuffer, paint.tableBuffer);
+        return true;
+    }
+
+    /**
+     * Color with opacity applied, RGBA 0-1
+     */
+    evaluate(paint, feature, zoom) {
+        const colorValue = evaluateCompiled(paint.colorValue, feature, zoom);
+        const color = colorValue ? parseColor(colorValue) : DEFAULT_COLOR;
+        const opacity = paint.opacityValue === undefined ? 1 : evaluateCompiled(paint.opacityValue, feature, zoom);
+        return [color[0], color[1], color[2], color[3] * (typeof opacity === 'number' ? opacity : 1)];
+    }
+
+    writeUniform(paint, color, zoomT, mode) {
+        const words = new Uint32Array(createUniformData(color, zoomT, mode));
+        if (paint.uniformData?.every((word, i) => word === words[i])) {
+            return;
+        }
+        paint.uniformData = words;
+        this.device.queue.writeBuffer(paint.uniformBuffer, 0, words);
+    }
+
+    createBindGroup(uniformBuffer, tableBuffer) {
+        return this.device.createBindGroup({
+            layout: this.bindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: uniformBuffer } },
+                { binding: 1, resource: { buffer: tableBuffer } }
+            ]
+        });
+    }
+}
+
+/**
+ * Zoom curves of the zoom-dependent values among color and opacity, null unless every one is
+ * a top-level curve whose stop outputs do not read the zoom themselves (getZoomCurve)
+ */
+function getZoomCurves(colorValue, opacityValue) {
+    const curves = [];
+    for (const [value, isColor] of [[colorValue, true], [opacityValue, false]]) {
+        if (!getExpressionDependencies(value).zoom) continue;
+        const curve = getZoomCurve(value);
+        if (!curve) return null;
+        // Opacities are numbers - linear whatever the color space
+        curves.push({ ...curve, isRGB: !isColor || curve.colorSpace === 'rgb' });
+    }
+    return curves;
+}
+
+/**
+ * Zooms a feature table is evaluated at, and the shader's mix factor between them
+ * Between two adjacent stops (of color and opacity together) steps are constant and an
+ * interpolation mixes its values at the stops by the curve's factor, so with at most one
+ * RGB-interpolated curve the mix is exact. Any other zoom use is evaluated at the zoom itself.
+ * @returns {{ key: number, lower: number, upper: number, t: number }} key changes when re-evaluation is needed
+ */
+function getTableZooms(paint, zoom) {
+    if (!paint.isZoomDependent) {
+        return { key: 0, lower: zoom, upper: zoom, t: 0 };
+    }
+
+    const { zoomCurves: curves, zoomStops: stops } = paint;
+    if (curves) {
+        let index = 0;
+        while (index < stops.length && stops[index] <= zoom) index++;
+        const lower = stops[index - 1];
+        const upper = stops[index];
+
+        // Outside all stops every curve is clamped: constant, like steps between stops
+        const interpolating = lower === undefined || upper === undefined ? [] : curves.filter(curve =>
+            curve.interpolation && curve.stops[0] <= lower && upper <= curve.stops[curve.stops.length - 1]);
+        if (interpolating.length === 0) {
+            return { key: index, lower: zoom, upper: zoom, t: 0 };
+        }
+
+        if (interpolating.length === 1 && interpolating[0].isRGB) {
+            // The curve's own segment may span several of the combined stops
+            const curve = interpolating[0];
+            const from = curve.stops.findLast(stop => stop <= lower);
+            const to = curve.stops.find(stop => stop >= upper);
+            const factor = (z) => interpolationFactor(curve.interpolation, z, from, to);
+            const end = upper - STOP_EPSILON;
+            const range = factor(end) - factor(lower);
+            const t = range > 0 ? Math.min((factor(zoom) - factor(lower)) / range, 1) : 0;
+            return { key: index, lower, upper: end, t };
+        }
+    }
+
+    return { key: zoom, lower: zoom, upper: zoom, t: 0 };
+}
+
+/**
+ * LayerPaint uniform: color vec4, zoomT f32, mode u32, 2 × padding
+ */
+function createUniformData(color, zoomT, mode) {
+    const data = new ArrayBuffer(UNIFORM_SIZE);
+    new Float32Array(data, 0, 5).set([...color, zoomT]);
+    new Uint32Array(data, 20, 1)[0] = mode;
+    return data;
+}
+
+/**
+ * RGBA 0-1 → RGBA8 in one u32 (red in the low byte, as unpack4x8unorm expects)
+ */
+function packColor([r, g, b, a]) {
+    const byte = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 255);
+    return (byte(r) | (byte(g) << 8) | (byte(b) << 16) | (byte(a) << 24)) >>> 0;
+}
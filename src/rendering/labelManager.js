@@ -8,7 +8,8 @@
  * - Map feature IDs to labels
  */
 
-import { getStyle, getPaintProperty } from '../core/style.js';
+import { getStyle, getPaintProperty, getLayerSourceLayer } from '../core/style.js';
+import { evaluateCompiled, resolveTokens, valueToString } from '../core/expressions.js';
 
 export class LabelManager {
     constructor() {
@@ -52,7 +53,7 @@ export class LabelManager {
                 
                 // Find matching symbol layer for this feature's source-layer
                 const matchingSymbolLayer = symbolLayers.find(layer => 
-                    layer['source-layer'] === sourceLayer
+                    getLayerSourceLayer(layer) === sourceLayer
                 );
                 
                 let labelText = null;
@@ -60,7 +61,7 @@ export class LabelManager {
                 if (matchingSymbolLayer && matchingSymbolLayer.layout?.['text-field']) {
                     // Evaluate text-field expression
                     const textField = matchingSymbolLayer.layout['text-field'];
-                    labelText = this.evaluateTextField(textField, tileBuffer.properties);
+                    labelText = this.evaluateTextField(textField, tileBuffer.properties, currentZoom);
                 }
                 
                 // Only add labels for features that have a matching symbol layer with text-field
@@ -73,7 +74,7 @@ export class LabelManager {
                     // Find the fill-extrusion layer for this source-layer
                     const extrusionLayer = style?.layers?.find(layer => 
                         layer.type === 'fill-extrusion' && 
-                        layer['source-layer'] === sourceLayer
+                        getLayerSourceLayer(layer) === sourceLayer
                     );
                     
                     if (extrusionLayer) {
@@ -102,36 +103,17 @@ export class LabelManager {
     }
     
     /**
-     * Evaluate text-field expressions from MapLibre style spec
+     * Evaluate a text-field value from MapLibre style spec: an expression (shared
+     * evaluator, see expressions.js) or a string with legacy {property} tokens
+     * @returns {string|null} null if the expression fails
      */
-    evaluateTextField(textField, properties) {
+    evaluateTextField(textField, properties, zoom) {
         if (typeof textField === 'string') {
-            return textField;
+            return resolveTokens(textField, properties);
         }
-        
-        if (Array.isArray(textField)) {
-            const [operation, ...args] = textField;
-            
-            switch (operation) {
-                case 'get':
-                    return properties[args[0]];
-                
-                case 'to-string':
-                    const value = this.evaluateTextField(args[0], properties);
-                    return value != null ? String(value) : '';
-                
-                case 'concat':
-                    return args.map(arg => {
-                        const val = this.evaluateTextField(arg, properties);
-                        return val != null ? String(val) : '';
-                    }).join('');
-                
-                default:
-                    return null;
-            }
-        }
-        
-        return textField;
+
+        const value = evaluateCompiled(textField, { id: properties.fid, properties }, zoom);
+        return value === null ? null : valueToString(value);
     }
     
     /**
@@ -0,0 +1,419 @@
+// Raster Rendering Pipeline
+// Handles raster layers: XYZ image tiles (satellite, hillshade, ...) drawn as
+// textured grid meshes, draped over terrain with the same atlas vector layers use
+
+import { rasterShaderCode } from '../shaders/rasterShaders.js';
+import { getStyle, getPaintProperty } from '../core/style.js';
+import { getCoveringTiles } from '../tiles/tile-utils.js';
+import { transformTileCoords } from '../tiles/vectorTileParser.js';
+import { requestTile, getPersistentTileKey } from '../tiles/persistentTileCache.js';
+import { mapEvents } from '../core/mapEvents.js';
+
+const MAX_CONCURRENT_LOADS = 16;
+
+export class RasterPipeline {
+    constructor(device, format) {
+        this.device = device;
+        this.format = format;
+        this.pipeline = null;
+        this.bindGroupLayout = null;
+        this.sampler = null;
+        this.cameraBuffer = null;
+        this.gridIndices = null;
+        this.gridSize = 32; // Enough vertices to follow terrain, cheap for many tiles
+        this.initialized = false;
+
+        // Per-source tile caches: sourceId -> { source, tiles, loadingTiles, failedTiles }
+        this.sources = new Map();
+
+        // End of the latest raster-fade-duration fade drawn (performance.now() time)
+        this.fadingUntil = 0;
+    }
+
+    /**
+     * Initialize the rendering pipeline
+     * @param {GPUBuffer} cameraBuffer - Camera uniform buffer (shared with main renderer)
+     * @param {GPUBindGroupLayout} terrainLayout - Layout of the renderer's terrain bind group (group 1)
+     */
+    initialize(cameraBuffer, terrainLayout) {
+        this.cameraBuffer = cameraBuffer;
+
+        const shaderModule = this.device.createShaderModule({
+            code: rasterShaderCode,
+            label: 'Raster Shader'
+        });
+
+        this.sampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+            addressModeU: 'clamp-to-edge',
+            addressModeV: 'clamp-to-edge'
+        });
+
+        this.bindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+                { binding: 2, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
+                { binding: 3, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } } // Raster paint
+            ]
+        });
+
+        this.pipeline = this.device.createRenderPipeline({
+            layout: this.device.createPipelineLayout({
+                bindGroupLayouts: [this.bindGroupLayout, terrainLayout]
+            }),
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vs_main',
+                buffers: [{
+                    arrayStride: 16, // clipX, clipY, u, v
+                    attributes: [
+                        { shaderLocation: 0, offset: 0, format: 'float32x2' },  // clipPos
+                        { shaderLocation: 1, offset: 8, format: 'float32x2' }   // uv
+                    ]
+                }]
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fs_main',
+                targets: [{
+                    format: this.format,
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+                        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+                    }
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'none'
+            },
+            depthStencil: {
+                format: 'depth24plus',
+                // Rasters are drawn first in style order (painter's algorithm);
+                // no depth write so vector layers always draw on top
+                depthWriteEnabled: false,
+                depthCompare: 'always'
+            },
+            multisample: { count: 4 } // Match main renderer MSAA
+        });
+
+        this.gridIndices = this.createGridIndices();
+        this.initialized = true;
+        console.log('🛰️ RasterPipeline initialized');
+    }
+
+    /**
+     * Create grid index buffer (same for all tiles)
+     */
+    createGridIndices() {
+        const indices = [];
+        const n = this.gridSize;
+
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const i = y * (n + 1) + x;
+                indices.push(i, i + 1, i + n + 1);
+                indices.push(i + 1, i + n + 2, i + n + 1);
+            }
+        }
+
+        const indexData = new Uint32Array(indices);
+        const buffer = this.createBuffer(indexData, GPUBufferUsage.INDEX);
+        return { buffer, count: indices.length };
+    }
+
+    /**
+     * Create grid mesh for a tile with pre-transformed Mercator coordinates
+     */
+    createTileMesh(z, x, y) {
+        const vertices = [];
+        const n = this.gridSize;
+        const extent = 4096;
+
+        for (let gy = 0; gy <= n; gy++) {
+            for (let gx = 0; gx <= n; gx++) {
+                const [clipX, clipY] = transformTileCoords((gx / n) * extent, (gy / n) * extent, x, y, z, extent);
+                vertices.push(clipX, clipY, gx / n, gy / n);
+            }
+        }
+
+        return this.createBuffer(new Float32Array(vertices), GPUBufferUsage.VERTEX);
+    }
+
+    createBuffer(data, usage) {
+        const buffer = this.device.createBuffer({
+            size: data.byteLength,
+            usage: usage | GPUBufferUsage.COPY_DST
+        });
+        this.device.queue.writeBuffer(buffer, 0, data);
+        return buffer;
+    }
+
+    /**
+     * Get the tile cache for a raster source (recreated when the style source changes)
+     */
+    getSourceCache(sourceId, source) {
+        let cache = this.sources.get(sourceId);
+        if (cache && cache.source !== source) {
+            this.destroySourceCache(cache);
+            cache = null;
+        }
+        if (!cache) {
+            cache = {
+                sourceId,
+                source,
+                tiles: new Map(),        // "z/x/y" -> { texture, vertexBuffer, layerBindings, loadedAt }
+                loadingTiles: new Set(),
+                failedTiles: new Set()
+            };
+            this.sources.set(sourceId, cache);
+        }
+        return cache;
+    }
+
+    /**
+     * Load a raster tile image into a GPU texture
+     */
+    async loadTile(cache, z, x, y) {
+        const key = `${z}/${x}/${y}`;
+        const url = cache.source.tiles[0]
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y);
+
+        cache.loadingTiles.add(key);
+
+        try {
+            const response = await requestTile(getPersistentTileKey(cache.source.tiles[0], z, x, y), url);
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const blob = await response.blob();
+            const bitmap = await createImageBitmap(blob);
+
+            const texture = this.device.createTexture({
+                size: [bitmap.width, bitmap.height],
+                format: 'rgba8unorm',
+                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+            });
+
+            this.device.queue.copyExternalImageToTexture(
+                { source: bitmap },
+                { texture },
+                [bitmap.width, bitmap.height]
+            );
+
+            // Source cache may have been replaced (style change) while loading
+            if (this.sources.get(cache.sourceId) !== cache) {
+                texture.destroy();
+                return;
+            }
+
+            cache.tiles.set(key, {
+                texture,
+                vertexBuffer: this.createTileMesh(z, x, y),
+                layerBindings: new Map(), // layerId -> { uniformBuffer, bindGroup }
+                loadedAt: performance.now()
+            });
+            mapEvents.fire('tileload', { sourceId: cache.sourceId, tile: { x, y, z }, sourceTile: { x, y, z } });
+        } catch (error) {
+            cache.failedTiles.add(key); // Don't retry failed tiles
+            if (!error.message.includes('404')) {
+                console.warn(`Failed to load raster tile ${key}:`, error.message);
+                mapEvents.fire('tileerror', {
+                    sourceId: cache.sourceId,
+                    tile: { x, y, z },
+                    status: error.status ?? 0,
+                    message: error.message,
+                    errorCount: 1,
+                    willRetry: false
+                });
+            }
+        } finally {
+            cache.loadingTiles.delete(key);
+        }
+    }
+
+    /**
+     * Per-layer uniform + bind group for a tile (layers sharing a source need their own paint values)
+     */
+    getLayerBinding(tile, layerId) {
+        let binding = tile.layerBindings.get(layerId);
+        if (!binding) {
+            const uniformBuffer = this.device.createBuffer({
+                size: 32, // RasterInfo: 8 floats
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+            const bindGroup = this.device.createBindGroup({
+                layout: this.bindGroupLayout,
+                entries: [
+                    { binding: 0, resource: { buffer: this.cameraBuffer } },
+                    { binding: 1, resource: tile.texture.createView() },
+                    { binding: 2, resource: this.sampler },
+                    { binding: 3, resource: { buffer: uniformBuffer } }
+                ]
+            });
+            binding = { uniformBuffer, bindGroup };
+            tile.layerBindings.set(layerId, binding);
+        }
+        return binding;
+    }
+
+    /**
+     * Evaluate raster paint properties for a layer
+     * Saturation/contrast are converted to shader factors the same way MapLibre does
+     */
+    getRasterPaint(layer, zoom) {
+        const paint = (property, fallback) => {
+            const value = getPaintProperty(layer.id, property, { properties: {} }, zoom);
+            return typeof value === 'number' ? value : fallback;
+        };
+
+        const saturation = paint('raster-saturation', 0);
+        const contrast = paint('raster-contrast', 0);
+
+        return {
+            opacity: paint('raster-opacity', 1),
+            brightnessMin: paint('raster-brightness-min', 0),
+            brightnessMax: paint('raster-brightness-max', 1),
+            saturationFactor: saturation > 0 ? 1 - 1 / (1.001 - saturation) : -saturation,
+            contrastFactor: contrast > 0 ? 1 / (1 - contrast) : 1 + contrast,
+            fadeDuration: paint('raster-fade-duration', 300)
+        };
+    }
+
+    /**
+     * Get visible tiles for a raster source at the current zoom
+     */
+    getVisibleRasterTiles(source, camera, zoom) {
+        const minZoom = source.minzoom ?? 0;
+        const maxZoom = source.maxzoom ?? 22;
+        return getCoveringTiles(camera, zoom, { minZoom, maxZoom });
+    }
+
+    /**
+     * Render one raster style layer
+     * @param {GPURenderPassEncoder} pass - Color pass
+     * @param {Object} layer - Style layer (type 'raster')
+     * @param {Camera} camera
+     * @param {number} zoom - Render zoom
+     * @param {GPUBindGroup} terrainBindGroup - Renderer terrain bind group (group 1)
+     */
+    render(pass, layer, camera, zoom, terrainBindGroup) {
+        if (!this.initialized || !terrainBindGroup) return;
+
+        const source = getStyle()?.sources?.[layer.source];
+        if (!source || source.type !== 'raster' || !source.tiles?.length) return;
+
+        const cache = this.getSourceCache(layer.source, source);
+
+        const visibleTiles = this.getVisibleRasterTiles(source, camera, zoom);
+        const paint = this.getRasterPaint(layer, zoom);
+        const now = performance.now();
+
+        pass.setPipeline(this.pipeline);
+        pass.setIndexBuffer(this.gridIndices.buffer, 'uint32');
+        pass.setBindGroup(1, terrainBindGroup);
+
+        for (const { x, y, z } of visibleTiles) {
+            const key = `${z}/${x}/${y}`;
+            const tile = cache.tiles.get(key);
+
+            if (!tile) {
+                if (!cache.loadingTiles.has(key) && !cache.failedTiles.has(key) &&
+                    cache.loadingTiles.size < MAX_CONCURRENT_LOADS) {
+                    this.loadTile(cache, z, x, y);
+                }
+                continue;
+            }
+
+            // raster-fade-duration: fade newly loaded tiles in
+            const fade = paint.fadeDuration > 0
+                ? Math.min(1, (now - tile.loadedAt) / paint.fadeDuration)
+                : 1;
+            if (fade < 1) {
+                this.fadingUntil = Math.max(this.fadingUntil, tile.loadedAt + paint.fadeDuration);
+            }
+
+            const binding = this.getLayerBinding(tile, layer.id);
+            this.device.queue.writeBuffer(binding.uniformBuffer, 0, new Float32Array([
+                paint.opacity * fade,
+                paint.brightnessMin,
+                paint.brightnessMax,
+                paint.saturationFactor,
+                paint.contrastFactor,
+                0, 0, 0
+            ]));
+
+            pass.setVertexBuffer(0, tile.vertexBuffer);
+            pass.setBindGroup(0, binding.bindGroup);
+            pass.drawIndexed(this.gridIndices.count);
+        }
+
+        // Prune invisible tiles occasionally to prevent memory buildup
+        if (!cache.lastPruneTime || (now - cache.lastPruneTime) > 5000) {
+            this.pruneInvisibleTiles(cache, visibleTiles);
+            cache.lastPruneTime = now;
+        }
+    }
+
+    /**
+     * True when no raster tile is loading or still fading in
+     * Tiles that became visible are requested during render, so check after a frame
+     */
+    isLoaded(now = performance.now()) {
+        if (now < this.fadingUntil) {
+            return false;
+        }
+        for (const cache of this.sources.values()) {
+            if (cache.loadingTiles.size > 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Destroy tiles of a source that are no longer visible
+     */
+    pruneInvisibleTiles(cache, visibleTiles) {
+        const visibleKeys = new Set(visibleTiles.map(t => `${t.z}/${t.x}/${t.y}`));
+
+        for (const [key, tile] of cache.tiles) {
+            if (!visibleKeys.has(key)) {
+                this.destroyTile(tile);
+                cache.tiles.delete(key);
+            }
+        }
+    }
+
+    destroyTile(tile) {
+        tile.texture.destroy();
+        tile.vertexBuffer.destroy();
+        for (const { uniformBuffer } of tile.layerBindings.values()) {
+            uniformBuffer.destroy();
+        }
+    }
+
+    destroySourceCache(cache) {
+        for (const tile of cache.tiles.values()) {
+            this.destroyTile(tile);
+        }
+        cache.tiles.clear();
+    }
+
+    destroy() {
+        for (const cache of this.sources.values()) {
+            this.destroySourceCache(cache);
+        }
+        this.sources.clear();
+        if (this.gridIndices) {
+            this.gridIndices.buffer.destroy();
+        }
+    }
+}
@@ -6,7 +6,13 @@ import {
 import { GPUTextRenderer } from '../text/gpuTextRenderer.js';
 import { ShaderEffectManager } from '../core/shaderEffectManager.js';
 import { TubePipeline } from './tubePipeline.js';
+import { RasterPipeline } from './rasterPipeline.js';
 import { ShadowMapRenderer } from './shadowMap.js';
+import { FeaturePaint } from './featurePaint.js';
+import { getFadeDuration } from '../core/style.js';
+
+// Tiles that can fade in during one frame (extra fading tiles draw fully opaque)
+const MAX_FADING_TILE_DRAWS = 4096;
 
 // Cache shaders and layouts to avoid recreation
 let cachedShaders = { 
@@ -111,10 +117,28 @@ export function createRenderPipeline(device, format, topology, isHidden = false,
         });
     }
     
-    // Choose layout based on whether this is hidden pass (no shadows) or visible pass (with shadows)
+    // Group 3: Layer paint (color uniform + per-feature color table, see featurePaint.js)
+    if (!cachedLayouts.paint) {
+        cachedLayouts.paint = device.createBindGroupLayout({
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.VERTEX,
+                    buffer: { type: "uniform" }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.VERTEX,
+                    buffer: { type: "read-only-storage" }
+                }
+            ]
+        });
+    }
+    
+    // Choose layout based on whether this is hidden pass (IDs only) or visible pass (with shadows and paint)
     const pipelineLayout = isHidden 
         ? device.createPipelineLayout({ bindGroupLayouts: [cachedLayouts.render, cachedLayouts.terrain] })
-        : device.createPipelineLayout({ bindGroupLayouts: [cachedLayouts.render, cachedLayouts.terrain, cachedLayouts.shadow] });
+        : device.createPipelineLayout({ bindGroupLayouts: [cachedLayouts.render, cachedLayouts.terrain, cachedLayouts.shadow, cachedLayouts.paint] });
     
     return device.createRenderPipeline({
         layout: pipelineLayout,
@@ -129,7 +153,14 @@ export function createRenderPipeline(device, format, topology, isHidden = false,
                     { shaderLocation: 1, offset: 12, format: 'float32x3' },  // normal
                     { shaderLocation: 2, offset: 24, format: 'float32x4' }   // color
                 ]
-            }],
+            }, ...(isHidden ? [] : [{
+                // Per-tile fade-in opacity, picked per draw via firstInstance (see getTileOpacitySlot)
+                arrayStride: 4,
+                stepMode: 'instance',
+                attributes: [
+                    { shaderLocation: 3, offset: 0, format: 'float32' }      // tile opacity
+                ]
+            }])],
         },
         fragment: {
             module: isHidden ? cachedShaders.hiddenFragment : cachedShaders.fragment,
@@ -315,11 +346,17 @@ export class MapRenderer {
         // Initialize tube/pipe renderer
         this.tubePipeline = new TubePipeline(device, format);
         
+        // Initialize raster tile renderer (raster sources/layers)
+        this.rasterPipeline = new RasterPipeline(device, format);
+        
         // Initialize shadow map renderer
         this.shadowRenderer = new ShadowMapRenderer(device);
         
         // Initialize pipelines
         this.initializePipelines();
+        
+        // Per-layer paint evaluated for the GPU (bind group 3 of the vector pipelines)
+        this.featurePaint = new FeaturePaint(device, cachedLayouts.paint);
     }
     
     setTerrainLayer(terrainLayer) {
@@ -436,6 +473,17 @@ export class MapRenderer {
         const initialConfig = new Uint32Array(16).fill(255);
         this.device.queue.writeBuffer(this.buffers.layerConfig, 0, initialConfig);
         
+        // Tile fade-in opacities (instance buffer for the map pipelines)
+        // Slot 0 stays 1.0 and is shared by every tile that has finished fading in
+        this.buffers.tileOpacity = this.device.createBuffer({
+            size: MAX_FADING_TILE_DRAWS * 4,
+            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+        });
+        this.tileOpacities = new Float32Array(MAX_FADING_TILE_DRAWS);
+        this.tileOpacities[0] = 1.0;
+        this.tileOpacityCount = 1;
+        this.device.queue.writeBuffer(this.buffers.tileOpacity, 0, this.tileOpacities, 0, 1);
+        
         // Create sampler for color texture (linear filtering for smooth appearance)
         this.sampler = this.device.createSampler({
             magFilter: 'linear',
@@ -555,6 +603,9 @@ export class MapRenderer {
         // Initialize tube pipeline with camera buffer
         await this.tubePipeline.initialize(this.buffers.uniform);
         
+        // Initialize raster pipeline (shares camera buffer and terrain bind group layout)
+        this.rasterPipeline.initialize(this.buffers.uniform, cachedLayouts.terrain);
+        
         // Update initial camera transform
         this.updateCameraTransform(camera.getMatrix());
     }
@@ -945,6 +996,58 @@ export class MapRenderer {
         this.device.queue.submit([debugEncoder.finish()]);
     }
 
+    /**
+     * Start collecting tile fade-in opacities for a frame
+     * @param {number} now - performance.now() of the frame
+     */
+    beginTileFades(now) {
+        this.tileOpacityCount = 1;
+        this.fadeNow = now;
+        this.fadeDuration = getFadeDuration();
+    }
+    
+    /**
+     * Instance slot holding a tile's fade-in opacity this frame (use as firstInstance)
+     * @param {number|undefined} loadedAt - When the tile was merged (TileManager.mergeTileBuffers)
+     * @returns {number} 0 for fully opaque tiles
+     */
+    getTileOpacitySlot(loadedAt) {
+        if (loadedAt === undefined || this.fadeDuration <= 0) {
+            return 0;
+        }
+        
+        const opacity = (this.fadeNow - loadedAt) / this.fadeDuration;
+        if (opacity >= 1 || this.tileOpacityCount >= MAX_FADING_TILE_DRAWS) {
+            return 0;
+        }
+        
+        const slot = this.tileOpacityCount++;
+        this.tileOpacities[slot] = Math.max(opacity, 0);
+        return slot;
+    }
+    
+    /**
+     * True while vector tiles are still fading in or raster/terrain tiles are still loading
+     * Reflects the last rendered frame
+     */
+    isLoadingOrFading(now = performance.now()) {
+        return this.tileOpacityCount > 1 ||
+            !this.rasterPipeline.isLoaded(now) ||
+            (this.terrainLayer?.loadingTiles.size ?? 0) > 0;
+    }
+    
+    /**
+     * Upload this frame's fading tile opacities (before the frame is submitted)
+     */
+    flushTileFades() {
+        if (this.tileOpacityCount > 1) {
+            this.device.queue.writeBuffer(
+                this.buffers.tileOpacity, 4,
+                this.tileOpacities, 1, this.tileOpacityCount - 1
+            );
+        }
+    }
+    
     // After each render, force a validation for zoom scaling
     renderFrame(tileBuffers, camera) {
         // Validate that features are properly scaled with current zoom
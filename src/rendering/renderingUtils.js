@@ -148,11 +148,26 @@ export function renderMap(device, renderer, tileBuffers, hiddenTileBuffers, text
     
     // fillsWithExtrusions already computed above for hidden pass
     
+    // Colors and opacities for this zoom (written before the frame is submitted)
+    renderer.featurePaint.update(tileBuffers, renderZoom);
+    
+    // Per-tile fade-in opacities are an instance attribute (slot chosen via firstInstance)
+    renderer.beginTileFades(performance.now());
+    colorPass.setVertexBuffer(1, renderer.buffers.tileOpacity);
+    
     // TERRAIN DISABLED: The terrain mesh approach causes visible seams at tile boundaries
     // due to height mismatches in the terrain tile data (known issue in MapLibre too).
     // Features still get terrain height projection via GPU texture sampling.
     // TODO: Implement proper terrain stitching or use pre-stitched terrain tiles.
     
+    // Raster layers are draped over terrain first (in style order) so vector layers draw on top
+    if (style?.layers && renderer.rasterPipeline) {
+        for (const layer of style.layers) {
+            if (layer.type !== 'raster' || !shouldRenderLayer(layer.id, renderZoom)) continue;
+            renderer.rasterPipeline.render(colorPass, layer, camera, renderZoom, renderer.bindGroups.terrain);
+        }
+    }
+    
     // Render geometry in two passes: opaque first, transparent last
     // This ensures transparent layers don't block opaque layers with depth buffer
     if (style?.layers) {
@@ -188,7 +203,10 @@ export function renderMap(device, renderer, tileBuffers, hiddenTileBuffers, text
             // Check for shader effects in layer metadata
             const effectType = layer.metadata?.['shader-effects']?.type;
             
-            buffers.forEach(({ vertexBuffer, fillIndexBuffer, fillIndexCount, isLine }) => {
+            // Layer paint: group 3, group 2 for water and grass (no shadow group)
+            const paintBindGroup = renderer.featurePaint.getBindGroup(layerId);
+            
+            buffers.forEach(({ vertexBuffer, fillIndexBuffer, fillIndexCount, isLine, loadedAt }) => {
                 if ((layerType === 'fill-extrusion' || layerType === 'line-extrusion') && fillIndexCount > 0) {
                     // Check if extrusion has glass effect
                     let pipeline, bindGroup;
@@ -213,7 +231,8 @@ export function renderMap(device, renderer, tileBuffers, hiddenTileBuffers, text
                     if (renderer.bindGroups.shadow) {
                         colorPass.setBindGroup(2, renderer.bindGroups.shadow);
                     }
-                    colorPass.drawIndexed(fillIndexCount);
+                    colorPass.setBindGroup(3, paintBindGroup);
+                    colorPass.drawIndexed(fillIndexCount, 1, 0, 0, renderer.getTileOpacitySlot(loadedAt));
                 } else if (layerType === 'fill' && fillIndexCount > 0) {
                     // Check for water or grass effects
                     let pipeline, bindGroup;
@@ -236,10 +255,15 @@ export function renderMap(device, renderer, tileBuffers, hiddenTileBuffers, text
                         colorPass.setBindGroup(1, renderer.bindGroups.terrain);
                     }
                     // Set shadow bind group for shadow mapping (flat fills receive shadows)
-                    if (renderer.bindGroups.shadow && effectType !== 'animated-water' && effectType !== 'grass') {
-                        colorPass.setBindGroup(2, renderer.bindGroups.shadow);
+                    if (effectType === 'animated-water' || effectType === 'grass') {
+                        colorPass.setBindGroup(2, paintBindGroup);
+                    } else {
+                        if (renderer.bindGroups.shadow) {
+                            colorPass.setBindGroup(2, renderer.bindGroups.shadow);
+                        }
+                        colorPass.setBindGroup(3, paintBindGroup);
                     }
-                    colorPass.drawIndexed(fillIndexCount);
+                    colorPass.drawIndexed(fillIndexCount, 1, 0, 0, renderer.getTileOpacitySlot(loadedAt));
                 } else if (layerType === 'line' && isLine && fillIndexCount > 0) {
                     // Skip if this is a tube layer (will be rendered by tubePipeline)
                     const layer = style?.layers?.find(l => l.id === layerId);
@@ -259,7 +283,8 @@ export function renderMap(device, renderer, tileBuffers, hiddenTileBuffers, text
                         if (renderer.bindGroups.shadow) {
                             colorPass.setBindGroup(2, renderer.bindGroups.shadow);
                         }
-                        colorPass.drawIndexed(fillIndexCount);
+                        colorPass.setBindGroup(3, paintBindGroup);
+                        colorPass.drawIndexed(fillIndexCount, 1, 0, 0, renderer.getTileOpacitySlot(loadedAt));
                     }
                 }
             });
@@ -281,6 +306,7 @@ export function renderMap(device, renderer, tileBuffers, hiddenTileBuffers, text
     // No separate terrain overlay layer needed
     
     colorPass.end();
+    renderer.flushTileFades();
     
     // Fourth render pass: Apply edge detection to screen (DISABLED - skip outlines)
     // Just copy the color texture directly to screen without edge detection
@@ -5,14 +5,25 @@
  * - AWS Terrarium tiles (free, no API key)
  * - Mapbox Terrain-RGB tiles
  * - MapTiler terrain tiles
+ * - PMTiles DEM archives (pmtiles:// URL, terrarium encoded)
  * 
  * Can be combined with any vector style - independent layer system
  */
 
-import { getVisibleTiles } from '../tiles/tile-utils.js';
+import { getCoveringTiles } from '../tiles/tile-utils.js';
 import { transformTileCoords } from '../tiles/vectorTileParser.js';
-import { terrainShaderCode } from '../shaders/terrainShaders.js';
+import { terrainShaderCode, terrainAtlasShaderCode } from '../shaders/terrainShaders.js';
 import { TERRAIN_CONFIG } from '../core/terrainConfig.js';
+import { isPMTilesUrl, getPMTilesArchive } from '../tiles/pmtiles.js';
+import { requestTile, getPersistentTileKey } from '../tiles/persistentTileCache.js';
+
+// Projection atlas (buildTerrainAtlas)
+const ATLAS_TILE_SIZE = 256;      // Pixels per grid tile
+const MAX_ATLAS_TILES = 256;      // Grid tiles (64 MB) - beyond, the grid drops to a coarser zoom
+const ATLAS_FALLBACK_DEPTH = 2;   // Levels of loaded children searched for a tile still loading
+const ATLAS_REGION_SIZE = 32;     // AtlasRegion uniform: destination + source vec4s
+const ATLAS_REGION_STRIDE = 256;  // Dynamic offset alignment
+const TERRARIUM_SEA_LEVEL = { r: 128 / 255, g: 0, b: 0, a: 1 }; // 0 m
 
 // Terrain tile sources
 const TERRAIN_SOURCES = {
@@ -48,6 +59,7 @@ export class TerrainLayer {
         this.gridSize = 128; // Higher resolution for better edge alignment
         this.enabled = true;  // Re-enabled after centerline fix for Z-fighting
         this.source = TERRAIN_CONFIG.DEFAULT_SOURCE;
+        this.customSources = new Map(); // pmtiles:// URL -> source config
         this.exaggeration = TERRAIN_CONFIG.DEFAULT_EXAGGERATION;
         this.minDisplayZoom = TERRAIN_CONFIG.DEFAULT_MIN_ZOOM;
         this.cameraBuffer = null; // Set from main renderer
@@ -58,7 +70,8 @@ export class TerrainLayer {
         // Terrain atlas for GPU projection
         this.atlasTexture = null;
         this.atlasBounds = null; // { minX, minY, maxX, maxY } in clip space
-        this.atlasSize = 1024; // Atlas texture size (covers multiple tiles)
+        this.atlasPipeline = null; // Draws terrain tiles of any zoom into the atlas
+        this.atlasRegionBuffer = null;
     }
 
     /**
@@ -255,17 +268,25 @@ export class TerrainLayer {
         
         this.loadingTiles.add(key);
         
-        const sourceConfig = TERRAIN_SOURCES[this.source];
-        const url = sourceConfig.url
-            .replace('{z}', z)
-            .replace('{x}', x)
-            .replace('{y}', y);
+        const sourceConfig = this.getSourceConfig();
         
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            let blob;
+            if (isPMTilesUrl(sourceConfig.url)) {
+                const data = await getPMTilesArchive(sourceConfig.url).getTile(z, x, y);
+                if (!data) throw new Error('HTTP 404'); // Not in archive
+                blob = new Blob([data]);
+            } else {
+                const url = sourceConfig.url
+                    .replace('{z}', z)
+                    .replace('{x}', x)
+                    .replace('{y}', y);
+                
+                const response = await requestTile(getPersistentTileKey(sourceConfig.url, z, x, y), url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                blob = await response.blob();
+            }
             
-            const blob = await response.blob();
             const bitmap = await createImageBitmap(blob);
             
             // Extract raw pixel data for CPU-side height sampling
@@ -331,10 +352,11 @@ export class TerrainLayer {
     }
 
     /**
-     * Get visible terrain tiles - simple approach matching vector tile coverage
+     * Get visible terrain tiles - the same frustum covering as vector tiles,
+     * within the terrain source's zoom range (coarser toward the horizon)
      */
     getVisibleTerrainTiles(camera, zoom) {
-        const source = TERRAIN_SOURCES[this.source];
+        const source = this.getSourceConfig();
         
         // Only show terrain at configured min zoom or higher
         if (zoom < this.minDisplayZoom) {
@@ -353,9 +375,9 @@ export class TerrainLayer {
             this._loggedZoomLevels = true;
         }
         
-        // Use the same visible tiles function as vector tiles
+        // Use the same covering as vector tiles
         // This ensures terrain loads exactly where vector tiles load
-        return getVisibleTiles(camera, tileZoom);
+        return getCoveringTiles(camera, tileZoom, { minZoom: source.minZoom, maxZoom: source.maxZoom });
     }
 
     /**
@@ -616,12 +638,39 @@ export class TerrainLayer {
     }
 
     setSource(source) {
-        if (TERRAIN_SOURCES[source]) {
+        if (isPMTilesUrl(source) && !this.customSources.has(source)) {
+            this.addPMTilesSource(source);
+        }
+        if (TERRAIN_SOURCES[source] || this.customSources.has(source)) {
             this.source = source;
             this.terrainTiles.clear(); // Clear cached tiles when source changes
+            this.failedTiles.clear();
         }
     }
 
+    /**
+     * Register a PMTiles DEM archive as terrain source
+     * Zoom range starts permissive and is narrowed once the archive header is read
+     */
+    addPMTilesSource(url) {
+        const config = { url, encoding: 'terrarium', minZoom: 0, maxZoom: 15 };
+        this.customSources.set(url, config);
+        
+        getPMTilesArchive(url).getHeader().then(header => {
+            config.minZoom = header.minZoom;
+            config.maxZoom = header.maxZoom;
+        }).catch(err => {
+            console.warn(`🏔️ Failed to read PMTiles terrain header ${url}:`, err.message);
+        });
+    }
+
+    /**
+     * Get the active terrain source config (built-in or pmtiles://)
+     */
+    getSourceConfig() {
+        return TERRAIN_SOURCES[this.source] || this.customSources.get(this.source);
+    }
+
     /**
      * Create a bind group for a terrain tile
      */
@@ -679,87 +728,42 @@ export class TerrainLayer {
 
     /**
      * Build a terrain atlas texture from all visible tiles
-     * This combines multiple terrain tiles into a single texture for GPU sampling
+     * This combines multiple terrain tiles into a single texture for GPU sampling:
+     * a uniform grid over the whole covering (coarser toward the horizon), where tiles
+     * not loaded yet fall back to their loaded children or nearest loaded ancestor
      * Returns { texture, bounds } or null if no tiles available
      */
     buildTerrainAtlas(visibleTiles) {
         // Clear previous atlas tile tracking
         this.atlasTileKeys.clear();
+        if (visibleTiles.length === 0) return null;
         
-        // Get all loaded terrain tiles
-        const loadedTiles = [];
-        for (const tile of visibleTiles) {
-            const key = `${tile.z}/${tile.x}/${tile.y}`;
-            const tileData = this.terrainTiles.get(key);
-            if (tileData && tileData.texture) {
-                // Track this tile as being used in the atlas
-                this.atlasTileKeys.add(key);
-                loadedTiles.push({
-                    ...tileData,
-                    bounds: this.getTileBounds(tile.z, tile.x, tile.y)
-                });
-            }
-        }
-        
-        if (loadedTiles.length === 0) return null;
+        // Coarsest first, so finer terrain draws over it
+        const sources = this.getAtlasSources(visibleTiles).sort((a, b) => a.z - b.z);
+        if (sources.length === 0) return null;
         
-        // Calculate combined bounds
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        for (const tile of loadedTiles) {
-            minX = Math.min(minX, tile.bounds.minX);
-            minY = Math.min(minY, tile.bounds.minY);
-            maxX = Math.max(maxX, tile.bounds.maxX);
-            maxY = Math.max(maxY, tile.bounds.maxY);
+        // Track the tiles used in the atlas (not pruned while in use)
+        for (const source of sources) {
+            this.atlasTileKeys.add(source.key);
         }
         
-        this.atlasBounds = { minX, minY, maxX, maxY };
+        const grid = this.getAtlasGrid(visibleTiles);
+        const topLeft = this.getTileBounds(grid.zoom, grid.minTileX, grid.minTileY);
+        const bottomRight = this.getTileBounds(grid.zoom, grid.minTileX + grid.tilesX - 1, grid.minTileY + grid.tilesY - 1);
+        this.atlasBounds = { minX: topLeft.minX, minY: bottomRight.minY, maxX: bottomRight.maxX, maxY: topLeft.maxY };
         
         // For single tile, just return it directly (no atlas needed)
-        if (loadedTiles.length === 1) {
+        if (sources.length === 1 && sources[0].z === grid.zoom && grid.tilesX === 1 && grid.tilesY === 1) {
             return {
-                texture: loadedTiles[0].texture,
+                texture: sources[0].texture,
                 bounds: this.atlasBounds,
                 tilesX: 1,
                 tilesY: 1
             };
         }
         
-        // For multiple tiles, create atlas texture
-        // Calculate atlas dimensions based on tile arrangement
-        const boundsWidth = maxX - minX;
-        const boundsHeight = maxY - minY;
-        
-        // Safety check for degenerate bounds
-        if (boundsWidth <= 0 || boundsHeight <= 0) {
-            return {
-                texture: loadedTiles[0].texture,
-                bounds: this.atlasBounds
-            };
-        }
-        
-        // Determine tile size in atlas based on first tile
-        const tilePixelSize = 256; // Standard terrain tile size
-        
-        // Calculate how many tiles fit in each direction
-        const firstTile = loadedTiles[0];
-        const tileClipWidth = firstTile.bounds.maxX - firstTile.bounds.minX;
-        const tileClipHeight = firstTile.bounds.maxY - firstTile.bounds.minY;
-        
-        // Safety check
-        if (tileClipWidth <= 0 || tileClipHeight <= 0) {
-            return {
-                texture: loadedTiles[0].texture,
-                bounds: this.atlasBounds,
-                tilesX: 1,
-                tilesY: 1
-            };
-        }
-        
-        const tilesX = Math.max(1, Math.ceil(boundsWidth / tileClipWidth));
-        const tilesY = Math.max(1, Math.ceil(boundsHeight / tileClipHeight));
-        
-        const atlasWidth = tilesX * tilePixelSize;
-        const atlasHeight = tilesY * tilePixelSize;
+        const atlasWidth = grid.tilesX * ATLAS_TILE_SIZE;
+        const atlasHeight = grid.tilesY * ATLAS_TILE_SIZE;
         
         // Create or recreate atlas texture if needed
         if (!this.atlasTexture || 
@@ -777,29 +781,184 @@ export class TerrainLayer {
             });
         }
         
-        // Copy each tile into the atlas at the correct position
-        const commandEncoder = this.device.createCommandEncoder();
-        
-        for (const tile of loadedTiles) {
-            // Calculate position in atlas (as integers)
-            const atlasX = Math.round(((tile.bounds.minX - minX) / boundsWidth) * atlasWidth);
-            const atlasY = Math.round(((maxY - tile.bounds.maxY) / boundsHeight) * atlasHeight);
-            
-            commandEncoder.copyTextureToTexture(
-                { texture: tile.texture },
-                { texture: this.atlasTexture, origin: { x: atlasX, y: atlasY, z: 0 } },
-                { width: tilePixelSize, height: tilePixelSize, depthOrArrayLayers: 1 }
-            );
+        // Where each tile lands in the atlas - scaled, so tiles of any zoom fit the grid
+        const regions = [];
+        for (const source of sources) {
+            const region = this.getAtlasRegion(source, grid);
+            if (region) regions.push(region);
         }
         
+        const pipeline = this.getAtlasPipeline();
+        this.ensureAtlasRegionBuffer(regions.length);
+        const regionData = new Float32Array(regions.length * ATLAS_REGION_STRIDE / 4);
+        regions.forEach(({ destination, source }, i) => {
+            regionData.set([...destination, ...source], i * ATLAS_REGION_STRIDE / 4);
+        });
+        this.device.queue.writeBuffer(this.atlasRegionBuffer, 0, regionData);
+        
+        const commandEncoder = this.device.createCommandEncoder();
+        const pass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.atlasTexture.createView(),
+                clearValue: TERRARIUM_SEA_LEVEL, // Texels without terrain
+                loadOp: 'clear',
+                storeOp: 'store'
+            }]
+        });
+        pass.setPipeline(pipeline);
+        
+        regions.forEach(({ texture, destination }, i) => {
+            const bindGroup = this.device.createBindGroup({
+                layout: pipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: texture.createView() },
+                    { binding: 1, resource: { buffer: this.atlasRegionBuffer, size: ATLAS_REGION_SIZE } }
+                ]
+            });
+            const [x, y, width, height] = destination;
+            pass.setViewport(x, y, width, height, 0, 1);
+            pass.setScissorRect(x, y, width, height);
+            pass.setBindGroup(0, bindGroup, [i * ATLAS_REGION_STRIDE]);
+            pass.draw(3);
+        });
+        
+        pass.end();
         this.device.queue.submit([commandEncoder.finish()]);
         
         return {
             texture: this.atlasTexture,
             bounds: this.atlasBounds,
-            tilesX: tilesX,
-            tilesY: tilesY
+            tilesX: grid.tilesX,
+            tilesY: grid.tilesY
+        };
+    }
+
+    /**
+     * Loaded terrain for the atlas: each visible tile, or while it is loading its loaded
+     * children (up to ATLAS_FALLBACK_DEPTH levels down) over its nearest loaded ancestor
+     * @returns {Array<{ key, z, x, y, texture }>}
+     */
+    getAtlasSources(visibleTiles) {
+        const sources = new Map();
+        const add = (z, x, y) => {
+            const key = `${z}/${x}/${y}`;
+            const tileData = this.terrainTiles.get(key);
+            if (!tileData?.texture) return false;
+            sources.set(key, { key, z, x, y, texture: tileData.texture });
+            return true;
+        };
+        
+        // True if the loaded descendants cover the tile completely
+        const addDescendants = (z, x, y, depth) => {
+            if (depth === 0) return false;
+            let complete = true;
+            for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+                const childX = x * 2 + dx;
+                const childY = y * 2 + dy;
+                if (!add(z + 1, childX, childY) && !addDescendants(z + 1, childX, childY, depth - 1)) {
+                    complete = false;
+                }
+            }
+            return complete;
         };
+        
+        for (const { z, x, y } of visibleTiles) {
+            if (add(z, x, y) || addDescendants(z, x, y, ATLAS_FALLBACK_DEPTH)) continue;
+            
+            for (let parentZ = z - 1; parentZ >= 0; parentZ--) {
+                const scale = 2 ** (z - parentZ);
+                if (add(parentZ, Math.floor(x / scale), Math.floor(y / scale))) break;
+            }
+        }
+        
+        return [...sources.values()];
+    }
+
+    /**
+     * Atlas grid over the covering, in tiles of the finest visible zoom - or of a coarser one
+     * when that many tiles would not fit the atlas size limits
+     * @returns {{ zoom, minTileX, minTileY, tilesX, tilesY }}
+     */
+    getAtlasGrid(visibleTiles) {
+        const maxTilesPerSide = Math.floor(this.device.limits.maxTextureDimension2D / ATLAS_TILE_SIZE);
+        
+        for (let zoom = Math.max(...visibleTiles.map(tile => tile.z)); ; zoom--) {
+            let minTileX = Infinity, minTileY = Infinity, maxTileX = -Infinity, maxTileY = -Infinity;
+            for (const tile of visibleTiles) {
+                const scale = 2 ** (zoom - tile.z); // Grid tiles per visible tile (a fraction if finer)
+                minTileX = Math.min(minTileX, Math.floor(tile.x * scale));
+                minTileY = Math.min(minTileY, Math.floor(tile.y * scale));
+                maxTileX = Math.max(maxTileX, Math.ceil((tile.x + 1) * scale) - 1);
+                maxTileY = Math.max(maxTileY, Math.ceil((tile.y + 1) * scale) - 1);
+            }
+            
+            const tilesX = maxTileX - minTileX + 1;
+            const tilesY = maxTileY - minTileY + 1;
+            const fits = tilesX <= maxTilesPerSide && tilesY <= maxTilesPerSide && tilesX * tilesY <= MAX_ATLAS_TILES;
+            if (fits || zoom === 0) {
+                return { zoom, minTileX, minTileY, tilesX, tilesY };
+            }
+        }
+    }
+
+    /**
+     * Pixel rectangle of a terrain tile in the atlas (clipped to it) and the matching part of the tile
+     * @returns {{ texture, destination: Array<number>, source: Array<number> }|null} null if outside the atlas
+     */
+    getAtlasRegion({ z, x, y, texture }, grid) {
+        const scale = 2 ** (grid.zoom - z); // Grid tiles per side of this tile
+        const size = scale * ATLAS_TILE_SIZE;
+        const left = (x * scale - grid.minTileX) * ATLAS_TILE_SIZE;
+        const top = (y * scale - grid.minTileY) * ATLAS_TILE_SIZE;
+        
+        const x0 = Math.max(Math.round(left), 0);
+        const y0 = Math.max(Math.round(top), 0);
+        const x1 = Math.min(Math.round(left + size), grid.tilesX * ATLAS_TILE_SIZE);
+        const y1 = Math.min(Math.round(top + size), grid.tilesY * ATLAS_TILE_SIZE);
+        if (x1 <= x0 || y1 <= y0) return null;
+        
+        return {
+            texture,
+            destination: [x0, y0, x1 - x0, y1 - y0],
+            source: [(x0 - left) / size, (y0 - top) / size, (x1 - left) / size, (y1 - top) / size]
+        };
+    }
+
+    /**
+     * Pipeline that draws terrain tiles into the atlas (created on first use)
+     */
+    getAtlasPipeline() {
+        if (!this.atlasPipeline) {
+            const module = this.device.createShaderModule({ code: terrainAtlasShaderCode });
+            const bindGroupLayout = this.device.createBindGroupLayout({
+                entries: [
+                    { binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+                    { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform', hasDynamicOffset: true } }
+                ]
+            });
+            this.atlasPipeline = this.device.createRenderPipeline({
+                layout: this.device.createPipelineLayout({ bindGroupLayouts: [bindGroupLayout] }),
+                vertex: { module, entryPoint: 'vs_main' },
+                fragment: { module, entryPoint: 'fs_main', targets: [{ format: 'rgba8unorm' }] },
+                primitive: { topology: 'triangle-list' }
+            });
+        }
+        return this.atlasPipeline;
+    }
+
+    /**
+     * Grow the atlas region uniforms (one dynamic-offset slot per drawn tile)
+     */
+    ensureAtlasRegionBuffer(regionCount) {
+        const size = Math.max(1, regionCount) * ATLAS_REGION_STRIDE;
+        const currentSize = this.atlasRegionBuffer?.size ?? 0;
+        if (currentSize >= size) return;
+        
+        this.atlasRegionBuffer?.destroy();
+        this.atlasRegionBuffer = this.device.createBuffer({
+            size: Math.max(size, currentSize * 2),
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
     }
 
     /**
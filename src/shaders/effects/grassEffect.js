@@ -1,6 +1,8 @@
 // Grass Effect - Wind sway shader
 // Applies directional wind displacement for vegetation
 
+import { featurePaintShaderCode } from '../shaders.js';
+
 /**
  * Grass Effect - Wind sway vertex shader
  * Applies directional wind displacement for vegetation
@@ -33,6 +35,9 @@ struct TerrainBounds {
 @group(1) @binding(1) var terrainSampler: sampler;
 @group(1) @binding(2) var<uniform> terrainBounds: TerrainBounds;
 
+// Layer paint in bind group 2
+${featurePaintShaderCode(2)}
+
 fn sampleTerrainHeight(clipX: f32, clipY: f32) -> f32 {
     if (terrainBounds.enabled < 0.5) {
         return 0.0;
@@ -90,7 +95,7 @@ fn main(@location(0) inPosition: vec3<f32>, @location(1) inNormal: vec3<f32>, @l
     output.position = uniforms * pos;
     
     output.fragCoord = output.position.xy;
-    output.color = inColor;
+    output.color = getPaintColor(inColor);
     output.worldZ = finalZ;
     
     return output;
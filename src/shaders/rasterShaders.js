@@ -0,0 +1,107 @@
+// Raster layer shaders - image tiles draped over terrain
+// Vertex format: clipPos(2) + uv(2) = 4 floats = 16 bytes
+// Terrain sampling matches the vector shader (same atlas + bind group 1)
+
+export const rasterShaderCode = `
+struct RasterInfo {
+    opacity: f32,           // raster-opacity * fade-in progress
+    brightnessMin: f32,     // raster-brightness-min
+    brightnessMax: f32,     // raster-brightness-max
+    saturation: f32,        // saturation factor (derived from raster-saturation)
+    contrast: f32,          // contrast factor (derived from raster-contrast)
+    _pad1: f32,
+    _pad2: f32,
+    _pad3: f32              // total 32 bytes
+};
+
+struct TerrainAndLighting {
+    minX: f32,
+    minY: f32,
+    maxX: f32,
+    maxY: f32,
+    exaggeration: f32,
+    enabled: f32,
+    tilesX: f32,
+    tilesY: f32,
+    sunDirX: f32,
+    sunDirY: f32,
+    sunDirZ: f32,
+    intensity: f32,
+    ambientR: f32,
+    ambientG: f32,
+    ambientB: f32,
+    isNight: f32
+};
+
+@group(0) @binding(0) var<uniform> cameraMatrix: mat4x4<f32>;
+@group(0) @binding(1) var rasterTexture: texture_2d<f32>;
+@group(0) @binding(2) var rasterSampler: sampler;
+@group(0) @binding(3) var<uniform> rasterInfo: RasterInfo;
+
+// Terrain atlas shared with vector layers
+@group(1) @binding(0) var terrainTexture: texture_2d<f32>;
+@group(1) @binding(1) var terrainSampler: sampler;
+@group(1) @binding(2) var<uniform> terrainData: TerrainAndLighting;
+
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) uv: vec2<f32>
+};
+
+fn decodeTerrainHeight(pixel: vec4<f32>) -> f32 {
+    let r = pixel.r * 255.0;
+    let g = pixel.g * 255.0;
+    let b = pixel.b * 255.0;
+    return (r * 256.0 + g + b / 256.0) - 32768.0;
+}
+
+fn sampleTerrainHeight(clipX: f32, clipY: f32) -> f32 {
+    if (terrainData.enabled < 0.5) {
+        return 0.0;
+    }
+
+    let margin = 0.001;
+    if (clipX < terrainData.minX - margin || clipX > terrainData.maxX + margin ||
+        clipY < terrainData.minY - margin || clipY > terrainData.maxY + margin) {
+        return 0.0;
+    }
+
+    let u = (clipX - terrainData.minX) / (terrainData.maxX - terrainData.minX);
+    let v = 1.0 - (clipY - terrainData.minY) / (terrainData.maxY - terrainData.minY);
+    let uv = vec2<f32>(clamp(u, 0.001, 0.999), clamp(v, 0.001, 0.999));
+
+    let pixel = textureSampleLevel(terrainTexture, terrainSampler, uv, 0.0);
+    let height = clamp(decodeTerrainHeight(pixel), 0.0, 9000.0);
+
+    return (height / 50000000.0) * terrainData.exaggeration;
+}
+
+@vertex
+fn vs_main(@location(0) clipPos: vec2<f32>, @location(1) uv: vec2<f32>) -> VertexOutput {
+    var output: VertexOutput;
+    output.uv = uv;
+
+    // Drape over terrain, pushed slightly below vector features (which sit at terrain height)
+    let height = sampleTerrainHeight(clipPos.x, clipPos.y) - 0.00001;
+    output.position = cameraMatrix * vec4<f32>(clipPos.x, clipPos.y, height, 1.0);
+
+    return output;
+}
+
+@fragment
+fn fs_main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    let color = textureSample(rasterTexture, rasterSampler, uv);
+
+    // Saturation: move towards (or away from) the grey average
+    let average = (color.r + color.g + color.b) / 3.0;
+    var rgb = color.rgb + (vec3<f32>(average) - color.rgb) * rasterInfo.saturation;
+
+    // Contrast around mid-grey
+    rgb = (rgb - vec3<f32>(0.5)) * rasterInfo.contrast + vec3<f32>(0.5);
+
+    // Brightness: remap [0, 1] to [brightness-min, brightness-max]
+    rgb = mix(vec3<f32>(rasterInfo.brightnessMin), vec3<f32>(rasterInfo.brightnessMax), clamp(rgb, vec3<f32>(0.0), vec3<f32>(1.0)));
+
+    return vec4<f32>(rgb, color.a * rasterInfo.opacity);
+}
+`;
@@ -1,6 +1,46 @@
 // Vector layer shaders with GPU terrain projection, global lighting, and shadows
 // Vertex format: position(3) + normal(3) + color(4) = 10 floats = 40 bytes
 
+/**
+ * Layer paint lookup shared by the vector vertex shaders (bind group layout: featurePaint.js)
+ * Styled vertices carry their feature ID in the color channels (R = high byte, G = low byte)
+ * @param {number} group - Bind group index of the layer paint
+ */
+export function featurePaintShaderCode(group) {
+    return `
+struct LayerPaint {
+    color: vec4<f32>,  // Constant or zoom-only paint, opacity applied
+    zoomT: f32,        // Position between the table's two zooms, along the paint's zoom curve
+    mode: u32,         // 0 = baked vertex color, 1 = layer color, 2 = feature table
+    _pad1: f32,
+    _pad2: f32
+};
+
+@group(${group}) @binding(0) var<uniform> layerPaint: LayerPaint;
+// Per table slot (one per tile buffer): RGBA8 colors at the two zooms the table was evaluated at
+@group(${group}) @binding(1) var<storage, read> featurePaint: array<vec2<u32>>;
+
+fn getPaintColor(vertexColor: vec4<f32>) -> vec4<f32> {
+    if (layerPaint.mode == 0u) {
+        return vertexColor;
+    }
+    if (layerPaint.mode == 1u) {
+        return layerPaint.color;
+    }
+    let slot = u32(round(vertexColor.r * 255.0)) * 256u + u32(round(vertexColor.g * 255.0));
+    let paint = featurePaint[min(slot, arrayLength(&featurePaint) - 1u)];
+    // Premultiplied, as the style interpolates colors
+    let lower = unpack4x8unorm(paint.x);
+    let upper = unpack4x8unorm(paint.y);
+    let alpha = mix(lower.a, upper.a, layerPaint.zoomT);
+    if (alpha == 0.0) {
+        return vec4<f32>(0.0);
+    }
+    return vec4<f32>(mix(lower.rgb * lower.a, upper.rgb * upper.a, layerPaint.zoomT) / alpha, alpha);
+}
+`;
+}
+
 export const vertexShaderCode = `
 struct VertexOutput {
     @builtin(position) position: vec4<f32>,
@@ -43,6 +83,9 @@ struct TerrainAndLighting {
 // Shadow map data in bind group 2
 @group(2) @binding(0) var<uniform> lightSpaceMatrix: mat4x4<f32>;
 
+// Layer paint in bind group 3
+${featurePaintShaderCode(3)}
+
 fn decodeTerrainHeight(pixel: vec4<f32>) -> f32 {
     let r = pixel.r * 255.0;
     let g = pixel.g * 255.0;
@@ -125,7 +168,7 @@ fn calculateLighting(normal: vec3<f32>) -> f32 {
 }
 
 @vertex
-fn main(@location(0) inPosition: vec3<f32>, @location(1) inNormal: vec3<f32>, @location(2) inColor: vec4<f32>) -> VertexOutput {
+fn main(@location(0) inPosition: vec3<f32>, @location(1) inNormal: vec3<f32>, @location(2) inColor: vec4<f32>, @location(3) tileOpacity: f32) -> VertexOutput {
     var output: VertexOutput;
     
     // GPU terrain sampling:
@@ -144,7 +187,9 @@ fn main(@location(0) inPosition: vec3<f32>, @location(1) inNormal: vec3<f32>, @l
     output.position = uniforms * pos;
 
     output.fragCoord = output.position.xy;
-    output.color = inColor;
+    // Paint looked up by feature ID, then the per-tile fade-in (instance attribute, 1.0 once faded in)
+    let paintColor = getPaintColor(inColor);
+    output.color = vec4<f32>(paintColor.rgb, paintColor.a * tileOpacity);
     output.worldZ = inPosition.z + terrainHeight;
     
     // Pass normal to fragment shader for lighting calculation
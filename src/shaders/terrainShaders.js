@@ -162,3 +162,33 @@ fn fs_overlay(
 
 // Combined shader code for single module creation
 export const terrainShaderCode = terrainVertexShader + terrainFragmentShader;
+
+/**
+ * Terrain atlas blit - copies a region of a terrain tile into its place in the projection
+ * atlas, scaled with nearest texels (encoded Terrarium heights must not be filtered)
+ */
+export const terrainAtlasShaderCode = `
+struct AtlasRegion {
+    destination: vec4<f32>, // x, y, width, height in atlas pixels (the viewport)
+    source: vec4<f32>       // u0, v0, u1, v1 in the tile texture
+};
+
+@group(0) @binding(0) var tileTexture: texture_2d<f32>;
+@group(0) @binding(1) var<uniform> region: AtlasRegion;
+
+@vertex
+fn vs_main(@builtin(vertex_index) index: u32) -> @builtin(position) vec4<f32> {
+    // One triangle covering the viewport
+    let corner = vec2<f32>(f32((index << 1u) & 2u), f32(index & 2u));
+    return vec4<f32>(corner * 2.0 - 1.0, 0.0, 1.0);
+}
+
+@fragment
+fn fs_main(@builtin(position) position: vec4<f32>) -> @location(0) vec4<f32> {
+    let local = (position.xy - region.destination.xy) / region.destination.zw;
+    let uv = mix(region.source.xy, region.source.zw, local);
+    let size = vec2<i32>(textureDimensions(tileTexture));
+    let texel = clamp(vec2<i32>(floor(uv * vec2<f32>(size))), vec2<i32>(0), size - 1);
+    return textureLoad(tileTexture, texel, 0);
+}
+`;
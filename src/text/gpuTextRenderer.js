@@ -241,7 +241,8 @@ export class GPUTextRenderer {
         }
 
         // Filter labels based on zoom and symbol-placement
-        const symbolLayers = sourceId ? getSymbolLayers(sourceId) : [];
+        // No sourceId means symbol layers from every source in the style
+        const symbolLayers = getSymbolLayers(sourceId);
         const currentZoom = camera ? camera.zoom : 0;
         
         // First pass: collect label candidates for collision detection
@@ -14,6 +14,11 @@
 
 import { transformTileCoords } from './vectorTileParser.js';
 import { TERRAIN_CONFIG } from '../core/terrainConfig.js';
+import { isPMTilesUrl, getPMTilesArchive } from './pmtiles.js';
+import { requestTile, getPersistentTileKey } from './persistentTileCache.js';
+import { getSourceTile } from './tile-utils.js';
+
+const TERRARIUM_URL = 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png';
 
 export class TileCoordinator {
     constructor() {
@@ -24,6 +29,8 @@ export class TileCoordinator {
         
         // Configuration - uses global terrain config
         this.terrainSource = TERRAIN_CONFIG.DEFAULT_SOURCE;
+        // Zoom range of the terrain source - deeper vector tiles reuse (overzoom) maxZoom tiles
+        this.terrainZoomRange = { minZoom: 0, maxZoom: 15 };
         this.exaggeration = TERRAIN_CONFIG.DEFAULT_EXAGGERATION;
         this.terrainEnabled = true;
         
@@ -64,11 +71,15 @@ export class TileCoordinator {
     /**
      * Load terrain for a tile (returns Promise)
      * Uses cache if available, otherwise fetches via worker
+     * @param {number|Function} priority - Request scheduler priority of the first caller
      */
-    async loadTerrain(z, x, y) {
+    async loadTerrain(z, x, y, priority = 0) {
         if (!this.terrainEnabled) return null;
         
-        const key = `${z}/${x}/${y}`;
+        const terrainTile = this.getTerrainTile(z, x, y);
+        if (!terrainTile) return null;
+        
+        const key = `${terrainTile.z}/${terrainTile.x}/${terrainTile.y}`;
         
         // Return cached
         if (this.terrainCache.has(key)) {
@@ -95,7 +106,7 @@ export class TileCoordinator {
         this.terrainLoading.set(key, { promise, resolve, reject });
         
         // Load terrain on main thread
-        this.loadTerrainMainThread(z, x, y).then(resolve).catch(reject);
+        this.loadTerrainMainThread(terrainTile.z, terrainTile.x, terrainTile.y, priority).then(resolve).catch(reject);
         
         return promise;
     }
@@ -103,15 +114,27 @@ export class TileCoordinator {
     /**
      * Load terrain on main thread
      */
-    async loadTerrainMainThread(z, x, y) {
+    async loadTerrainMainThread(z, x, y, priority = 0) {
         const key = `${z}/${x}/${y}`;
-        const url = `https://s3.amazonaws.com/elevation-tiles-prod/terrarium/${z}/${x}/${y}.png`;
         
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            let blob;
+            if (isPMTilesUrl(this.terrainSource)) {
+                // PMTiles DEM archive (terrarium encoded)
+                const data = await getPMTilesArchive(this.terrainSource).getTile(z, x, y);
+                if (!data) throw new Error('HTTP 404'); // Not in archive
+                blob = new Blob([data]);
+            } else {
+                const url = TERRARIUM_URL
+                    .replace('{z}', z)
+                    .replace('{x}', x)
+                    .replace('{y}', y);
+                // Same key as TerrainLayer's 'aws' source - the PNG is cached once for both
+                const response = await requestTile(getPersistentTileKey(TERRARIUM_URL, z, x, y), url, {}, { priority });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                blob = await response.blob();
+            }
             
-            const blob = await response.blob();
             const bitmap = await createImageBitmap(blob);
             
             const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
@@ -150,18 +173,30 @@ export class TileCoordinator {
         }
     }
     
+    /**
+     * Terrain tile covering a vector tile: the same tile, or its ancestor at the
+     * terrain source's maxzoom (null below the source's minzoom)
+     */
+    getTerrainTile(z, x, y) {
+        const { minZoom, maxZoom } = this.terrainZoomRange;
+        return getSourceTile({ x, y, z }, minZoom, maxZoom);
+    }
+    
     /**
      * Get terrain data for a tile (cached only, no fetch)
      */
     getTerrainData(z, x, y) {
-        return this.terrainCache.get(`${z}/${x}/${y}`) || null;
+        const terrainTile = this.getTerrainTile(z, x, y);
+        return terrainTile
+            ? this.terrainCache.get(`${terrainTile.z}/${terrainTile.x}/${terrainTile.y}`) || null
+            : null;
     }
     
     /**
      * Check if terrain is available for a tile
      */
     hasTerrainData(z, x, y) {
-        return this.terrainCache.has(`${z}/${x}/${y}`);
+        return this.getTerrainData(z, x, y) !== null;
     }
     
     /**
@@ -224,7 +259,10 @@ export class TileCoordinator {
      * Prune terrain tiles not in visible set
      */
     pruneCache(visibleTiles) {
-        const visibleKeys = new Set(visibleTiles.map(t => `${t.z}/${t.x}/${t.y}`));
+        const visibleKeys = new Set(visibleTiles
+            .map(t => this.getTerrainTile(t.z, t.x, t.y))
+            .filter(Boolean)
+            .map(t => `${t.z}/${t.x}/${t.y}`));
         
         for (const key of this.terrainCache.keys()) {
             if (!visibleKeys.has(key)) {
@@ -240,6 +278,18 @@ export class TileCoordinator {
         this.exaggeration = value;
     }
     
+    /**
+     * Set terrain source ('aws' or a pmtiles:// DEM archive)
+     * @param {Object|null} zoomRange - { minZoom, maxZoom } of the source (TerrainLayer.getSourceConfig())
+     */
+    setTerrainSource(source, zoomRange = null) {
+        this.terrainSource = source;
+        if (zoomRange) {
+            this.terrainZoomRange = zoomRange;
+        }
+        this.clearCache();
+    }
+    
     /**
      * Reload visible tiles to rebake terrain heights with new exaggeration
      */
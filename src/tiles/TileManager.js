@@ -2,17 +2,29 @@
  * TileManager - Handles tile loading, caching, and GPU buffer lifecycle
  * 
  * Responsibilities:
- * - Load visible tiles based on viewport
+ * - Load visible tiles based on viewport (for every vector and geojson source in the style)
  * - Manage tile cache (LRU eviction)
  * - Create and destroy GPU buffers for tiles
  * - Track tile memory usage
- * - Handle zoom level changes
+ * - Handle zoom level changes (parent/child tiles stand in until replacements load)
+ * - Prioritize tile loads (screen center first) and cancel tiles that leave the view
+ * - Emit tileload / tileerror / sourcedata map events
  * - Coordinate terrain loading for CPU-side height baking
+ * - Hand tile decoding and tessellation to the worker pool
  */
 
-import { fetchVectorTile, clearTileCache, resetNotFoundTiles, parseGeoJSONFeature } from './geojson.js';
-import { getVisibleTiles } from './tile-utils.js';
+import {
+    fetchVectorTileData, clearTileCache, resetNotFoundTiles, isTileNotFound, parseTileFeatures, getTileSource, setTileErrorListener,
+    getExtrusionScale, offsetExtrusionHeight
+} from './geojson.js';
+import { parseVectorTile as parseVectorTileDirect } from './vectorTileParser.js';
+import { TileWorkerPool } from './tileWorkerPool.js';
+import { getVisibleTiles, getSourceTile, getTileLoadPriority } from './tile-utils.js';
 import { getTileCoordinator } from './TileCoordinator.js';
+import { getVectorSourceIds, getFadeDuration, getSourceBuffer, getLayer, getPaintProperty, usesFeatureState } from '../core/style.js';
+import { setFeatureStateListener, getTileFeatureState, getStateFeatureId, hasFeatureStates } from '../core/featureState.js';
+import { getGeoJSONSource, getGeoJSONSourceIds } from './geojsonSource.js';
+import { mapEvents } from '../core/mapEvents.js';
 
 export class TileManager {
     constructor(device, performanceStats) {
@@ -22,6 +34,24 @@ export class TileManager {
         // Tile coordinator for terrain sync
         this.tileCoordinator = getTileCoordinator();
         
+        // Decoding and tessellation run in workers; null → parse on the main thread
+        this.workerPool = null;
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.workerPool = new TileWorkerPool();
+            } catch (err) {
+                console.warn('⚠️ Tile workers unavailable, parsing on the main thread:', err);
+            }
+        }
+        
+        // Failed fetches surface as map events (tile is the fetched one - the ancestor when overzoomed)
+        setTileErrorListener(({ sourceId, x, y, z, ...error }) => {
+            mapEvents.fire('tileerror', { sourceId, tile: { x, y, z }, ...error });
+        });
+        
+        // Feature state changes restyle the loaded features in place
+        setFeatureStateListener((change) => this.applyFeatureStateChange(change));
+        
         // Tile storage: Map<layerId, Array<tileBuffer>>
         this.visibleTileBuffers = new Map();
         this.hiddenTileBuffers = new Map();
@@ -31,8 +61,14 @@ export class TileManager {
         
         // Tracking
         this.lastFetchZoom = -1;
-        this.currentAbortController = null;
-        this.isTileLoadInProgress = false;
+        this.lastVisibleTiles = [];
+        this.reloadingSources = new Map(); // sourceId → reload requested while running
+        this.sourceDataVersions = new Map(); // sourceId → bumped on every reload (loads of older data are redone)
+        this.pendingSourceTiles = new Map(); // source tile key → { promise, controller, waiters } (shared by overzoomed children)
+        this.tileLoads = new Map(); // tile key → { controller, priority } of each tile in flight
+        this.missingTileSources = new Map(); // tile key → sources that failed there (re-requested on the next update)
+        this.settledTiles = null; // Ideal tiles of the last load that completed (fallbacks releasable)
+        this.fallbackReleaseTimer = null;
         
         // Memory management
         this.maxTilesPerLayer = 100; // Configurable limit
@@ -42,187 +78,355 @@ export class TileManager {
     
     /**
      * Load tiles visible in the current viewport
+     * Safe to call on every view change: tiles still loading keep their requests
+     * (re-prioritized), tiles that left the view are cancelled one by one
      */
-    async loadVisibleTiles(camera, fetchZoom, shouldClearOldTiles = false) {
-        // Skip if already loading
-        if (this.isTileLoadInProgress) {
-            console.log('⏭️ Skipping tile load - already in progress');
-            if (this.currentAbortController) {
-                this.currentAbortController.abort();
-                this.currentAbortController = null;
-            }
+    async loadVisibleTiles(camera, fetchZoom) {
+        const visibleTiles = getVisibleTiles(camera, fetchZoom);
+        
+        if (visibleTiles.length === 0) {
             return;
         }
         
-        this.isTileLoadInProgress = true;
+        console.log(`📦 Loading ${visibleTiles.length} tiles at zoom ${fetchZoom}`);
+        
+        this.lastFetchZoom = fetchZoom;
+        this.lastVisibleTiles = visibleTiles;
+        
+        // Drop tiles that no longer cover the view, keeping parents/children
+        // of missing tiles on screen (zoom change or pan) until they load
+        this.settledTiles = null;
+        this.retainCoveringTiles(visibleTiles, true);
+        
+        // Cancel loads of tiles that left the view
+        const matrix = camera.getMatrix();
+        const priorities = new Map(visibleTiles.map(tile => [
+            `${tile.z}/${tile.x}/${tile.y}`,
+            getTileLoadPriority(camera, tile, matrix)
+        ]));
+        let cancelledCount = 0;
+        for (const [key, load] of this.tileLoads) {
+            if (!priorities.has(key)) {
+                load.controller.abort();
+                this.tileLoads.delete(key);
+                cancelledCount++;
+            }
+        }
+        if (cancelledCount > 0) {
+            console.log(`🛑 Cancelled ${cancelledCount} tile loads that left the view`);
+        }
+        
+        // Re-rank loads still wanted, start the missing tiles and the sources missing from loaded ones
+        const existingTileKeys = this.getExistingTileKeys();
+        const tilesToFetch = [];
+        for (const tile of visibleTiles) {
+            const key = `${tile.z}/${tile.x}/${tile.y}`;
+            const load = this.tileLoads.get(key);
+            if (load) {
+                load.priority = priorities.get(key);
+            } else if (!existingTileKeys.has(key) || this.missingTileSources.has(key)) {
+                tilesToFetch.push(tile);
+            }
+        }
+        
+        console.log(`📦 Existing: ${existingTileKeys.size}, In flight: ${this.tileLoads.size}, Fetching: ${tilesToFetch.length}`);
+        
+        // The request scheduler orders the network requests; starting them
+        // nearest-first only keeps terrain and cache hits in the same order
+        tilesToFetch.sort((a, b) => priorities.get(`${a.z}/${a.x}/${a.y}`) - priorities.get(`${b.z}/${b.x}/${b.y}`));
+        const loads = tilesToFetch.map(tile => {
+            const key = `${tile.z}/${tile.x}/${tile.y}`;
+            const sourceIds = existingTileKeys.has(key) ? [...this.missingTileSources.get(key)] : null;
+            return this.loadTile(tile, priorities.get(key), sourceIds);
+        });
         
-        // Create new abort controller for this request
-        this.currentAbortController = new AbortController();
-        const abortSignal = this.currentAbortController.signal;
+        this.checkLoadSettled();
+        await Promise.allSettled(loads);
+    }
+    
+    /**
+     * Load one tile for every source, create its GPU buffers and merge them as soon as it is ready
+     * The load can be cancelled on its own through this.tileLoads
+     * Sources that fail are recorded in this.missingTileSources and loaded again by the next update
+     * @param {number} priority - Initial request priority (see getTileLoadPriority)
+     * @param {Array<string|null>|null} onlySourceIds - Sources to load (those missing from a loaded tile), null for all
+     */
+    async loadTile({ x, y, z }, priority, onlySourceIds = null) {
+        const tileKey = `${z}/${x}/${y}`;
+        const load = { controller: new AbortController(), priority };
+        const abortSignal = load.controller.signal;
+        const requestPriority = () => load.priority;
+        this.tileLoads.set(tileKey, load);
+        
+        const newTileBuffers = new Map();
+        const newHiddenTileBuffers = new Map();
+        const loadedSources = []; // { sourceId, sourceTile } with data, announced once merged
         
         try {
-            const visibleTiles = getVisibleTiles(camera, fetchZoom);
+            // Terrain first - heights are baked into the vertices on the CPU
+            // (a tile whose terrain fails still loads, flat)
+            await this.tileCoordinator.loadTerrain(z, x, y, requestPriority).catch(() => null);
+            if (abortSignal.aborted) return;
+            const terrainData = this.tileCoordinator.getTerrainData(z, x, y);
             
-            if (visibleTiles.length === 0) {
-                return;
-            }
+            // No style sources yet: fall back to the default tile source (null)
+            const tiledSourceIds = [...getVectorSourceIds(), ...getGeoJSONSourceIds()];
+            const allSourceIds = tiledSourceIds.length > 0 ? tiledSourceIds : [null];
+            const sourceIds = onlySourceIds ? allSourceIds.filter(sourceId => onlySourceIds.includes(sourceId)) : allSourceIds;
             
-            console.log(`📦 Loading ${visibleTiles.length} tiles at zoom ${fetchZoom}`);
+            // Collect centerlines for GPU terrain compute (shared by all sources)
+            const tileCenterlines = [];
             
-            // Handle zoom changes or pan-based cleanup
-            if (shouldClearOldTiles && this.lastFetchZoom !== fetchZoom) {
-                this.destroyTilesAtWrongZoom(fetchZoom);
-            } else if (!shouldClearOldTiles && this.lastFetchZoom === fetchZoom) {
-                this.destroyOffscreenTiles(visibleTiles);
+            const dataVersions = sourceIds.map(sourceId => this.getSourceDataVersion(sourceId));
+            const results = await Promise.allSettled(sourceIds.map(sourceId => this.loadSourceTile(
+                sourceId, x, y, z, terrainData, tileCenterlines,
+                newTileBuffers, newHiddenTileBuffers, load
+            )));
+            
+            // Sources whose data changed meanwhile (setData) were cut from the old data - cut them again
+            // (rebuildSourceBuffers skips tiles in flight; like it, this does not re-collect centerlines)
+            let stale = sourceIds.filter((sourceId, i) => dataVersions[i] !== this.getSourceDataVersion(sourceId));
+            while (stale.length > 0 && !abortSignal.aborted) {
+                const isStale = tile => stale.includes(tile.sourceId);
+                this.destroyTilesWhere(newTileBuffers, isStale, ['vertexBuffer', 'fillIndexBuffer']);
+                this.destroyTilesWhere(newHiddenTileBuffers, isStale, ['vertexBuffer', 'hiddenFillIndexBuffer']);
+                
+                for (const sourceId of stale) {
+                    dataVersions[sourceIds.indexOf(sourceId)] = this.getSourceDataVersion(sourceId);
+                }
+                const reloaded = await Promise.allSettled(stale.map(sourceId => this.loadSourceTile(
+                    sourceId, x, y, z, terrainData, [],
+                    newTileBuffers, newHiddenTileBuffers, load
+                )));
+                stale.forEach((sourceId, i) => { results[sourceIds.indexOf(sourceId)] = reloaded[i]; });
+                stale = sourceIds.filter((sourceId, i) => dataVersions[i] !== this.getSourceDataVersion(sourceId));
             }
             
-            // Find tiles we need to fetch
-            const existingTileKeys = this.getExistingTileKeys();
-            const tilesToFetch = visibleTiles.filter(tile => 
-                !existingTileKeys.has(`${tile.z}/${tile.x}/${tile.y}`)
-            );
+            if (abortSignal.aborted) return;
             
-            console.log(`📦 Existing: ${existingTileKeys.size}, Fetching: ${tilesToFetch.length}`);
+            results.forEach((result, i) => {
+                if (result.value) {
+                    loadedSources.push({ sourceId: sourceIds[i], sourceTile: result.value });
+                }
+            });
             
-            if (tilesToFetch.length > 0) {
-                await this.fetchAndCreateTileBuffers(tilesToFetch, abortSignal);
+            // Failed, given up or skipped offline - requested again by the next loadVisibleTiles
+            const missingSourceIds = sourceIds.filter((sourceId, i) => !results[i].value && this.isSourceTileMissing(sourceId, x, y, z));
+            if (missingSourceIds.length > 0) {
+                this.missingTileSources.set(tileKey, new Set(missingSourceIds));
+            } else {
+                this.missingTileSources.delete(tileKey);
             }
             
-            this.lastFetchZoom = fetchZoom;
-            
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                console.log('🛑 Tile loading aborted');
-            } else {
-                console.warn('Error loading tiles:', error);
+            // Store centerlines for this tile (for GPU compute pipeline) - added to the
+            // loaded sources' ones when only the missing sources were loaded
+            if (tileCenterlines.length > 0) {
+                const loadedCenterlines = onlySourceIds ? this.tileCenterlines.get(tileKey) ?? [] : [];
+                this.tileCenterlines.set(tileKey, [...loadedCenterlines, ...tileCenterlines]);
             }
+            
+            // Fade in over the fallbacks
+            this.mergeTileBuffers(newTileBuffers, newHiddenTileBuffers, performance.now());
+        } catch (err) {
+            console.warn(`Error loading tile ${tileKey}:`, err);
         } finally {
-            this.isTileLoadInProgress = false;
-            this.currentAbortController = null;
+            if (abortSignal.aborted) {
+                // Buffers of sources that finished before the cancel were never merged
+                this.destroyTilesWhere(newTileBuffers, () => true, ['vertexBuffer', 'fillIndexBuffer']);
+                this.destroyTilesWhere(newHiddenTileBuffers, () => true, ['vertexBuffer', 'hiddenFillIndexBuffer']);
+            }
+            if (this.tileLoads.get(tileKey) === load) {
+                this.tileLoads.delete(tileKey);
+            }
+            
+            if (!abortSignal.aborted) {
+                const isSourceLoaded = this.tileLoads.size === 0;
+                for (const { sourceId, sourceTile } of loadedSources) {
+                    const tile = { x, y, z };
+                    mapEvents.fire('tileload', { sourceId, tile, sourceTile });
+                    mapEvents.fire('sourcedata', { sourceId, dataType: 'content', tile, isSourceLoaded });
+                }
+            }
+            this.checkLoadSettled();
         }
     }
     
     /**
-     * Fetch tiles and create GPU buffers
+     * True when no tile of the current view is still loading and no fallback is left to release
      */
-    async fetchAndCreateTileBuffers(tilesToFetch, abortSignal) {
-        const newTileBuffers = new Map();
-        const newHiddenTileBuffers = new Map();
-        
-        // Load in batches
-        const batchSize = 16;
-        for (let i = 0; i < tilesToFetch.length; i += batchSize) {
-            if (abortSignal?.aborted) {
-                console.log('🛑 Batch loading cancelled');
-                break;
-            }
+    isLoaded() {
+        return this.tileLoads.size === 0 && this.fallbackReleaseTimer === null;
+    }
+    
+    /**
+     * Once every tile of the current view has loaded (or is known missing),
+     * fallbacks go after the new tiles have faded in over them
+     */
+    checkLoadSettled() {
+        if (this.tileLoads.size === 0 && !this.settledTiles) {
+            this.settledTiles = this.lastVisibleTiles;
+            this.scheduleFallbackRelease();
+        }
+    }
+    
+    /**
+     * Fetch, parse and create GPU buffers for one source's tile
+     * Past the source's maxzoom the maxzoom ancestor is fetched, cut to this tile
+     * and re-tessellated at this zoom (line widths)
+     * @param {Object|null} load - Tile load ({ controller, priority }), null for an uncancellable rebuild
+     * @returns {Promise<Object|null>} The source tile ({ x, y, z }) if it had data, else null
+     */
+    async loadSourceTile(sourceId, x, y, z, terrainData, tileCenterlines, newTileBuffers, newHiddenTileBuffers, load = null) {
+        const abortSignal = load?.controller.signal;
+        try {
+            const sourceTile = this.getSourceTileFor(sourceId, x, y, z);
+            if (!sourceTile) return null; // Below the source's minzoom
+            if (abortSignal?.aborted) return null;
+            
+            const tileData = await this.fetchSourceTile(sourceId, sourceTile, load);
+            
+            if (abortSignal?.aborted || !tileData) return null;
+            
+            // Decode and tessellate (in a worker when available)
+            // Pass terrain data for CPU-side height baking
+            const parsedFeatures = await this.parseTile(tileData, sourceTile, { x, y, z }, terrainData, sourceId);
             
-            const batch = tilesToFetch.slice(i, i + batchSize);
-            await this.loadTileBatch(batch, newTileBuffers, newHiddenTileBuffers, abortSignal);
+            if (abortSignal?.aborted) return null;
+            
+            // Create GPU buffers for each feature - the only tile work left on the main thread
+            parsedFeatures.forEach(feature => {
+                this.createBuffersForFeature(
+                    feature,
+                    z, x, y,
+                    newTileBuffers,
+                    newHiddenTileBuffers,
+                    sourceId
+                );
+                
+                // Collect centerlines from line features
+                if (feature.lineCenterlines && feature.lineCenterlines.length > 0) {
+                    tileCenterlines.push(...feature.lineCenterlines);
+                }
+            });
+            
+            return sourceTile;
+        } catch (err) {
+            if (!abortSignal?.aborted) {
+                console.warn(`Error loading tile ${sourceId ?? 'default'}:${z}/${x}/${y}:`, err);
+            }
+            return null;
         }
-        
-        if (abortSignal?.aborted) {
-            console.log('🛑 Skipping buffer update - aborted');
-            return;
+    }
+    
+    /**
+     * True if a source loaded nothing for a tile although it should have something there
+     * Tiles below the source's minzoom, known empty tiles (404 / 204 / out of bounds)
+     * and GeoJSON tiles without features are not missing
+     */
+    isSourceTileMissing(sourceId, x, y, z) {
+        if (sourceId && getGeoJSONSource(sourceId)) {
+            return false;
+        }
+        const sourceTile = this.getSourceTileFor(sourceId, x, y, z);
+        return sourceTile !== null && !isTileNotFound(sourceTile.x, sourceTile.y, sourceTile.z, sourceId);
+    }
+    
+    /**
+     * Tile a source provides for an ideal tile, within the source's own minzoom/maxzoom
+     * GeoJSON sources slice locally, so they are cut at the ideal zoom directly
+     * @returns {{x: number, y: number, z: number}|null}
+     */
+    getSourceTileFor(sourceId, x, y, z) {
+        if (sourceId && getGeoJSONSource(sourceId)) {
+            return { x, y, z };
         }
         
-        // Merge new buffers into existing
-        this.mergeTileBuffers(newTileBuffers, newHiddenTileBuffers);
+        const { minZoom, maxZoom } = getTileSource(sourceId);
+        return getSourceTile({ x, y, z }, minZoom, maxZoom);
     }
     
     /**
-     * Load a batch of tiles
-     * Pre-loads terrain for the batch before processing vectors
+     * Get a tile for a source: sliced locally for geojson sources, fetched for vector sources
+     * @param {Object|null} load - Tile load waiting for it ({ controller, priority })
+     * @returns {Promise<Object|ArrayBuffer|null>} Sliced geojson tile, or raw vector tile bytes
      */
-    async loadTileBatch(tiles, newTileBuffers, newHiddenTileBuffers, abortSignal) {
-        // Pre-load terrain for all tiles in this batch first
-        // This ensures terrain height data is available for CPU-side baking
-        await this.tileCoordinator.preloadTerrain(tiles);
+    async fetchSourceTile(sourceId, { x, y, z }, load = null) {
+        const geojsonSource = sourceId ? getGeoJSONSource(sourceId) : null;
+        if (geojsonSource) {
+            return geojsonSource.getTile(z, x, y);
+        }
         
-        const tilePromises = tiles.map(async ({ x, y, z }) => {
-            try {
-                if (abortSignal?.aborted) return;
-                
-                // Get terrain data for this tile (should be cached from preload)
-                const terrainData = this.tileCoordinator.getTerrainData(z, x, y);
-                
-                const vectorTile = await fetchVectorTile(x, y, z, abortSignal);
-                
-                if (abortSignal?.aborted || !vectorTile?.layers) return;
-                
-                // Parse features with pre-transformed coordinates from vectorTileParser
-                // Pass terrain data for CPU-side height baking
-                const parsedFeatures = await this.parseVectorTile(vectorTile, x, y, z, terrainData);
-                
-                if (abortSignal?.aborted) return;
-                
-                // Collect centerlines for GPU terrain compute
-                const tileKey = `${z}/${x}/${y}`;
-                const tileCenterlines = [];
-                
-                // Create GPU buffers for each feature
-                parsedFeatures.forEach(feature => {
-                    this.createBuffersForFeature(
-                        feature,
-                        z, x, y,
-                        newTileBuffers,
-                        newHiddenTileBuffers
-                    );
-                    
-                    // Collect centerlines from line features
-                    if (feature.lineCenterlines && feature.lineCenterlines.length > 0) {
-                        tileCenterlines.push(...feature.lineCenterlines);
-                    }
-                });
-                
-                // Store centerlines for this tile (for GPU compute pipeline)
-                if (tileCenterlines.length > 0) {
-                    this.tileCenterlines.set(tileKey, tileCenterlines);
-                }
-                
-            } catch (err) {
-                if (!abortSignal?.aborted) {
-                    console.warn(`Error loading tile ${z}/${x}/${y}:`, err);
-                }
+        // Overzoomed children share one request for their ancestor: it runs at the
+        // best priority among them and is only cancelled once all of them are
+        const key = `${sourceId}/${z}/${x}/${y}`;
+        let pending = this.pendingSourceTiles.get(key);
+        if (!pending) {
+            const controller = new AbortController();
+            const waiters = new Set();
+            const promise = fetchVectorTileData(
+                x, y, z, controller.signal, sourceId,
+                () => Math.min(...[...waiters].map(waiter => waiter.priority))
+            ).finally(() => this.pendingSourceTiles.delete(key));
+            pending = { promise, controller, waiters };
+            this.pendingSourceTiles.set(key, pending);
+        }
+        
+        const waiter = load ?? { priority: 0 }; // Rebuilds can't be cancelled
+        pending.waiters.add(waiter);
+        load?.controller.signal.addEventListener('abort', () => {
+            pending.waiters.delete(waiter);
+            if (pending.waiters.size === 0) {
+                pending.controller.abort();
             }
-        });
+        }, { once: true });
         
-        await Promise.allSettled(tilePromises);
+        return pending.promise;
     }
     
     /**
-     * Parse vector tile into features using DIRECT coordinate transform
+     * Parse a tile into features using DIRECT coordinate transform
      * No toGeoJSON(), no GPU roundtrip - just pure CPU tile→Mercator transform
+     * Runs in the worker pool; falls back to the main thread if no worker can take it
+     * @param {Object|ArrayBuffer} tileData - Sliced geojson tile or raw vector tile bytes
+     * @param {Object} sourceTile - { x, y, z } the data belongs to (an ancestor when overzoomed)
+     * @param {Object} tile - { x, y, z } being built
      * @param {Object} terrainData - Optional terrain data for height baking
+     * @param {string|null} sourceId - Style source the tile belongs to
      */
-    async parseVectorTile(vectorTile, x, y, z, terrainData = null) {
-        const parsedFeatures = [];
+    async parseTile(tileData, sourceTile, tile, terrainData = null, sourceId = null) {
+        const isRaw = tileData instanceof ArrayBuffer;
+        const { x, y, z } = tile;
         
-        // Get current style for sourceId
-        const { getStyle } = await import('../core/style.js');
-        const currentStyle = getStyle();
-        const sourceId = currentStyle ? Object.keys(currentStyle.sources)[0] : null;
+        if (this.workerPool?.isAvailable()) {
+            try {
+                return await this.workerPool.parseTile({
+                    sourceId, x, y, z,
+                    sourceTile,
+                    data: isRaw ? tileData : null,
+                    tile: isRaw ? null : tileData,
+                    terrainData
+                });
+            } catch (err) {
+                console.warn(`⚠️ Worker parse failed for ${sourceId ?? 'default'}:${z}/${x}/${y}, parsing on main thread:`, err.message);
+            }
+        }
         
-        // Parse all features with pre-transformed coordinates from vectorTileParser
         // Coordinates are already in Mercator clip space - no GPU roundtrip needed
         // If terrainData available, heights are baked into vertices
-        for (const layerName in vectorTile.layers) {
-            const layer = vectorTile.layers[layerName];
-            for (const feature of layer.features) {
-                const parsed = parseGeoJSONFeature(feature, [0.0, 0.0, 0.0, 1.0], sourceId, z, terrainData);
-                if (parsed) {
-                    parsedFeatures.push(parsed);
-                }
-            }
+        const vectorTile = isRaw
+            ? parseVectorTileDirect(tileData, sourceTile.x, sourceTile.y, sourceTile.z, sourceTile.z < z ? tile : null, getSourceBuffer(sourceId))
+            : tileData;
+        if (!vectorTile?.layers) {
+            return [];
         }
-        
-        return parsedFeatures;
+        // Tessellated at the drawn zoom, so overzoomed line widths match
+        return parseTileFeatures(vectorTile, z, terrainData, sourceId);
     }
     
     /**
      * Create GPU buffers for a single feature
      */
-    createBuffersForFeature(parsedFeature, z, x, y, newTileBuffers, newHiddenTileBuffers) {
+    createBuffersForFeature(parsedFeature, z, x, y, newTileBuffers, newHiddenTileBuffers, sourceId = null) {
         const {
             vertices, hiddenVertices, fillIndices, hiddenfillIndices,
             isFilled, isLine, properties, layerId
@@ -286,9 +490,14 @@ export class TileManager {
             zoomLevel: z,
             tileX: x,
             tileY: y,
+            sourceId,
             vertices: vertices,
             layerId: layerId,
-            lineSegments: parsedFeature.lineSegments // Add line segment data for 3D tubes
+            lineSegments: parsedFeature.lineSegments, // Add line segment data for 3D tubes
+            // Extruded buildings keep their picking geometry, so feature state can change the height
+            extrusionHeight: parsedFeature.extrusionHeight,
+            hiddenVertices: parsedFeature.extrusionHeight > 0 && hiddenVertexBuffer ? hiddenVertices : null,
+            hiddenVertexBuffer: parsedFeature.extrusionHeight > 0 ? hiddenVertexBuffer ?? null : null
         });
         
         // Add to hidden tile buffers
@@ -303,20 +512,111 @@ export class TileManager {
             zoomLevel: z,
             tileX: x,
             tileY: y,
+            sourceId,
             isFilled,
             layerId: layerId
         });
     }
     
+    /**
+     * Rebuild the GPU buffers of a single source (e.g. after GeoJSON setData)
+     * Buffers of every other source are left untouched - no full tile reload
+     * Calls made while a reload is running are coalesced into one extra pass
+     */
+    async reloadSource(sourceId) {
+        this.sourceDataVersions.set(sourceId, this.getSourceDataVersion(sourceId) + 1);
+        if (this.reloadingSources.has(sourceId)) {
+            this.reloadingSources.set(sourceId, true);
+            return;
+        }
+        
+        try {
+            do {
+                this.reloadingSources.set(sourceId, false);
+                await this.rebuildSourceBuffers(sourceId);
+            } while (this.reloadingSources.get(sourceId));
+            
+            mapEvents.fire('sourcedata', { sourceId, dataType: 'content', isSourceLoaded: this.isLoaded() });
+        } finally {
+            this.reloadingSources.delete(sourceId);
+        }
+    }
+    
+    /**
+     * Data version of a source - tile loads started before a change are redone (see loadTile)
+     */
+    getSourceDataVersion(sourceId) {
+        return this.sourceDataVersions.get(sourceId) ?? 0;
+    }
+    
+    /**
+     * Re-create one source's buffers for the currently loaded tiles and swap them in
+     * Only those tiles' buffers are replaced - fallback tiles of other zooms keep theirs
+     */
+    async rebuildSourceBuffers(sourceId) {
+        const newTileBuffers = new Map();
+        const newHiddenTileBuffers = new Map();
+        
+        // Centerlines are not re-collected: they are stored per tile for all sources
+        // and frequent data updates would keep appending to them
+        // Tiles still loading cut the new data themselves (loadTile checks the data version)
+        const loadedTiles = this.lastVisibleTiles.filter(({ x, y, z }) => !this.tileLoads.has(`${z}/${x}/${y}`));
+        await Promise.allSettled(loadedTiles.map(({ x, y, z }) => this.loadSourceTile(
+            sourceId, x, y, z,
+            this.tileCoordinator.getTerrainData(z, x, y),
+            [],
+            newTileBuffers, newHiddenTileBuffers, null
+        )));
+        
+        // Old buffers may still be referenced by in-flight command buffers
+        await this.device.queue.onSubmittedWorkDone();
+        
+        const rebuiltKeys = new Set(loadedTiles.map(({ x, y, z }) => `${z}/${x}/${y}`));
+        const isRebuilt = tile => tile.sourceId === sourceId &&
+            rebuiltKeys.has(`${tile.zoomLevel}/${tile.tileX}/${tile.tileY}`);
+        const destroyedCount =
+            this.destroyTilesWhere(
+                this.visibleTileBuffers,
+                isRebuilt,
+                ['vertexBuffer', 'fillIndexBuffer']
+            ) +
+            this.destroyTilesWhere(
+                this.hiddenTileBuffers,
+                isRebuilt,
+                ['vertexBuffer', 'hiddenFillIndexBuffer']
+            );
+        
+        this.mergeTileBuffers(newTileBuffers, newHiddenTileBuffers);
+        
+        return destroyedCount;
+    }
+    
     /**
      * Merge new tile buffers into existing
+     * @param {number|null} loadedAt - Start of the fade-in (performance.now()), null to appear at once
      */
-    mergeTileBuffers(newTileBuffers, newHiddenTileBuffers) {
+    mergeTileBuffers(newTileBuffers, newHiddenTileBuffers, loadedAt = null) {
         for (const [layerId, buffers] of newTileBuffers) {
+            if (loadedAt !== null) {
+                buffers.forEach(buffer => { buffer.loadedAt = loadedAt; });
+            }
             if (!this.visibleTileBuffers.has(layerId)) {
                 this.visibleTileBuffers.set(layerId, []);
             }
             this.visibleTileBuffers.get(layerId).push(...buffers);
+            
+            // Tiles are parsed without state (workers don't have it) - apply heights set before they loaded
+            // (paint picks up state by itself when FeaturePaint first evaluates the new buffers)
+            const sourceId = buffers[0]?.sourceId;
+            if (sourceId && hasFeatureStates(sourceId) && usesFeatureState(layerId)) {
+                const isGeoJSON = getGeoJSONSource(sourceId) !== null;
+                for (const buffer of buffers) {
+                    const state = getTileFeatureState(sourceId, buffer.properties, isGeoJSON);
+                    if (state) {
+                        this.restyleFeature(buffer, state);
+                    }
+                }
+            }
         }
         
         for (const [layerId, buffers] of newHiddenTileBuffers) {
@@ -328,55 +628,146 @@ export class TileManager {
     }
     
     /**
-     * Destroy tiles not at current zoom level
+     * Restyle the loaded features whose state changed (see featureState.js)
+     * @param {Object} change - { source, sourceLayer, id } - id null for every feature of the source-layer
      */
-    destroyTilesAtWrongZoom(currentZoom) {
-        console.log(`🗑️ Removing tiles from old zoom, keeping zoom ${currentZoom}`);
+    applyFeatureStateChange({ source, sourceLayer, id }) {
+        const isGeoJSON = getGeoJSONSource(source) !== null;
         
-        let destroyedCount = 0;
+        for (const [layerId, buffers] of this.visibleTileBuffers) {
+            if (!usesFeatureState(layerId)) continue;
+            
+            for (const buffer of buffers) {
+                if (buffer.sourceId !== source) continue;
+                if (!isGeoJSON && buffer.properties.sourceLayer !== sourceLayer) continue;
+                if (id !== null && String(getStateFeatureId(source, sourceLayer, buffer.properties)) !== String(id)) continue;
+                
+                this.restyleFeature(buffer, getTileFeatureState(source, buffer.properties, isGeoJSON) ?? {});
+            }
+        }
+    }
+    
+    /**
+     * Apply a feature's state: its color/opacity is re-evaluated on the GPU paint table with
+     * the next frame (FeaturePaint), a changed fill-extrusion-height is written into the
+     * roof and wall tops in place
+     * The geometry is not re-tessellated (buildings flat when parsed stay flat)
+     */
+    restyleFeature(buffer, state) {
+        buffer.paintDirty = true;
         
-        // Destroy visible tile buffers
-        destroyedCount += this.destroyTilesWhere(
-            this.visibleTileBuffers,
-            tile => tile.zoomLevel !== currentZoom,
-            ['vertexBuffer', 'fillIndexBuffer']
-        );
+        const layer = getLayer(buffer.layerId);
+        if (layer?.type !== 'fill-extrusion' || !(buffer.extrusionHeight > 0)) return;
         
-        // Destroy hidden tile buffers
-        destroyedCount += this.destroyTilesWhere(
-            this.hiddenTileBuffers,
-            tile => tile.zoomLevel !== currentZoom,
-            ['vertexBuffer', 'hiddenFillIndexBuffer']
-        );
+        const { properties, vertices, zoomLevel: zoom } = buffer;
+        const feature = { id: properties.fid, properties, layer: { name: properties.sourceLayer }, state };
         
-        if (destroyedCount > 0) {
-            console.log(`♻️ Freed ${destroyedCount} GPU buffers on zoom change`);
+        const height = getPaintProperty(layer.id, 'fill-extrusion-height', feature, zoom) ?? 0;
+        if (height === buffer.extrusionHeight) return;
+        
+        const deltaZ = (height - buffer.extrusionHeight) * getExtrusionScale(zoom);
+        offsetExtrusionHeight(vertices, deltaZ);
+        this.device.queue.writeBuffer(buffer.vertexBuffer, 0, vertices);
+        if (buffer.hiddenVertices) {
+            offsetExtrusionHeight(buffer.hiddenVertices, deltaZ);
+            this.device.queue.writeBuffer(buffer.hiddenVertexBuffer, 0, buffer.hiddenVertices);
         }
+        buffer.extrusionHeight = height;
     }
     
     /**
-     * Destroy tiles outside visible viewport
+     * Keep the loaded tiles that cover the ideal (visible) tile set, destroy the rest
+     * 
+     * A loaded ideal tile covers itself. While one is missing, it is stood in for by
+     * its four children if all are loaded, else its nearest loaded ancestor, else
+     * whatever descendants are loaded. Geometry is already in Mercator clip space,
+     * so stand-ins draw in the right place at any zoom without rescaling.
+     * A tile some source is missing from (see missingTileSources) is kept, but does
+     * not count as loaded: it is stood in for like a missing one.
+     * 
+     * @param {Array} idealTiles - Array of { x, y, z } from getVisibleTiles
+     * @param {boolean} keepFallbacks - False once loading has settled: keep ideal tiles only
      */
-    destroyOffscreenTiles(visibleTiles) {
-        const visibleKeys = new Set(visibleTiles.map(t => `${t.z}/${t.x}/${t.y}`));
+    retainCoveringTiles(idealTiles, keepFallbacks) {
+        const existingKeys = this.getExistingTileKeys();
+        const loadedKeys = new Set([...existingKeys].filter(key => !this.missingTileSources.has(key)));
+        const retainedKeys = new Set();
+        
+        for (const { x, y, z } of idealTiles) {
+            const key = `${z}/${x}/${y}`;
+            if (existingKeys.has(key)) {
+                retainedKeys.add(key);
+            }
+            if (loadedKeys.has(key) || !keepFallbacks) {
+                continue;
+            }
+            
+            const childKeys = [0, 1, 2, 3].map(i => `${z + 1}/${x * 2 + (i & 1)}/${y * 2 + (i >> 1)}`);
+            if (childKeys.every(childKey => loadedKeys.has(childKey))) {
+                childKeys.forEach(childKey => retainedKeys.add(childKey));
+                continue;
+            }
+            
+            const ancestorKey = this.findLoadedAncestor(x, y, z, loadedKeys);
+            if (ancestorKey) {
+                retainedKeys.add(ancestorKey);
+                continue;
+            }
+            
+            // Partial cover is better than an empty hole
+            for (const loadedKey of existingKeys) {
+                const [dz, dx, dy] = loadedKey.split('/').map(Number);
+                if (dz > z && dx >> (dz - z) === x && dy >> (dz - z) === y) {
+                    retainedKeys.add(loadedKey);
+                }
+            }
+        }
         
-        const destroyedCount = 
-            this.destroyTilesWhere(
-                this.visibleTileBuffers,
-                tile => !visibleKeys.has(`${tile.zoomLevel}/${tile.tileX}/${tile.tileY}`),
-                ['vertexBuffer', 'fillIndexBuffer']
-            ) +
-            this.destroyTilesWhere(
-                this.hiddenTileBuffers,
-                tile => !visibleKeys.has(`${tile.zoomLevel}/${tile.tileX}/${tile.tileY}`),
-                ['vertexBuffer', 'hiddenFillIndexBuffer']
-            );
+        const isStale = tile => !retainedKeys.has(`${tile.zoomLevel}/${tile.tileX}/${tile.tileY}`);
+        const destroyedCount =
+            this.destroyTilesWhere(this.visibleTileBuffers, isStale, ['vertexBuffer', 'fillIndexBuffer']) +
+            this.destroyTilesWhere(this.hiddenTileBuffers, isStale, ['vertexBuffer', 'hiddenFillIndexBuffer']);
         
         if (destroyedCount > 0) {
-            console.log(`♻️ Freed ${destroyedCount} off-screen tile buffers during pan`);
+            console.log(`♻️ Freed ${destroyedCount} GPU buffers no longer covering the view`);
+        }
+        
+        for (const key of this.missingTileSources.keys()) {
+            if (!retainedKeys.has(key) && !this.tileLoads.has(key)) {
+                this.missingTileSources.delete(key);
+            }
         }
     }
     
+    /**
+     * Release fallback tiles after the fade-in of the tiles replacing them
+     * Skipped if another load started meanwhile - it releases them when it settles
+     */
+    scheduleFallbackRelease() {
+        clearTimeout(this.fallbackReleaseTimer);
+        this.fallbackReleaseTimer = setTimeout(() => {
+            this.fallbackReleaseTimer = null;
+            if (this.settledTiles && this.tileLoads.size === 0) {
+                this.retainCoveringTiles(this.settledTiles, false);
+            }
+        }, getFadeDuration());
+    }
+    
+    /**
+     * Find the closest loaded ancestor of a tile
+     * @returns {string|null} Tile key (z/x/y)
+     */
+    findLoadedAncestor(x, y, z, loadedKeys) {
+        for (let pz = z - 1; pz >= 0; pz--) {
+            const shift = z - pz;
+            const key = `${pz}/${x >> shift}/${y >> shift}`;
+            if (loadedKeys.has(key)) {
+                return key;
+            }
+        }
+        return null;
+    }
+    
     /**
      * Generic destroy method with predicate
      */
@@ -453,6 +844,7 @@ export class TileManager {
         
         this.visibleTileBuffers.clear();
         this.hiddenTileBuffers.clear();
+        this.missingTileSources.clear();
         clearTileCache();
         resetNotFoundTiles();
         
@@ -570,13 +962,14 @@ export class TileManager {
     }
     
     /**
-     * Abort current tile loading
+     * Abort all tile loads in flight
      */
     abort() {
-        if (this.currentAbortController) {
-            this.currentAbortController.abort();
-            console.log('🛑 Aborted tile loading');
-            this.currentAbortController = null;
+        if (this.tileLoads.size === 0) {
+            return;
         }
+        this.tileLoads.forEach(load => load.controller.abort());
+        console.log(`🛑 Aborted ${this.tileLoads.size} tile loads`);
+        this.tileLoads.clear();
     }
 }
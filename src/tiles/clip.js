@@ -0,0 +1,124 @@
+/**
+ * Axis-aligned clipping for tile geometry
+ *
+ * Points are [x, y] arrays in any planar space (world 0-1, tile extent units...),
+ * clipped one axis at a time: clip x to [minX, maxX], then y to [minY, maxY].
+ * Used by geojsonSource.js (slicing) and vectorTileParser.js (tile edge, overzoomed tiles).
+ *
+ * Polygons are cut exactly at the tile edge so neighbouring tiles don't overlap;
+ * the segments that clipping adds along the edge are recognised with isClipEdge
+ * (no outline or extrusion wall is drawn there).
+ */
+
+/**
+ * Clip a line to k1 <= p[axis] <= k2, splitting it where it leaves the range
+ */
+export function clipLine(line, k1, k2, axis) {
+    const result = [];
+    let current = [];
+
+    for (let i = 0; i < line.length - 1; i++) {
+        const a = line[i];
+        const b = line[i + 1];
+        const ak = a[axis];
+        const bk = b[axis];
+
+        if (ak < k1) {
+            if (bk > k1) {
+                current.push(intersect(a, b, k1, axis));
+                if (bk > k2) {
+                    current.push(intersect(a, b, k2, axis));
+                    result.push(current);
+                    current = [];
+                }
+            }
+        } else if (ak > k2) {
+            if (bk < k2) {
+                current.push(intersect(a, b, k2, axis));
+                if (bk < k1) {
+                    current.push(intersect(a, b, k1, axis));
+                    result.push(current);
+                    current = [];
+                }
+            }
+        } else {
+            current.push(a);
+            if (bk < k1 || bk > k2) {
+                current.push(intersect(a, b, bk < k1 ? k1 : k2, axis));
+                result.push(current);
+                current = [];
+            }
+        }
+    }
+
+    // Last point
+    const last = line[line.length - 1];
+    if (last && last[axis] >= k1 && last[axis] <= k2) {
+        current.push(last);
+    }
+    if (current.length > 0) {
+        result.push(current);
+    }
+
+    return result;
+}
+
+/**
+ * Clip a closed ring to k1 <= p[axis] <= k2 (Sutherland-Hodgman, one axis)
+ * Returned ring is closed (first point repeated at the end)
+ */
+export function clipRing(ring, k1, k2, axis) {
+    const result = [];
+
+    for (let i = 0; i < ring.length - 1; i++) {
+        const a = ring[i];
+        const b = ring[i + 1];
+        const ak = a[axis];
+        const bk = b[axis];
+
+        if (ak < k1) {
+            if (bk > k1) result.push(intersect(a, b, k1, axis));
+            if (bk > k2) result.push(intersect(a, b, k2, axis));
+        } else if (ak > k2) {
+            if (bk < k2) result.push(intersect(a, b, k2, axis));
+            if (bk < k1) result.push(intersect(a, b, k1, axis));
+        } else {
+            result.push(a);
+            if (bk < k1) result.push(intersect(a, b, k1, axis));
+            else if (bk > k2) result.push(intersect(a, b, k2, axis));
+        }
+    }
+
+    // Close the ring
+    if (result.length > 0) {
+        const first = result[0];
+        const last = result[result.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            result.push([first[0], first[1]]);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * True if segment a-b runs along an edge of bounds [minX, minY, maxX, maxY]
+ * Clipped vertices lie exactly on the bounds; epsilon only absorbs rounding
+ */
+export function isClipEdge(a, b, [minX, minY, maxX, maxY], epsilon = 0) {
+    const on = (value, edge) => Math.abs(value - edge) <= epsilon;
+    return (on(a[0], minX) && on(b[0], minX)) ||
+        (on(a[0], maxX) && on(b[0], maxX)) ||
+        (on(a[1], minY) && on(b[1], minY)) ||
+        (on(a[1], maxY) && on(b[1], maxY));
+}
+
+// Point where segment a-b crosses p[axis] = k
+function intersect(a, b, k, axis) {
+    const other = 1 - axis;
+    const t = (k - a[axis]) / (b[axis] - a[axis]);
+    const point = [0, 0];
+    point[axis] = k;
+    point[other] = a[other] + (b[other] - a[other]) * t;
+    return point;
+}
@@ -4,17 +4,22 @@ import earcut from 'earcut';
 import { getColorOfCountries } from '../core/utils.js';
 import { TileCache } from './tileCache.js';
 import { parseVectorTile as parseVectorTileDirect } from './vectorTileParser.js';
+import { isClipEdge } from './clip.js';
+import { isPMTilesUrl, getPMTilesArchive } from './pmtiles.js';
+import { getOfflinePackage } from './offlinePackage.js';
+import { requestTile, getPersistentTileKey } from './persistentTileCache.js';
 import { tessellateLine, screenWidthToWorld, subdivideLine } from './line-tessellation-simple.js';
 import { 
     getStyle, 
     getFeatureId as getStyleFeatureId, 
     getPaintProperty, 
-    parseColor,
     evaluateFilter,
     getLayersBySource,
+    getLayer,
     isTileInBounds,
     getLayerIndex,
-    getSourcePromoteId
+    getSourcePromoteId,
+    getSourceBuffer
 } from '../core/style.js';
 import { TERRAIN_CONFIG } from '../core/terrainConfig.js';
 
@@ -23,6 +28,11 @@ const VERTEX_STRIDE = 10;
 // Default normal for flat surfaces (pointing up)
 const UP_NORMAL = [0, 0, 1];
 
+// Append an up-facing vertex - explicit pushes, spreading the normal and color is slow on this hot path
+function pushFlatVertex(target, x, y, z, color) {
+    target.push(x, y, z, 0, 0, 1, color[0], color[1], color[2], color[3]);
+}
+
 // Simple murmur3-like hash for strings (consistent with MapLibre's approach)
 function murmur3Hash(str) {
     let h = 0;
@@ -58,6 +68,13 @@ function getSmartFeatureId(feature, sourceId) {
         return featureId;
     }
     
+    // Cut at the tile edge: the pieces in neighbouring tiles must share an ID
+    // (no ID edge along the seam, picking highlights the whole feature)
+    if (feature.tileBounds) {
+        const key = featureId ?? JSON.stringify(feature.properties);
+        return (murmur3Hash(`${feature.layer?.name}:${key}`) % MAX_FEATURE_ID) + 1;
+    }
+    
     // Fall back to sequential for now (should not happen with MapLibre demo tiles)
     const seqId = getNextFeatureId();
     //console.log(`⚠️ No valid feature.id for ${name || 'unknown'}, using sequential: ${seqId}`);
@@ -72,17 +89,37 @@ const tileCache = new TileCache();
 let globalFeatureIdCounter = 1;
 const MAX_FEATURE_ID = 65534; // 16-bit limit (avoid 0 and 65535)
 
+// Tile workers each draw from an interleaved sequence (start, start + step, ...)
+// so sequential IDs stay unique across the main thread and every worker
+let featureIdStart = 1;
+let featureIdStep = 1;
+
+// Bumped on every reset - workers compare it to know when to reset their own counter
+let featureIdEpoch = 0;
+
 // Reset counter (call when clearing all tiles)
 export function resetFeatureIdCounter() {
-    globalFeatureIdCounter = 1;
+    globalFeatureIdCounter = featureIdStart;
+    featureIdEpoch++;
+}
+
+export function getFeatureIdEpoch() {
+    return featureIdEpoch;
+}
+
+// Configure this thread's ID sequence (see TileWorkerPool)
+export function setFeatureIdSequence(start, step) {
+    featureIdStart = start;
+    featureIdStep = step;
+    globalFeatureIdCounter = start;
 }
 
 // Get next unique feature ID
 function getNextFeatureId() {
     const id = globalFeatureIdCounter;
-    globalFeatureIdCounter++;
+    globalFeatureIdCounter += featureIdStep;
     if (globalFeatureIdCounter > MAX_FEATURE_ID) {
-        globalFeatureIdCounter = 1; // Wrap around (unlikely with normal usage)
+        globalFeatureIdCounter = featureIdStart; // Wrap around (unlikely with normal usage)
         console.warn('⚠️ Feature ID counter wrapped around - some IDs may duplicate');
     }
     return id;
@@ -174,6 +211,77 @@ function sampleTerrainHeight(x, y, terrainData) {
     return (clampedHeight / 50000000.0) * exaggeration;
 }
 
+/**
+ * Meters → clip space units for extrusion heights at a tile zoom
+ * Buildings need to be visible but proportional to their footprint
+ * 
+ * At zoom Z, the entire world (360° longitude) fits in 2 clip units
+ * Each tile represents (360 / 2^Z) degrees
+ * In clip space, each tile = (2 / 2^Z) clip units = 2^(1-Z) clip units
+ * 
+ * For extrusion height to be proportional:
+ * - At zoom 14, tile = 2^(-13) ≈ 0.000122 clip units wide
+ * - A 5m building on a 20m×20m footprint should be 25% of footprint height
+ * - So 5m should map to roughly 0.25 * (footprint_size_in_clip_space)
+ * 
+ * Simpler approach: Scale extrusion by (2^-zoom) to match tile size
+ * Then apply a constant multiplier for visual appeal
+ */
+export function getExtrusionScale(zoom) {
+    const tileScaleInClipSpace = Math.pow(2, 1 - zoom); // Size of one tile in clip units
+    const metersPerTile = 40075000 / Math.pow(2, zoom); // Meters covered by one tile
+    const metersToClipSpace = tileScaleInClipSpace / metersPerTile;
+    const visualExaggeration = 3; // Make buildings 3x taller for visibility
+    return metersToClipSpace * visualExaggeration;
+}
+
+/**
+ * Vertex color channels encoding a feature ID - shared by the hidden (picking) vertices
+ * and, for styled layers, the visible ones (until FeaturePaint points them at their paint slot)
+ * R = ID high byte, G = ID low byte, B = layer index, A = 1 (all / 255)
+ * @param {number} featureId - 1-65534 (clamped)
+ * @param {number} layerIdx - getLayerIndex() of the feature's layer
+ * @returns {Array<number>} RGBA 0-1
+ */
+export function encodeFeatureIdColor(featureId, layerIdx) {
+    const safeId = Math.max(1, Math.min(65534, featureId || 1)); // 16-bit range (avoid 0 and 65535)
+    return [Math.floor(safeId / 256) / 255.0, (safeId % 256) / 255.0, layerIdx / 255.0, 1.0];
+}
+
+/**
+ * Re-encode the ID channels (R, G) of every vertex in place, keeping the layer index
+ * FeaturePaint points styled vertices at their own paint table slot this way
+ * @param {Float32Array} vertices - Visible vertices of a styled feature
+ * @param {number} id - 0-65535
+ */
+export function setVertexFeatureId(vertices, id) {
+    const high = Math.floor(id / 256) / 255.0;
+    const low = (id % 256) / 255.0;
+    for (let i = 0; i < vertices.length; i += VERTEX_STRIDE) {
+        vertices[i + 6] = high;
+        vertices[i + 7] = low;
+    }
+}
+
+/**
+ * Raise (or lower) the top of an extruded building in place - no re-tessellation
+ * Relies on the vertex layout of generateExtrusion: wall quads (bottom, bottom, top, top)
+ * followed by the roof (normals pointing up), once per polygon
+ * (hidden vertices are all roof, so they work too)
+ * @param {Float32Array} vertices - Visible or hidden vertices of a fill-extrusion feature
+ * @param {number} deltaZ - Height change in clip space units
+ */
+export function offsetExtrusionHeight(vertices, deltaZ) {
+    let wallVertex = 0; // Position in the current run of wall quads
+    for (let i = 0; i < vertices.length; i += VERTEX_STRIDE) {
+        const isRoof = vertices[i + 5] === 1;
+        if (isRoof || wallVertex % 4 >= 2) {
+            vertices[i + 2] += deltaZ;
+        }
+        wallVertex = isRoof ? 0 : wallVertex + 1;
+    }
+}
+
 /**
  * Parse a GeoJSON feature into renderable vertices
  * @param {Object} feature - Feature with geometry
@@ -195,8 +303,8 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
 
     // Get style configuration
     const style = getStyle();
-    let _fillColor = fillColor;
-    let _borderColor = [0.0, 0.0, 0.0, 1.0];
+    // Baked color for unstyled features; styled ones get their ID encoded (see below)
+    let vertexColor = fillColor;
     let layerId = feature.layer?.name || 'unknown'; // Default layerId
 
     // Track extrusion properties
@@ -204,25 +312,8 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
     let extrusionBase = 0;
     let isExtruded = false;
 
-    // CRITICAL: Calculate zoom-dependent scale for extrusions
-    // Buildings need to be visible but proportional to their footprint
-    // 
-    // At zoom Z, the entire world (360° longitude) fits in 2 clip units
-    // Each tile represents (360 / 2^Z) degrees
-    // In clip space, each tile = (2 / 2^Z) clip units = 2^(1-Z) clip units
-    // 
-    // For extrusion height to be proportional:
-    // - At zoom 14, tile = 2^(-13) ≈ 0.000122 clip units wide
-    // - A 5m building on a 20m×20m footprint should be 25% of footprint height
-    // - So 5m should map to roughly 0.25 * (footprint_size_in_clip_space)
-    // 
-    // Simpler approach: Scale extrusion by (2^-zoom) to match tile size
-    // Then apply a constant multiplier for visual appeal
-    const tileScaleInClipSpace = Math.pow(2, 1 - zoom); // Size of one tile in clip units
-    const metersPerTile = 40075000 / Math.pow(2, zoom); // Meters covered by one tile
-    const metersToClipSpace = tileScaleInClipSpace / metersPerTile;
-    const visualExaggeration = 3; // Make buildings 3x taller for visibility
-    const zoomExtrusion = metersToClipSpace * visualExaggeration;
+    // CRITICAL: Calculate zoom-dependent scale for extrusions (see getExtrusionScale)
+    const zoomExtrusion = getExtrusionScale(zoom);
 
     if (style && sourceId) {
         // Get layers for this source
@@ -286,36 +377,11 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
         }
 
         // Note: Filter already checked during layer finding, no need to check again
-
-        // Get paint properties from style based on layer type
-        if (fillLayer || extrusionLayer) {
-            const fillColorValue = getPaintProperty(activeLayer.id, 
-                extrusionLayer ? 'fill-extrusion-color' : 'fill-color', 
-                feature, zoom);
-            if (fillColorValue) {
-                _fillColor = parseColor(fillColorValue);
-            }
-            
-            // Get opacity separately (defaults to 1.0 if not specified)
-            const opacityValue = getPaintProperty(activeLayer.id,
-                extrusionLayer ? 'fill-extrusion-opacity' : 'fill-opacity',
-                feature, zoom);
-            if (opacityValue !== null && opacityValue !== undefined) {
-                _fillColor[3] = opacityValue; // Set alpha channel
-            }
-        }
-
-        if (lineLayer || lineExtrusionLayer) {
-            const activeLineLayer = lineExtrusionLayer || lineLayer;
-            const lineColorValue = getPaintProperty(activeLineLayer.id, 'line-color', feature, zoom);
-            if (lineColorValue) {
-                _borderColor = parseColor(lineColorValue);
-            }
-        }
+        // Colors and opacities are not evaluated here - the GPU looks them up by feature ID
     } else {
         // Fallback to legacy hardcoded colors
         const countryCode = feature?.properties?.ADM0_A3 || feature?.properties?.ISO_A3;
-        _fillColor = getColorOfCountries(countryCode, [0.7, 0.7, 0.7, 1.0]);
+        vertexColor = getColorOfCountries(countryCode, [0.7, 0.7, 0.7, 1.0]);
     }
 
     // Use smart feature ID selection:
@@ -331,13 +397,26 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
     // pickingId is already in valid range (1-65534)
     const clampedFeatureId = pickingId;
     
+    // Styled features: paint is looked up per feature ID on the GPU, so a paint change
+    // or zoom transition needs no re-tessellation (see featurePaint.js)
+    if (style && sourceId) {
+        vertexColor = encodeFeatureIdColor(clampedFeatureId, getLayerIndex(layerId));
+    }
+    
     // Deduplicate by coordinates+layer (not by tileset ID which may span tiles)
     // Note: processedFeatures is local per parseGeoJSONFeature call, so no global dedup
     
+    // Segments that clipping added along the tile edge get no outline or wall
+    const isTileEdge = (a, b) => feature.tileBounds !== undefined && isClipEdge(a, b, feature.tileBounds);
+    
     // Helper to calculate terrain height at building centroid
     // Returns 0 if no terrain data available
     const getBuildingTerrainZ = (outerRing) => {
         if (!terrainData || outerRing.length < 2) return 0;
+        if (feature.center) {
+            // Cut at the tile edge: the uncut center, so both pieces sit at the same height
+            return sampleTerrainHeight(feature.center[0], feature.center[1], terrainData);
+        }
         let centroidX = 0, centroidY = 0;
         const count = outerRing.length - 1; // Exclude closing point
         for (let i = 0; i < count; i++) {
@@ -370,6 +449,11 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             const [x1, y1] = curr; // Coordinates already transformed!
             const [x2, y2] = next;
             
+            // Inside the building - the wall belongs to the neighbouring tile's piece, if anywhere
+            if (isTileEdge(curr, next)) {
+                continue;
+            }
+            
             // Sanity check: skip corrupted coordinates
             if (!isFinite(x1) || !isFinite(y1) || !isFinite(x2) || !isFinite(y2) ||
                 Math.abs(x1) > 10 || Math.abs(y1) > 10 || Math.abs(x2) > 10 || Math.abs(y2) > 10) {
@@ -419,7 +503,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             // Use building centroid terrain height for roof (consistent with walls) + layer offset
             
             // Roof: position(3) + normal(3) + color(4) - normal points up
-            targetVertices.push(x, y, heightZ + buildingTerrainZ + layerZOffset, ...UP_NORMAL, ...fillColor);
+            pushFlatVertex(targetVertices, x, y, heightZ + buildingTerrainZ + layerZOffset, fillColor);
         });
         
         return roofStartIndex;
@@ -442,11 +526,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             const terrainZ = terrainData ? sampleTerrainHeight(x, y, terrainData) : 0.0;
             // Add layer offset so later layers appear on top
             const z = terrainZ + layerZOffset;
-            targetArray.push(
-                x, y, z,       // Position with terrain height + layer offset
-                ...UP_NORMAL,  // Normal (pointing up for flat surfaces)
-                ...color       // Color
-            );
+            pushFlatVertex(targetArray, x, y, z, color);
         });
         return vertexStartIndex;
     };
@@ -460,22 +540,12 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
     const coordsToIdVertices = (coords, featureId, targetArray, zHeight = 0.0, layerName = 'unknown', baseTerrainZ = null) => {
         const vertexStartIndex = targetArray.length / VERTEX_STRIDE;
         
-        // Encode feature ID as 16-bit across red and green channels
-        // R = high byte (bits 8-15), G = low byte (bits 0-7)
-        const safeId = Math.max(1, Math.min(65534, featureId || 1)); // 16-bit range (avoid 0 and 65535)
-        const highByte = Math.floor(safeId / 256); // Red channel
-        const lowByte = safeId % 256;              // Green channel
-        const normalizedR = highByte / 255.0;
-        const normalizedG = lowByte / 255.0;
-        // Get proper layer ID index (0-255) using getLayerIndex
+        // Encode feature ID as 16-bit across red and green channels, layer index in blue
         const layerIdx = getLayerIndex(layerName);
-        const normalizedB = layerIdx / 255.0;
+        const idColor = encodeFeatureIdColor(featureId, layerIdx);
         // Layer Z offset for proper stacking (same as visible pass)
         const layerZOffset = layerIdx * 0.00000005;
         
-        // Alpha channel can be used for other purposes if needed (currently unused)
-        const normalizedA = 1.0;
-        
         coords.forEach(coord => {
             const [x, y] = coord; // Coordinates already in Mercator clip space!
             // For buildings with pre-computed centroid terrain height, use that
@@ -491,11 +561,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             }
             // Add layer offset so later layers appear on top
             z += layerZOffset;
-            targetArray.push(
-                x, y, z,       // Position with terrain + extrusion height + layer offset
-                ...UP_NORMAL,  // Normal (pointing up for flat/hidden surfaces)
-                normalizedR, normalizedG, normalizedB, normalizedA  // R+G=ID, B=layerID, A=unused
-            );
+            pushFlatVertex(targetArray, x, y, z, idColor); // idColor: R+G=ID, B=layerID, A=unused
         });
         return vertexStartIndex;
     };
@@ -555,7 +621,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
 
             // Get all coordinates for both fill and hidden buffers
             // Use subdivided coordinates for proper terrain sampling
-            const allCoords = [outerRing, ...holes].flat(1);
+            const allCoords = outerRing.concat(...holes);
 
             // Check if this is an extruded building
             if (isExtruded && extrusionHeight > 0) {
@@ -574,7 +640,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                     outerRing, 
                     extrusionHeight, 
                     extrusionBase,
-                    _fillColor, 
+                    vertexColor, 
                     fillVertices, 
                     fillIndices,
                     [], // Don't generate outline indices for buildings
@@ -604,7 +670,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                 });
             } else {
                 // Flat polygon at z=0
-                const fillStartIndex = coordsToVertices(allCoords, _fillColor, fillVertices);
+                const fillStartIndex = coordsToVertices(allCoords, vertexColor, fillVertices);
                 
                 // Add triangle indices
                 triangles.forEach(index => {
@@ -628,12 +694,14 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             // Note: Outlines for extruded buildings are now generated inside generateExtrusion()
             // For flat polygons, add ground-level outline
             if (!isExtruded || extrusionHeight === 0) {
-                const outlineStartIndex = coordsToVertices(outerRing, _borderColor, fillVertices);
+                const outlineStartIndex = coordsToVertices(outerRing, vertexColor, fillVertices);
                 for (let i = 0; i < outerRing.length - 1; i++) {
-                    outlineIndices.push(outlineStartIndex + i, outlineStartIndex + i + 1);
+                    if (!isTileEdge(outerRing[i], outerRing[i + 1])) {
+                        outlineIndices.push(outlineStartIndex + i, outlineStartIndex + i + 1);
+                    }
                 }
                 // Close the ring
-                if (outerRing.length > 0) {
+                if (outerRing.length > 0 && !isTileEdge(outerRing[outerRing.length - 1], outerRing[0])) {
                     outlineIndices.push(outlineStartIndex + outerRing.length - 1, outlineStartIndex);
                 }
             }
@@ -673,7 +741,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
 
                 // Get all coordinates for both fill and hidden buffers
                 // Use subdivided coordinates for proper terrain sampling
-                const allCoords = [outerRing, ...holes].flat(1);
+                const allCoords = outerRing.concat(...holes);
                 
                 // Check if this is an extruded building (same logic as Polygon)
                 if (isExtruded && extrusionHeight > 0) {
@@ -688,7 +756,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                         outerRing, 
                         extrusionHeight, 
                         extrusionBase, 
-                        _fillColor, 
+                        vertexColor, 
                         fillVertices, 
                         fillIndices,
                         [], // Don't generate outline indices
@@ -717,7 +785,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                     });
                 } else {
                     // Flat polygon rendering
-                    const fillStartIndex = coordsToVertices(allCoords, _fillColor, fillVertices);
+                    const fillStartIndex = coordsToVertices(allCoords, vertexColor, fillVertices);
                     const hiddenStartIndex = coordsToIdVertices(allCoords, 
                         polygonPickingId,  // Use per-polygon ID, not shared feature ID
                         hiddenVertices,
@@ -778,10 +846,9 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             const transformedLineCoords = subdividedCoords;
             
             // Check if this is a line-extrusion layer (needs 3D tube geometry)
-            const isLineExtrusion = style && sourceId && getLayersBySource(sourceId).some(l =>
-                (l.type === 'line-extrusion' || l.metadata?.['render-as-tubes'] === true) &&
-                l.id === layerId
-            );
+            const lineStyleLayer = style && sourceId ? getLayer(layerId) : null;
+            const isLineExtrusion = lineStyleLayer?.source === sourceId &&
+                (lineStyleLayer.type === 'line-extrusion' || lineStyleLayer.metadata?.['render-as-tubes'] === true);
             
             // Convert line width from pixels to world space
             const worldWidth = screenWidthToWorld(lineWidth, zoom, 512);
@@ -791,7 +858,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             lineCenterlines.push({
                 coordinates: feature.geometry.coordinates, // Raw coordinates (not subdivided)
                 width: worldWidth,
-                color: _borderColor,
+                color: vertexColor,
                 featureId: clampedFeatureId,
                 layerId: layerId
             });
@@ -801,12 +868,11 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             
             if (isLineExtrusion && tessellated.vertices.length > 0) {
                 // Check tube shape from metadata
-                const tubeShape = style?.layers?.find(l => l.id === layerId)?.metadata?.['tube-shape'] || 'rectangular';
+                const tubeShape = lineStyleLayer.metadata?.['tube-shape'] || 'rectangular';
                 
                 // Generate 3D extruded TUBE geometry with WIDTH (not just a thin ribbon)
-                const lineExtrusionHeight = getPaintProperty(style, layerId, 'line-extrusion-height', {}) || 10;
-                const lineExtrusionBase = getPaintProperty(style, layerId, 'line-extrusion-base', {}) || 0;
-                const lineWidth = getPaintProperty(style, layerId, 'line-width', {}) || 3.0;
+                const lineExtrusionHeight = getPaintProperty(layerId, 'line-extrusion-height', feature, zoom) || 10;
+                const lineExtrusionBase = getPaintProperty(layerId, 'line-extrusion-base', feature, zoom) || 0;
                 
                 // IMPORTANT: Width should use worldWidth (clip space), NOT zoomExtrusion scaling
                 // worldWidth is already calculated above for 2D lines - reuse it for tube width
@@ -893,7 +959,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                             const tubeNormal = [normalX, normalY, normalZ];
                             
                             // Push vertex: position(3) + normal(3) + color(4)
-                            fillVertices.push(vx, vy, vz, ...tubeNormal, ..._borderColor);
+                            fillVertices.push(vx, vy, vz, ...tubeNormal, ...vertexColor);
                         }
                     }
                     
@@ -990,7 +1056,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                             const nLen = Math.sqrt(normalX * normalX + normalY * normalY + normalZ * normalZ);
                             const archNormal = [normalX / nLen, normalY / nLen, normalZ / nLen];
                             
-                            fillVertices.push(vx, vy, vz, ...archNormal, ..._borderColor);
+                            fillVertices.push(vx, vy, vz, ...archNormal, ...vertexColor);
                         }
                     }
                     
@@ -1067,11 +1133,11 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                     const DOWN_NORMAL = [0, 0, -1];
                     const bottomVerts = [];
                     leftEdge.forEach(([x, y, tz]) => {
-                        fillVertices.push(x, y, baseZ + tz + lineLayerZOffset, ...DOWN_NORMAL, ..._borderColor);
+                        fillVertices.push(x, y, baseZ + tz + lineLayerZOffset, ...DOWN_NORMAL, ...vertexColor);
                         bottomVerts.push(fillVertices.length / VERTEX_STRIDE - 1);
                     });
                     rightEdge.slice().reverse().forEach(([x, y, tz]) => {
-                        fillVertices.push(x, y, baseZ + tz + lineLayerZOffset, ...DOWN_NORMAL, ..._borderColor);
+                        fillVertices.push(x, y, baseZ + tz + lineLayerZOffset, ...DOWN_NORMAL, ...vertexColor);
                         bottomVerts.push(fillVertices.length / VERTEX_STRIDE - 1);
                     });
                     
@@ -1079,11 +1145,11 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                     // Top faces point up: normal = [0, 0, 1]
                     const topVerts = [];
                     leftEdge.forEach(([x, y, tz]) => {
-                        fillVertices.push(x, y, heightZ + tz + lineLayerZOffset, ...UP_NORMAL, ..._borderColor);
+                        fillVertices.push(x, y, heightZ + tz + lineLayerZOffset, ...UP_NORMAL, ...vertexColor);
                         topVerts.push(fillVertices.length / VERTEX_STRIDE - 1);
                     });
                     rightEdge.slice().reverse().forEach(([x, y, tz]) => {
-                        fillVertices.push(x, y, heightZ + tz + lineLayerZOffset, ...UP_NORMAL, ..._borderColor);
+                        fillVertices.push(x, y, heightZ + tz + lineLayerZOffset, ...UP_NORMAL, ...vertexColor);
                         topVerts.push(fillVertices.length / VERTEX_STRIDE - 1);
                     });
                     
@@ -1105,9 +1171,9 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                     
                     // Add center vertices for bottom and top
                     const bottomCenterIdx = fillVertices.length / VERTEX_STRIDE;
-                    fillVertices.push(bottomCenterX, bottomCenterY, baseZ + centerTerrainZ + lineLayerZOffset, ...DOWN_NORMAL, ..._borderColor);
+                    fillVertices.push(bottomCenterX, bottomCenterY, baseZ + centerTerrainZ + lineLayerZOffset, ...DOWN_NORMAL, ...vertexColor);
                     const topCenterIdx = fillVertices.length / VERTEX_STRIDE;
-                    fillVertices.push(bottomCenterX, bottomCenterY, heightZ + centerTerrainZ + lineLayerZOffset, ...UP_NORMAL, ..._borderColor);
+                    fillVertices.push(bottomCenterX, bottomCenterY, heightZ + centerTerrainZ + lineLayerZOffset, ...UP_NORMAL, ...vertexColor);
                     
                     // Create bottom face triangles (center to each edge, reversed winding for downward)
                     const numBottomVerts = bottomVerts.length;
@@ -1138,10 +1204,10 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                             
                             const vOff = fillVertices.length / VERTEX_STRIDE;
                             // Add terrain height and layer offset to wall vertices
-                            fillVertices.push(x1, y1, baseZ + tz1 + lineLayerZOffset, ...wallNormal, ..._borderColor);
-                            fillVertices.push(x2, y2, baseZ + tz2 + lineLayerZOffset, ...wallNormal, ..._borderColor);
-                            fillVertices.push(x2, y2, heightZ + tz2 + lineLayerZOffset, ...wallNormal, ..._borderColor);
-                            fillVertices.push(x1, y1, heightZ + tz1 + lineLayerZOffset, ...wallNormal, ..._borderColor);
+                            fillVertices.push(x1, y1, baseZ + tz1 + lineLayerZOffset, ...wallNormal, ...vertexColor);
+                            fillVertices.push(x2, y2, baseZ + tz2 + lineLayerZOffset, ...wallNormal, ...vertexColor);
+                            fillVertices.push(x2, y2, heightZ + tz2 + lineLayerZOffset, ...wallNormal, ...vertexColor);
+                            fillVertices.push(x1, y1, heightZ + tz1 + lineLayerZOffset, ...wallNormal, ...vertexColor);
                             
                             fillIndices.push(vOff, vOff + 1, vOff + 2, vOff, vOff + 2, vOff + 3);
                         }
@@ -1162,10 +1228,10 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                         const flen = Math.sqrt(fdx * fdx + fdy * fdy);
                         const frontNormal = flen > 0 ? [fdx / flen, fdy / flen, 0] : [-1, 0, 0];
                         
-                        fillVertices.push(lx0, ly0, baseZ + ltz0 + lineLayerZOffset, ...frontNormal, ..._borderColor);
-                        fillVertices.push(rx0, ry0, baseZ + rtz0 + lineLayerZOffset, ...frontNormal, ..._borderColor);
-                        fillVertices.push(rx0, ry0, heightZ + rtz0 + lineLayerZOffset, ...frontNormal, ..._borderColor);
-                        fillVertices.push(lx0, ly0, heightZ + ltz0 + lineLayerZOffset, ...frontNormal, ..._borderColor);
+                        fillVertices.push(lx0, ly0, baseZ + ltz0 + lineLayerZOffset, ...frontNormal, ...vertexColor);
+                        fillVertices.push(rx0, ry0, baseZ + rtz0 + lineLayerZOffset, ...frontNormal, ...vertexColor);
+                        fillVertices.push(rx0, ry0, heightZ + rtz0 + lineLayerZOffset, ...frontNormal, ...vertexColor);
+                        fillVertices.push(lx0, ly0, heightZ + ltz0 + lineLayerZOffset, ...frontNormal, ...vertexColor);
                         fillIndices.push(frontVOff, frontVOff + 1, frontVOff + 2, frontVOff, frontVOff + 2, frontVOff + 3);
                         
                         // Back cap (end of tube)
@@ -1179,10 +1245,10 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                         const blen = Math.sqrt(bdx * bdx + bdy * bdy);
                         const backNormal = blen > 0 ? [bdx / blen, bdy / blen, 0] : [1, 0, 0];
                         
-                        fillVertices.push(lxN, lyN, baseZ + ltzN + lineLayerZOffset, ...backNormal, ..._borderColor);
-                        fillVertices.push(rxN, ryN, baseZ + rtzN + lineLayerZOffset, ...backNormal, ..._borderColor);
-                        fillVertices.push(rxN, ryN, heightZ + rtzN + lineLayerZOffset, ...backNormal, ..._borderColor);
-                        fillVertices.push(lxN, lyN, heightZ + ltzN + lineLayerZOffset, ...backNormal, ..._borderColor);
+                        fillVertices.push(lxN, lyN, baseZ + ltzN + lineLayerZOffset, ...backNormal, ...vertexColor);
+                        fillVertices.push(rxN, ryN, baseZ + rtzN + lineLayerZOffset, ...backNormal, ...vertexColor);
+                        fillVertices.push(rxN, ryN, heightZ + rtzN + lineLayerZOffset, ...backNormal, ...vertexColor);
+                        fillVertices.push(lxN, lyN, heightZ + ltzN + lineLayerZOffset, ...backNormal, ...vertexColor);
                         fillIndices.push(backVOff, backVOff + 2, backVOff + 1, backVOff, backVOff + 3, backVOff + 2);
                     }
                 }
@@ -1204,13 +1270,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                     const terrainZ = terrainData ? sampleTerrainHeight(centerlineX, centerlineY, terrainData) : 0.0;
                     // Add layer offset for proper z-buffer ordering
                     const z = terrainZ + lineLayerZOffset;
-                    fillVertices.push(
-                        x,             // x (edge position)
-                        y,             // y (edge position)
-                        z,             // z sampled at centerline + layer offset
-                        ...UP_NORMAL,  // Normal (flat lines point up)
-                        ..._borderColor               // color
-                    );
+                    pushFlatVertex(fillVertices, x, y, z, vertexColor); // Edge position, z sampled at centerline
                 }
                 
                 // Add indices for flat line
@@ -1240,7 +1300,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                         tessellated.vertices[i],     // x
                         tessellated.vertices[i + 1], // y
                         z,                           // z from centerline terrain + layer offset
-                        ...UP_NORMAL,                // Normal
+                        0, 0, 1,                     // Normal (up)
                         normalizedR, normalizedG, normalizedB, 1.0  // R+G=ID, B=layerID
                     );
                 }
@@ -1281,10 +1341,9 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             }
             
             // Check if this is a line-extrusion layer (needs 3D tube geometry)
-            const isMultiLineExtrusion = style && sourceId && getLayersBySource(sourceId).some(l =>
-                (l.type === 'line-extrusion' || l.metadata?.['render-as-tubes'] === true) &&
-                l.id === layerId
-            );
+            const multiLineStyleLayer = style && sourceId ? getLayer(layerId) : null;
+            const isMultiLineExtrusion = multiLineStyleLayer?.source === sourceId &&
+                (multiLineStyleLayer.type === 'line-extrusion' || multiLineStyleLayer.metadata?.['render-as-tubes'] === true);
             
             // Convert line width from pixels to world space
             const multiWorldWidth = screenWidthToWorld(multiLineWidth, zoom, 512);
@@ -1294,7 +1353,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                 lineCenterlines.push({
                     coordinates: line, // Raw coordinates (not subdivided)
                     width: multiWorldWidth,
-                    color: _borderColor,
+                    color: vertexColor,
                     featureId: clampedFeatureId,
                     layerId: layerId
                 });
@@ -1312,7 +1371,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
             
             if (isMultiLineExtrusion) {
                 // Get extrusion parameters for MultiLineString
-                const tubeShape = style?.layers?.find(l => l.id === layerId)?.metadata?.['tube-shape'] || 'rectangular';
+                const tubeShape = multiLineStyleLayer.metadata?.['tube-shape'] || 'rectangular';
                 const lineExtrusionHeight = getPaintProperty(layerId, 'line-extrusion-height', feature, zoom) || 10;
                 const lineExtrusionBase = getPaintProperty(layerId, 'line-extrusion-base', feature, zoom) || 0;
                 
@@ -1390,7 +1449,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                                 const normalZ = Math.sin(angle);
                                 const tubeNormal = [normalX, normalY, normalZ];
                                 
-                                fillVertices.push(vx, vy, vz, ...tubeNormal, ..._borderColor);
+                                fillVertices.push(vx, vy, vz, ...tubeNormal, ...vertexColor);
                             }
                         }
                         
@@ -1486,7 +1545,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                                 const nLen = Math.sqrt(normalX * normalX + normalY * normalY + normalZ * normalZ);
                                 const archNormal = [normalX / nLen, normalY / nLen, normalZ / nLen];
                                 
-                                fillVertices.push(vx, vy, vz, ...archNormal, ..._borderColor);
+                                fillVertices.push(vx, vy, vz, ...archNormal, ...vertexColor);
                             }
                         }
                         
@@ -1557,10 +1616,10 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                                 const wallNormal = len > 0 ? [-dy / len * sign, dx / len * sign, 0] : [1, 0, 0];
                                 
                                 const vOff = fillVertices.length / VERTEX_STRIDE;
-                                fillVertices.push(x1, y1, baseZ + tz1 + multiLayerZOffset, ...wallNormal, ..._borderColor);
-                                fillVertices.push(x2, y2, baseZ + tz2 + multiLayerZOffset, ...wallNormal, ..._borderColor);
-                                fillVertices.push(x2, y2, heightZ + tz2 + multiLayerZOffset, ...wallNormal, ..._borderColor);
-                                fillVertices.push(x1, y1, heightZ + tz1 + multiLayerZOffset, ...wallNormal, ..._borderColor);
+                                fillVertices.push(x1, y1, baseZ + tz1 + multiLayerZOffset, ...wallNormal, ...vertexColor);
+                                fillVertices.push(x2, y2, baseZ + tz2 + multiLayerZOffset, ...wallNormal, ...vertexColor);
+                                fillVertices.push(x2, y2, heightZ + tz2 + multiLayerZOffset, ...wallNormal, ...vertexColor);
+                                fillVertices.push(x1, y1, heightZ + tz1 + multiLayerZOffset, ...wallNormal, ...vertexColor);
                                 
                                 fillIndices.push(vOff, vOff + 1, vOff + 2, vOff, vOff + 2, vOff + 3);
                             }
@@ -1591,7 +1650,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                     const centerlineY = lineTessellated.centerlines[i + 1];
                     const terrainZ = terrainData ? sampleTerrainHeight(centerlineX, centerlineY, terrainData) : 0.0;
                     const z = terrainZ + multiLayerZOffset;
-                    fillVertices.push(x, y, z, ...UP_NORMAL, ..._borderColor);
+                    pushFlatVertex(fillVertices, x, y, z, vertexColor);
                 }
                 
                 // Add triangle indices
@@ -1608,7 +1667,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
                     const centerlineY = lineTessellated.centerlines[i + 1];
                     const terrainZ = terrainData ? sampleTerrainHeight(centerlineX, centerlineY, terrainData) : 0.0;
                     const z = terrainZ + multiLayerZOffset;
-                    hiddenVertices.push(x, y, z, ...UP_NORMAL, multiNormalizedR, multiNormalizedG, multiNormalizedB, 1.0);
+                    hiddenVertices.push(x, y, z, 0, 0, 1, multiNormalizedR, multiNormalizedG, multiNormalizedB, 1.0);
                 }
                 
                 // Add hidden indices for line picking
@@ -1621,7 +1680,7 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
         case 'Point':
             const point = feature.geometry.coordinates; // Already transformed!
             const pointZ = terrainData ? sampleTerrainHeight(point[0], point[1], terrainData) : 0.0;
-            fillVertices.push(point[0], point[1], pointZ, ...UP_NORMAL, ..._fillColor);
+            pushFlatVertex(fillVertices, point[0], point[1], pointZ, vertexColor);
             break;
         default:
             // Unsupported geometry type - skip silently
@@ -1650,29 +1709,126 @@ export function parseGeoJSONFeature(feature, fillColor = [0.0, 0.0, 0.0, 1.0], s
     };
 }
 
+/**
+ * Parse every feature of a decoded tile into renderable geometry
+ * Runs on the main thread and inside tile workers (tileWorker.js)
+ * @param {Object} vectorTile - { layers: { [name]: { features } } } with pre-transformed coordinates
+ * @returns {Array<Object>} Parsed features with non-empty geometry
+ */
+export function parseTileFeatures(vectorTile, zoom, terrainData = null, sourceId = null) {
+    const parsedFeatures = [];
+    
+    for (const layerName in vectorTile.layers) {
+        for (const feature of vectorTile.layers[layerName].features) {
+            const parsed = parseGeoJSONFeature(feature, [0.0, 0.0, 0.0, 1.0], sourceId, zoom, terrainData);
+            if (parsed && parsed.vertices.length > 0 && parsed.fillIndices.length > 0) {
+                parsedFeatures.push(parsed);
+            }
+        }
+    }
+    
+    return parsedFeatures;
+}
+
 // Tile fetching infrastructure
 const activeFetchingTiles = new Set();
-const tileErrors = new Map(); // Track failed tiles to avoid repeated fetches
-const notFoundTiles = new Set(); // Keep track of tiles that failed with 404 to avoid repeating requests
+const tileErrors = new Map(); // tileKey → { errorCount, willRetry, retryAt } of failing tiles
+const notFoundTiles = new Set(); // Empty tiles (404 / 204 / no data) - never requested again
+const retryWaits = new Set(); // Wake-up functions of fetches waiting out a backoff
+
+// Retry policy for failed tile fetches (see setTileRetryPolicy)
+const retryPolicy = {
+    maxRetries: 4,    // Retries after the first failure, then the tile is given up on until resetTileErrors()
+    baseDelay: 1000,  // ms before the first retry, doubled for every further one
+    maxDelay: 30000,  // Cap for the backoff and for Retry-After
+    jitter: 0.5       // ±50% so tiles that failed together don't retry together
+};
+
+// Called with { sourceId, x, y, z, status, message, errorCount, willRetry, retryIn } on every failed fetch
+let tileErrorListener = null;
 
-// Configurable tile source
-let tileSourceConfig = {
+/**
+ * Change the retry policy for failed tile fetches
+ * @param {Object} policy - Any of { maxRetries, baseDelay, maxDelay, jitter }
+ */
+export function setTileRetryPolicy(policy) {
+    Object.assign(retryPolicy, policy);
+}
+
+export function getTileRetryPolicy() {
+    return { ...retryPolicy };
+}
+
+/**
+ * Listen for failed vector tile fetches (TileManager emits them as 'tileerror' map events)
+ * status is the HTTP status, 0 when the request itself failed
+ */
+export function setTileErrorListener(listener) {
+    tileErrorListener = listener || null;
+}
+
+// Default tile source, used when no style source has been registered
+const DEFAULT_TILE_SOURCE = {
     url: 'https://demotiles.maplibre.org/tiles/{z}/{x}/{y}.pbf',
+    minZoom: 0,
     maxZoom: 6,
     timeout: 5000
 };
 
-// Function to configure tile source
+// Configurable tile sources: Map<sourceId, { url, minZoom, maxZoom, timeout }>
+// A style can combine several vector sources (e.g. basemap + overlay)
+const tileSources = new Map();
+
+// Function to configure a tile source
+// config.sourceId selects which style source is configured (omit for the default source)
 export function setTileSource(config) {
-    tileSourceConfig = {
-        url: config.url || tileSourceConfig.url,
-        maxZoom: config.maxZoom !== undefined ? config.maxZoom : tileSourceConfig.maxZoom,
-        timeout: config.timeout || tileSourceConfig.timeout
-    };
+    const sourceId = config.sourceId ?? null;
+    const previous = tileSources.get(sourceId) || DEFAULT_TILE_SOURCE;
+    tileSources.set(sourceId, {
+        url: config.url || previous.url,
+        minZoom: config.minZoom !== undefined ? config.minZoom : previous.minZoom,
+        maxZoom: config.maxZoom !== undefined ? config.maxZoom : previous.maxZoom,
+        timeout: config.timeout || previous.timeout
+    });
 }
 
-// Completely rewritten for much higher reliability
-export async function fetchVectorTile(x, y, z, abortSignal = null) {
+// Get the tile source config for a style source (falls back to the default source)
+export function getTileSource(sourceId = null) {
+    return tileSources.get(sourceId) || tileSources.get(null) || DEFAULT_TILE_SOURCE;
+}
+
+// Remove all configured tile sources (call before applying a new style)
+export function clearTileSources() {
+    tileSources.clear();
+}
+
+// Cache key for a tile of a given source
+function getSourceTileKey(sourceId, z, x, y) {
+    return sourceId ? `${sourceId}/${z}/${x}/${y}` : `${z}/${x}/${y}`;
+}
+
+/**
+ * Fetch and decode a vector tile on the calling thread
+ * @returns {Promise<Object|null>} Parsed tile with pre-transformed coordinates
+ */
+export async function fetchVectorTile(x, y, z, abortSignal = null, sourceId = null) {
+    const data = await fetchVectorTileData(x, y, z, abortSignal, sourceId);
+    if (!data) {
+        return null;
+    }
+    
+    // Direct parser with pre-transformed coordinates - skips toGeoJSON() and GPU roundtrip
+    const parsedTile = parseVectorTileDirect(data, x, y, z, null, getSourceBuffer(sourceId));
+    return parsedTile && Object.keys(parsedTile.layers).length > 0 ? parsedTile : null;
+}
+
+/**
+ * Fetch a vector tile's raw PBF bytes (decoding happens in a tile worker)
+ * Completely rewritten for much higher reliability
+ * @param {number|Function} priority - Request scheduler priority, lower first (see getTileLoadPriority)
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export async function fetchVectorTileData(x, y, z, abortSignal = null, sourceId = null, priority = 0) {
     // Validate tile coordinates
     const scale = 1 << z;
     if (x < 0 || x >= scale || y < 0 || y >= scale) {
@@ -1684,21 +1840,18 @@ export async function fetchVectorTile(x, y, z, abortSignal = null) {
         return null;
     }
     
-    // Ensure valid zoom level
-    if (z < 0 || z > tileSourceConfig.maxZoom) {
+    // Ensure valid zoom level for this source
+    const tileSourceConfig = getTileSource(sourceId);
+    if (z < tileSourceConfig.minZoom || z > tileSourceConfig.maxZoom) {
         return null;
     }
     
-    const tileKey = `${z}/${x}/${y}`;
+    const tileKey = getSourceTileKey(sourceId, z, x, y);
     
     // Check if tile is within source bounds (prevents 404s on sparse tilesets)
-    const currentStyle = getStyle();
-    if (currentStyle && currentStyle.sources) {
-        const sourceId = Object.keys(currentStyle.sources)[0];
-        if (!isTileInBounds(x, y, z, sourceId)) {
-            notFoundTiles.add(tileKey); // Cache as not found
-            return null;
-        }
+    if (sourceId && !isTileInBounds(x, y, z, sourceId)) {
+        notFoundTiles.add(tileKey); // Cache as not found
+        return null;
     }
     
     // Don't retry tiles we know don't exist
@@ -1706,11 +1859,6 @@ export async function fetchVectorTile(x, y, z, abortSignal = null) {
         return null;
     }
     
-    // Check if already failed multiple times
-    if (tileErrors.has(tileKey) && tileErrors.get(tileKey) >= 3) {
-        return null; // Skip after 3 failures
-    }
-
     // Check if request was aborted
     if (abortSignal?.aborted) {
         return null;
@@ -1721,121 +1869,185 @@ export async function fetchVectorTile(x, y, z, abortSignal = null) {
         return null; // Don't wait for tiles already being fetched
     }
     
-    // Check if request was aborted again before starting fetch
-    if (abortSignal?.aborted) {
-        return null;
-    }
-    
-    // Mark as being fetched
-    activeFetchingTiles.add(tileKey);
-    
     // Check cache
     const cachedTile = tileCache.get(tileKey);
     if (cachedTile) {
-        activeFetchingTiles.delete(tileKey);
         return cachedTile;
     }
     
-    // Fetch with a timeout for higher reliability
-    const fetchWithTimeout = async (url, options, timeout = 5000) => {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
-        
-        try {
-            // Combine abort signals if one was passed in
-            const signal = options.signal 
-                ? combineAbortSignals([options.signal, controller.signal])
-                : controller.signal;
-                
-            const response = await fetch(url, { ...options, signal });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (err) {
-            clearTimeout(timeoutId);
-            throw err;
-        }
-    };
+    // Mark as being fetched
+    activeFetchingTiles.add(tileKey);
     
-    // Helper to combine multiple abort signals
-    const combineAbortSignals = (signals) => {
-        const controller = new AbortController();
-        for (const signal of signals) {
-            if (signal.aborted) {
-                controller.abort();
-                break;
-            }
-            signal.addEventListener('abort', () => controller.abort());
-        }
-        return controller.signal;
-    };
+    // Offline package (MBTiles / zip) registered for this source
+    const offlinePackage = getOfflinePackage(sourceId);
     
-    try {
+    // Raw bytes of the tile, null for an empty tile (404 / 204 / no data)
+    // Failed requests throw with err.status (HTTP) and err.retryAfter (ms) when known
+    const fetchTileBytes = async () => {
+        if (offlinePackage?.hasTile(z, x, y)) {
+            return offlinePackage.getTile(z, x, y);
+        }
+        
+        if (isPMTilesUrl(tileSourceConfig.url)) {
+            // PMTiles archive: tile located via directories + range request (or local file)
+            return getPMTilesArchive(tileSourceConfig.url).getTile(z, x, y, abortSignal);
+        }
+        
         // Build URL from template
-        let url = tileSourceConfig.url
+        const url = tileSourceConfig.url
             .replace('{z}', z)
             .replace('{x}', x)
             .replace('{y}', y);
         
-        const response = await fetchWithTimeout(url, {
+        // Persistent cache keyed by URL template, so token query params don't split it
+        // The timeout starts once the scheduler sends the request, not while it is queued
+        const cacheKey = getPersistentTileKey(tileSourceConfig.url, z, x, y);
+        const response = await requestTile(cacheKey, url, {
             method: 'GET',
             cache: 'force-cache', // Use browser cache aggressively
             headers: { 'Accept': 'application/x-protobuf' },
-            signal: abortSignal // Will be combined with timeout signal
-        }, tileSourceConfig.timeout);
-
-        if (!response.ok) {
-            // If we get a 404, mark as permanently not found
-            if (response.status === 404) {
-                notFoundTiles.add(tileKey);
-                return null;
-            }
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+            signal: abortSignal
+        }, { priority, timeout: tileSourceConfig.timeout ?? 5000 });
         
-        const arrayBuffer = await response.arrayBuffer();
-        if (arrayBuffer.byteLength === 0) {
-            throw new Error("Empty tile data");
+        if (response.status === 404 || response.status === 204) {
+            return null;
+        }
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+            throw error;
         }
         
-        // NEW: Use direct parser with pre-transformed coordinates
-        // This skips toGeoJSON() and GPU roundtrip - much faster!
-        const parsedTile = parseVectorTileDirect(arrayBuffer, x, y, z);
-        
-        // Only cache valid tiles
-        if (parsedTile && parsedTile.layers && Object.keys(parsedTile.layers).length > 0) {
-            tileCache.set(tileKey, parsedTile);
-            activeFetchingTiles.delete(tileKey);
+        return response.arrayBuffer();
+    };
+    
+    try {
+        for (;;) {
+            // Wait out the backoff of earlier failures (also across calls)
+            const failure = tileErrors.get(tileKey);
+            if (failure) {
+                if (!failure.willRetry) {
+                    return null; // Given up until resetTileErrors() (e.g. back online)
+                }
+                if (!await waitForRetry(failure.retryAt - Date.now(), abortSignal)) {
+                    return null;
+                }
+            }
             
-            // Clear error count on success
-            if (tileErrors.has(tileKey)) {
-                tileErrors.delete(tileKey);
+            // Outside the offline package and no connectivity - don't wait for the network
+            // to time out; the 'online' event re-requests visible tiles
+            if (offlinePackage && !offlinePackage.hasTile(z, x, y) && navigator.onLine === false) {
+                return null;
             }
             
-            return parsedTile;
-        } else {
-            throw new Error("Tile has no layers");
-        }
-    } catch (err) {
-        // Handle abort errors silently
-        if (err.name === 'AbortError' || abortSignal?.aborted) {
-            activeFetchingTiles.delete(tileKey);
-            return null;
-        }
-        
-        // If it's a 404, mark as permanently not found
-        if (err.message.includes('404')) {
-            notFoundTiles.add(tileKey);
+            try {
+                const arrayBuffer = await fetchTileBytes();
+                
+                if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+                    notFoundTiles.add(tileKey); // Empty tile - nothing to draw, nothing to retry
+                    tileErrors.delete(tileKey);
+                    return null;
+                }
+                
+                // Cache the raw bytes - decoding happens per use (in a tile worker)
+                tileCache.set(tileKey, arrayBuffer);
+                tileErrors.delete(tileKey);
+                return arrayBuffer;
+            } catch (err) {
+                // Cancelled by the caller (tile left the view) - not a failure
+                if (abortSignal?.aborted) {
+                    return null;
+                }
+                
+                // No connectivity: nothing to learn from the failure, retried once back online
+                if (navigator.onLine === false) {
+                    return null;
+                }
+                
+                recordTileFailure(tileKey, sourceId, x, y, z, err);
+            }
         }
-        
-        // Increment error count
-        const errorCount = (tileErrors.get(tileKey) || 0) + 1;
-        tileErrors.set(tileKey, errorCount);
-        
-        // Store null in cache to prevent repeated failures
-        tileCache.set(tileKey, null);
+    } finally {
         activeFetchingTiles.delete(tileKey);
+    }
+}
+
+/**
+ * Count a failed fetch and schedule its retry
+ * 5xx, 408, 429, timeouts and network errors are retried with exponential backoff
+ * (at least Retry-After when the server sent one); other HTTP errors are not
+ */
+function recordTileFailure(tileKey, sourceId, x, y, z, err) {
+    const isTimeout = err.name === 'AbortError'; // The caller's abort is handled before
+    const status = err.status ?? 0;
+    const isTransient = status === 0 || status === 408 || status === 429 || status >= 500;
+    
+    const errorCount = (tileErrors.get(tileKey)?.errorCount || 0) + 1;
+    const willRetry = isTransient && errorCount <= retryPolicy.maxRetries;
+    const retryIn = willRetry ? getRetryDelay(errorCount, err.retryAfter) : null;
+    
+    tileErrors.set(tileKey, { errorCount, willRetry, retryAt: Date.now() + (retryIn ?? 0) });
+    
+    tileErrorListener?.({
+        sourceId, x, y, z,
+        status,
+        message: isTimeout ? 'Tile request timed out' : err.message,
+        errorCount,
+        willRetry,
+        retryIn
+    });
+}
+
+/**
+ * Backoff before retry number errorCount: baseDelay · 2^(errorCount-1), ± jitter,
+ * never sooner than Retry-After, capped at maxDelay
+ */
+function getRetryDelay(errorCount, retryAfter = null) {
+    const { baseDelay, maxDelay, jitter } = retryPolicy;
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** (errorCount - 1));
+    const delay = backoff * (1 + jitter * (Math.random() * 2 - 1));
+    return Math.round(Math.min(maxDelay, Math.max(delay, retryAfter ?? 0)));
+}
+
+/**
+ * Retry-After header → ms (delta-seconds or an HTTP date), null if absent or invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) {
         return null;
     }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Sleep until a retry is due
+ * @returns {Promise<boolean>} False if aborted first; resetTileErrors() ends the wait early
+ */
+function waitForRetry(delay, abortSignal) {
+    if (delay <= 0) {
+        return Promise.resolve(!abortSignal?.aborted);
+    }
+    
+    return new Promise(resolve => {
+        const finish = (result) => {
+            clearTimeout(timeoutId);
+            retryWaits.delete(wake);
+            abortSignal?.removeEventListener('abort', cancel);
+            resolve(result);
+        };
+        const wake = () => finish(true);
+        const cancel = () => finish(false);
+        const timeoutId = setTimeout(wake, delay);
+        
+        retryWaits.add(wake);
+        abortSignal?.addEventListener('abort', cancel, { once: true });
+    });
 }
 
 // Helper function to clear tile cache
@@ -1848,3 +2060,14 @@ export function clearTileCache() {
 export function resetNotFoundTiles() {
     notFoundTiles.clear();
 }
+
+// Known empty tile (404 / 204 / outside the source bounds) - nothing missing there
+export function isTileNotFound(x, y, z, sourceId = null) {
+    return notFoundTiles.has(getSourceTileKey(sourceId, z, x, y));
+}
+
+// Reset failure counts so given-up tiles are fetched again - and retry waiting ones now
+export function resetTileErrors() {
+    tileErrors.clear();
+    [...retryWaits].forEach(wake => wake());
+}
@@ -0,0 +1,445 @@
+/**
+ * GeoJSON Source - slices a GeoJSON FeatureCollection into tiles on the fly
+ *
+ * Works like geojson-vt:
+ * - Project every feature to world coordinates (0-1) once, on setData
+ * - Rank vertices with Douglas-Peucker so each zoom can simplify cheaply
+ * - On tile request: simplify for the zoom, clip to the tile - polygons at its
+ *   edge, lines and points with the buffer margin (as vectorTileParser does)
+ *
+ * Tiles come out in the same shape as vectorTileParser.parseVectorTile
+ * (coordinates already in Mercator clip space), so they go through the
+ * regular parseGeoJSONFeature path - fill/line/extrusion/symbol layers
+ * and picking behave exactly as for PBF vector tiles.
+ */
+
+import { TileCache } from './tileCache.js';
+import { clipLine, clipRing } from './clip.js';
+import { requestResource, ResourceType } from '../core/request.js';
+
+const EXTENT = 4096;
+
+export class GeoJSONSource {
+    /**
+     * @param {string} sourceId - Style source ID (also used as the tile layer name)
+     * @param {Object} options - Style source options (maxzoom, tolerance, buffer, generateId)
+     */
+    constructor(sourceId, options = {}) {
+        this.sourceId = sourceId;
+        this.minzoom = options.minzoom ?? 0;
+        this.maxzoom = options.maxzoom ?? 14;
+        this.tolerance = options.tolerance ?? 0.375; // Simplification tolerance in tile pixels
+        this.buffer = options.buffer ?? 64;          // Line/point tile buffer in tile pixels (of 4096 extent)
+        this.generateId = options.generateId ?? false;
+
+        this.features = [];
+        this.tiles = new TileCache(256);
+    }
+
+    /**
+     * Replace the source data (FeatureCollection, Feature or bare Geometry)
+     * URLs are fetched by the caller first (fetchGeoJSON)
+     */
+    setData(data) {
+        if (typeof data === 'string') {
+            throw new Error(`GeoJSON source "${this.sourceId}": setData expects GeoJSON, got a URL - fetch it with fetchGeoJSON`);
+        }
+
+        this.features = [];
+        this.tiles.clear();
+
+        const features = normalizeGeoJSON(data);
+        features.forEach((feature, index) => {
+            const converted = convertFeature(feature, this.generateId ? index + 1 : feature.id);
+            if (converted) {
+                this.features.push(converted);
+            }
+        });
+    }
+
+    /**
+     * Get a tile for this source
+     * @returns {Object|null} Parsed tile ({x, y, z, layers}) or null if empty
+     */
+    getTile(z, x, y) {
+        if (z < this.minzoom || z > this.maxzoom) {
+            return null;
+        }
+
+        const tileKey = `${z}/${x}/${y}`;
+        const cached = this.tiles.cache.has(tileKey) ? this.tiles.get(tileKey) : undefined;
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const tile = this.createTile(z, x, y);
+        this.tiles.set(tileKey, tile);
+        return tile;
+    }
+
+    /**
+     * Simplify and clip all features for a tile
+     */
+    createTile(z, x, y) {
+        const scale = 1 << z;
+        const pad = this.buffer / EXTENT;
+        const tileBox = [x / scale, y / scale, (x + 1) / scale, (y + 1) / scale];
+        const bufferedBox = [(x - pad) / scale, (y - pad) / scale, (x + 1 + pad) / scale, (y + 1 + pad) / scale];
+        const tileBounds = [...toClipSpace(tileBox), ...toClipSpace(tileBox.slice(2))];
+
+        // Squared tolerance in world units (vertex importance is a squared distance)
+        const sqTolerance = Math.pow(this.tolerance / (scale * EXTENT), 2);
+
+        const features = [];
+        for (const feature of this.features) {
+            const [fMinX, fMinY, fMaxX, fMaxY] = feature.bbox;
+            const [minX, minY, maxX, maxY] = feature.kind === 'polygon' ? tileBox : bufferedBox;
+            if (fMaxX < minX || fMinX > maxX || fMaxY < minY || fMinY > maxY) continue;
+
+            const geometry = clipFeatureGeometry(feature, sqTolerance, minX, minY, maxX, maxY);
+            if (!geometry) continue;
+
+            const tileFeature = {
+                type: 'Feature',
+                id: feature.id,
+                properties: feature.properties,
+                geometry,
+                // Single tile layer named after the source (GeoJSON has no source-layers)
+                layer: { name: this.sourceId }
+            };
+
+            // Cut at the tile edge - same markers as vectorTileParser
+            if (fMinX < minX || fMinY < minY || fMaxX > maxX || fMaxY > maxY) {
+                tileFeature.tileBounds = tileBounds;
+                tileFeature.center = toClipSpace([(fMinX + fMaxX) / 2, (fMinY + fMaxY) / 2]);
+            }
+
+            features.push(tileFeature);
+        }
+
+        if (features.length === 0) {
+            return null;
+        }
+
+        return {
+            x, y, z,
+            layers: {
+                [this.sourceId]: {
+                    name: this.sourceId,
+                    extent: EXTENT,
+                    features
+                }
+            }
+        };
+    }
+}
+
+// Registry of GeoJSON sources by style source ID
+const geojsonSources = new Map();
+
+export function setGeoJSONSource(sourceId, source) {
+    geojsonSources.set(sourceId, source);
+}
+
+export function getGeoJSONSource(sourceId) {
+    return geojsonSources.get(sourceId) || null;
+}
+
+export function getGeoJSONSourceIds() {
+    return Array.from(geojsonSources.keys());
+}
+
+export function removeGeoJSONSource(sourceId) {
+    geojsonSources.delete(sourceId);
+}
+
+export function clearGeoJSONSources() {
+    geojsonSources.clear();
+}
+
+/**
+ * Create a GeoJSON source from a style source definition
+ * `data` can be inline GeoJSON or a URL to fetch
+ * @returns {Promise<GeoJSONSource|null>}
+ */
+export async function loadGeoJSONSource(sourceId, sourceDef) {
+    const source = new GeoJSONSource(sourceId, sourceDef);
+
+    let data = sourceDef.data;
+    if (typeof data === 'string') {
+        try {
+            data = await fetchGeoJSON(data);
+        } catch (err) {
+            console.error(`❌ Failed to load GeoJSON for source "${sourceId}":`, err);
+            return null;
+        }
+    }
+
+    source.setData(data || { type: 'FeatureCollection', features: [] });
+    return source;
+}
+
+/**
+ * Fetch GeoJSON data from a URL (`data` of a style source given as a URL)
+ * @returns {Promise<Object>}
+ * @throws {Error} On an HTTP error or invalid JSON
+ */
+export async function fetchGeoJSON(url) {
+    const response = await requestResource(url, ResourceType.Source);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Flatten any GeoJSON object into a list of Features
+ */
+function normalizeGeoJSON(data) {
+    if (!data) return [];
+
+    switch (data.type) {
+        case 'FeatureCollection':
+            return data.features || [];
+        case 'Feature':
+            return [data];
+        case 'GeometryCollection':
+            return (data.geometries || []).map(geometry => ({ type: 'Feature', properties: {}, geometry }));
+        default:
+            // Bare geometry
+            return data.coordinates ? [{ type: 'Feature', properties: {}, geometry: data }] : [];
+    }
+}
+
+/**
+ * Project a Feature to world coordinates and rank vertices for simplification
+ * Internal geometry is grouped by kind:
+ * - point:   [flat] with all points
+ * - line:    [flat, flat, ...] one per line
+ * - polygon: [[ring, ring, ...], ...] one entry per polygon
+ * where flat = [x, y, importance, x, y, importance, ...]
+ */
+function convertFeature(feature, id) {
+    const geometry = feature.geometry;
+    if (!geometry) return null;
+
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const coords = geometry.coordinates;
+    let kind;
+    let parts;
+
+    switch (geometry.type) {
+        case 'Point':
+            kind = 'point';
+            parts = [projectPoints([coords], bbox)];
+            break;
+        case 'MultiPoint':
+            kind = 'point';
+            parts = [projectPoints(coords, bbox)];
+            break;
+        case 'LineString':
+            kind = 'line';
+            parts = [projectLine(coords, bbox)];
+            break;
+        case 'MultiLineString':
+            kind = 'line';
+            parts = coords.map(line => projectLine(line, bbox));
+            break;
+        case 'Polygon':
+            kind = 'polygon';
+            parts = [coords.map(ring => projectLine(ring, bbox))];
+            break;
+        case 'MultiPolygon':
+            kind = 'polygon';
+            parts = coords.map(polygon => polygon.map(ring => projectLine(ring, bbox)));
+            break;
+        default:
+            console.warn('Unsupported GeoJSON geometry type:', geometry.type);
+            return null;
+    }
+
+    return {
+        id,
+        properties: feature.properties || {},
+        kind,
+        parts,
+        bbox
+    };
+}
+
+function projectX(lon) {
+    return lon / 360 + 0.5;
+}
+
+function projectY(lat) {
+    const sin = Math.sin(lat * Math.PI / 180);
+    const y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+    return y < 0 ? 0 : y > 1 ? 1 : y;
+}
+
+function projectPoints(points, bbox) {
+    const flat = [];
+    for (const [lon, lat] of points) {
+        const x = projectX(lon);
+        const y = projectY(lat);
+        flat.push(x, y, 1);
+        extendBBox(bbox, x, y);
+    }
+    return flat;
+}
+
+function projectLine(line, bbox) {
+    const flat = [];
+    for (const [lon, lat] of line) {
+        const x = projectX(lon);
+        const y = projectY(lat);
+        flat.push(x, y, 0);
+        extendBBox(bbox, x, y);
+    }
+
+    // Endpoints are always kept; interior points get their Douglas-Peucker rank
+    const last = flat.length - 3;
+    if (last >= 0) {
+        flat[2] = 1;
+        flat[last + 2] = 1;
+        rankVertices(flat, 0, last);
+    }
+    return flat;
+}
+
+function extendBBox(bbox, x, y) {
+    if (x < bbox[0]) bbox[0] = x;
+    if (y < bbox[1]) bbox[1] = y;
+    if (x > bbox[2]) bbox[2] = x;
+    if (y > bbox[3]) bbox[3] = y;
+}
+
+/**
+ * Douglas-Peucker ranking: store the squared distance at which each vertex
+ * would be removed, so simplification at any zoom is a simple threshold test
+ * (iterative to avoid stack overflow on long lines)
+ */
+function rankVertices(flat, first, last) {
+    const stack = [first, last];
+
+    while (stack.length > 0) {
+        const end = stack.pop();
+        const start = stack.pop();
+
+        let maxSqDist = 0;
+        let index = -1;
+
+        for (let i = start + 3; i < end; i += 3) {
+            const sqDist = getSqSegDist(flat[i], flat[i + 1], flat[start], flat[start + 1], flat[end], flat[end + 1]);
+            if (sqDist > maxSqDist) {
+                maxSqDist = sqDist;
+                index = i;
+            }
+        }
+
+        if (index !== -1) {
+            flat[index + 2] = maxSqDist;
+            if (index - start > 3) stack.push(start, index);
+            if (end - index > 3) stack.push(index, end);
+        }
+    }
+}
+
+// Squared distance from point (px, py) to segment (ax, ay)-(bx, by)
+function getSqSegDist(px, py, ax, ay, bx, by) {
+    let x = ax;
+    let y = ay;
+    let dx = bx - ax;
+    let dy = by - ay;
+
+    if (dx !== 0 || dy !== 0) {
+        const t = ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = bx;
+            y = by;
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+
+    dx = px - x;
+    dy = py - y;
+    return dx * dx + dy * dy;
+}
+
+/**
+ * Keep only vertices whose importance exceeds the zoom's tolerance
+ * @returns {Array} [[x, y], ...] in world coordinates
+ */
+function simplify(flat, sqTolerance) {
+    const points = [];
+    for (let i = 0; i < flat.length; i += 3) {
+        if (flat[i + 2] > sqTolerance) {
+            points.push([flat[i], flat[i + 1]]);
+        }
+    }
+    return points;
+}
+
+/**
+ * Simplify + clip one feature to the tile box
+ * @returns {Object|null} GeoJSON geometry in Mercator clip space
+ */
+function clipFeatureGeometry(feature, sqTolerance, minX, minY, maxX, maxY) {
+    if (feature.kind === 'point') {
+        const points = simplify(feature.parts[0], -1)
+            .filter(([x, y]) => x >= minX && x <= maxX && y >= minY && y <= maxY)
+            .map(toClipSpace);
+
+        if (points.length === 0) return null;
+        return points.length === 1
+            ? { type: 'Point', coordinates: points[0] }
+            : { type: 'MultiPoint', coordinates: points };
+    }
+
+    if (feature.kind === 'line') {
+        const lines = [];
+        for (const part of feature.parts) {
+            let pieces = [simplify(part, sqTolerance)];
+            pieces = pieces.flatMap(line => clipLine(line, minX, maxX, 0));
+            pieces = pieces.flatMap(line => clipLine(line, minY, maxY, 1));
+            for (const line of pieces) {
+                if (line.length >= 2) lines.push(line.map(toClipSpace));
+            }
+        }
+
+        if (lines.length === 0) return null;
+        return lines.length === 1
+            ? { type: 'LineString', coordinates: lines[0] }
+            : { type: 'MultiLineString', coordinates: lines };
+    }
+
+    const polygons = [];
+    for (const polygon of feature.parts) {
+        const rings = [];
+        for (let r = 0; r < polygon.length; r++) {
+            let ring = simplify(polygon[r], sqTolerance);
+            ring = clipRing(ring, minX, maxX, 0);
+            ring = clipRing(ring, minY, maxY, 1);
+
+            if (ring.length < 4) {
+                // Outer ring collapsed or outside the tile: drop the whole polygon
+                if (r === 0) break;
+                continue;
+            }
+            rings.push(ring.map(toClipSpace));
+        }
+        if (rings.length > 0) polygons.push(rings);
+    }
+
+    if (polygons.length === 0) return null;
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+// World (0-1) → Mercator clip space (matches transformTileCoords)
+function toClipSpace([x, y]) {
+    return [x * 2 - 1, y * 2 - 1];
+}
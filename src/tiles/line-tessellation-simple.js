@@ -177,11 +177,18 @@ export function tessellateLine(coordinates, width, cap = 'butt', join = 'bevel',
     };
 }
 
+// Viewport width override for tile workers, which have no window
+let viewportWidth = null;
+
+export function setViewportWidth(width) {
+    viewportWidth = width;
+}
+
 export function screenWidthToWorld(screenWidthPixels, zoom, tileSize = 512) {
     // At zoom 0, the world is 2 units wide (from -1 to 1)
     // Each zoom level doubles the resolution
     const worldSize = 2;
     const scale = Math.pow(2, zoom);
-    const pixelsPerWorldUnit = (window.innerWidth / worldSize) * scale;
+    const pixelsPerWorldUnit = ((viewportWidth ?? globalThis.innerWidth) / worldSize) * scale;
     return screenWidthPixels / pixelsPerWorldUnit;
 }
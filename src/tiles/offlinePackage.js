@@ -0,0 +1,663 @@
+/**
+ * Offline tile packages
+ *
+ * Lets field teams load a tileset from a user-picked file and render without
+ * connectivity. Supported formats:
+ * - MBTiles (SQLite)       → https://github.com/mapbox/mbtiles-spec
+ * - Zip of {z}/{x}/{y}.pbf → e.g. `tippecanoe --output-to-directory` zipped up
+ *
+ * A package is registered for a vector source (or for all vector sources) and
+ * fetchVectorTile resolves tiles from it before hitting the network.
+ *
+ * MBTiles files are read into memory whole (SQLite pages are looked up at random), so their
+ * size is bounded by the ArrayBuffer the browser will allocate (about 2 GB, less on mobile);
+ * zip packages are read entry by entry. Tables created WITHOUT ROWID are not supported.
+ */
+
+const SQLITE_MAGIC = 'SQLite format 3\u0000';
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_MAX_COMMENT_SIZE = 65535;
+
+// B-tree page types (table b-trees only - tile lookups go through rowids)
+const PAGE_INTERIOR_TABLE = 0x05;
+const PAGE_LEAF_TABLE = 0x0d;
+
+// Zip entry paths ending in {z}/{x}/{y}.<ext>
+const TILE_PATH_PATTERN = /(?:^|\/)(\d+)\/(\d+)\/(\d+)\.[a-z0-9]+$/i;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Read a byte range from a File/Blob or ArrayBuffer
+ */
+async function readBytes(data, offset, length) {
+    if (data instanceof ArrayBuffer) {
+        return data.slice(offset, offset + length);
+    }
+    return data.slice(offset, offset + length).arrayBuffer();
+}
+
+/**
+ * Decompress with the platform DecompressionStream ('gzip' or 'deflate-raw')
+ */
+async function inflate(data, format) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+    return new Response(stream).arrayBuffer();
+}
+
+/**
+ * Vector tiles in packages are usually gzipped - detect by magic bytes
+ */
+async function decodeTileData(data) {
+    const bytes = new Uint8Array(data);
+    if (bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        return inflate(data, 'gzip');
+    }
+    return data;
+}
+
+function tileKey(z, x, y) {
+    return `${z}/${x}/${y}`;
+}
+
+// ========== MBTiles (SQLite) ==========
+
+/**
+ * Read a SQLite varint (big-endian, 1-9 bytes)
+ * @returns {[number, number]} value and byte length
+ */
+function readSQLiteVarint(bytes, offset) {
+    let value = 0;
+    for (let i = 0; i < 8; i++) {
+        const byte = bytes[offset + i];
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) {
+            return [value, i + 1];
+        }
+    }
+    // 9th byte contributes all 8 bits
+    return [value * 256 + bytes[offset + 8], 9];
+}
+
+/**
+ * Minimal read-only SQLite reader
+ * Walks table b-trees and decodes records - enough to read MBTiles tables,
+ * no SQL engine involved.
+ */
+class SQLiteReader {
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+
+        const pageSize = this.view.getUint16(16);
+        this.pageSize = pageSize === 1 ? 65536 : pageSize;
+        this.usableSize = this.pageSize - this.bytes[20]; // minus reserved bytes per page
+
+        // Write/read format version 2: WAL journal mode - committed pages may still be
+        // in the separate -wal file, which is not read
+        this.isWAL = this.bytes[18] === 2 || this.bytes[19] === 2;
+    }
+
+    pageOffset(page) {
+        return (page - 1) * this.pageSize;
+    }
+
+    /**
+     * Read a b-tree page header and its cell offsets
+     */
+    readPage(page) {
+        const start = this.pageOffset(page);
+        if (start >= this.bytes.length) {
+            throw new Error(`SQLite page ${page} is past the end of the file`);
+        }
+        const headerStart = page === 1 ? 100 : start; // page 1 begins with the file header
+        const type = this.bytes[headerStart];
+
+        if (type !== PAGE_LEAF_TABLE && type !== PAGE_INTERIOR_TABLE) {
+            throw new Error(`Unexpected SQLite page type ${type} on page ${page}`);
+        }
+
+        const isLeaf = type === PAGE_LEAF_TABLE;
+        const cellCount = this.view.getUint16(headerStart + 3);
+        const cellPointers = headerStart + (isLeaf ? 8 : 12);
+        const cells = new Array(cellCount);
+        for (let i = 0; i < cellCount; i++) {
+            cells[i] = start + this.view.getUint16(cellPointers + i * 2);
+        }
+
+        return {
+            isLeaf,
+            cells,
+            rightChild: isLeaf ? 0 : this.view.getUint32(headerStart + 8)
+        };
+    }
+
+    /**
+     * Read a leaf cell: rowid + record payload (following overflow pages)
+     * @param {number} limit - Stop after this many payload bytes (skip trailing blobs)
+     */
+    readLeafCell(offset, limit = Infinity) {
+        const [payloadSize, sizeLength] = readSQLiteVarint(this.bytes, offset);
+        const [rowid, rowidLength] = readSQLiteVarint(this.bytes, offset + sizeLength);
+        const payloadStart = offset + sizeLength + rowidLength;
+
+        return { rowid, payload: this.readPayload(payloadStart, payloadSize, limit), payloadSize };
+    }
+
+    readPayload(start, size, limit) {
+        // Spill-over thresholds from the file format spec
+        const usable = this.usableSize;
+        const maxLocal = usable - 35;
+        if (size <= maxLocal) {
+            return this.bytes.subarray(start, start + size);
+        }
+
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        const k = minLocal + ((size - minLocal) % (usable - 4));
+        const localSize = k <= maxLocal ? k : minLocal;
+
+        const wanted = Math.min(size, limit);
+        if (wanted <= localSize) {
+            return this.bytes.subarray(start, start + wanted);
+        }
+
+        const payload = new Uint8Array(wanted);
+        payload.set(this.bytes.subarray(start, start + localSize));
+
+        let written = localSize;
+        let page = this.view.getUint32(start + localSize);
+        while (written < wanted && page) {
+            const pageStart = this.pageOffset(page);
+            const chunk = Math.min(usable - 4, wanted - written);
+            payload.set(this.bytes.subarray(pageStart + 4, pageStart + 4 + chunk), written);
+            written += chunk;
+            page = this.view.getUint32(pageStart);
+        }
+
+        return payload;
+    }
+
+    /**
+     * Visit every row of a table in rowid order
+     * @param {number} limit - Payload bytes needed per row (see readLeafCell)
+     */
+    scanTable(rootPage, callback, limit = Infinity) {
+        const { isLeaf, cells, rightChild } = this.readPage(rootPage);
+
+        if (isLeaf) {
+            for (const cell of cells) {
+                const { rowid, payload } = this.readLeafCell(cell, limit);
+                callback(rowid, payload);
+            }
+            return;
+        }
+
+        for (const cell of cells) {
+            this.scanTable(this.view.getUint32(cell), callback, limit);
+        }
+        this.scanTable(rightChild, callback, limit);
+    }
+
+    /**
+     * Find a row by rowid (binary search down the table b-tree)
+     * @returns {Uint8Array|null} record payload
+     */
+    findRow(rootPage, rowid) {
+        let page = rootPage;
+
+        for (;;) {
+            const { isLeaf, cells, rightChild } = this.readPage(page);
+            let low = 0;
+            let high = cells.length - 1;
+
+            if (isLeaf) {
+                while (low <= high) {
+                    const mid = (low + high) >> 1;
+                    const [, sizeLength] = readSQLiteVarint(this.bytes, cells[mid]);
+                    const [cellRowid] = readSQLiteVarint(this.bytes, cells[mid] + sizeLength);
+                    if (cellRowid < rowid) {
+                        low = mid + 1;
+                    } else if (cellRowid > rowid) {
+                        high = mid - 1;
+                    } else {
+                        return this.readLeafCell(cells[mid]).payload;
+                    }
+                }
+                return null;
+            }
+
+            // Interior cell: left child holds rowids <= key
+            let next = rightChild;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                const [key] = readSQLiteVarint(this.bytes, cells[mid] + 4);
+                if (key < rowid) {
+                    low = mid + 1;
+                } else {
+                    next = this.view.getUint32(cells[mid]);
+                    high = mid - 1;
+                }
+            }
+            page = next;
+        }
+    }
+
+    /**
+     * Read sqlite_schema (rooted at page 1)
+     * @returns {Map<string, {type, name, rootPage, columns, withoutRowid}>}
+     */
+    readSchema() {
+        const schema = new Map();
+        this.scanTable(1, (rowid, payload) => {
+            const [type, name, , rootPage, sql] = decodeRecord(payload);
+            // WITHOUT ROWID tables are stored as index b-trees, which this reader does not walk
+            const withoutRowid = typeof sql === 'string' && /\)\s*without\s+rowid\s*;?\s*$/i.test(sql);
+            schema.set(name, { type, name, rootPage, columns: parseColumnNames(sql), withoutRowid });
+        });
+        return schema;
+    }
+}
+
+/**
+ * Decode a SQLite record into column values
+ * Columns past the end of a truncated payload come back undefined.
+ */
+function decodeRecord(payload) {
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    const [headerSize, headerSizeLength] = readSQLiteVarint(payload, 0);
+
+    const serialTypes = [];
+    for (let pos = headerSizeLength; pos < headerSize;) {
+        const [serialType, length] = readSQLiteVarint(payload, pos);
+        serialTypes.push(serialType);
+        pos += length;
+    }
+
+    const values = [];
+    let pos = headerSize;
+    for (const serialType of serialTypes) {
+        const size = serialTypeSize(serialType);
+        if (pos + size > payload.length) {
+            break;
+        }
+        values.push(readSerialValue(view, payload, pos, serialType, size));
+        pos += size;
+    }
+    return values;
+}
+
+/**
+ * Bytes of payload needed to decode the first `count` columns of a record
+ */
+function recordPrefixSize(payload, count) {
+    const [headerSize, headerSizeLength] = readSQLiteVarint(payload, 0);
+    let size = headerSize;
+    let pos = headerSizeLength;
+    for (let i = 0; i < count && pos < headerSize; i++) {
+        const [serialType, length] = readSQLiteVarint(payload, pos);
+        size += serialTypeSize(serialType);
+        pos += length;
+    }
+    return size;
+}
+
+function serialTypeSize(serialType) {
+    if (serialType >= 12) {
+        return (serialType - (serialType % 2 === 0 ? 12 : 13)) / 2;
+    }
+    return [0, 1, 2, 3, 4, 6, 8, 8, 0, 0, 0, 0][serialType];
+}
+
+function readSerialValue(view, payload, pos, serialType, size) {
+    switch (serialType) {
+        case 0: return null;
+        case 1: return view.getInt8(pos);
+        case 2: return view.getInt16(pos);
+        case 3: return view.getInt8(pos) * 65536 + view.getUint16(pos + 1);
+        case 4: return view.getInt32(pos);
+        case 5: return view.getInt16(pos) * 4294967296 + view.getUint32(pos + 2);
+        case 6: return Number(view.getBigInt64(pos));
+        case 7: return view.getFloat64(pos);
+        case 8: return 0;
+        case 9: return 1;
+    }
+    const bytes = payload.subarray(pos, pos + size);
+    return serialType % 2 === 0 ? bytes : textDecoder.decode(bytes);
+}
+
+/**
+ * Column names from a CREATE TABLE statement (views and indexes → [])
+ */
+function parseColumnNames(sql) {
+    const match = typeof sql === 'string' && /^\s*create\s+table[^(]*\(([\s\S]*)\)/i.exec(sql);
+    if (!match) {
+        return [];
+    }
+
+    // Split on top-level commas (type arguments like decimal(10,2) stay intact)
+    const definitions = [];
+    let depth = 0;
+    let current = '';
+    for (const char of match[1]) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            definitions.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    definitions.push(current);
+
+    return definitions
+        .map(definition => definition.trim().split(/\s+/)[0].replace(/^["'`[]|["'`\]]$/g, ''))
+        .filter(name => name && !/^(primary|unique|check|foreign|constraint)$/i.test(name));
+}
+
+/**
+ * MBTiles package backed by an in-memory SQLite file
+ * Supports the plain `tiles` table and the deduplicated `map` + `images` layout.
+ */
+class MBTilesPackage {
+    constructor(buffer) {
+        this.type = 'mbtiles';
+        this.db = new SQLiteReader(buffer);
+        this.index = new Map(); // "z/x/y" → rowid (tiles) or tile_id (map)
+
+        try {
+            this.readTables();
+        } catch (err) {
+            if (!this.db.isWAL) throw err;
+            throw new Error(`MBTiles file could not be read (${err.message}) - it is in WAL journal mode, so its latest ` +
+                'changes are probably still in the -wal file next to it. Checkpoint it first: ' +
+                'sqlite3 file.mbtiles "PRAGMA journal_mode=DELETE"');
+        }
+
+        if (this.db.isWAL) {
+            console.warn('⚠️ MBTiles file is in WAL journal mode - changes not yet checkpointed into it (its -wal file) are missing');
+        }
+    }
+
+    readTables() {
+        const schema = this.db.readSchema();
+        for (const name of ['tiles', 'map', 'images', 'metadata']) {
+            if (schema.get(name)?.withoutRowid) {
+                throw new Error(`MBTiles table "${name}" is a WITHOUT ROWID table, which is not supported - ` +
+                    'recreate it as a regular table, or use a zipped {z}/{x}/{y} package');
+            }
+        }
+        this.metadata = this.readMetadata(schema);
+
+        const tiles = schema.get('tiles');
+        if (tiles?.type === 'table') {
+            this.tileTable = tiles;
+            this.indexTiles(tiles);
+        } else if (schema.get('map')?.type === 'table' && schema.get('images')?.type === 'table') {
+            // Deduplicated layout: `tiles` is a view joining map → images on tile_id
+            this.tileTable = schema.get('images');
+            this.imageRows = new Map(); // tile_id → images rowid
+            this.indexTiles(schema.get('map'), 'tile_id');
+            this.indexImages(this.tileTable);
+        } else {
+            throw new Error('MBTiles file has no tiles table');
+        }
+
+        this.dataColumn = this.tileTable.columns.indexOf('tile_data');
+        this.minZoom = parseInt(this.metadata.minzoom ?? this.zoomRange[0], 10);
+        this.maxZoom = parseInt(this.metadata.maxzoom ?? this.zoomRange[1], 10);
+    }
+
+    readMetadata(schema) {
+        const metadata = {};
+        const table = schema.get('metadata');
+        if (table?.type !== 'table') {
+            return metadata;
+        }
+
+        const nameColumn = table.columns.indexOf('name');
+        const valueColumn = table.columns.indexOf('value');
+        this.db.scanTable(table.rootPage, (rowid, payload) => {
+            const values = decodeRecord(payload);
+            metadata[values[nameColumn]] = values[valueColumn];
+        });
+        return metadata;
+    }
+
+    /**
+     * Index tile coordinates → rowid (or the value of `valueColumnName`)
+     */
+    indexTiles(table, valueColumnName = null) {
+        const { columns } = table;
+        const zColumn = columns.indexOf('zoom_level');
+        const xColumn = columns.indexOf('tile_column');
+        const rowColumn = columns.indexOf('tile_row');
+        const valueColumn = valueColumnName ? columns.indexOf(valueColumnName) : -1;
+        const needed = Math.max(zColumn, xColumn, rowColumn, valueColumn) + 1;
+        let minZoom = Infinity;
+        let maxZoom = -Infinity;
+
+        // Only the leading coordinate columns are read - tile blobs stay untouched
+        this.db.scanTable(table.rootPage, (rowid, payload) => {
+            const values = decodeRecord(payload.subarray(0, recordPrefixSize(payload, needed)));
+            const z = values[zColumn];
+            const x = values[xColumn];
+            const y = (1 << z) - 1 - values[rowColumn]; // MBTiles rows are TMS (flipped y)
+
+            this.index.set(tileKey(z, x, y), valueColumn === -1 ? rowid : values[valueColumn]);
+            minZoom = Math.min(minZoom, z);
+            maxZoom = Math.max(maxZoom, z);
+        }, 256);
+
+        this.zoomRange = [minZoom, maxZoom];
+    }
+
+    indexImages(table) {
+        const idColumn = table.columns.indexOf('tile_id');
+        this.db.scanTable(table.rootPage, (rowid, payload) => {
+            // tile_id usually follows the blob, so the full record is read once here
+            this.imageRows.set(decodeRecord(payload)[idColumn], rowid);
+        });
+    }
+
+    hasTile(z, x, y) {
+        return this.index.has(tileKey(z, x, y));
+    }
+
+    async getTile(z, x, y) {
+        let rowid = this.index.get(tileKey(z, x, y));
+        if (rowid === undefined) {
+            return null;
+        }
+        if (this.imageRows) {
+            rowid = this.imageRows.get(rowid);
+        }
+
+        const payload = this.db.findRow(this.tileTable.rootPage, rowid);
+        const data = payload && decodeRecord(payload)[this.dataColumn];
+        if (!data) {
+            return null;
+        }
+
+        // Copy out of the file buffer so the parser owns its ArrayBuffer
+        return decodeTileData(data.slice().buffer);
+    }
+}
+
+// ========== Zipped {z}/{x}/{y} directory ==========
+
+/**
+ * Zip package read lazily from a File/Blob (only the central directory is loaded up front)
+ */
+class ZipPackage {
+    constructor(data, entries, metadata) {
+        this.type = 'zip';
+        this.data = data;
+        this.index = entries; // "z/x/y" → central directory entry
+        this.metadata = metadata;
+
+        const zooms = [...entries.keys()].map(key => parseInt(key, 10));
+        this.minZoom = parseInt(metadata.minzoom ?? Math.min(...zooms), 10);
+        this.maxZoom = parseInt(metadata.maxzoom ?? Math.max(...zooms), 10);
+    }
+
+    static async open(data) {
+        const size = data.byteLength ?? data.size;
+        const tailStart = Math.max(0, size - ZIP_MAX_COMMENT_SIZE - 22);
+        const tail = new DataView(await readBytes(data, tailStart, size - tailStart));
+
+        // End of central directory record: scan backwards past the optional comment
+        let eocd = -1;
+        for (let pos = tail.byteLength - 22; pos >= 0; pos--) {
+            if (tail.getUint32(pos, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+                eocd = pos;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Zip end of central directory not found');
+        }
+
+        const entryCount = tail.getUint16(eocd + 10, true);
+        const directorySize = tail.getUint32(eocd + 12, true);
+        const directoryOffset = tail.getUint32(eocd + 16, true);
+        if (directoryOffset === 0xffffffff) {
+            throw new Error('Zip64 archives are not supported');
+        }
+
+        const directory = await readBytes(data, directoryOffset, directorySize);
+        const view = new DataView(directory);
+        const bytes = new Uint8Array(directory);
+        const entries = new Map();
+        let metadataEntry = null;
+
+        for (let i = 0, pos = 0; i < entryCount; i++) {
+            if (view.getUint32(pos, true) !== ZIP_CENTRAL_HEADER) {
+                throw new Error('Corrupt zip central directory');
+            }
+
+            const nameLength = view.getUint16(pos + 28, true);
+            const name = textDecoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+            const entry = {
+                compression: view.getUint16(pos + 10, true),
+                compressedSize: view.getUint32(pos + 20, true),
+                localHeaderOffset: view.getUint32(pos + 42, true)
+            };
+
+            const match = TILE_PATH_PATTERN.exec(name);
+            if (match) {
+                entries.set(tileKey(+match[1], +match[2], +match[3]), entry);
+            } else if (/(?:^|\/)metadata\.json$/i.test(name)) {
+                metadataEntry = entry;
+            }
+
+            pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+        }
+
+        if (entries.size === 0) {
+            throw new Error('Zip contains no {z}/{x}/{y} tiles');
+        }
+
+        let metadata = {};
+        if (metadataEntry) {
+            try {
+                metadata = JSON.parse(textDecoder.decode(await readZipEntry(data, metadataEntry)));
+            } catch (err) {
+                console.warn('⚠️ Ignoring unreadable metadata.json in offline package:', err.message);
+            }
+        }
+
+        return new ZipPackage(data, entries, metadata);
+    }
+
+    hasTile(z, x, y) {
+        return this.index.has(tileKey(z, x, y));
+    }
+
+    async getTile(z, x, y) {
+        const entry = this.index.get(tileKey(z, x, y));
+        if (!entry) {
+            return null;
+        }
+        return decodeTileData(await readZipEntry(this.data, entry));
+    }
+}
+
+/**
+ * Read (and inflate) a zip entry's data
+ */
+async function readZipEntry(data, entry) {
+    // Local header name/extra lengths can differ from the central directory
+    const header = new DataView(await readBytes(data, entry.localHeaderOffset, 30));
+    if (header.getUint32(0, true) !== ZIP_LOCAL_HEADER) {
+        throw new Error('Corrupt zip local header');
+    }
+
+    const dataStart = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const compressed = await readBytes(data, dataStart, entry.compressedSize);
+
+    switch (entry.compression) {
+        case 0: return compressed; // stored
+        case 8: return inflate(compressed, 'deflate-raw');
+        default: throw new Error(`Unsupported zip compression method ${entry.compression}`);
+    }
+}
+
+// ========== Registry ==========
+
+// Packages by vector source id (null → used by every source without its own package)
+const offlinePackages = new Map();
+
+/**
+ * Open an offline package from a File, Blob or ArrayBuffer (format detected from its magic bytes)
+ * MBTiles files are loaded into memory whole - see the size limit above; zip packages are not
+ * @returns {Promise<MBTilesPackage|ZipPackage>}
+ * @throws {Error} Unrecognized or unsupported file (WITHOUT ROWID tables, unreadable WAL-mode file, too large)
+ */
+export async function loadOfflinePackage(data) {
+    const magic = new Uint8Array(await readBytes(data, 0, 16));
+
+    if (textDecoder.decode(magic) === SQLITE_MAGIC) {
+        // SQLite needs random access across the whole file
+        let buffer;
+        try {
+            buffer = data instanceof ArrayBuffer ? data : await data.arrayBuffer();
+        } catch (err) {
+            throw new Error(`MBTiles file of ${Math.round(data.size / 1e6)} MB is too large to load into memory ` +
+                `(${err.message}) - split it, or use a zipped {z}/{x}/{y} package`);
+        }
+        return new MBTilesPackage(buffer);
+    }
+    if (new DataView(magic.buffer).getUint32(0, true) === ZIP_LOCAL_HEADER) {
+        return ZipPackage.open(data);
+    }
+
+    throw new Error('Unrecognized offline package (expected MBTiles or zip)');
+}
+
+/**
+ * Load and register an offline package
+ * @param {File|Blob|ArrayBuffer} data - MBTiles file (read into memory whole) or zipped {z}/{x}/{y} directory
+ * @param {Object} options
+ * @param {string} [options.sourceId] - Vector source served by the package (omit for all sources)
+ */
+export async function addOfflinePackage(data, options = {}) {
+    const offlinePackage = await loadOfflinePackage(data);
+    offlinePackages.set(options.sourceId ?? null, offlinePackage);
+
+    console.log(`📦 Offline package loaded (${offlinePackage.type}): ${offlinePackage.index.size} tiles, zoom ${offlinePackage.minZoom}-${offlinePackage.maxZoom}`);
+    return offlinePackage;
+}
+
+/**
+ * Get the offline package serving a vector source
+ */
+export function getOfflinePackage(sourceId = null) {
+    return offlinePackages.get(sourceId) || offlinePackages.get(null) || null;
+}
+
+export function removeOfflinePackage(sourceId = null) {
+    offlinePackages.delete(sourceId);
+}
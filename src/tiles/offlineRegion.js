@@ -0,0 +1,455 @@
+/**
+ * Offline region packs
+ *
+ * Pre-downloads every tile of a bounding box over a zoom range into the
+ * persistent tile cache, so a district can be loaded before going into the field.
+ *
+ * - Vector, raster and terrain tiles, keyed exactly like the runtime fetches
+ * - Concurrency-limited, with progress events; requests go through the shared scheduler
+ *   behind every visible tile, so a download never holds up the map
+ * - Pause / resume (also after a page reload) / cancel
+ * - Pack tiles are pinned: LRU eviction skips them until the pack is deleted
+ *
+ * Events (CustomEvent, like Camera): 'progress', 'complete', 'paused', 'cancelled', 'error'
+ * ('complete' only once every tile is stored - a run ending with failed tiles reports 'error'
+ * and stays paused, so resume() retries them)
+ */
+
+import { getStyle } from '../core/style.js';
+import { longitudeToTileX, latitudeToTileY } from '../core/utils.js';
+import { requestResource, ResourceType } from '../core/request.js';
+import { getTileSource } from './geojson.js';
+import { isPMTilesUrl } from './pmtiles.js';
+import { getPersistentTileCache, enablePersistentTileCache, getPersistentTileKey } from './persistentTileCache.js';
+import { getRequestScheduler } from './requestScheduler.js';
+
+const MAX_LATITUDE = 85.051129; // Web Mercator limit
+const DEFAULT_CONCURRENCY = 6;
+const DEFAULT_MAX_TILES = 50000;
+const SAVE_INTERVAL = 50; // Persist progress every N tiles
+const PACK_REQUEST_PRIORITY = Infinity; // Scheduler priority - after every tile the map is waiting for
+
+// Packs currently downloading (or paused) in this session
+const activePacks = new Map();
+
+/**
+ * Tile range of a bounding box at a zoom level
+ * Same tile math as the runtime (longitudeToTileX / latitudeToTileY); boxes
+ * crossing the antimeridian (west > east) produce two X ranges.
+ * @param {number[]} bounds - [west, south, east, north] in degrees
+ */
+export function getRegionTileRanges(bounds, z) {
+    const [west, south, east, north] = bounds;
+    const scale = 1 << z;
+    const clampTile = (value) => Math.min(scale - 1, Math.max(0, value));
+    const clampLat = (lat) => Math.min(MAX_LATITUDE, Math.max(-MAX_LATITUDE, lat));
+
+    const minY = clampTile(latitudeToTileY(clampLat(north), z));
+    const maxY = clampTile(latitudeToTileY(clampLat(south), z));
+    const minX = clampTile(longitudeToTileX(west, z));
+    const maxX = clampTile(longitudeToTileX(east, z));
+
+    const xRanges = west <= east ? [[minX, maxX]] : [[minX, scale - 1], [0, maxX]];
+    return xRanges.map(([fromX, toX]) => ({ minX: fromX, maxX: toX, minY, maxY }));
+}
+
+/**
+ * Number of tiles a source contributes to a region (after zoom clamping)
+ */
+function countSourceTiles(bounds, minzoom, maxzoom, source) {
+    let count = 0;
+    for (const z of getSourceZooms(minzoom, maxzoom, source)) {
+        for (const range of getRegionTileRanges(bounds, z)) {
+            count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+        }
+    }
+    return count;
+}
+
+/**
+ * Zoom levels to download for a source
+ * Sources clamp to their own zoom range (terrain is drawn from its max zoom when overzoomed)
+ */
+function getSourceZooms(minzoom, maxzoom, source) {
+    const zooms = new Set();
+    for (let z = minzoom; z <= maxzoom; z++) {
+        zooms.add(Math.min(Math.max(z, source.minZoom), source.maxZoom));
+    }
+    return [...zooms];
+}
+
+/**
+ * Resolve the tile URL templates of the sources to download
+ * @param {string[]} [sourceIds] - Style source ids (default: every vector and raster source)
+ * @param {Object} [terrainSource] - Terrain source config ({ url, minZoom, maxZoom }) or null
+ * @returns {Array<Object>} Empty if there is nothing to download
+ */
+function resolveSources(sourceIds, terrainSource) {
+    const style = getStyle();
+    const styleSources = style?.sources || {};
+    const ids = sourceIds || Object.keys(styleSources).filter(
+        id => styleSources[id].type === 'vector' || styleSources[id].type === 'raster'
+    );
+
+    const sources = [];
+    for (const id of ids) {
+        const source = styleSources[id];
+        if (!source) {
+            console.warn(`⚠️ Offline region: unknown source "${id}"`);
+            continue;
+        }
+
+        if (source.type === 'vector') {
+            const config = getTileSource(id);
+            if (isPMTilesUrl(config.url)) {
+                console.warn(`⚠️ Offline region: skipping "${id}" - PMTiles archives can be loaded locally with addPMTiles()`);
+                continue;
+            }
+            sources.push({ id, url: config.url, minZoom: config.minZoom, maxZoom: config.maxZoom });
+        } else if (source.type === 'raster' && source.tiles?.length) {
+            sources.push({ id, url: source.tiles[0], minZoom: source.minzoom ?? 0, maxZoom: source.maxzoom ?? 22 });
+        } else {
+            console.warn(`⚠️ Offline region: skipping "${id}" (type ${source.type} has no remote tiles)`);
+        }
+    }
+
+    if (terrainSource && !isPMTilesUrl(terrainSource.url)) {
+        sources.push({
+            id: 'terrain',
+            url: terrainSource.url,
+            minZoom: terrainSource.minZoom,
+            maxZoom: terrainSource.maxZoom
+        });
+    }
+
+    return sources;
+}
+
+/**
+ * A region download - an EventTarget backed by a persisted pack record
+ */
+export class OfflinePack extends EventTarget {
+    constructor(record, cache, options = {}) {
+        super();
+        this.record = record;
+        this.cache = cache;
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.keys = new Set(record.keys); // Tiles already done (pinned or known missing)
+        this.state = record.complete ? 'complete' : 'idle'; // idle | running | paused | complete | cancelled
+        this.abortController = null;
+        this.runPromise = null;
+    }
+
+    get id() {
+        return this.record.id;
+    }
+
+    getProgress() {
+        const { id, name, total, completed, failed, bytes } = this.record;
+        return {
+            id,
+            name,
+            state: this.state,
+            total,
+            completed,
+            failed,
+            bytes,
+            percent: total > 0 ? (completed / total) * 100 : 100
+        };
+    }
+
+    /**
+     * Start or resume downloading (tiles already done are skipped)
+     */
+    resume() {
+        if (this.state === 'running' || this.state === 'complete' || this.state === 'cancelled') {
+            return this.runPromise;
+        }
+
+        this.state = 'running';
+        this.abortController = new AbortController();
+        this.runPromise = this.run(this.abortController.signal);
+        return this.runPromise;
+    }
+
+    /**
+     * Pause after aborting in-flight requests - resume() picks up where it stopped
+     */
+    async pause() {
+        if (this.state !== 'running') {
+            return;
+        }
+        this.state = 'paused';
+        this.abortController.abort();
+        await this.runPromise;
+        await this.save();
+        this.triggerEvent('paused', this.getProgress());
+    }
+
+    /**
+     * Stop downloading and delete the pack (and its tiles)
+     */
+    async cancel() {
+        const wasRunning = this.state === 'running';
+        this.state = 'cancelled';
+        if (wasRunning) {
+            this.abortController.abort();
+            await this.runPromise;
+        }
+        await removePack(this.id, this.cache, [...this.keys]);
+        this.triggerEvent('cancelled', this.getProgress());
+    }
+
+    async run(signal) {
+        const tasks = this.enumerateTasks();
+        let next = 0;
+        let sinceSave = 0;
+
+        const worker = async () => {
+            while (this.state === 'running' && next < tasks.length) {
+                const task = tasks[next++];
+                await this.downloadTile(task, signal);
+
+                if (++sinceSave >= SAVE_INTERVAL) {
+                    sinceSave = 0;
+                    await this.save();
+                }
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: this.concurrency }, worker));
+
+            if (this.state !== 'running') {
+                return; // Paused or cancelled - pause()/cancel() report it
+            }
+
+            // Failed tiles stay out of `keys`, so a later resume() retries them
+            this.record.complete = this.record.failed === 0;
+            this.state = this.record.complete ? 'complete' : 'paused';
+            await this.save();
+            if (this.record.complete) {
+                this.triggerEvent('complete', this.getProgress());
+            } else {
+                const error = new Error(`${this.record.failed} of ${this.record.total} tiles failed - resume() retries them`);
+                console.warn(`⚠️ Offline region "${this.record.name}": ${error.message}`);
+                this.triggerEvent('error', { ...this.getProgress(), error });
+            }
+        } catch (err) {
+            this.state = 'paused';
+            console.error(`❌ Offline region "${this.record.name}" failed:`, err);
+            this.triggerEvent('error', { ...this.getProgress(), error: err });
+        }
+    }
+
+    /**
+     * Tiles still to download
+     */
+    enumerateTasks() {
+        const { bounds, minzoom, maxzoom, sources } = this.record;
+        const tasks = [];
+
+        for (const source of sources) {
+            for (const z of getSourceZooms(minzoom, maxzoom, source)) {
+                for (const range of getRegionTileRanges(bounds, z)) {
+                    for (let y = range.minY; y <= range.maxY; y++) {
+                        for (let x = range.minX; x <= range.maxX; x++) {
+                            const key = getPersistentTileKey(source.url, z, x, y);
+                            if (!this.keys.has(key)) {
+                                tasks.push({ key, url: source.url, z, x, y });
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // Lowest zoom first - the whole region gets coarse coverage early
+        tasks.sort((a, b) => a.z - b.z);
+
+        // Failed tiles are retried - restart their count
+        this.record.failed = 0;
+        return tasks;
+    }
+
+    async downloadTile(task, signal) {
+        try {
+            let size = 0;
+
+            if (this.cache.hasFresh(task.key) && await this.cache.pin(task.key, this.id)) {
+                // Already cached (e.g. the area was browsed) - just pin it
+                size = this.cache.entries.get(task.key)?.size || 0;
+            } else {
+                const url = task.url
+                    .replace('{z}', task.z)
+                    .replace('{x}', task.x)
+                    .replace('{y}', task.y);
+
+                // The host slot is held until the body is read, like runtime tile requests
+                const { response, data } = await getRequestScheduler().schedule(url, async (requestSignal) => {
+                    const response = await requestResource(url, ResourceType.Tile, { signal: requestSignal });
+                    return { response, data: response.ok ? await response.arrayBuffer() : null };
+                }, { priority: PACK_REQUEST_PRIORITY, signal });
+                if (response.ok) {
+                    await this.cache.put(task.key, data, response.headers, this.id);
+                    size = data.byteLength;
+                } else if (response.status !== 404 && response.status !== 204) {
+                    // 404/204: the tileset has no tile here - nothing to store
+                    throw new Error(`HTTP ${response.status}`);
+                }
+            }
+
+            this.keys.add(task.key);
+            this.record.completed++;
+            this.record.bytes += size;
+        } catch (err) {
+            if (err.name === 'AbortError' || signal.aborted) {
+                return;
+            }
+            this.record.failed++;
+            console.warn(`⚠️ Offline region tile ${task.z}/${task.x}/${task.y} failed:`, err.message);
+        }
+
+        this.triggerEvent('progress', this.getProgress());
+    }
+
+    async save() {
+        this.record.keys = [...this.keys];
+        await this.cache.savePack(this.record);
+    }
+
+    triggerEvent(eventName, detail) {
+        this.dispatchEvent(new CustomEvent(eventName, { detail }));
+    }
+}
+
+async function getCache() {
+    return getPersistentTileCache() || enablePersistentTileCache();
+}
+
+async function removePack(id, cache, keys) {
+    activePacks.delete(id);
+    await cache.unpinPack(id, keys);
+    await cache.deletePackRecord(id);
+}
+
+/**
+ * Count the tiles a region download would fetch
+ * @returns {number|null} null if no source could be resolved
+ */
+export function estimateRegionTileCount({ bounds, minzoom = 0, maxzoom, sources, terrainSource = null }) {
+    const resolved = resolveSources(sources, terrainSource);
+    if (resolved.length === 0) {
+        return null;
+    }
+    return resolved.reduce((sum, source) => sum + countSourceTiles(bounds, minzoom, maxzoom, source), 0);
+}
+
+/**
+ * Download a region into the persistent tile cache (enabled on demand)
+ * @param {Object} options
+ * @param {number[]} options.bounds - [west, south, east, north] in degrees
+ * @param {number} [options.minzoom=0]
+ * @param {number} options.maxzoom
+ * @param {string[]} [options.sources] - Style source ids (default: every vector and raster source)
+ * @param {Object} [options.terrainSource] - Terrain source config to include ({ url, minZoom, maxZoom })
+ * @param {string} [options.name]
+ * @param {number} [options.concurrency=6] - Parallel requests
+ * @param {number} [options.maxTiles=50000] - Refuse regions larger than this
+ * @returns {Promise<OfflinePack|null>} started pack, or null if the region is invalid, too large or has nothing to download
+ */
+export async function downloadRegion(options) {
+    const { bounds, minzoom = 0, maxzoom, sources, terrainSource = null } = options;
+
+    if (!Array.isArray(bounds) || bounds.length !== 4 || maxzoom === undefined || minzoom > maxzoom) {
+        console.error('❌ downloadRegion needs bounds [west, south, east, north] and minzoom <= maxzoom');
+        return null;
+    }
+
+    const resolved = resolveSources(sources, terrainSource);
+    if (resolved.length === 0) {
+        console.error('❌ downloadRegion: nothing to download - no vector, raster or terrain source with remote tiles');
+        return null;
+    }
+
+    const total = resolved.reduce((sum, source) => sum + countSourceTiles(bounds, minzoom, maxzoom, source), 0);
+    const maxTiles = options.maxTiles ?? DEFAULT_MAX_TILES;
+    if (total > maxTiles) {
+        console.error(`❌ downloadRegion: ${total} tiles exceeds maxTiles (${maxTiles}) - shrink the region or zoom range`);
+        return null;
+    }
+
+    const id = `pack-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const record = {
+        id,
+        name: options.name || id,
+        bounds,
+        minzoom,
+        maxzoom,
+        sources: resolved,
+        total,
+        completed: 0,
+        failed: 0,
+        bytes: 0,
+        complete: false,
+        createdAt: Date.now(),
+        keys: []
+    };
+
+    const cache = await getCache();
+    await cache.savePack(record);
+
+    const pack = new OfflinePack(record, cache, options);
+    activePacks.set(id, pack);
+    pack.resume();
+    return pack;
+}
+
+/**
+ * List stored packs (progress summaries, tile keys omitted)
+ */
+export async function getOfflinePacks() {
+    const cache = await getCache();
+    const records = await cache.getPacks();
+    return records.map(({ keys, ...summary }) => ({
+        ...summary,
+        state: activePacks.get(summary.id)?.state ?? (summary.complete ? 'complete' : 'paused')
+    }));
+}
+
+/**
+ * Resume a pack - in this session or one left incomplete by a previous page load
+ * @returns {Promise<OfflinePack|null>}
+ */
+export async function resumeOfflinePack(id, options = {}) {
+    let pack = activePacks.get(id);
+    if (!pack) {
+        const cache = await getCache();
+        const record = await cache.getPack(id);
+        if (!record) {
+            console.error(`❌ Offline pack "${id}" not found`);
+            return null;
+        }
+        pack = new OfflinePack(record, cache, options);
+        activePacks.set(id, pack);
+    }
+    pack.resume();
+    return pack;
+}
+
+/**
+ * Delete a pack and the tiles only it holds (cancels it if downloading)
+ */
+export async function deleteOfflinePack(id) {
+    const pack = activePacks.get(id);
+    if (pack) {
+        await pack.cancel();
+        return;
+    }
+
+    const cache = await getCache();
+    const record = await cache.getPack(id);
+    if (record) {
+        await removePack(id, cache, record.keys);
+    }
+}
@@ -0,0 +1,467 @@
+/**
+ * Persistent tile cache (IndexedDB)
+ *
+ * Optional second cache level below the in-memory TileCache: raw tile bytes
+ * (PBF / PNG) survive page reloads, so revisiting an area renders without the
+ * network - and keeps working offline.
+ *
+ * - Keyed by tile source (URL template) + z/x/y, so rotating tokens don't split the cache
+ * - Expiry from Cache-Control (max-age, no-cache, no-store) or Expires
+ * - Byte quota with LRU eviction (entry metadata is mirrored in memory)
+ * - Expired tiles are revalidated online and still served when offline
+ * - Tiles pinned by offline region packs are never evicted (see offlineRegion.js)
+ */
+
+import { requestResource, ResourceType } from '../core/request.js';
+import { getRequestScheduler } from './requestScheduler.js';
+
+const DB_VERSION = 2;
+const ENTRY_STORE = 'entries'; // { key, size, expires, lastAccess, packs? }
+const DATA_STORE = 'data';     // key → ArrayBuffer
+const PACK_STORE = 'packs';    // offline region pack records
+
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+const DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Used when a response has no caching headers
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Expiry timestamp from response caching headers
+ * @returns {number|null} null if the response must not be stored
+ */
+function getExpiry(headers, defaultMaxAge) {
+    const now = Date.now();
+    const cacheControl = headers?.get('Cache-Control') || '';
+
+    if (/no-store/i.test(cacheControl)) {
+        return null;
+    }
+    if (/no-cache/i.test(cacheControl)) {
+        return now; // Keep for offline use, but always revalidate
+    }
+
+    const maxAge = /(?:^|[,\s])max-age=(\d+)/i.exec(cacheControl);
+    if (maxAge) {
+        return now + parseInt(maxAge[1], 10) * 1000;
+    }
+
+    const expires = Date.parse(headers?.get('Expires') || '');
+    if (!isNaN(expires)) {
+        return expires;
+    }
+
+    return now + defaultMaxAge;
+}
+
+export class PersistentTileCache {
+    /**
+     * @param {Object} options
+     * @param {string} [options.dbName='gpu-geo-tiles'] - IndexedDB database name
+     * @param {number} [options.maxBytes=256 MiB] - Byte quota, least recently used tiles are evicted beyond it
+     * @param {number} [options.defaultMaxAge=7 days] - Lifetime (ms) for responses without caching headers
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'gpu-geo-tiles';
+        this.maxBytes = options.maxBytes ?? DEFAULT_MAX_BYTES;
+        this.defaultMaxAge = options.defaultMaxAge ?? DEFAULT_MAX_AGE;
+
+        this.entries = new Map(); // key → entry metadata, least recently used first
+        this.totalBytes = 0;
+        this.dbPromise = null;
+
+        this.stats = {
+            hits: 0,
+            staleHits: 0,  // Expired tiles served because the network was unavailable
+            misses: 0,
+            writes: 0,
+            evictions: 0
+        };
+    }
+
+    /**
+     * Open the database and load entry metadata (once)
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = this.openDatabase().catch(err => {
+                this.dbPromise = null; // Allow retry
+                throw err;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async openDatabase() {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+                db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+                db.createObjectStore(DATA_STORE);
+            }
+            if (!db.objectStoreNames.contains(PACK_STORE)) {
+                db.createObjectStore(PACK_STORE, { keyPath: 'id' });
+            }
+        };
+        const db = await promisifyRequest(request);
+
+        const entries = await promisifyRequest(
+            db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).getAll()
+        );
+        entries.sort((a, b) => a.lastAccess - b.lastAccess);
+
+        this.entries.clear();
+        this.totalBytes = 0;
+        for (const entry of entries) {
+            this.entries.set(entry.key, entry);
+            this.totalBytes += entry.size;
+        }
+
+        // Quota may have been lowered since the last session
+        if (this.totalBytes > this.maxBytes) {
+            await this.deleteKeys(db, this.collectEvictions());
+        }
+
+        return db;
+    }
+
+    /**
+     * Get a cached tile
+     * @returns {Promise<{data: ArrayBuffer, expired: boolean}|null>}
+     */
+    async get(key) {
+        const db = await this.open();
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        const data = await promisifyRequest(
+            db.transaction(DATA_STORE).objectStore(DATA_STORE).get(key)
+        );
+        if (!data) {
+            // Metadata without bytes (interrupted write) - drop it, also from the database
+            // (else it comes back on the next start and keeps counting toward the quota)
+            this.entries.delete(key);
+            this.totalBytes -= entry.size;
+            await this.deleteKeys(db, [key]);
+            return null;
+        }
+
+        // Move to the end to mark as recently used
+        entry.lastAccess = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        db.transaction(ENTRY_STORE, 'readwrite').objectStore(ENTRY_STORE).put(entry);
+
+        return { data, expired: entry.expires <= Date.now() };
+    }
+
+    /**
+     * Store tile bytes, honoring the response's caching headers
+     * @param {Headers} headers - Response headers (Cache-Control / Expires)
+     * @param {string} [packId] - Pin the tile to an offline pack (stored even if uncacheable)
+     */
+    async put(key, data, headers = null, packId = null) {
+        let expires = getExpiry(headers, this.defaultMaxAge);
+        if (packId) {
+            expires = expires ?? Date.now();
+        } else if (expires === null || data.byteLength > this.maxBytes) {
+            return;
+        }
+
+        const db = await this.open();
+
+        const previous = this.entries.get(key);
+        if (previous) {
+            this.entries.delete(key);
+            this.totalBytes -= previous.size;
+        }
+
+        const entry = { key, size: data.byteLength, expires, lastAccess: Date.now() };
+        // Refreshing a tile keeps the packs that pin it
+        const packs = new Set(previous?.packs);
+        if (packId) {
+            packs.add(packId);
+        }
+        if (packs.size > 0) {
+            entry.packs = [...packs];
+        }
+        this.entries.set(key, entry);
+        this.totalBytes += entry.size;
+
+        const evicted = this.collectEvictions();
+
+        const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+        transaction.objectStore(ENTRY_STORE).put(entry);
+        transaction.objectStore(DATA_STORE).put(data, key);
+        for (const evictedKey of evicted) {
+            transaction.objectStore(ENTRY_STORE).delete(evictedKey);
+            transaction.objectStore(DATA_STORE).delete(evictedKey);
+        }
+        await transactionDone(transaction);
+
+        this.stats.writes++;
+    }
+
+    /**
+     * Check for a fresh (unexpired) tile without reading its bytes
+     */
+    hasFresh(key) {
+        const entry = this.entries.get(key);
+        return !!entry && entry.expires > Date.now();
+    }
+
+    /**
+     * Pin an already cached tile to an offline pack
+     * @returns {Promise<boolean>} false if the tile isn't cached
+     */
+    async pin(key, packId) {
+        const db = await this.open();
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+        if (!entry.packs?.includes(packId)) {
+            entry.packs = [...(entry.packs || []), packId];
+            await promisifyRequest(
+                db.transaction(ENTRY_STORE, 'readwrite').objectStore(ENTRY_STORE).put(entry)
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Release a pack's pins - tiles no other pack holds are deleted
+     */
+    async unpinPack(packId, keys) {
+        const db = await this.open();
+        const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+
+        for (const key of keys) {
+            const entry = this.entries.get(key);
+            if (!entry?.packs) {
+                continue;
+            }
+
+            entry.packs = entry.packs.filter(id => id !== packId);
+            if (entry.packs.length > 0) {
+                transaction.objectStore(ENTRY_STORE).put(entry);
+            } else {
+                this.entries.delete(key);
+                this.totalBytes -= entry.size;
+                transaction.objectStore(ENTRY_STORE).delete(key);
+                transaction.objectStore(DATA_STORE).delete(key);
+            }
+        }
+        await transactionDone(transaction);
+    }
+
+    async savePack(record) {
+        const db = await this.open();
+        await promisifyRequest(
+            db.transaction(PACK_STORE, 'readwrite').objectStore(PACK_STORE).put(record)
+        );
+    }
+
+    async getPack(id) {
+        const db = await this.open();
+        return promisifyRequest(db.transaction(PACK_STORE).objectStore(PACK_STORE).get(id));
+    }
+
+    async getPacks() {
+        const db = await this.open();
+        return promisifyRequest(db.transaction(PACK_STORE).objectStore(PACK_STORE).getAll());
+    }
+
+    async deletePackRecord(id) {
+        const db = await this.open();
+        await promisifyRequest(
+            db.transaction(PACK_STORE, 'readwrite').objectStore(PACK_STORE).delete(id)
+        );
+    }
+
+    /**
+     * Remove least recently used entries from memory until under quota
+     * Tiles pinned by offline packs are skipped.
+     * @returns {string[]} keys to delete from the database
+     */
+    collectEvictions() {
+        const evicted = [];
+        for (const [key, entry] of this.entries) {
+            if (this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            if (entry.packs?.length) {
+                continue;
+            }
+            this.entries.delete(key);
+            this.totalBytes -= entry.size;
+            evicted.push(key);
+        }
+        this.stats.evictions += evicted.length;
+        return evicted;
+    }
+
+    async deleteKeys(db, keys) {
+        if (keys.length === 0) {
+            return;
+        }
+        const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+        for (const key of keys) {
+            transaction.objectStore(ENTRY_STORE).delete(key);
+            transaction.objectStore(DATA_STORE).delete(key);
+        }
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Change the byte quota (evicts immediately if the cache is now over it)
+     */
+    async setMaxBytes(maxBytes) {
+        this.maxBytes = maxBytes;
+        const db = await this.open();
+        await this.deleteKeys(db, this.collectEvictions());
+    }
+
+    /**
+     * Clear every cached tile (including offline packs)
+     */
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction([ENTRY_STORE, DATA_STORE, PACK_STORE], 'readwrite');
+        transaction.objectStore(ENTRY_STORE).clear();
+        transaction.objectStore(DATA_STORE).clear();
+        transaction.objectStore(PACK_STORE).clear();
+        await transactionDone(transaction);
+
+        this.entries.clear();
+        this.totalBytes = 0;
+    }
+
+    getStats() {
+        return {
+            entries: this.entries.size,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            ...this.stats
+        };
+    }
+}
+
+// Active persistent cache (null = disabled, the default)
+let persistentCache = null;
+
+/**
+ * Enable the persistent tile cache
+ * @param {Object} options - See PersistentTileCache
+ * @returns {Promise<PersistentTileCache>}
+ */
+export async function enablePersistentTileCache(options = {}) {
+    const cache = new PersistentTileCache(options);
+    await cache.open();
+    persistentCache = cache;
+    return cache;
+}
+
+export function disablePersistentTileCache() {
+    persistentCache = null;
+}
+
+export function getPersistentTileCache() {
+    return persistentCache;
+}
+
+/**
+ * Cache key for a tile: source URL template + z/x/y
+ */
+export function getPersistentTileKey(urlTemplate, z, x, y) {
+    return `${urlTemplate}|${z}/${x}/${y}`;
+}
+
+/**
+ * Fetch a tile through the persistent cache (plain requestResource when disabled)
+ * Fresh cached tiles skip the network; expired ones are refetched, falling back
+ * to the stale bytes when the network is unavailable.
+ * Network requests wait in the request scheduler for a slot on their host.
+ * @param {Object} [options]
+ * @param {number|Function} [options.priority=0] - Scheduler priority, lower first
+ * @param {number} [options.timeout=0] - ms once the request is sent (0 = none)
+ * @returns {Promise<Response>}
+ */
+export async function requestTile(cacheKey, url, init = {}, options = {}) {
+    const cache = persistentCache;
+    if (!cache) {
+        return scheduleTileRequest(url, init, options);
+    }
+
+    let cached = null;
+    try {
+        cached = await cache.get(cacheKey);
+    } catch (err) {
+        console.warn('⚠️ Persistent tile cache read failed:', err.message);
+    }
+
+    if (cached && (!cached.expired || navigator.onLine === false)) {
+        cache.stats[cached.expired ? 'staleHits' : 'hits']++;
+        return new Response(cached.data);
+    }
+    cache.stats.misses++;
+
+    let response;
+    try {
+        response = await scheduleTileRequest(url, init, options);
+    } catch (err) {
+        // Network failed - a stale tile beats no tile
+        if (cached && err.name !== 'AbortError') {
+            cache.stats.staleHits++;
+            return new Response(cached.data);
+        }
+        throw err;
+    }
+
+    if (response.ok) {
+        const data = await response.clone().arrayBuffer();
+        cache.put(cacheKey, data, response.headers).catch(err => {
+            console.warn('⚠️ Persistent tile cache write failed:', err.message);
+        });
+    } else if (cached && response.status >= 500) {
+        cache.stats.staleHits++;
+        return new Response(cached.data);
+    }
+
+    return response;
+}
+
+// Statuses whose Response must not have a body
+const NULL_BODY_STATUSES = new Set([101, 103, 204, 205, 304]);
+
+/**
+ * Send a tile request through the request scheduler
+ * The body is read inside the scheduler slot, so the per-host cap (and the timeout)
+ * covers the whole download, not just the headers
+ */
+function scheduleTileRequest(url, init, { priority = 0, timeout = 0 } = {}) {
+    return getRequestScheduler().schedule(url, async (signal) => {
+        const response = await requestResource(url, ResourceType.Tile, { ...init, signal });
+        const body = NULL_BODY_STATUSES.has(response.status) ? null : await response.arrayBuffer();
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+    }, { priority, signal: init.signal, timeout });
+}
@@ -0,0 +1,369 @@
+/**
+ * PMTiles v3 archive reader
+ * https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+ *
+ * A PMTiles archive is a single file holding every tile of a tileset.
+ * Tiles are located through a header + (root/leaf) directories, so a map can
+ * be served from static hosting using HTTP range requests - or read entirely
+ * offline from a local File / ArrayBuffer.
+ *
+ * Sources use the `pmtiles://` protocol:
+ * - pmtiles://https://example.com/tiles.pmtiles  → HTTP range requests
+ * - pmtiles://my-archive                          → archive registered with addPMTilesArchive()
+ */
+
+import { requestResource, ResourceType } from '../core/request.js';
+
+const PMTILES_PROTOCOL = 'pmtiles://';
+const HEADER_SIZE = 127;
+const INITIAL_FETCH_SIZE = 16384; // Spec: header + root directory fit in the first 16 KiB
+const MAX_DIRECTORY_DEPTH = 3;
+
+// Compression types (header.internalCompression / header.tileCompression)
+const Compression = {
+    Unknown: 0,
+    None: 1,
+    Gzip: 2,
+    Brotli: 3,
+    Zstd: 4
+};
+
+/**
+ * Check if a source URL uses the pmtiles:// protocol
+ */
+export function isPMTilesUrl(url) {
+    return typeof url === 'string' && url.startsWith(PMTILES_PROTOCOL);
+}
+
+/**
+ * Byte source reading ranges from a URL with HTTP range requests
+ */
+class FetchSource {
+    constructor(url) {
+        this.url = url;
+    }
+
+    async getBytes(offset, length, signal = null) {
+        const response = await requestResource(this.url, ResourceType.Source, {
+            headers: { Range: `bytes=${offset}-${offset + length - 1}` },
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.arrayBuffer();
+
+        // Server ignored the Range header and sent the whole file
+        if (response.status === 200 && data.byteLength > length) {
+            return data.slice(offset, offset + length);
+        }
+        return data;
+    }
+}
+
+/**
+ * Byte source reading ranges from a local File/Blob or ArrayBuffer
+ */
+class LocalSource {
+    constructor(data) {
+        this.data = data;
+    }
+
+    async getBytes(offset, length) {
+        if (this.data instanceof ArrayBuffer) {
+            return this.data.slice(offset, offset + length);
+        }
+        // File / Blob
+        return this.data.slice(offset, offset + length).arrayBuffer();
+    }
+}
+
+export class PMTilesArchive {
+    /**
+     * @param {FetchSource|LocalSource} source - Byte range source
+     */
+    constructor(source) {
+        this.source = source;
+        this.headerPromise = null;
+        this.directoryCache = new Map(); // offset → Promise<entries>
+    }
+
+    /**
+     * Read and cache the archive header (and root directory)
+     */
+    getHeader() {
+        if (!this.headerPromise) {
+            this.headerPromise = this.loadHeader().catch(err => {
+                this.headerPromise = null; // Allow retry
+                throw err;
+            });
+        }
+        return this.headerPromise;
+    }
+
+    async loadHeader() {
+        const data = await this.source.getBytes(0, INITIAL_FETCH_SIZE);
+        const header = parseHeader(data);
+
+        // Root directory is usually inside the initial fetch - seed the cache
+        const rootEnd = header.rootDirectoryOffset + header.rootDirectoryLength;
+        if (rootEnd <= data.byteLength) {
+            const rootData = data.slice(header.rootDirectoryOffset, rootEnd);
+            this.directoryCache.set(
+                header.rootDirectoryOffset,
+                decompress(rootData, header.internalCompression).then(deserializeDirectory)
+            );
+        }
+
+        return header;
+    }
+
+    /**
+     * Read (and cache) a directory at an absolute archive offset
+     */
+    getDirectory(offset, length, header) {
+        if (!this.directoryCache.has(offset)) {
+            const promise = this.source.getBytes(offset, length)
+                .then(data => decompress(data, header.internalCompression))
+                .then(deserializeDirectory)
+                .catch(err => {
+                    this.directoryCache.delete(offset);
+                    throw err;
+                });
+            this.directoryCache.set(offset, promise);
+        }
+        return this.directoryCache.get(offset);
+    }
+
+    /**
+     * Get a tile's (decompressed) bytes
+     * @returns {Promise<ArrayBuffer|null>} null if the archive has no such tile
+     */
+    async getTile(z, x, y, signal = null) {
+        const header = await this.getHeader();
+        if (z < header.minZoom || z > header.maxZoom) {
+            return null;
+        }
+
+        const tileId = zxyToTileId(z, x, y);
+        let dirOffset = header.rootDirectoryOffset;
+        let dirLength = header.rootDirectoryLength;
+
+        for (let depth = 0; depth <= MAX_DIRECTORY_DEPTH; depth++) {
+            const entries = await this.getDirectory(dirOffset, dirLength, header);
+            const entry = findTile(entries, tileId);
+            if (!entry) {
+                return null;
+            }
+
+            if (entry.runLength > 0) {
+                const data = await this.source.getBytes(header.tileDataOffset + entry.offset, entry.length, signal);
+                return decompress(data, header.tileCompression);
+            }
+
+            // runLength 0 → entry points to a leaf directory
+            dirOffset = header.leafDirectoryOffset + entry.offset;
+            dirLength = entry.length;
+        }
+
+        console.warn('⚠️ PMTiles directory depth exceeded for tile', `${z}/${x}/${y}`);
+        return null;
+    }
+}
+
+// Archives by pmtiles:// URL (remote archives are opened lazily, local ones are registered)
+const archives = new Map();
+
+/**
+ * Register a local archive (File, Blob or ArrayBuffer) under a name
+ * Sources can then use `pmtiles://<name>` - works fully offline
+ */
+export function addPMTilesArchive(name, data) {
+    const archive = new PMTilesArchive(new LocalSource(data));
+    archives.set(PMTILES_PROTOCOL + name, archive);
+    return archive;
+}
+
+/**
+ * Get the archive for a pmtiles:// URL
+ * @returns {PMTilesArchive}
+ */
+export function getPMTilesArchive(url) {
+    let archive = archives.get(url);
+    if (!archive) {
+        archive = new PMTilesArchive(new FetchSource(url.slice(PMTILES_PROTOCOL.length)));
+        archives.set(url, archive);
+    }
+    return archive;
+}
+
+/**
+ * Parse the fixed-size v3 header (all integers little-endian)
+ */
+function parseHeader(buffer) {
+    if (buffer.byteLength < HEADER_SIZE) {
+        throw new Error('PMTiles header too short');
+    }
+
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 7));
+    if (magic !== 'PMTiles') {
+        throw new Error('Not a PMTiles archive');
+    }
+
+    const version = view.getUint8(7);
+    if (version !== 3) {
+        throw new Error(`Unsupported PMTiles version ${version} (only v3 is supported)`);
+    }
+
+    const u64 = (offset) => Number(view.getBigUint64(offset, true));
+    const coord = (offset) => view.getInt32(offset, true) / 10000000;
+
+    return {
+        rootDirectoryOffset: u64(8),
+        rootDirectoryLength: u64(16),
+        metadataOffset: u64(24),
+        metadataLength: u64(32),
+        leafDirectoryOffset: u64(40),
+        leafDirectoryLength: u64(48),
+        tileDataOffset: u64(56),
+        tileDataLength: u64(64),
+        clustered: view.getUint8(96) === 1,
+        internalCompression: view.getUint8(97),
+        tileCompression: view.getUint8(98),
+        tileType: view.getUint8(99),
+        minZoom: view.getUint8(100),
+        maxZoom: view.getUint8(101),
+        bounds: [coord(102), coord(106), coord(110), coord(114)],
+        centerZoom: view.getUint8(118),
+        center: [coord(119), coord(123)]
+    };
+}
+
+/**
+ * Decompress archive data (directories or tiles)
+ * Gzip uses the platform DecompressionStream
+ */
+async function decompress(data, compression) {
+    if (compression === Compression.None || compression === Compression.Unknown) {
+        return data;
+    }
+    if (compression === Compression.Gzip) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    }
+    throw new Error(`Unsupported PMTiles compression type ${compression}`);
+}
+
+/**
+ * Read an unsigned LEB128 varint
+ * Uses multiplication instead of bit shifts so values above 2^31 stay exact
+ */
+function readVarint(bytes, state) {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+        byte = bytes[state.pos++];
+        result += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+    } while (byte & 0x80);
+    return result;
+}
+
+/**
+ * Decode a directory: entry count, then column-wise delta/varint encoded fields
+ * @returns {Array<{tileId, offset, length, runLength}>}
+ */
+function deserializeDirectory(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const state = { pos: 0 };
+    const numEntries = readVarint(bytes, state);
+    const entries = new Array(numEntries);
+
+    let lastId = 0;
+    for (let i = 0; i < numEntries; i++) {
+        lastId += readVarint(bytes, state);
+        entries[i] = { tileId: lastId, offset: 0, length: 0, runLength: 1 };
+    }
+    for (let i = 0; i < numEntries; i++) {
+        entries[i].runLength = readVarint(bytes, state);
+    }
+    for (let i = 0; i < numEntries; i++) {
+        entries[i].length = readVarint(bytes, state);
+    }
+    for (let i = 0; i < numEntries; i++) {
+        const value = readVarint(bytes, state);
+        // 0 means "directly after the previous entry"
+        entries[i].offset = (value === 0 && i > 0)
+            ? entries[i - 1].offset + entries[i - 1].length
+            : value - 1;
+    }
+
+    return entries;
+}
+
+/**
+ * Binary search a directory for a tile ID
+ * Matches exact IDs, run-length ranges, and leaf directory pointers (runLength 0)
+ */
+function findTile(entries, tileId) {
+    let low = 0;
+    let high = entries.length - 1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const cmp = tileId - entries[mid].tileId;
+        if (cmp > 0) {
+            low = mid + 1;
+        } else if (cmp < 0) {
+            high = mid - 1;
+        } else {
+            return entries[mid];
+        }
+    }
+
+    // high is now the last entry with tileId < target
+    if (high >= 0) {
+        const entry = entries[high];
+        if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) {
+            return entry;
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert z/x/y to a PMTiles tile ID (Hilbert curve index, offset by all lower zooms)
+ */
+export function zxyToTileId(z, x, y) {
+    if (z > 26) {
+        throw new Error('Tile zoom level exceeds max safe number limit (26)');
+    }
+
+    // Number of tiles in all zoom levels below z: (4^z - 1) / 3
+    const base = (Math.pow(4, z) - 1) / 3;
+    const n = Math.pow(2, z);
+
+    let d = 0;
+    let tx = x;
+    let ty = y;
+    for (let s = n / 2; s >= 1; s /= 2) {
+        const rx = (tx & s) > 0 ? 1 : 0;
+        const ry = (ty & s) > 0 ? 1 : 0;
+        d += s * s * ((3 * rx) ^ ry);
+
+        // Rotate quadrant
+        if (ry === 0) {
+            if (rx === 1) {
+                tx = s - 1 - tx;
+                ty = s - 1 - ty;
+            }
+            [tx, ty] = [ty, tx];
+        }
+    }
+
+    return base + d;
+}
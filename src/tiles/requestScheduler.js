@@ -0,0 +1,153 @@
+/**
+ * RequestScheduler - Priority queue for tile requests with a per-host concurrency cap
+ *
+ * Requests wait here until their host has a free slot; the queued request with the
+ * lowest priority value goes next (TileManager uses getTileLoadPriority - distance
+ * from the screen center, weighted by screen coverage). A priority may be a function:
+ * it is re-read whenever a slot frees up, so requests still wanted after a pan are
+ * re-ordered instead of being re-issued.
+ *
+ * Aborting a queued request drops it without it ever reaching the network.
+ */
+
+// Browsers keep ~6 HTTP/1.1 connections per host - more only queue inside the browser,
+// where they can no longer be re-ordered or cancelled cheaply
+export const DEFAULT_MAX_REQUESTS_PER_HOST = 6;
+
+export class RequestScheduler {
+    constructor(maxRequestsPerHost = DEFAULT_MAX_REQUESTS_PER_HOST) {
+        this.maxRequestsPerHost = maxRequestsPerHost;
+        this.queue = [];
+        this.activeByHost = new Map(); // host → requests in flight
+    }
+
+    /**
+     * Run a request once its host has a free slot
+     * @param {string} url - Request URL (the host is taken from it)
+     * @param {Function} send - (signal) => Promise, performs the request
+     * @param {Object} [options]
+     * @param {number|Function} [options.priority=0] - Lower goes first; functions are re-read on every dispatch
+     * @param {AbortSignal} [options.signal] - Cancels the request, queued or in flight
+     * @param {number} [options.timeout=0] - ms counted from when the request is sent, not queued (0 = none)
+     * @returns {Promise<*>} Whatever send resolves to
+     */
+    schedule(url, send, { priority = 0, signal = null, timeout = 0 } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = { host: getHost(url), send, priority, signal, timeout, resolve, reject, onAbort: null };
+
+            if (signal) {
+                request.onAbort = () => {
+                    const index = this.queue.indexOf(request);
+                    if (index !== -1) {
+                        this.queue.splice(index, 1);
+                        reject(createAbortError());
+                    }
+                };
+                signal.addEventListener('abort', request.onAbort, { once: true });
+            }
+
+            this.queue.push(request);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Start queued requests, best priority first, while their hosts have free slots
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let bestIndex = -1;
+            let bestPriority = Infinity;
+
+            for (let i = 0; i < this.queue.length; i++) {
+                const request = this.queue[i];
+                if ((this.activeByHost.get(request.host) || 0) >= this.maxRequestsPerHost) {
+                    continue;
+                }
+                const priority = typeof request.priority === 'function' ? request.priority() : request.priority;
+                if (bestIndex === -1 || priority < bestPriority) {
+                    bestIndex = i;
+                    bestPriority = priority;
+                }
+            }
+
+            if (bestIndex === -1) {
+                return; // Every host with queued requests is at its cap
+            }
+
+            const [request] = this.queue.splice(bestIndex, 1);
+            this.start(request);
+        }
+    }
+
+    async start(request) {
+        const { host, signal } = request;
+        this.activeByHost.set(host, (this.activeByHost.get(host) || 0) + 1);
+
+        // Own controller: aborted by the caller's signal or the timeout
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort();
+        if (signal) {
+            signal.removeEventListener('abort', request.onAbort);
+            signal.addEventListener('abort', forwardAbort, { once: true });
+        }
+        const timeoutId = request.timeout > 0 ? setTimeout(() => controller.abort(), request.timeout) : null;
+
+        try {
+            request.resolve(await request.send(controller.signal));
+        } catch (err) {
+            request.reject(err);
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', forwardAbort);
+
+            const active = this.activeByHost.get(host) - 1;
+            if (active > 0) {
+                this.activeByHost.set(host, active);
+            } else {
+                this.activeByHost.delete(host);
+            }
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Change the cap; queued requests start at once if it was raised
+     */
+    setMaxRequestsPerHost(count) {
+        this.maxRequestsPerHost = Math.max(1, count);
+        this.dispatch();
+    }
+
+    getStats() {
+        let active = 0;
+        this.activeByHost.forEach(count => { active += count; });
+        return { queued: this.queue.length, active, hosts: this.activeByHost.size };
+    }
+}
+
+function getHost(url) {
+    try {
+        return new URL(url, globalThis.location?.href).host;
+    } catch {
+        return '';
+    }
+}
+
+function createAbortError() {
+    return new DOMException('The request was aborted', 'AbortError');
+}
+
+// Shared by every tile request (vector, raster, terrain) so the cap holds per host
+let requestScheduler = null;
+
+export function getRequestScheduler() {
+    if (!requestScheduler) {
+        requestScheduler = new RequestScheduler();
+    }
+    return requestScheduler;
+}
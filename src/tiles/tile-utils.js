@@ -1,160 +1,162 @@
 import { clipSpaceToTile } from '../core/utils.js';
 
-export const MAX_SERVER_ZOOM = 6; // Maximum zoom level supported by server
-
 // Add a function to detect when we're overzooming
 export function isOverzoomed(camera) {
     return camera.zoom > camera.maxFetchZoom;
 }
 
-// Enhance getVisibleTiles to handle extreme overzooming
-export function getVisibleTiles(camera, fetchZoom) {
-    const displayZoom = camera.zoom;
-    const zoomDelta = Math.max(0, displayZoom - fetchZoom);
-
-    // Minimal padding - only 1-2 tiles beyond viewport
-    const basePadding = 1;
-    const overzoomPadding = zoomDelta > 0 ? 
-        Math.min(5, basePadding + Math.floor(zoomDelta * 0.5)) : 
-        basePadding;
-    
-    // Get the viewport bounds
-    const viewport = camera.getViewport();
-    const scale = 1 << fetchZoom; // 2^zoom
-    
-    // MINIMAL viewport padding - NO padding for now to debug
-    const paddingFactor = 0.0; // ZERO padding to see what's happening
-    const paddedViewport = {
-        left: viewport.left - paddingFactor, 
-        right: viewport.right + paddingFactor,
-        top: viewport.top + paddingFactor,
-        bottom: viewport.bottom - paddingFactor
-    };
-    
-    // Convert viewport corners to tile coordinates with extra padding
-    const topLeftTile = worldToTile(paddedViewport.left, paddedViewport.top, fetchZoom);
-    const bottomRightTile = worldToTile(paddedViewport.right, paddedViewport.bottom, fetchZoom);
-    
-    // ZERO padding to debug
-    const padding = 0;
-    
-    // Calculate Y bounds first
-    const minTileY = Math.max(0, Math.floor(Math.min(topLeftTile[1], bottomRightTile[1])) - padding);
-    const maxTileY = Math.min(scale - 1, Math.ceil(Math.max(topLeftTile[1], bottomRightTile[1])) + padding);
-    
-    // Calculate X bounds with wrapping consideration
-    let minTileX = Math.floor(Math.min(topLeftTile[0], bottomRightTile[0])) - padding;
-    let maxTileX = Math.ceil(Math.max(topLeftTile[0], bottomRightTile[0])) + padding;
-    
-    // Create arrays to hold tiles before and after wrapping is applied
-    const allTiles = [];
-    let wrappedTiles = [];
-    
-    // Handle wrapping for X coordinates
-    if (minTileX < 0) {
-        wrappedTiles = wrappedTiles.concat(
-            createWrappedTiles(scale + minTileX, scale - 1, fetchZoom, minTileY, maxTileY)
-        );
-        minTileX = 0;
+/**
+ * Tile a source provides for an ideal tile, given the source's own zoom range
+ * - Within range: the tile itself
+ * - Above maxZoom: its ancestor at maxZoom (overzoom - cut out and re-tessellated)
+ * - Below minZoom: null (the source has no data there)
+ * @returns {{x: number, y: number, z: number}|null}
+ */
+export function getSourceTile({ x, y, z }, minZoom, maxZoom) {
+    if (z < minZoom) {
+        return null;
     }
-    
-    if (maxTileX >= scale) {
-        wrappedTiles = wrappedTiles.concat(
-            createWrappedTiles(0, maxTileX - scale, fetchZoom, minTileY, maxTileY)
-        );
-        maxTileX = scale - 1;
+    if (z <= maxZoom) {
+        return { x, y, z };
     }
-    
-    // Generate standard tiles in the range
-    for (let y = minTileY; y <= maxTileY; y++) {
-        for (let x = minTileX; x <= maxTileX; x++) {
-            allTiles.push({x, y, z: fetchZoom});
-        }
+    const shift = z - maxZoom;
+    return { x: x >> shift, y: y >> shift, z: maxZoom };
+}
+
+/**
+ * Load priority of a tile - lower loads first
+ * Distance of the tile center from the screen center (NDC), divided by the tile's
+ * screen coverage relative to a tile at the screen center: under pitch, tiles
+ * toward the horizon look smaller and wait for the ones near the camera
+ * @param {Float32Array} matrix - camera.getMatrix(), pass it when ranking many tiles
+ * @returns {number}
+ */
+export function getTileLoadPriority(camera, { x, y, z }, matrix = camera.getMatrix()) {
+    const scale = 1 << z;
+    const centerY = ((y + 0.5) / scale) * 2 - 1;
+    let centerX = ((x + 0.5) / scale) * 2 - 1;
+    centerX += Math.round((camera.position[0] - centerX) / 2) * 2; // Nearest world copy
+    
+    const m = matrix;
+    const clipX = m[0] * centerX + m[4] * centerY + m[12];
+    const clipY = m[1] * centerX + m[5] * centerY + m[13];
+    const clipW = m[3] * centerX + m[7] * centerY + m[15];
+    if (clipW <= 0) {
+        return Infinity; // Behind the camera
     }
     
-    // Add wrapped tiles
-    allTiles.push(...wrappedTiles);
+    const screenCenterW = m[3] * camera.position[0] + m[7] * camera.position[1] + m[15];
+    const coverage = screenCenterW / clipW; // Linear size relative to a tile at the screen center
     
-    const tileCount = allTiles.length;
-    
-    // Safety limit for huge viewports
-    const MAX_TILES = 200; // Increased from 150 to 200 for better coverage
-    if (tileCount > MAX_TILES) {
-        // Get center tile coordinates
-        const centerTileX = Math.floor((minTileX + maxTileX) / 2);
-        const centerTileY = Math.floor((minTileY + maxTileY) / 2);
+    return Math.hypot(clipX / clipW, clipY / clipW) / (coverage * coverage);
+}
+
+/**
+ * Tiles covering the view at a given ideal zoom
+ * Same covering as getCoveringTiles without a source zoom range
+ */
+export function getVisibleTiles(camera, fetchZoom) {
+    return getCoveringTiles(camera, fetchZoom);
+}
+
+/**
+ * Tiles covering the view: the camera frustum intersected with the ground plane
+ * 
+ * Quadtree descent from zoom 0 (MapLibre-style covering). A tile is dropped when
+ * it lies outside a frustum plane, and split while its zoom is below what its
+ * screen-space size asks for: tiles at the depth of the screen center use the
+ * ideal zoom, tiles twice as far one zoom less, so pitched views fetch coarse
+ * tiles toward the horizon instead of a flat rectangle of ideal-zoom tiles.
+ * 
+ * @param {Object} camera - Camera (getMatrix(), position)
+ * @param {number} zoom - Ideal zoom at the screen center
+ * @param {Object} [options]
+ * @param {number} [options.minZoom=0] - Tiles are never coarser than this (source minzoom)
+ * @param {number} [options.maxZoom=zoom] - Tiles are never finer than this (source maxzoom)
+ * @returns {Array<{x: number, y: number, z: number}>} Mixed zooms, no overlaps
+ */
+export function getCoveringTiles(camera, zoom, { minZoom = 0, maxZoom = zoom } = {}) {
+    const matrix = camera.getMatrix();
+    const planes = getFrustumPlanes(matrix);
+    const targetZoom = Math.max(minZoom, Math.min(Math.floor(zoom), maxZoom));
+    
+    const m = matrix;
+    const centerW = m[3] * camera.position[0] + m[7] * camera.position[1] + m[15];
+    
+    const tiles = new Map();
+    // World copies either side, folded onto the same tiles
+    const stack = [-1, 0, 1].map(wrap => ({ x: 0, y: 0, z: 0, wrap }));
+    
+    while (stack.length > 0) {
+        const { x, y, z, wrap } = stack.pop();
+        const size = 2 / (1 << z);
+        const minX = x * size - 1 + wrap * 2;
+        const minY = y * size - 1;
+        const maxX = minX + size;
+        const maxY = minY + size;
         
-        // Sort tiles by priority with proper wrapping handling
-        allTiles.forEach(tile => {
-            // Calculate proper X distance accounting for wrapping
-            let dx = Math.abs(tile.x - centerTileX);
-            if (dx > scale / 2) {
-                dx = scale - dx; // Handle wrapping distance
-            }
-            
-            // Calculate distance with more importance on Y (vertical) axis
-            // This ensures tall features like Africa aren't truncated
-            const dy = Math.abs(tile.y - centerTileY);
-            tile.distance = Math.sqrt(dx * dx + dy * dy * 1.5); // Weight Y higher
+        if (!intersectsFrustum(planes, minX, minY, maxX, maxY)) {
+            continue;
+        }
+        
+        if (z < targetZoom) {
+            // Nearest corner decides - view depth (clip w) is linear on the ground plane
+            const nearestW = Math.min(
+                m[3] * minX + m[7] * minY + m[15],
+                m[3] * maxX + m[7] * minY + m[15],
+                m[3] * minX + m[7] * maxY + m[15],
+                m[3] * maxX + m[7] * maxY + m[15]
+            );
+            const wantedZoom = nearestW > 0 && centerW > 0
+                ? targetZoom - Math.log2(nearestW / centerW)
+                : targetZoom;
             
-            // Prioritize standard zoom level tiles
-            if (tile.z !== fetchZoom) {
-                tile.distance += 100; // Lower priority for non-standard zoom tiles
+            if (z < minZoom || z < wantedZoom) {
+                for (let i = 0; i < 4; i++) {
+                    stack.push({ x: x * 2 + (i & 1), y: y * 2 + (i >> 1), z: z + 1, wrap });
+                }
+                continue;
             }
-        });
+        }
         
-        // Sort by distance
-        allTiles.sort((a, b) => a.distance - b.distance);
-        return allTiles.slice(0, MAX_TILES);
+        tiles.set(`${z}/${x}/${y}`, { x, y, z });
     }
     
-    return allTiles;
+    return [...tiles.values()];
 }
 
-// Helper function to create wrapped tiles
-function createWrappedTiles(minX, maxX, zoom, minTileY, maxTileY) {
-    const wrappedTiles = [];
-    
-    for (let y = minTileY; y <= maxTileY; y++) {
-        for (let x = minX; x <= maxX; x++) {
-            wrappedTiles.push({x, y, z: zoom});
-        }
-    }
-    
-    return wrappedTiles;
+/**
+ * Frustum planes of a view-projection matrix (Gribb/Hartmann), as [a, b, c, d]
+ * with a·x + b·y + c·z + d ≥ 0 inside. Near is clip z ≥ 0 - the WebGPU depth range.
+ */
+function getFrustumPlanes(m) {
+    const row = i => [m[i], m[4 + i], m[8 + i], m[12 + i]];
+    const [r0, r1, r2, r3] = [row(0), row(1), row(2), row(3)];
+    const add = (a, b, sign) => a.map((value, i) => value + sign * b[i]);
+    
+    return [
+        add(r3, r0, 1),  // Left
+        add(r3, r0, -1), // Right
+        add(r3, r1, 1),  // Bottom
+        add(r3, r1, -1), // Top
+        r2,              // Near
+        add(r3, r2, -1)  // Far
+    ];
 }
 
-// IMPROVED: Better worldToTile function to handle edge cases
-function worldToTile(worldX, worldY, zoom) {
-    // Normalize coordinates to ensure proper wrapping
-    // This is critical for handling edge cases at the poles and date line
-    
-    // Handle world wrapping (multiple world copies)
-    // For longitude/X: Wrap to [-180, 180] then convert
-    let lon = ((worldX * 180) % 360 + 540) % 360 - 180;
-    
-    // For latitude/Y: Clamp to safe range to avoid singularities
-    // Moving from 0.97 to 0.92 gives us much better pole coverage
-    let lat;
-    if (worldY >= 0.92) { // More aggressive threshold for better pole handling
-        lat = -75; // Less extreme cutoff for southern regions
-    } else if (worldY <= -0.92) {
-        lat = 75;  // Less extreme cutoff for northern regions
-    } else {
-        const latRadian = Math.atan(Math.sinh(Math.PI * -worldY));
-        lat = latRadian * 180 / Math.PI;
-        
-        // Add extra safety clamping
-        if (lat < -85) lat = -85;
-        if (lat > 85) lat = 85;
+/**
+ * Whether a ground-plane (z = 0) box is at least partly inside every plane
+ */
+function intersectsFrustum(planes, minX, minY, maxX, maxY) {
+    for (const [a, b, , d] of planes) {
+        // Corner furthest along the plane normal
+        const x = a > 0 ? maxX : minX;
+        const y = b > 0 ? maxY : minY;
+        if (a * x + b * y + d < 0) {
+            return false;
+        }
     }
-    
-    // Standard Web Mercator formula
-    const scale = 1 << zoom;
-    const tileX = ((lon + 180) / 360) * scale;
-    const tileY = ((1 - Math.log(Math.tan((lat * Math.PI / 180) / 2 + Math.PI/4)) / Math.PI) / 2) * scale;
-    
-    return [tileX, tileY];
+    return true;
 }
 
 // Keep the debug helper function
@@ -0,0 +1,98 @@
+/**
+ * Tile worker - decodes and tessellates tiles off the main thread
+ *
+ * Messages in (from TileWorkerPool):
+ * - { type: 'init', featureIdStart, featureIdStep, terrainCacheSize }
+ * - { type: 'style', style }
+ * - { type: 'parse', jobId, sourceId, x, y, z, sourceTile, data | tile, terrainId, terrain, viewportWidth, featureIdEpoch }
+ *
+ * Messages out:
+ * - { type: 'parsed', jobId, features } - typed arrays are transferred, not copied
+ * - { type: 'error', jobId, error }
+ */
+
+import { parseVectorTile } from './vectorTileParser.js';
+import { parseTileFeatures, setFeatureIdSequence, resetFeatureIdCounter } from './geojson.js';
+import { setViewportWidth } from './line-tessellation-simple.js';
+import { setStyleState, getSourceBuffer } from '../core/style.js';
+
+// Terrain tiles by pool-assigned id - the pool mirrors this LRU so it only sends new ones
+const terrainCache = new Map();
+let terrainCacheSize = 32;
+
+// Last feature ID reset seen from the main thread
+let featureIdEpoch = 0;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init':
+            setFeatureIdSequence(message.featureIdStart, message.featureIdStep);
+            terrainCacheSize = message.terrainCacheSize;
+            break;
+        case 'style':
+            setStyleState(message.style);
+            break;
+        case 'parse':
+            parse(message);
+            break;
+    }
+};
+
+function parse({ jobId, sourceId, x, y, z, sourceTile, data, tile, terrainId, terrain, viewportWidth, featureIdEpoch: epoch }) {
+    try {
+        setViewportWidth(viewportWidth);
+
+        if (epoch !== featureIdEpoch) {
+            featureIdEpoch = epoch;
+            resetFeatureIdCounter();
+        }
+
+        const terrainData = getTerrain(terrainId, terrain);
+
+        // Vector tiles arrive as raw PBF bytes (of an ancestor when overzoomed - cut to x/y/z),
+        // geojson source tiles pre-sliced
+        const clipTile = sourceTile.z < z ? { x, y, z } : null;
+        const vectorTile = data
+            ? parseVectorTile(data, sourceTile.x, sourceTile.y, sourceTile.z, clipTile, getSourceBuffer(sourceId))
+            : tile;
+        const features = vectorTile?.layers ? parseTileFeatures(vectorTile, z, terrainData, sourceId) : [];
+
+        const transfer = [];
+        for (const feature of features) {
+            transfer.push(
+                feature.vertices.buffer,
+                feature.hiddenVertices.buffer,
+                feature.fillIndices.buffer,
+                feature.hiddenfillIndices.buffer
+            );
+        }
+
+        self.postMessage({ type: 'parsed', jobId, features }, transfer);
+    } catch (err) {
+        self.postMessage({ type: 'error', jobId, error: err.message });
+    }
+}
+
+function getTerrain(terrainId, terrain) {
+    if (terrainId === null || terrainId === undefined) {
+        return null;
+    }
+
+    if (terrain) {
+        terrainCache.set(terrainId, terrain);
+        if (terrainCache.size > terrainCacheSize) {
+            terrainCache.delete(terrainCache.keys().next().value);
+        }
+        return terrain;
+    }
+
+    // Refresh LRU position (the pool does the same on its mirror)
+    const cached = terrainCache.get(terrainId) ?? null;
+    if (cached) {
+        terrainCache.delete(terrainId);
+        terrainCache.set(terrainId, cached);
+    }
+    return cached;
+}
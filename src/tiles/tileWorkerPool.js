@@ -0,0 +1,215 @@
+/**
+ * TileWorkerPool - Runs tile decoding and tessellation in Web Workers
+ *
+ * The main thread only fetches bytes and creates GPU buffers; the workers
+ * decode PBF, evaluate style filters/paint and triangulate with earcut.
+ *
+ * Shared state:
+ * - Style: each worker holds a copy, re-sent whenever getStyleVersion() changes
+ * - Terrain: heights are sent once per worker and referenced by id afterwards
+ * - Feature IDs: the main thread and each worker draw from interleaved sequences
+ *   (main: 1, 1+step, ...; worker i: i+2, i+2+step, ...) so picking IDs never collide
+ */
+
+import { getStyle, getStyleVersion } from '../core/style.js';
+import { getFeatureIdEpoch, setFeatureIdSequence } from './geojson.js';
+
+const TERRAIN_CACHE_SIZE = 32;
+
+export class TileWorkerPool {
+    constructor(size = Math.min(Math.max((navigator.hardwareConcurrency || 2) - 1, 1), 4)) {
+        this.workers = [];
+        this.jobs = new Map(); // jobId → { resolve, reject, state }
+        this.nextJobId = 1;
+
+        // Terrain ids by terrain object, so the same tile is only copied once per worker
+        this.terrainIds = new WeakMap();
+        this.nextTerrainId = 1;
+
+        const featureIdStep = size + 1;
+        setFeatureIdSequence(1, featureIdStep);
+
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker(new URL('./tileWorker.js', import.meta.url), { type: 'module' });
+            const state = {
+                worker,
+                pending: 0,
+                styleVersion: -1,
+                terrain: new Map(), // Mirror of the worker's terrain LRU
+                dead: false
+            };
+
+            worker.onmessage = (event) => this.handleMessage(event.data);
+            worker.onerror = (event) => this.handleWorkerError(state, event);
+            worker.postMessage({
+                type: 'init',
+                featureIdStart: i + 2,
+                featureIdStep,
+                terrainCacheSize: TERRAIN_CACHE_SIZE
+            });
+
+            this.workers.push(state);
+        }
+
+        console.log(`🧵 Tile worker pool started with ${size} workers`);
+    }
+
+    /**
+     * True while at least one worker is alive
+     */
+    isAvailable() {
+        return this.workers.some(state => !state.dead);
+    }
+
+    /**
+     * Parse a tile in the least busy worker
+     * @param {Object} options
+     * @param {Object} options.sourceTile - { x, y, z } of the data - an ancestor of x/y/z when overzoomed
+     * @param {ArrayBuffer} [options.data] - Raw vector tile bytes (copied, the cache keeps its own)
+     * @param {Object} [options.tile] - Pre-sliced geojson source tile
+     * @param {Object|null} options.terrainData - Terrain tile for height baking
+     * @returns {Promise<Array<Object>>} Parsed features with typed arrays ready for GPU upload
+     */
+    parseTile({ sourceId, x, y, z, sourceTile, data = null, tile = null, terrainData = null }) {
+        const state = this.pickWorker();
+        if (!state) {
+            return Promise.reject(new Error('No tile workers available'));
+        }
+
+        this.syncStyle(state);
+        const { terrainId, terrain } = this.syncTerrain(state, terrainData);
+
+        const jobId = this.nextJobId++;
+        state.pending++;
+
+        return new Promise((resolve, reject) => {
+            this.jobs.set(jobId, { resolve, reject, state });
+            state.worker.postMessage({
+                type: 'parse',
+                jobId,
+                sourceId,
+                x, y, z,
+                sourceTile,
+                data,
+                tile,
+                terrainId,
+                terrain,
+                viewportWidth: globalThis.innerWidth, // Line widths are tessellated in screen pixels
+                featureIdEpoch: getFeatureIdEpoch()
+            });
+        });
+    }
+
+    pickWorker() {
+        let best = null;
+        for (const state of this.workers) {
+            if (!state.dead && (!best || state.pending < best.pending)) {
+                best = state;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Send the current style if the worker's copy is stale
+     * Inline geojson data is stripped - workers only receive sliced tiles
+     */
+    syncStyle(state) {
+        const version = getStyleVersion();
+        if (state.styleVersion === version) {
+            return;
+        }
+
+        const style = getStyle();
+        let workerStyle = style;
+        if (style?.sources) {
+            const sources = {};
+            for (const [sourceId, source] of Object.entries(style.sources)) {
+                if (source.type === 'geojson') {
+                    const { data, ...rest } = source;
+                    sources[sourceId] = rest;
+                } else {
+                    sources[sourceId] = source;
+                }
+            }
+            workerStyle = { ...style, sources };
+        }
+
+        state.worker.postMessage({ type: 'style', style: workerStyle });
+        state.styleVersion = version;
+    }
+
+    /**
+     * Resolve the terrain id for a job, including the heights only if the worker lacks them
+     * The mirror is updated in the same order as the worker's LRU, so they stay identical
+     */
+    syncTerrain(state, terrainData) {
+        if (!terrainData) {
+            return { terrainId: null, terrain: null };
+        }
+
+        let terrainId = this.terrainIds.get(terrainData);
+        if (terrainId === undefined) {
+            terrainId = this.nextTerrainId++;
+            this.terrainIds.set(terrainData, terrainId);
+        }
+
+        if (state.terrain.has(terrainId)) {
+            state.terrain.delete(terrainId);
+            state.terrain.set(terrainId, true);
+            return { terrainId, terrain: null };
+        }
+
+        state.terrain.set(terrainId, true);
+        if (state.terrain.size > TERRAIN_CACHE_SIZE) {
+            state.terrain.delete(state.terrain.keys().next().value);
+        }
+        return { terrainId, terrain: terrainData };
+    }
+
+    handleMessage(message) {
+        const job = this.jobs.get(message.jobId);
+        if (!job) return;
+
+        this.jobs.delete(message.jobId);
+        job.state.pending--;
+
+        if (message.type === 'parsed') {
+            job.resolve(message.features);
+        } else {
+            job.reject(new Error(message.error));
+        }
+    }
+
+    /**
+     * A worker that fails to load or throws outside a job is retired;
+     * its jobs are rejected so callers fall back to main-thread parsing
+     */
+    handleWorkerError(state, event) {
+        console.error('❌ Tile worker failed:', event.message || event);
+        state.dead = true;
+        state.worker.terminate();
+
+        for (const [jobId, job] of this.jobs) {
+            if (job.state === state) {
+                this.jobs.delete(jobId);
+                job.reject(new Error('Tile worker failed'));
+            }
+        }
+        state.pending = 0;
+    }
+
+    terminate() {
+        for (const state of this.workers) {
+            state.dead = true;
+            state.worker.terminate();
+        }
+        for (const job of this.jobs.values()) {
+            job.reject(new Error('Tile worker pool terminated'));
+        }
+        this.jobs.clear();
+
+        // Main thread owns the whole ID range again
+        setFeatureIdSequence(1, 1);
+    }
+}
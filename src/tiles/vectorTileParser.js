@@ -11,6 +11,11 @@
 
 import Pbf from 'pbf';
 import { VectorTile } from '@mapbox/vector-tile';
+import { clipLine, clipRing } from './clip.js';
+
+// Margin kept around the tile for lines and points, in tile pixels of a 4096 extent
+// (the style source's `buffer` overrides it); polygons are always cut at the tile edge
+export const DEFAULT_TILE_BUFFER = 64;
 
 /**
  * Transform tile-local coordinates to Mercator clip space
@@ -55,36 +60,56 @@ export function transformTileCoords(x, y, tileX, tileY, zoom, extent = 4096) {
  * @param {number} tileX - Tile X index
  * @param {number} tileY - Tile Y index
  * @param {number} zoom - Zoom level
- * @returns {Object} Parsed tile with layers containing GeoJSON-compatible features
+ * @param {Object|null} clipTile - Deeper { x, y, z } tile to cut out when overzooming
+ *   (the source's maxzoom is below the zoom being drawn)
+ * @param {number|null} buffer - Line/point margin in tile pixels (4096 extent), null for DEFAULT_TILE_BUFFER
+ * @returns {Object} Parsed tile with layers containing GeoJSON-compatible features;
+ *   features cut at the tile edge carry tileBounds and center (see clipFeature)
  */
-export function parseVectorTile(pbfData, tileX, tileY, zoom) {
+export function parseVectorTile(pbfData, tileX, tileY, zoom, clipTile = null, buffer = null) {
   const pbf = new Pbf(pbfData);
   const tile = new VectorTile(pbf);
   
   const layers = {};
   
+  // Tile being drawn - deeper than the data when overzooming
+  const drawnTile = clipTile || { x: tileX, y: tileY, z: zoom };
+  
   // Process each layer in the tile
   for (const layerName in tile.layers) {
     const layer = tile.layers[layerName];
     const features = [];
+    const extent = layer.extent || 4096;
+    const clipBounds = getClipBounds(drawnTile, tileX, tileY, zoom, extent);
     
     // Process each feature in the layer
     for (let i = 0; i < layer.length; i++) {
       const vt2Feature = layer.feature(i);
       
       // loadGeometry() returns array of rings: [{x, y}, {x, y}, ...]
-      const geometry = vt2Feature.loadGeometry();
-      const extent = layer.extent || 4096;
+      const clipped = clipFeature(vt2Feature.type, vt2Feature.loadGeometry(), clipBounds, buffer ?? DEFAULT_TILE_BUFFER);
+      if (!clipped) continue; // Outside the tile
       
       const geoJSONFeature = {
         type: 'Feature',
         id: vt2Feature.id,
         properties: vt2Feature.properties,
-        geometry: buildGeoJSONGeometry(vt2Feature.type, geometry, tileX, tileY, zoom, extent),
+        geometry: buildGeoJSONGeometry(vt2Feature.type, clipped.geometry, tileX, tileY, zoom, extent),
         // Preserve layer name for style matching
         layer: { name: layerName }
       };
       
+      if (clipped.sourceBounds) {
+        // Cut at the tile edge - bounds and center transformed like the vertices,
+        // so clipped vertices match tileBounds exactly
+        const [minX, minY, maxX, maxY] = clipped.sourceBounds;
+        geoJSONFeature.tileBounds = [
+          ...transformTileCoords(clipBounds[0], clipBounds[1], tileX, tileY, zoom, extent),
+          ...transformTileCoords(clipBounds[2], clipBounds[3], tileX, tileY, zoom, extent)
+        ];
+        geoJSONFeature.center = transformTileCoords((minX + maxX) / 2, (minY + maxY) / 2, tileX, tileY, zoom, extent);
+      }
+      
       features.push(geoJSONFeature);
     }
     
@@ -257,6 +282,89 @@ function buildPolygonGeometry(rings, tileX, tileY, zoom, extent) {
   }
 }
 
+/**
+ * Bounds of the drawn tile (this tile or a deeper one) in tile-local extent units
+ * @returns {Array<number>} [minX, minY, maxX, maxY]
+ */
+function getClipBounds(clipTile, tileX, tileY, zoom, extent) {
+  const scale = Math.pow(2, clipTile.z - zoom);
+  const size = extent / scale;
+  const minX = (clipTile.x - tileX * scale) * size;
+  const minY = (clipTile.y - tileY * scale) * size;
+  return [minX, minY, minX + size, minY + size];
+}
+
+/**
+ * Cut a feature to the drawn tile: polygons exactly at its edge, so fills of
+ * neighbouring tiles don't overlap, lines and points with the buffer margin
+ * (joins and caps continue smoothly across the seam)
+ * @returns {Object|null} { geometry, sourceBounds } - sourceBounds (extent of the
+ *   uncut geometry) only when it was cut; null if nothing is left
+ */
+function clipFeature(type, rings, [minX, minY, maxX, maxY], buffer) {
+  const pad = type === 3 ? 0 : (maxX - minX) * buffer / 4096;
+  const bounds = [minX - pad, minY - pad, maxX + pad, maxY + pad];
+  
+  const sourceBounds = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const ring of rings) {
+    for (const { x, y } of ring) {
+      if (x < sourceBounds[0]) sourceBounds[0] = x;
+      if (y < sourceBounds[1]) sourceBounds[1] = y;
+      if (x > sourceBounds[2]) sourceBounds[2] = x;
+      if (y > sourceBounds[3]) sourceBounds[3] = y;
+    }
+  }
+  
+  // Entirely inside (most features) - nothing to cut
+  if (sourceBounds[0] >= bounds[0] && sourceBounds[1] >= bounds[1] &&
+      sourceBounds[2] <= bounds[2] && sourceBounds[3] <= bounds[3]) {
+    return { geometry: rings, sourceBounds: null };
+  }
+  
+  const geometry = clipGeometry(type, rings, bounds);
+  return geometry.length > 0 ? { geometry, sourceBounds } : null;
+}
+
+/**
+ * Clip VT2 rings to bounds (tile-local units), keeping the loadGeometry() shape
+ * Polygon holes are dropped along with an exterior ring that falls outside
+ */
+function clipGeometry(type, rings, [minX, minY, maxX, maxY]) {
+  const toArrays = ring => ring.map(point => [point.x, point.y]);
+  const toPoints = ring => ring.map(([x, y]) => ({ x, y }));
+  
+  if (type === 1) {
+    return rings
+      .map(ring => ring.filter(p => p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY))
+      .filter(ring => ring.length > 0);
+  }
+  
+  if (type === 2) {
+    return rings
+      .flatMap(ring => clipLine(toArrays(ring), minX, maxX, 0))
+      .flatMap(line => clipLine(line, minY, maxY, 1))
+      .filter(line => line.length >= 2)
+      .map(toPoints);
+  }
+  
+  const clipped = [];
+  let keepHoles = false;
+  for (const ring of rings) {
+    const isExterior = signedArea(ring) > 0;
+    if (!isExterior && !keepHoles) continue;
+    
+    const clippedRing = toPoints(clipRing(clipRing(toArrays(ring), minX, maxX, 0), minY, maxY, 1));
+    const isEmpty = clippedRing.length < 4 || signedArea(clippedRing) === 0;
+    if (isExterior) {
+      keepHoles = !isEmpty;
+    }
+    if (!isEmpty) {
+      clipped.push(clippedRing);
+    }
+  }
+  return clipped;
+}
+
 /**
  * Calculate signed area of a ring to determine winding order
  * Positive = clockwise (exterior), Negative = counter-clockwise (hole)
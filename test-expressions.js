@@ -0,0 +1,109 @@
+// Compiled vs interpreted style expressions: equal results, and how much faster compiling is
+// Run: node test-expressions.js (exits with 1 on the first result that differs)
+// Timings are ms per round, the interpreter is the baseline
+
+import assert from 'node:assert/strict';
+import { evaluateExpression, CompiledExpression, setExpressionCompilation } from './src/core/expressions.js';
+import { setStyleState } from './src/core/style.js';
+import { parseGeoJSONFeature } from './src/tiles/geojson.js';
+
+const FEATURE_COUNT = 2000;
+const ROUNDS = 200;
+const PARSE_ROUNDS = 10;
+const ZOOMS = [0, 12, 13.5, 15, 16.25, 22];
+
+const classes = ['residential', 'park', 'water', 'industrial', 'commercial', 'forest'];
+const features = Array.from({ length: FEATURE_COUNT }, (_, i) => ({
+    id: i + 1,
+    properties: {
+        class: classes[i % classes.length],
+        rank: i % 12,
+        render_height: 5 + (i % 40),
+        name: `Feature ${i}`
+    }
+}));
+
+// Typical style values: constant, zoom-only and feature-dependent
+const expressions = {
+    'constant color': ['to-color', ['concat', '#', 'ff', '88', '00']],
+    'zoom width': ['interpolate', ['exponential', 1.5], ['zoom'], 10, 0.5, 14, 2, 18, 12],
+    'zoom color': ['interpolate-hcl', ['linear'], ['zoom'], 12, '#e0dfdf', 16, '#a0a0a0'],
+    'match color': ['match', ['get', 'class'], 'park', '#c8facc', 'water', '#aad3df', ['industrial', 'commercial'], '#ebdbe8', '#e0dfdf'],
+    'filter': ['all', ['==', ['geometry-type'], 'Polygon'], ['in', ['get', 'class'], ['literal', ['park', 'forest']]], ['<', ['get', 'rank'], 10]],
+    'height': ['case', ['has', 'render_height'], ['*', ['get', 'render_height'], ['interpolate', ['linear'], ['zoom'], 14, 0, 16, 1]], 0],
+    'label': ['concat', ['upcase', ['get', 'name']], ' (', ['to-string', ['get', 'rank']], ')']
+};
+
+function time(fn, rounds = ROUNDS) {
+    fn(); // Warm up
+    const start = performance.now();
+    for (let round = 0; round < rounds; round++) fn();
+    return (performance.now() - start) / rounds;
+}
+
+function report(name, kind, interpreted, compiled) {
+    console.log(`  ${name.padEnd(16)} ${kind.padEnd(9)} interpreted ${interpreted.toFixed(3).padStart(7)}  compiled ${compiled.toFixed(3).padStart(7)}  ${(interpreted / compiled).toFixed(1)}×`);
+}
+
+const inputs = features.map((feature) => ({ ...feature, geometry: { type: 'Polygon' } }));
+
+console.log(`Expressions: ${FEATURE_COUNT} features × ${ROUNDS} rounds`);
+for (const [name, expression] of Object.entries(expressions)) {
+    const compiled = new CompiledExpression(expression);
+
+    for (const zoom of ZOOMS) {
+        for (const input of inputs) {
+            assert.deepEqual(compiled.evaluate(input, zoom), evaluateExpression(expression, input, zoom),
+                `${name} differs for feature ${input.id} at zoom ${zoom}`);
+        }
+    }
+
+    const interpreted = time(() => {
+        for (const input of inputs) evaluateExpression(expression, input, 15);
+    });
+    const compiledTime = time(() => {
+        for (const input of inputs) compiled.evaluate(input, 15);
+    });
+    report(name, compiled.kind, interpreted, compiledTime);
+}
+
+// Feature parsing with a style (filters, extrusion heights, line widths)
+setStyleState({
+    version: 8,
+    sources: { demo: { type: 'geojson' } },
+    layers: [
+        { id: 'buildings', type: 'fill-extrusion', source: 'demo', filter: ['==', ['get', 'class'], 'residential'],
+            paint: { 'fill-extrusion-height': ['get', 'render_height'], 'fill-extrusion-color': '#aaa' } },
+        { id: 'landuse', type: 'fill', source: 'demo', filter: expressions.filter,
+            paint: { 'fill-color': expressions['match color'] } },
+        { id: 'roads', type: 'line', source: 'demo',
+            paint: { 'line-width': expressions['zoom width'], 'line-color': '#fff' } }
+    ]
+});
+
+const square = (i) => {
+    const x = (i % 50) * 0.001;
+    const y = Math.floor(i / 50) * 0.001;
+    return [[[x, y], [x + 0.0008, y], [x + 0.0008, y + 0.0008], [x, y + 0.0008], [x, y]]];
+};
+const tileFeatures = features.map((feature, i) => ({
+    ...feature,
+    type: 'Feature',
+    layer: { name: 'demo' },
+    geometry: i % 3 === 2
+        ? { type: 'LineString', coordinates: [[0, i * 0.0001], [0.0005, i * 0.0001 + 0.0002], [0.0008, i * 0.0001]] }
+        : { type: 'Polygon', coordinates: square(i) }
+}));
+const parseAll = () => tileFeatures.map((feature) => parseGeoJSONFeature(feature, undefined, 'demo', 15));
+
+setExpressionCompilation(false);
+const interpretedFeatures = parseAll();
+const interpretedParse = time(parseAll, PARSE_ROUNDS);
+setExpressionCompilation(true);
+const compiledFeatures = parseAll();
+const compiledParse = time(parseAll, PARSE_ROUNDS);
+
+assert.deepEqual(compiledFeatures, interpretedFeatures, 'parsed features differ between compiled and interpreted expressions');
+console.log(`parseGeoJSONFeature: ${FEATURE_COUNT} features × ${PARSE_ROUNDS} rounds`);
+report('parse', 'feature', interpretedParse, compiledParse);
+console.log('✅ Compiled expressions match the interpreter');
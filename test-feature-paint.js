@@ -0,0 +1,133 @@
+// GPU paint tables: every tile buffer gets its own slot, whatever feature ID it carries,
+// and zoom curves mix to the style's value at any zoom
+// Run: node test-feature-paint.js (exits with 1 on the first failed check)
+// The GPU is replaced by a recording device - the tables are checked on their CPU mirror
+
+import assert from 'node:assert/strict';
+import { FeaturePaint } from './src/rendering/featurePaint.js';
+import { setStyleState, parseColor } from './src/core/style.js';
+import { evaluateExpression } from './src/core/expressions.js';
+import { encodeFeatureIdColor } from './src/tiles/geojson.js';
+
+globalThis.GPUBufferUsage ??= { VERTEX: 0x20, UNIFORM: 0x40, STORAGE: 0x80, COPY_DST: 0x8 };
+
+const device = {
+    createBuffer: ({ size }) => ({ size, destroy() {} }),
+    createBindGroup: (descriptor) => descriptor,
+    queue: { writeBuffer() {} }
+};
+
+const COLORS = { park: '#00ff00', water: '#0000ff', forest: '#008000' };
+const byClass = (colors) => ['match', ['get', 'class'], 'park', colors.park, 'water', colors.water, colors.forest];
+
+const paints = {
+    landuse: { 'fill-color': byClass(COLORS) },
+    // Switches at a fractional zoom, not at the integer below it
+    step: { 'fill-color': ['step', ['zoom'], byClass(COLORS), 14.5, ['match', ['get', 'class'], 'park', '#ff0000', '#ffffff']] },
+    exponential: {
+        'fill-color': ['interpolate', ['exponential', 2], ['zoom'], 12, byClass(COLORS), 16, '#ff0000'],
+        'fill-opacity': ['step', ['zoom'], 1, 14.5, 0.5]
+    },
+    bezier: { 'fill-color': ['interpolate', ['cubic-bezier', 0.4, 0, 0.2, 1], ['zoom'], 14, '#000000', 15, byClass(COLORS)] },
+    // Two curves cannot share one mix factor: evaluated at the zoom itself
+    hcl: {
+        'fill-color': ['interpolate-hcl', ['linear'], ['zoom'], 12, byClass(COLORS), 16, '#ff0000'],
+        'fill-opacity': ['interpolate', ['linear'], ['zoom'], 12, 1, 16, ['get', 'rank']]
+    }
+};
+
+setStyleState({
+    version: 8,
+    sources: { demo: { type: 'vector' } },
+    layers: Object.entries(paints).map(([id, paint]) => ({ id, type: 'fill', source: 'demo', 'source-layer': 'landuse', paint }))
+});
+
+// One feature of one tile, as TileManager.createBuffersForFeature builds it
+function tileBuffer(clampedFid, tileX, properties) {
+    const vertices = new Float32Array(30);
+    for (let i = 0; i < 3; i++) {
+        vertices.set(encodeFeatureIdColor(clampedFid, 0), i * 10 + 6);
+    }
+    return {
+        vertexBuffer: {},
+        vertices,
+        properties: { ...properties, fid: clampedFid, clampedFid, sourceLayer: 'landuse' },
+        sourceId: 'demo',
+        tileX,
+        tileY: 0,
+        zoomLevel: 14
+    };
+}
+
+// Color the vertex shader reads for a buffer (getPaintColor, RGBA 0-255)
+function drawnColor(featurePaint, layerId, buffer) {
+    const { table, uniformData } = featurePaint.layers.get(layerId);
+    const slot = Math.round(buffer.vertices[6] * 255) * 256 + Math.round(buffer.vertices[7] * 255);
+    const zoomT = new Float32Array(uniformData.buffer)[4];
+    const unpack = (word) => [0, 8, 16, 24].map((shift) => ((word >>> shift) & 255) / 255);
+    const lower = unpack(table[slot * 2]);
+    const upper = unpack(table[slot * 2 + 1]);
+    const alpha = lower[3] + (upper[3] - lower[3]) * zoomT;
+    const rgb = [0, 1, 2].map((i) => alpha === 0 ? 0 : (lower[i] * lower[3] + (upper[i] * upper[3] - lower[i] * lower[3]) * zoomT) / alpha);
+    return [...rgb, alpha].map((value) => Math.round(value * 255));
+}
+
+// The style's color (opacity applied) at the exact zoom, RGBA 0-255
+function styleColor(layerId, properties, zoom) {
+    const feature = { properties };
+    const color = parseColor(evaluateExpression(paints[layerId]['fill-color'], feature, zoom));
+    const opacity = evaluateExpression(paints[layerId]['fill-opacity'] ?? 1, feature, zoom);
+    return [color[0], color[1], color[2], color[3] * opacity].map((value) => Math.round(value * 255));
+}
+
+function hex(color) {
+    return '#' + color.slice(0, 3).map((value) => value.toString(16).padStart(2, '0')).join('');
+}
+
+// Features sharing a clamped ID - in different tiles and within one tile - keep their own color
+{
+    const featurePaint = new FeaturePaint(device, {});
+    const park = tileBuffer(42, 0, { class: 'park' });
+    const water = tileBuffer(42, 1, { class: 'water' });
+    const forest = tileBuffer(42, 1, { class: 'forest' });
+    featurePaint.update(new Map([['landuse', [park, water, forest]]]), 14);
+
+    assert.equal(hex(drawnColor(featurePaint, 'landuse', park)), COLORS.park);
+    assert.equal(hex(drawnColor(featurePaint, 'landuse', water)), COLORS.water);
+    assert.equal(hex(drawnColor(featurePaint, 'landuse', forest)), COLORS.forest);
+    console.log('✅ Shared feature IDs: one table slot per tile buffer');
+
+    // A buffer leaving the view frees its slot for the next one
+    const lake = tileBuffer(42, 2, { class: 'water' });
+    featurePaint.update(new Map([['landuse', [park, lake, forest]]]), 14);
+    assert.equal(featurePaint.layers.get('landuse').slots.size, 3);
+    const reed = tileBuffer(42, 3, { class: 'park' });
+    featurePaint.update(new Map([['landuse', [park, reed, forest]]]), 14);
+    assert.equal(featurePaint.layers.get('landuse').nextSlot, 4);
+    assert.equal(hex(drawnColor(featurePaint, 'landuse', lake)), COLORS.water);
+    assert.equal(hex(drawnColor(featurePaint, 'landuse', reed)), COLORS.park);
+    assert.equal(hex(drawnColor(featurePaint, 'landuse', park)), COLORS.park);
+    assert.equal(hex(drawnColor(featurePaint, 'landuse', forest)), COLORS.forest);
+    console.log('✅ Slots of unloaded buffers are reused');
+}
+
+// Zoom curves: the mixed table matches the style at every zoom (within 8-bit rounding)
+{
+    const featurePaint = new FeaturePaint(device, {});
+    const features = [{ class: 'park', rank: 0.2 }, { class: 'water', rank: 0.8 }];
+    const layerIds = ['step', 'exponential', 'bezier', 'hcl'];
+    const buffers = new Map(layerIds.map((layerId) => [layerId, features.map((properties, i) => tileBuffer(7, i, properties))]));
+
+    for (const zoom of [11, 12.5, 13.9, 14, 14.2, 14.49, 14.5, 14.6, 14.75, 15.3, 16, 17]) {
+        featurePaint.update(buffers, zoom);
+        for (const layerId of layerIds) {
+            buffers.get(layerId).forEach((buffer, i) => {
+                const drawn = drawnColor(featurePaint, layerId, buffer);
+                const expected = styleColor(layerId, features[i], zoom);
+                drawn.forEach((value, channel) => assert.ok(Math.abs(value - expected[channel]) <= 2,
+                    `${layerId} at zoom ${zoom}: drawn ${drawn}, style ${expected}`));
+            });
+        }
+    }
+    console.log('✅ Zoom curves: fractional steps, exponential and bezier ramps, exact fallback');
+}
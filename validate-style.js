@@ -0,0 +1,32 @@
+// Style validation for CI: checks style JSON files against the style spec
+// Run: node validate-style.js style.json [other-style.json ...]
+// Prints one line per error (file: path: message) and exits with 1 if any style is invalid
+
+import { readFileSync } from 'fs';
+import { validateStyle, formatError } from './src/core/styleValidator.js';
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    console.error('Usage: node validate-style.js style.json [other-style.json ...]');
+    process.exit(2);
+}
+
+let invalidCount = 0;
+for (const file of files) {
+    let errors;
+    try {
+        errors = validateStyle(JSON.parse(readFileSync(file, 'utf8')));
+    } catch (error) {
+        errors = [{ path: '', message: `Could not read style: ${error.message}` }];
+    }
+
+    if (errors.length > 0) {
+        invalidCount++;
+        for (const error of errors) {
+            console.log(`${file}: ${formatError(error)}`);
+        }
+    }
+}
+
+console.log(`${files.length - invalidCount} of ${files.length} styles valid`);
+process.exit(invalidCount > 0 ? 1 : 0);